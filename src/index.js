@@ -7,24 +7,31 @@ require('dotenv').config();
 
 const DatabaseService = require('./services/databaseService');
 const MessageProcessor = require('./services/messageProcessor');
-const WhatsAppClient = require('./services/whatsappClient');
+const WhatsAppClientManager = require('./services/clientManager');
 const Server = require('./server');
 
 class WhatsAppGroupCapture {
   constructor() {
     this.dbService = new DatabaseService();
-    this.messageProcessor = new MessageProcessor();
+    this.messageProcessor = new MessageProcessor(this.dbService);
     this.server = new Server(this.dbService);
-    this.whatsappClient = new WhatsAppClient(this.messageProcessor, this.dbService, this.server);
+    this.clientManager = new WhatsAppClientManager(this.messageProcessor, this.dbService, this.server);
+    this.server.setClientManager(this.clientManager);
   }
 
   /**
    * Initialize and start the application
    * @param {boolean} startWebServer - Whether to start the web server (default: true)
+   * @param {boolean} backfill - Whether to backfill missed messages once the client is ready
    */
-  async start(startWebServer = true) {
+  async start(startWebServer = true, backfill = false) {
     try {
       console.log('Starting WhatsApp Group Message Capture...');
+      
+      if (backfill) {
+        console.log('Backfill of missed messages enabled');
+        this.clientManager.setBackfillOnReady(true);
+      }
 
       // Connect to database
       console.log('Connecting to database...');
@@ -42,9 +49,9 @@ class WhatsAppGroupCapture {
 
       }
 
-      // Initialize WhatsApp client
-      console.log('Initializing WhatsApp client...');
-      await this.whatsappClient.initializeClient();
+      // Initialize a WhatsApp client for every configured account
+      console.log(`Initializing WhatsApp clients for ${this.clientManager.getClients().length} account(s)...`);
+      await this.clientManager.initializeAll();
       
       console.log('WhatsApp Group Message Capture is now running!');
       console.log('The system will capture and store all group messages.');
@@ -52,7 +59,9 @@ class WhatsAppGroupCapture {
       // Test group access after a delay to ensure client is ready
       // Use force initialization in backend-only mode
       setTimeout(() => {
-        this.testGroupAccess(!startWebServer); // Force initialization in backend-only mode
+        for (const whatsappClient of this.clientManager.getClients()) {
+          this.testGroupAccess(whatsappClient, !startWebServer); // Force initialization in backend-only mode
+        }
       }, startWebServer ? 10000 : 20000); // Wait longer in backend-only mode
 
     } catch (error) {
@@ -63,19 +72,20 @@ class WhatsAppGroupCapture {
 
   /**
    * Test group access and display available groups
+   * @param {Object} whatsappClient - Account client to test
    * @param {boolean} forceInitialization - Whether to force group initialization
    */
-  async testGroupAccess(forceInitialization = false) {
+  async testGroupAccess(whatsappClient, forceInitialization = false) {
     try {
-      console.log('\n=== Testing Group Access ===');
+      console.log(`\n=== Testing Group Access (account "${whatsappClient.accountId}") ===`);
       
       let groups;
       if (forceInitialization) {
         console.log('Forcing group initialization (backend-only mode)...');
-        groups = await this.whatsappClient.forceGroupInitialization();
+        groups = await whatsappClient.forceGroupInitialization();
       } else {
         // Use the more robust initializeGroups method instead of getAllGroups
-        groups = await this.whatsappClient.initializeGroups();
+        groups = await whatsappClient.initializeGroups();
       }
       
       if (groups.length === 0) {
@@ -86,7 +96,7 @@ class WhatsAppGroupCapture {
         if (forceInitialization) {
           console.log('Scheduling another force initialization attempt in 60 seconds...');
           setTimeout(() => {
-            this.testGroupAccess(true);
+            this.testGroupAccess(whatsappClient, true);
           }, 60000);
         }
       } else {
@@ -104,7 +114,7 @@ class WhatsAppGroupCapture {
       if (forceInitialization) {
         console.log('Scheduling another force initialization attempt in 90 seconds...');
         setTimeout(() => {
-          this.testGroupAccess(true);
+          this.testGroupAccess(whatsappClient, true);
         }, 90000);
       }
     }
@@ -127,11 +137,11 @@ class WhatsAppGroupCapture {
         }
       }
       
-      // Shutdown WhatsApp client
-      if (this.whatsappClient) {
+      // Shutdown every account's WhatsApp client
+      if (this.clientManager) {
         try {
-          await this.whatsappClient.shutdown();
-          console.log('WhatsApp client stopped');
+          await this.clientManager.shutdown();
+          console.log('WhatsApp clients stopped');
         } catch (clientError) {
           console.error('Error stopping WhatsApp client:', clientError);
         }
@@ -179,6 +189,7 @@ process.on('SIGTERM', async () => {
 async function main() {
   // Check for backend-only mode from command line arguments
   const backendOnly = process.argv.includes('--backend-only');
+  const backfill = process.argv.includes('--backfill');
   
   if (backendOnly) {
     console.log('Starting in backend-only mode (no web server)');
@@ -186,7 +197,7 @@ async function main() {
   
   const app = new WhatsAppGroupCapture();
   global.app = app; // For graceful shutdown
-  await app.start(!backendOnly); // Pass false to disable web server in backend-only mode
+  await app.start(!backendOnly, backfill); // Pass false to disable web server in backend-only mode
 }
 
 main().catch(error => {
@@ -11,6 +11,11 @@ const messagesContainer = document.getElementById('messages-container');
 const currentGroupTitle = document.getElementById('current-group');
 const messageCountDisplay = document.getElementById('message-count');
 const groupSearch = document.getElementById('group-search');
+const chatTypeFilter = document.getElementById('chat-type-filter');
+const accountFilter = document.getElementById('account-filter');
+const timelineToggle = document.getElementById('timeline-toggle');
+const groupTimeline = document.getElementById('group-timeline');
+const groupEventsList = document.getElementById('group-events-list');
 
 // Templates
 const messageTemplate = document.getElementById('message-template');
@@ -22,6 +27,9 @@ let groups = [];
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', () => {
+  // Load accounts for the account filter
+  loadAccounts();
+  
   // Load groups
   loadGroups();
   
@@ -32,12 +40,41 @@ document.addEventListener('DOMContentLoaded', () => {
   setupSocketHandlers();
 });
 
+/**
+ * Build the account query string for the selected account
+ * @returns {string} - '?account=name' or '' for all accounts
+ */
+function accountQuery() {
+  return accountFilter.value ? `?account=${encodeURIComponent(accountFilter.value)}` : '';
+}
+
+/**
+ * Load WhatsApp accounts into the account filter (shown only with more than one account)
+ */
+async function loadAccounts() {
+  try {
+    const response = await fetch('/api/accounts');
+    if (!response.ok) throw new Error('Failed to fetch accounts');
+    
+    const accounts = await response.json();
+    accounts.forEach(account => {
+      const option = document.createElement('option');
+      option.value = account.accountId;
+      option.textContent = `${account.accountId}${account.businessNumber ? ` (+${account.businessNumber})` : ''}`;
+      accountFilter.appendChild(option);
+    });
+    accountFilter.hidden = accounts.length < 2;
+  } catch (error) {
+    console.error('Error loading accounts:', error);
+  }
+}
+
 /**
  * Load all groups from the API
  */
 async function loadGroups() {
   try {
-    const response = await fetch('/api/groups');
+    const response = await fetch(`/api/groups${accountQuery()}`);
     if (!response.ok) throw new Error('Failed to fetch groups');
     
     groups = await response.json();
@@ -83,6 +120,9 @@ function createGroupElement(group) {
   
   // Set group data
   groupItem.querySelector('.group-name').textContent = group.group_name || 'Unknown Group';
+  if (group.chat_type === 'direct') {
+    groupItem.classList.add('direct-chat');
+  }
   groupItem.querySelector('.message-count').textContent = `${group.message_count} messages`;
   
   // Format last message time
@@ -102,8 +142,14 @@ function createGroupElement(group) {
     // Add active class to clicked group
     groupItem.classList.add('active');
     
-    // Load messages for this group
+    // Load messages, and the timeline for groups (direct chats have none)
     loadMessages(group.group_id);
+    if (group.chat_type === 'direct') {
+      timelineToggle.disabled = true;
+      groupTimeline.hidden = true;
+    } else {
+      loadGroupEvents(group.group_id);
+    }
     
     // Update current group
     currentGroupId = group.group_id;
@@ -122,7 +168,7 @@ async function loadMessages(groupId) {
     // Show loading state
     messagesContainer.innerHTML = '<div class="loading">Loading messages...</div>';
     
-    const response = await fetch(`/api/messages/${groupId}`);
+    const response = await fetch(`/api/messages/${groupId}${accountQuery()}`);
     if (!response.ok) throw new Error('Failed to fetch messages');
     
     const messages = await response.json();
@@ -136,6 +182,91 @@ async function loadMessages(groupId) {
   }
 }
 
+/**
+ * Load membership and settings events for a specific group
+ * @param {string} groupId - Group ID
+ */
+async function loadGroupEvents(groupId) {
+  timelineToggle.disabled = false;
+  
+  try {
+    groupEventsList.innerHTML = '<li class="loading">Loading timeline...</li>';
+    
+    const response = await fetch(`/api/groups/${encodeURIComponent(groupId)}/events`);
+    if (!response.ok) throw new Error('Failed to fetch group events');
+    
+    const events = await response.json();
+    groupEventsList.innerHTML = '';
+    
+    if (events.length === 0) {
+      groupEventsList.innerHTML = '<li class="no-events">No group events recorded</li>';
+      return;
+    }
+    
+    events.forEach(event => {
+      groupEventsList.appendChild(createGroupEventElement(event));
+    });
+  } catch (error) {
+    console.error('Error loading group events:', error);
+    groupEventsList.innerHTML = '<li class="error">Failed to load timeline</li>';
+  }
+}
+
+/**
+ * Create a timeline entry for a group event
+ * @param {Object} event - Group event data
+ * @returns {HTMLElement} - Timeline list item
+ */
+function createGroupEventElement(event) {
+  const eventItem = document.createElement('li');
+  eventItem.className = `group-event group-event-${event.event_type}`;
+  
+  const eventTime = document.createElement('span');
+  eventTime.className = 'timestamp';
+  eventTime.textContent = formatDate(new Date(event.event_time));
+  
+  const eventText = document.createElement('span');
+  eventText.className = 'group-event-text';
+  eventText.textContent = describeGroupEvent(event);
+  
+  eventItem.appendChild(eventText);
+  eventItem.appendChild(eventTime);
+  return eventItem;
+}
+
+/**
+ * Describe a group event in plain words
+ * @param {Object} event - Group event data
+ * @returns {string} - Description
+ */
+function describeGroupEvent(event) {
+  const formatId = (id) => (id || 'Someone').split('@')[0];
+  const actor = formatId(event.actor_id);
+  const targetIds = typeof event.target_ids === 'string' ? JSON.parse(event.target_ids) : (event.target_ids || []);
+  const targets = targetIds.map(formatId).join(', ');
+  
+  switch (event.event_type) {
+    case 'join':
+      return event.actor_id && targets && actor !== targets ? `${actor} added ${targets}` : `${targets || actor} joined`;
+    case 'leave':
+      return `${targets || actor} left`;
+    case 'remove':
+      return `${actor} removed ${targets}`;
+    case 'promote':
+      return `${targets} became admin`;
+    case 'demote':
+      return `${targets} is no longer admin`;
+    case 'subject':
+      return `${actor} changed the subject${event.details ? ` to "${event.details}"` : ''}`;
+    case 'description':
+      return `${actor} changed the description`;
+    case 'icon':
+      return `${actor} changed the group icon`;
+    default:
+      return `${actor} changed group settings (${event.subtype || 'unknown'})`;
+  }
+}
+
 /**
  * Render messages in the messages container
  * @param {Array} messages - Array of message objects
@@ -154,9 +285,27 @@ function renderMessages(messages) {
     return new Date(b.timestamp) - new Date(a.timestamp);
   });
   
+  // Album items are shown together as one gallery, in the place of the first item
+  const batches = new Map();
+  messages.forEach(message => {
+    if (!message.batch_id) return;
+    if (!batches.has(message.batch_id)) batches.set(message.batch_id, []);
+    batches.get(message.batch_id).push(message);
+  });
+  
   // Create message elements
   messages.forEach(message => {
-    const messageElement = createMessageElement(message);
+    let messageElement;
+    if (message.batch_id) {
+      const members = batches.get(message.batch_id);
+      if (!members) return; // Already rendered with its album
+      batches.delete(message.batch_id);
+      
+      members.sort((a, b) => a.batch_position - b.batch_position);
+      messageElement = createMessageElement(members[0], members);
+    } else {
+      messageElement = createMessageElement(message);
+    }
     messagesContainer.appendChild(messageElement);
   });
   
@@ -167,11 +316,22 @@ function renderMessages(messages) {
 /**
  * Create a message element
  * @param {Object} message - Message data
+ * @param {Array} batchMembers - Every item of the message's album in order, to render as a gallery (optional)
  * @returns {HTMLElement} - Message element
  */
-function createMessageElement(message) {
+function createMessageElement(message, batchMembers = null) {
   const messageElement = document.importNode(messageTemplate.content, true).querySelector('.message');
   
+  // Keep the row ID so live updates can find this message
+  if (message.id) {
+    messageElement.dataset.messageId = message.id;
+  }
+  
+  // Messages sent by our own account sit on the other side of the conversation
+  if (message.direction === 'outgoing') {
+    messageElement.classList.add('outgoing');
+  }
+  
   // Set message data
   messageElement.querySelector('.sender-name').textContent = message.sender_name;
   messageElement.querySelector('.timestamp').textContent = formatDate(new Date(message.timestamp));
@@ -179,8 +339,29 @@ function createMessageElement(message) {
   const messageBody = messageElement.querySelector('.message-body');
   messageBody.textContent = message.message_text;
   
-  // Add attachments if present
-  if (message.image_attachment_path || message.document_attachment_path) {
+  // Show @mentions as names instead of WhatsApp's numeric placeholders
+  if (message.mentions && message.mentions.length > 0 && message.message_text) {
+    renderMentions(messageBody, message.message_text, message.mentions);
+  }
+  
+  // Label forwards the way WhatsApp does
+  if (message.is_forwarded) {
+    const forwardedLabel = document.createElement('div');
+    forwardedLabel.className = 'forwarded-label';
+    forwardedLabel.textContent = message.forwarding_score >= 5 ? '↪↪ Forwarded many times' : '↪ Forwarded';
+    messageBody.before(forwardedLabel);
+  }
+  
+  // Quote the message this one replies to
+  if (message.reply_to_message_id) {
+    renderReplyQuote(messageElement, message);
+  }
+  
+  // Albums show every item in one gallery instead of the first item's attachment
+  if (batchMembers && batchMembers.length > 1) {
+    messageElement.dataset.batchId = message.batch_id;
+    renderGallery(messageElement, batchMembers);
+  } else if (message.image_attachment_path || message.document_attachment_path) {
     const attachmentsDiv = document.createElement('div');
     attachmentsDiv.className = 'message-attachments';
     
@@ -222,9 +403,528 @@ function createMessageElement(message) {
     messageElement.appendChild(attachmentsDiv);
   }
   
+  // Media stored lazily is downloaded from WhatsApp the first time it is opened
+  const hasStoredMedia = message.image_attachment_path || message.document_attachment_path ||
+    message.video_attachment_path || message.audio_attachment_path;
+  if (message.media_info && !hasStoredMedia && !messageElement.dataset.batchId) {
+    renderMediaPlaceholder(messageElement, message);
+  }
+  
+  // Render polls as a results bar chart
+  if (message.poll) {
+    messageElement.dataset.pollMessageId = message.poll.messageId;
+    renderPoll(messageElement, message.poll);
+  }
+  
+  // Link shared locations to a map
+  if (message.location_data) {
+    renderLocation(messageElement, message.location_data);
+  }
+  
+  // List shared contact cards
+  if (message.contact_data && message.contact_data.length > 0) {
+    renderContacts(messageElement, message.contact_data);
+  }
+  
+  // Show reaction counts under the message
+  if (message.reactions && message.reactions.length > 0) {
+    renderReactions(messageElement, message.reactions);
+  }
+  
+  // Mark edited messages and attach their revision history
+  if (message.is_edited) {
+    markMessageEdited(messageElement, message.revisions || []);
+  }
+  
+  // Mark messages deleted for everyone (content is kept)
+  if (message.is_revoked) {
+    markMessageRevoked(messageElement, message.revoked_at);
+  }
+  
+  // Replies and replied-to messages can open their whole conversation thread
+  if (message.id && (message.reply_to_row_id || message.reply_count > 0)) {
+    addThreadToggle(messageElement, message);
+  }
+  
   return messageElement;
 }
 
+/**
+ * Fill a message body with its text, replacing @mention placeholders with highlighted names
+ * @param {HTMLElement} messageBody - Message body element
+ * @param {string} text - Message text with placeholders such as "@15551234567"
+ * @param {Array} mentions - Mentions ({ contact_id, placeholder, display_name })
+ */
+function renderMentions(messageBody, text, mentions) {
+  const byPlaceholder = new Map(mentions.map(mention => [mention.placeholder, mention]));
+  // Longest first, so "@123" doesn't match the start of "@1234"
+  const placeholders = [...byPlaceholder.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map(placeholder => placeholder.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(${placeholders.join('|')})`);
+  
+  messageBody.textContent = '';
+  text.split(pattern).forEach(part => {
+    const mention = byPlaceholder.get(part);
+    if (!mention) {
+      messageBody.appendChild(document.createTextNode(part));
+      return;
+    }
+    
+    const mentionElement = document.createElement('span');
+    mentionElement.className = 'mention';
+    mentionElement.textContent = `@${mention.display_name || part.slice(1)}`;
+    mentionElement.title = mention.contact_id;
+    messageBody.appendChild(mentionElement);
+  });
+}
+
+/**
+ * Show the quoted message above a reply's text
+ * @param {HTMLElement} messageElement - Message element
+ * @param {Object} message - Message row with reply_text, reply_attachment_type and reply_attachment_path
+ */
+function renderReplyQuote(messageElement, message) {
+  const quote = document.createElement('div');
+  quote.className = 'reply-quote';
+  
+  if (message.reply_text) {
+    const quoteText = document.createElement('div');
+    quoteText.textContent = message.reply_text;
+    quote.appendChild(quoteText);
+  }
+  
+  if (message.reply_attachment_path) {
+    const attachmentLink = document.createElement('a');
+    attachmentLink.target = '_blank';
+    if (message.reply_attachment_type === 'link') {
+      attachmentLink.href = message.reply_attachment_path;
+      attachmentLink.textContent = message.reply_attachment_path;
+    } else {
+      attachmentLink.href = `/attachments/${message.reply_attachment_path}`;
+      attachmentLink.textContent = `View ${message.reply_attachment_type || 'attachment'}`;
+    }
+    quote.appendChild(attachmentLink);
+  } else if (message.reply_attachment_type && message.reply_attachment_type !== 'link') {
+    const attachmentLabel = document.createElement('div');
+    attachmentLabel.className = 'reply-quote-media';
+    attachmentLabel.textContent = `[${message.reply_attachment_type}]`;
+    quote.appendChild(attachmentLabel);
+  }
+  
+  if (!message.reply_to_row_id) {
+    quote.classList.add('unlinked');
+    quote.title = 'The quoted message is not stored';
+  }
+  
+  messageElement.querySelector('.message-body').before(quote);
+}
+
+/**
+ * Add a "thread" label that loads and shows the message's reply thread
+ * @param {HTMLElement} messageElement - Message element
+ * @param {Object} message - Message row
+ */
+function addThreadToggle(messageElement, message) {
+  const threadLabel = document.createElement('span');
+  threadLabel.className = 'thread-label';
+  threadLabel.textContent = message.reply_count > 0
+    ? `thread · ${message.reply_count} ${message.reply_count === 1 ? 'reply' : 'replies'}`
+    : 'thread';
+  threadLabel.title = 'Show conversation thread';
+  messageElement.querySelector('.message-header').appendChild(threadLabel);
+  
+  const threadView = document.createElement('div');
+  threadView.className = 'thread-view';
+  threadView.hidden = true;
+  messageElement.appendChild(threadView);
+  
+  threadLabel.addEventListener('click', async () => {
+    threadView.hidden = !threadView.hidden;
+    if (threadView.hidden || threadView.dataset.loaded) return;
+    
+    threadView.textContent = 'Loading thread...';
+    try {
+      const response = await fetch(`/api/messages/${message.id}/thread`);
+      if (!response.ok) {
+        throw new Error('Failed to fetch thread');
+      }
+      const thread = await response.json();
+      
+      threadView.textContent = '';
+      threadView.appendChild(renderThread(thread, message.id));
+      if (thread.truncated) {
+        const note = document.createElement('div');
+        note.className = 'thread-truncated';
+        note.textContent = `Showing the first ${thread.messageCount} messages of this thread`;
+        threadView.appendChild(note);
+      }
+      threadView.dataset.loaded = 'true';
+    } catch (error) {
+      console.error('Error loading thread:', error);
+      threadView.textContent = 'Failed to load thread';
+    }
+  });
+}
+
+/**
+ * Render a message and its replies as nested lists
+ * @param {Object} node - Message row with a replies array
+ * @param {number} currentId - Row ID of the message the thread was opened from, to highlight it
+ * @returns {HTMLElement} - Thread element
+ */
+function renderThread(node, currentId) {
+  const threadMessage = document.createElement('div');
+  threadMessage.className = 'thread-message';
+  if (node.id === currentId) {
+    threadMessage.classList.add('current');
+  }
+  
+  const header = document.createElement('div');
+  header.className = 'thread-message-header';
+  header.textContent = `${node.sender_name || 'Unknown'} · ${formatDate(new Date(node.timestamp))}`;
+  threadMessage.appendChild(header);
+  
+  const body = document.createElement('div');
+  body.textContent = node.is_revoked ? `${node.message_text || ''} (deleted for everyone)` : node.message_text;
+  threadMessage.appendChild(body);
+  
+  const attachmentPath = node.image_attachment_path || node.video_attachment_path ||
+    node.audio_attachment_path || node.document_attachment_path;
+  if (attachmentPath) {
+    const attachmentLink = document.createElement('a');
+    attachmentLink.href = `/attachments/${attachmentPath}`;
+    attachmentLink.target = '_blank';
+    attachmentLink.textContent = `View ${node.attachment_type || 'attachment'}`;
+    threadMessage.appendChild(attachmentLink);
+  }
+  
+  if (node.replies && node.replies.length > 0) {
+    const replies = document.createElement('div');
+    replies.className = 'thread-replies';
+    node.replies.forEach(reply => replies.appendChild(renderThread(reply, currentId)));
+    threadMessage.appendChild(replies);
+  }
+  
+  return threadMessage;
+}
+
+/**
+ * Render an album's photos and videos as a gallery, with captions from later items underneath
+ * @param {HTMLElement} messageElement - Message element of the album's first item
+ * @param {Array} members - Album items in order
+ */
+function renderGallery(messageElement, members) {
+  const gallery = document.createElement('div');
+  gallery.className = 'message-gallery';
+  
+  members.forEach(member => {
+    const item = document.createElement('a');
+    item.className = 'gallery-item';
+    item.target = '_blank';
+    
+    const storedPath = member.image_attachment_path || member.video_attachment_path;
+    item.href = storedPath ? `/attachments/${storedPath}` : `/api/messages/${member.id}/attachment`;
+    
+    if (member.image_attachment_path) {
+      const image = document.createElement('img');
+      image.src = `/attachments/${member.image_attachment_path}`;
+      image.alt = `Album item ${member.batch_position + 1}`;
+      item.appendChild(image);
+    } else {
+      item.textContent = member.attachment_type === 'video' ? '▶ Video' : 'Media';
+    }
+    
+    gallery.appendChild(item);
+  });
+  
+  messageElement.appendChild(gallery);
+  
+  // The first item's caption is the message body; later items can carry their own
+  const captions = members.slice(1).map(member => member.message_text).filter(Boolean);
+  if (captions.length > 0) {
+    const captionList = document.createElement('div');
+    captionList.className = 'gallery-captions';
+    captionList.textContent = captions.join('\n');
+    messageElement.appendChild(captionList);
+  }
+}
+
+/**
+ * Show media that wasn't downloaded with its message, with a download link if it was stored lazily
+ * @param {HTMLElement} messageElement - Message element
+ * @param {Object} message - Message row with media_info { mode, mediaType, mimetype, size }
+ */
+function renderMediaPlaceholder(messageElement, message) {
+  const mediaInfo = message.media_info;
+  const size = mediaInfo.size ? ` (${(mediaInfo.size / (1024 * 1024)).toFixed(1)} MB)` : '';
+  
+  const placeholder = document.createElement('div');
+  placeholder.className = 'media-placeholder';
+  
+  if (mediaInfo.mode === 'lazy') {
+    const link = document.createElement('a');
+    link.href = `/api/messages/${message.id}/attachment`;
+    link.target = '_blank';
+    link.textContent = `Download ${mediaInfo.mediaType}${size}`;
+    placeholder.appendChild(link);
+  } else {
+    placeholder.textContent = `${mediaInfo.mediaType} not downloaded${size}`;
+  }
+  
+  messageElement.appendChild(placeholder);
+}
+
+/**
+ * Render a poll's options as a results bar chart, replacing the message text
+ * @param {HTMLElement} messageElement - Message element
+ * @param {Object} poll - Poll results with options [{ name, votes }] and totalVoters
+ */
+function renderPoll(messageElement, poll) {
+  const messageBody = messageElement.querySelector('.message-body');
+  messageBody.innerHTML = '';
+  messageBody.classList.add('poll');
+  
+  const question = document.createElement('div');
+  question.className = 'poll-question';
+  question.textContent = `📊 ${poll.question}`;
+  messageBody.appendChild(question);
+  
+  const maxVotes = Math.max(1, ...poll.options.map(option => option.votes));
+  
+  poll.options.forEach(option => {
+    const optionRow = document.createElement('div');
+    optionRow.className = 'poll-option';
+    
+    const label = document.createElement('div');
+    label.className = 'poll-option-label';
+    label.textContent = `${option.name} · ${option.votes}`;
+    
+    const bar = document.createElement('div');
+    bar.className = 'poll-bar';
+    const fill = document.createElement('div');
+    fill.className = 'poll-bar-fill';
+    fill.style.width = `${Math.round((option.votes / maxVotes) * 100)}%`;
+    bar.appendChild(fill);
+    
+    optionRow.appendChild(label);
+    optionRow.appendChild(bar);
+    messageBody.appendChild(optionRow);
+  });
+  
+  const footer = document.createElement('div');
+  footer.className = 'poll-footer';
+  footer.textContent = `${poll.totalVoters} ${poll.totalVoters === 1 ? 'voter' : 'voters'}${poll.allowMultipleAnswers ? ' · multiple answers allowed' : ''}`;
+  messageBody.appendChild(footer);
+}
+
+/**
+ * Add a map link for a shared location below the message text
+ * @param {HTMLElement} messageElement - Message element
+ * @param {Object} location - Location data with latitude, longitude, name, address and mapUrl
+ */
+function renderLocation(messageElement, location) {
+  const locationDiv = document.createElement('div');
+  locationDiv.className = 'message-location';
+  
+  const mapLink = document.createElement('a');
+  mapLink.href = location.mapUrl;
+  mapLink.target = '_blank';
+  mapLink.className = 'map-link';
+  mapLink.textContent = `📍 ${location.isLive ? 'Live location' : (location.name || 'Location')}`;
+  locationDiv.appendChild(mapLink);
+  
+  const coordinates = document.createElement('div');
+  coordinates.className = 'location-coordinates';
+  coordinates.textContent = `${location.latitude}, ${location.longitude}`;
+  locationDiv.appendChild(coordinates);
+  
+  messageElement.querySelector('.message-body').after(locationDiv);
+}
+
+/**
+ * Render shared contact cards as a list, replacing the message text
+ * @param {HTMLElement} messageElement - Message element
+ * @param {Array} contacts - Parsed contact cards with name and phones [{ number }]
+ */
+function renderContacts(messageElement, contacts) {
+  const messageBody = messageElement.querySelector('.message-body');
+  messageBody.innerHTML = '';
+  
+  const list = document.createElement('ul');
+  list.className = 'contact-cards';
+  
+  contacts.forEach(contact => {
+    const item = document.createElement('li');
+    item.className = 'contact-card';
+    
+    const name = document.createElement('div');
+    name.className = 'contact-name';
+    name.textContent = `👤 ${contact.name || 'Unnamed contact'}`;
+    item.appendChild(name);
+    
+    contact.phones.forEach(phone => {
+      const number = document.createElement('div');
+      number.className = 'contact-phone';
+      number.textContent = phone.number;
+      item.appendChild(number);
+    });
+    
+    list.appendChild(item);
+  });
+  
+  messageBody.appendChild(list);
+}
+
+/**
+ * Render reaction counts under a message, replacing any previous ones
+ * @param {HTMLElement} messageElement - Message element
+ * @param {Array} reactions - Array of { emoji, count }
+ */
+function renderReactions(messageElement, reactions) {
+  let reactionsDiv = messageElement.querySelector('.message-reactions');
+  
+  if (!reactionsDiv) {
+    reactionsDiv = document.createElement('div');
+    reactionsDiv.className = 'message-reactions';
+    messageElement.appendChild(reactionsDiv);
+  }
+  
+  reactionsDiv.innerHTML = '';
+  reactions.forEach(reaction => {
+    const reactionChip = document.createElement('span');
+    reactionChip.className = 'reaction';
+    reactionChip.textContent = `${reaction.emoji} ${reaction.count}`;
+    reactionsDiv.appendChild(reactionChip);
+  });
+  
+  reactionsDiv.hidden = reactions.length === 0;
+}
+
+/**
+ * Show an "edited" label on a message with a toggleable revision history
+ * @param {HTMLElement} messageElement - Message element
+ * @param {Array} revisions - Revisions, oldest first
+ */
+function markMessageEdited(messageElement, revisions) {
+  let editedLabel = messageElement.querySelector('.edited-label');
+  let history = messageElement.querySelector('.revision-history');
+  
+  if (!editedLabel) {
+    editedLabel = document.createElement('span');
+    editedLabel.className = 'edited-label';
+    editedLabel.textContent = 'edited';
+    editedLabel.title = 'Show edit history';
+    messageElement.querySelector('.message-header').appendChild(editedLabel);
+    
+    history = document.createElement('div');
+    history.className = 'revision-history';
+    history.hidden = true;
+    messageElement.appendChild(history);
+    
+    editedLabel.addEventListener('click', () => {
+      history.hidden = !history.hidden;
+    });
+  }
+  
+  revisions.forEach(revision => history.appendChild(createRevisionElement(revision)));
+}
+
+/**
+ * Show a "deleted for everyone" label on a message
+ * @param {HTMLElement} messageElement - Message element
+ * @param {string} revokedAt - When the message was revoked
+ */
+function markMessageRevoked(messageElement, revokedAt) {
+  if (messageElement.classList.contains('revoked')) return;
+  
+  messageElement.classList.add('revoked');
+  
+  const revokedLabel = document.createElement('span');
+  revokedLabel.className = 'revoked-label';
+  revokedLabel.textContent = 'deleted for everyone';
+  if (revokedAt) {
+    revokedLabel.title = `Deleted ${formatDate(new Date(revokedAt))}`;
+  }
+  messageElement.querySelector('.message-header').appendChild(revokedLabel);
+}
+
+/**
+ * Create an element showing one revision as a word diff
+ * @param {Object} revision - Revision data
+ * @returns {HTMLElement} - Revision element
+ */
+function createRevisionElement(revision) {
+  const revisionElement = document.createElement('div');
+  revisionElement.className = 'revision';
+  
+  const revisionHeader = document.createElement('div');
+  revisionHeader.className = 'revision-header';
+  revisionHeader.textContent = `Edit ${revision.revision} · ${formatDate(new Date(revision.edited_at))}`;
+  revisionElement.appendChild(revisionHeader);
+  
+  const diffElement = document.createElement('div');
+  diffElement.className = 'revision-diff';
+  
+  diffWords(revision.previous_text || '', revision.new_text || '').forEach(part => {
+    const span = document.createElement(part.type === 'removed' ? 'del' : part.type === 'added' ? 'ins' : 'span');
+    span.textContent = part.text;
+    diffElement.appendChild(span);
+  });
+  
+  revisionElement.appendChild(diffElement);
+  return revisionElement;
+}
+
+/**
+ * Word-level diff between two texts (longest common subsequence)
+ * @param {string} oldText - Text before the edit
+ * @param {string} newText - Text after the edit
+ * @returns {Array} - Parts of type 'same', 'removed' or 'added'
+ */
+function diffWords(oldText, newText) {
+  const oldWords = oldText.split(/(\s+)/);
+  const newWords = newText.split(/(\s+)/);
+  
+  // lengths[i][j] = LCS length of oldWords[i..] and newWords[j..]
+  const lengths = Array.from({ length: oldWords.length + 1 }, () => new Array(newWords.length + 1).fill(0));
+  for (let i = oldWords.length - 1; i >= 0; i--) {
+    for (let j = newWords.length - 1; j >= 0; j--) {
+      lengths[i][j] = oldWords[i] === newWords[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+  
+  let i = 0;
+  let j = 0;
+  while (i < oldWords.length && j < newWords.length) {
+    if (oldWords[i] === newWords[j]) {
+      push('same', oldWords[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('removed', oldWords[i++]);
+    } else {
+      push('added', newWords[j++]);
+    }
+  }
+  while (i < oldWords.length) push('removed', oldWords[i++]);
+  while (j < newWords.length) push('added', newWords[j++]);
+  
+  return parts;
+}
+
 /**
  * Format date for display
  * @param {Date} date - Date object
@@ -260,19 +960,42 @@ function formatDate(date) {
  * Set up event listeners
  */
 function setupEventListeners() {
+  // Group timeline toggle
+  timelineToggle.addEventListener('click', () => {
+    groupTimeline.hidden = !groupTimeline.hidden;
+  });
+  
   // Group search
-  groupSearch.addEventListener('input', () => {
-    const searchTerm = groupSearch.value.toLowerCase();
-    
-    // Filter groups by name
-    const filteredGroups = groups.filter(group => {
-      const groupName = (group.group_name || '').toLowerCase();
-      return groupName.includes(searchTerm);
-    });
-    
-    // Render filtered groups
-    renderGroups(filteredGroups);
+  groupSearch.addEventListener('input', filterGroups);
+  
+  // Groups vs. direct chats
+  chatTypeFilter.addEventListener('change', filterGroups);
+  
+  // Capturing account
+  accountFilter.addEventListener('change', () => {
+    loadGroups();
+    if (currentGroupId) {
+      loadMessages(currentGroupId);
+    }
+  });
+}
+
+/**
+ * Render the groups matching the search box and chat type filter
+ */
+function filterGroups() {
+  const searchTerm = groupSearch.value.toLowerCase();
+  const chatType = chatTypeFilter.value;
+  
+  // Filter groups by name and chat type
+  const filteredGroups = groups.filter(group => {
+    const groupName = (group.group_name || '').toLowerCase();
+    const matchesType = chatType === 'all' || (group.chat_type || 'group') === chatType;
+    return matchesType && groupName.includes(searchTerm);
   });
+  
+  // Render filtered groups
+  renderGroups(filteredGroups);
 }
 
 /**
@@ -281,6 +1004,9 @@ function setupEventListeners() {
 function setupSocketHandlers() {
   // New message event
   socket.on('new-message', (message) => {
+    // Ignore messages captured by other accounts while one is selected
+    if (accountFilter.value && message.accountId !== accountFilter.value) return;
+    
     // Update group list if needed
     updateGroupWithNewMessage(message);
     
@@ -294,6 +1020,64 @@ function setupSocketHandlers() {
       messageCountDisplay.textContent = `${currentCount + 1} messages`;
     }
   });
+  
+  // Message edited event
+  socket.on('message-edited', (edit) => {
+    const messageElement = messagesContainer.querySelector(`.message[data-message-id="${edit.id}"]`);
+    if (!messageElement) return;
+    
+    messageElement.querySelector('.message-body').textContent = edit.messageText;
+    markMessageEdited(messageElement, [{
+      revision: edit.revision,
+      previous_text: edit.previousText,
+      new_text: edit.messageText,
+      edited_at: edit.editedAt
+    }]);
+  });
+  
+  // Message revoked event
+  socket.on('message-revoked', (revocation) => {
+    const messageElement = messagesContainer.querySelector(`.message[data-message-id="${revocation.id}"]`);
+    if (!messageElement) return;
+    
+    markMessageRevoked(messageElement, revocation.revokedAt);
+  });
+  
+  // Poll tallies changed
+  socket.on('poll-update', (poll) => {
+    const messageElement = messagesContainer.querySelector(`.message[data-poll-message-id="${CSS.escape(poll.messageId)}"]`);
+    if (!messageElement) return;
+    
+    renderPoll(messageElement, poll);
+  });
+  
+  // Group membership or settings event
+  socket.on('group-event', (event) => {
+    if (currentGroupId !== event.group_id) return;
+    
+    const placeholder = groupEventsList.querySelector('.no-events');
+    if (placeholder) placeholder.remove();
+    
+    groupEventsList.insertBefore(createGroupEventElement(event), groupEventsList.firstChild);
+  });
+  
+  // Media that failed to download at capture time has arrived
+  socket.on('attachment-downloaded', (message) => {
+    const messageElement = messagesContainer.querySelector(`.message[data-message-id="${message.id}"]`);
+    if (!messageElement) return;
+    
+    messageElement.replaceWith(createMessageElement(message));
+  });
+  
+  // Reaction added, changed or removed
+  socket.on('message-reaction', (update) => {
+    if (!update.id) return;
+    
+    const messageElement = messagesContainer.querySelector(`.message[data-message-id="${update.id}"]`);
+    if (!messageElement) return;
+    
+    renderReactions(messageElement, update.reactions);
+  });
 }
 
 /**
@@ -313,11 +1097,12 @@ function updateGroupWithNewMessage(message) {
     groups.push({
       group_id: message.groupId,
       group_name: message.groupName,
+      chat_type: message.chatType,
       message_count: 1,
       last_message_time: message.timestamp
     });
   }
   
-  // Re-render groups
-  renderGroups(groups);
+  // Re-render groups, keeping the current search and chat type filter
+  filterGroups();
 }
\ No newline at end of file
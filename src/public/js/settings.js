@@ -0,0 +1,192 @@
+/**
+ * Settings page for the WhatsApp Message Capture System
+ * Manages the group capture policy (mode, allow/deny rules) through the API
+ */
+
+// DOM elements
+const policyMode = document.getElementById('policy-mode');
+const saveModeButton = document.getElementById('save-mode');
+const policyStatus = document.getElementById('policy-status');
+const ruleForm = document.getElementById('rule-form');
+const ruleListType = document.getElementById('rule-list-type');
+const rulePattern = document.getElementById('rule-pattern');
+const rulesList = document.getElementById('rules-list');
+const availableGroupsList = document.getElementById('available-groups-list');
+const availableGroupSearch = document.getElementById('available-group-search');
+
+// State
+let availableGroups = [];
+
+// Initialize the page
+document.addEventListener('DOMContentLoaded', () => {
+  loadPolicy();
+  loadAvailableGroups();
+  setupEventListeners();
+});
+
+/**
+ * Send a JSON request to the API
+ * @param {string} url - API URL
+ * @param {string} method - HTTP method
+ * @param {Object} body - Request body (optional)
+ * @returns {Promise<Object>} - Parsed response
+ */
+async function apiRequest(url, method = 'GET', body = null) {
+  const response = await fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'Request failed');
+  return data;
+}
+
+/**
+ * Load the group policy and its rules
+ */
+async function loadPolicy() {
+  try {
+    renderPolicy(await apiRequest('/api/groups/policy'));
+  } catch (error) {
+    console.error('Error loading group policy:', error);
+    rulesList.innerHTML = `<li class="error">${error.message}</li>`;
+  }
+}
+
+/**
+ * Render the current mode and rules
+ * @param {Object} policy - { mode, rules }
+ */
+function renderPolicy(policy) {
+  policyMode.value = policy.mode;
+  rulesList.innerHTML = '';
+  
+  if (policy.rules.length === 0) {
+    rulesList.innerHTML = '<li class="no-groups">No rules yet</li>';
+    return;
+  }
+  
+  policy.rules.forEach(rule => {
+    const item = document.createElement('li');
+    item.className = `settings-item rule-${rule.list_type}`;
+    
+    const label = document.createElement('span');
+    const target = rule.match_type === 'group_id' ? (rule.group_name || rule.value) : `name matches "${rule.value}"`;
+    label.textContent = `${rule.list_type === 'allow' ? 'Allow' : 'Deny'}: ${target}`;
+    item.appendChild(label);
+    
+    const removeButton = document.createElement('button');
+    removeButton.className = 'settings-button secondary';
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', () => removeRule(rule.id));
+    item.appendChild(removeButton);
+    
+    rulesList.appendChild(item);
+  });
+}
+
+/**
+ * Load every group the account belongs to with its capture status
+ */
+async function loadAvailableGroups() {
+  try {
+    availableGroups = await apiRequest('/api/groups/available');
+    filterAvailableGroups();
+  } catch (error) {
+    console.error('Error loading available groups:', error);
+    availableGroupsList.innerHTML = `<li class="error">${error.message}</li>`;
+  }
+}
+
+/**
+ * Render the groups matching the search box
+ */
+function filterAvailableGroups() {
+  const searchTerm = availableGroupSearch.value.toLowerCase();
+  const groups = availableGroups.filter(group => (group.groupName || '').toLowerCase().includes(searchTerm));
+  
+  availableGroupsList.innerHTML = '';
+  
+  if (groups.length === 0) {
+    availableGroupsList.innerHTML = '<li class="no-groups">No groups found</li>';
+    return;
+  }
+  
+  groups.forEach(group => {
+    const item = document.createElement('li');
+    item.className = 'settings-item';
+    
+    const label = document.createElement('span');
+    label.textContent = `${group.captured ? '✅' : '⛔'} ${group.groupName || group.groupId}`;
+    item.appendChild(label);
+    
+    const actions = document.createElement('span');
+    ['allow', 'deny'].forEach(listType => {
+      const button = document.createElement('button');
+      button.className = `settings-button${listType === 'deny' ? ' secondary' : ''}`;
+      button.textContent = listType === 'allow' ? 'Allow' : 'Deny';
+      button.addEventListener('click', () => addRule({ listType, groupId: group.groupId, groupName: group.groupName }));
+      actions.appendChild(button);
+    });
+    item.appendChild(actions);
+    
+    availableGroupsList.appendChild(item);
+  });
+}
+
+/**
+ * Add an allow or deny rule, then refresh the rules and group statuses
+ * @param {Object} rule - { listType, groupId, groupName } or { listType, pattern }
+ */
+async function addRule(rule) {
+  try {
+    renderPolicy(await apiRequest('/api/groups/policy/rules', 'POST', rule));
+    loadAvailableGroups();
+  } catch (error) {
+    alert(`Failed to add rule: ${error.message}`);
+  }
+}
+
+/**
+ * Remove a rule, then refresh the rules and group statuses
+ * @param {number} id - Rule ID
+ */
+async function removeRule(id) {
+  try {
+    renderPolicy(await apiRequest(`/api/groups/policy/rules/${id}`, 'DELETE'));
+    loadAvailableGroups();
+  } catch (error) {
+    alert(`Failed to remove rule: ${error.message}`);
+  }
+}
+
+/**
+ * Set up event listeners
+ */
+function setupEventListeners() {
+  // Save the policy mode
+  saveModeButton.addEventListener('click', async () => {
+    try {
+      renderPolicy(await apiRequest('/api/groups/policy', 'PUT', { mode: policyMode.value }));
+      policyStatus.textContent = 'Saved';
+      loadAvailableGroups();
+    } catch (error) {
+      policyStatus.textContent = `Failed: ${error.message}`;
+    }
+  });
+  
+  // Add a name-pattern rule
+  ruleForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const pattern = rulePattern.value.trim();
+    if (!pattern) return;
+    
+    addRule({ listType: ruleListType.value, pattern });
+    rulePattern.value = '';
+  });
+  
+  // Group search
+  availableGroupSearch.addEventListener('input', filterAvailableGroups);
+}
@@ -4,22 +4,74 @@
  */
 
 const express = require('express');
+const GroupPolicyService = require('../services/groupPolicyService');
+const BroadcastService = require('../services/broadcastService');
+const MediaPolicyService = require('../services/mediaPolicyService');
 
 /**
  * Create API router with database service dependency
  * @param {Object} dbService - Database service
+ * @param {Function} getClientManager - Returns the WhatsApp client manager (null until attached)
  * @returns {Object} - Express router
  */
-module.exports = function(dbService) {
+module.exports = function(dbService, getClientManager = () => null) {
   const router = express.Router();
 
   /**
-   * Get all groups with message counts
-   * GET /api/groups
+   * Get an account's WhatsApp client
+   * @param {string} accountId - Account name (optional, defaults to the first account)
+   * @returns {Object|null} - Client or null if unavailable
+   */
+  const getWhatsAppClient = (accountId = null) => {
+    const clientManager = getClientManager();
+    return clientManager ? clientManager.getClient(accountId) : null;
+  };
+
+  /**
+   * Parse message list filters from the query string
+   * @param {Object} query - Request query
+   * @returns {Object} - Filters for DatabaseService message queries
+   */
+  const parseMessageFilters = (query) => {
+    const filters = {};
+    if (query.revoked === 'true' || query.revoked === 'false') {
+      filters.revoked = query.revoked === 'true';
+    }
+    if (query.chat_type === 'group' || query.chat_type === 'direct') {
+      filters.chatType = query.chat_type;
+    }
+    if (query.direction === 'incoming' || query.direction === 'outgoing') {
+      filters.direction = query.direction;
+    }
+    if (query.account) {
+      filters.accountId = query.account;
+    }
+    if (query.tag) {
+      filters.tag = query.tag;
+    }
+    if (query.forwarded === 'true' || query.forwarded === 'false') {
+      filters.forwarded = query.forwarded === 'true';
+    }
+    return filters;
+  };
+
+  /**
+   * Check an uploaded media object from a request body
+   * @param {*} media - Request value
+   * @returns {boolean} - True if it has base64 data and a mimetype
+   */
+  const isValidMedia = (media) => {
+    return !!media && typeof media.data === 'string' && typeof media.mimetype === 'string';
+  };
+
+  /**
+   * Get all groups (and captured direct chats) with message counts
+   * GET /api/groups?chat_type=group|direct&account=name
    */
   router.get('/groups', async (req, res) => {
     try {
-      const groups = await dbService.getAllGroups();
+      const { chatType, accountId } = parseMessageFilters(req.query);
+      const groups = await dbService.getAllGroups({ chatType, accountId });
       res.json(groups);
     } catch (error) {
       console.error('Error fetching groups:', error);
@@ -27,9 +79,808 @@ module.exports = function(dbService) {
     }
   });
 
+  /**
+   * List every group the account belongs to and whether the policy captures it
+   * GET /api/groups/available?account=name
+   */
+  router.get('/groups/available', async (req, res) => {
+    try {
+      const whatsappClient = getWhatsAppClient(req.query.account);
+      if (!whatsappClient || !whatsappClient.isClientReady) {
+        return res.status(503).json({ error: 'WhatsApp client not ready' });
+      }
+      
+      const groups = await whatsappClient.getGroupsWithPolicy();
+      res.json(groups);
+    } catch (error) {
+      console.error('Error fetching available groups:', error);
+      res.status(500).json({ error: 'Failed to fetch available groups' });
+    }
+  });
+
+  /**
+   * Get the group selection policy and its rules
+   * GET /api/groups/policy
+   */
+  router.get('/groups/policy', async (req, res) => {
+    try {
+      const whatsappClient = getWhatsAppClient();
+      if (!whatsappClient) {
+        return res.status(503).json({ error: 'WhatsApp client not available' });
+      }
+      
+      const policy = await whatsappClient.groupPolicy.getPolicy();
+      res.json(policy);
+    } catch (error) {
+      console.error('Error fetching group policy:', error);
+      res.status(500).json({ error: 'Failed to fetch group policy' });
+    }
+  });
+
+  /**
+   * Change the group selection mode (takes effect immediately)
+   * PUT /api/groups/policy
+   * Body: { mode: 'all' | 'allowlist' | 'denylist' }
+   */
+  router.put('/groups/policy', async (req, res) => {
+    try {
+      const whatsappClient = getWhatsAppClient();
+      if (!whatsappClient) {
+        return res.status(503).json({ error: 'WhatsApp client not available' });
+      }
+      
+      const mode = req.body && req.body.mode;
+      if (!GroupPolicyService.MODES.includes(mode)) {
+        return res.status(400).json({ error: `mode must be one of: ${GroupPolicyService.MODES.join(', ')}` });
+      }
+      
+      const policy = await whatsappClient.groupPolicy.setMode(mode);
+      res.json(policy);
+    } catch (error) {
+      console.error('Error updating group policy:', error);
+      res.status(500).json({ error: 'Failed to update group policy' });
+    }
+  });
+
+  /**
+   * Add an allow or deny rule matching a group ID or a name pattern
+   * POST /api/groups/policy/rules
+   * Body: { listType: 'allow' | 'deny', groupId, groupName } or { listType, pattern }
+   */
+  router.post('/groups/policy/rules', async (req, res) => {
+    try {
+      const whatsappClient = getWhatsAppClient();
+      if (!whatsappClient) {
+        return res.status(503).json({ error: 'WhatsApp client not available' });
+      }
+      
+      const { listType, groupId, groupName, pattern } = req.body || {};
+      if (!GroupPolicyService.LIST_TYPES.includes(listType)) {
+        return res.status(400).json({ error: `listType must be one of: ${GroupPolicyService.LIST_TYPES.join(', ')}` });
+      }
+      if (!groupId === !pattern) {
+        return res.status(400).json({ error: 'Provide either groupId or pattern' });
+      }
+      
+      const policy = await whatsappClient.groupPolicy.addRule({
+        listType,
+        matchType: groupId ? 'group_id' : 'name_pattern',
+        value: groupId || pattern,
+        groupName: groupName || null
+      });
+      res.status(201).json(policy);
+    } catch (error) {
+      console.error('Error adding group policy rule:', error);
+      res.status(500).json({ error: 'Failed to add group policy rule' });
+    }
+  });
+
+  /**
+   * Remove a group policy rule
+   * DELETE /api/groups/policy/rules/:id
+   */
+  router.delete('/groups/policy/rules/:id', async (req, res) => {
+    try {
+      const whatsappClient = getWhatsAppClient();
+      if (!whatsappClient) {
+        return res.status(503).json({ error: 'WhatsApp client not available' });
+      }
+      
+      const id = parseInt(req.params.id);
+      if (!id) {
+        return res.status(400).json({ error: 'Invalid rule id' });
+      }
+      
+      const removed = await whatsappClient.groupPolicy.removeRule(id);
+      if (!removed) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+      
+      res.json(await whatsappClient.groupPolicy.getPolicy());
+    } catch (error) {
+      console.error('Error deleting group policy rule:', error);
+      res.status(500).json({ error: 'Failed to delete group policy rule' });
+    }
+  });
+
+  /**
+   * Get the media download policy: the default mode and per-group or per-type rules
+   * GET /api/media-policy
+   */
+  router.get('/media-policy', async (req, res) => {
+    try {
+      const clientManager = getClientManager();
+      if (!clientManager) {
+        return res.status(503).json({ error: 'WhatsApp clients not available' });
+      }
+      
+      res.json(await clientManager.mediaPolicy.getPolicy());
+    } catch (error) {
+      console.error('Error fetching media policy:', error);
+      res.status(500).json({ error: 'Failed to fetch media policy' });
+    }
+  });
+
+  /**
+   * Set the download mode for a group, a media type or both (takes effect for new messages)
+   * PUT /api/media-policy/rules
+   * Body: { groupId, mediaType: 'image' | 'video' | 'audio' | 'document', mode: 'eager' | 'lazy' | 'skip' }
+   *   where groupId or mediaType may be left out to match any
+   */
+  router.put('/media-policy/rules', async (req, res) => {
+    try {
+      const clientManager = getClientManager();
+      if (!clientManager) {
+        return res.status(503).json({ error: 'WhatsApp clients not available' });
+      }
+      
+      const { groupId, mediaType, mode } = req.body || {};
+      if (!MediaPolicyService.MODES.includes(mode)) {
+        return res.status(400).json({ error: `mode must be one of: ${MediaPolicyService.MODES.join(', ')}` });
+      }
+      if (mediaType && !MediaPolicyService.MEDIA_TYPES.includes(mediaType)) {
+        return res.status(400).json({ error: `mediaType must be one of: ${MediaPolicyService.MEDIA_TYPES.join(', ')}` });
+      }
+      if (groupId !== undefined && groupId !== null && typeof groupId !== 'string') {
+        return res.status(400).json({ error: 'groupId must be a string' });
+      }
+      if (!groupId && !mediaType) {
+        return res.status(400).json({ error: 'Provide groupId, mediaType or both (set MEDIA_DOWNLOAD_MODE for the default)' });
+      }
+      
+      const policy = await clientManager.mediaPolicy.setRule({ groupId, mediaType, mode });
+      res.json(policy);
+    } catch (error) {
+      console.error('Error saving media policy rule:', error);
+      res.status(500).json({ error: 'Failed to save media policy rule' });
+    }
+  });
+
+  /**
+   * Remove a media download policy rule
+   * DELETE /api/media-policy/rules/:id
+   */
+  router.delete('/media-policy/rules/:id', async (req, res) => {
+    try {
+      const clientManager = getClientManager();
+      if (!clientManager) {
+        return res.status(503).json({ error: 'WhatsApp clients not available' });
+      }
+      
+      const id = parseInt(req.params.id);
+      if (!id) {
+        return res.status(400).json({ error: 'Invalid rule id' });
+      }
+      
+      const removed = await clientManager.mediaPolicy.removeRule(id);
+      if (!removed) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+      
+      res.json(await clientManager.mediaPolicy.getPolicy());
+    } catch (error) {
+      console.error('Error deleting media policy rule:', error);
+      res.status(500).json({ error: 'Failed to delete media policy rule' });
+    }
+  });
+
+  /**
+   * Get the synchronized group directory, including groups with no captured messages
+   * GET /api/groups/directory?include_inactive=true
+   */
+  router.get('/groups/directory', async (req, res) => {
+    try {
+      const groups = await dbService.getGroupDirectory(req.query.include_inactive === 'true');
+      res.json(groups);
+    } catch (error) {
+      console.error('Error fetching group directory:', error);
+      res.status(500).json({ error: 'Failed to fetch group directory' });
+    }
+  });
+
+  /**
+   * Get every group tag with the number of groups carrying it
+   * GET /api/groups/tags
+   */
+  router.get('/groups/tags', async (req, res) => {
+    try {
+      const tags = await dbService.getTagList();
+      res.json(tags);
+    } catch (error) {
+      console.error('Error fetching group tags:', error);
+      res.status(500).json({ error: 'Failed to fetch group tags' });
+    }
+  });
+
+  /**
+   * Replace a group's tags (used to target broadcasts)
+   * PUT /api/groups/:groupId/tags
+   * Body: { tags: ['region-north', 'retail'] }
+   */
+  router.put('/groups/:groupId/tags', async (req, res) => {
+    try {
+      const tags = req.body && req.body.tags;
+      if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || !tag.trim() || tag.length > 100)) {
+        return res.status(400).json({ error: 'tags must be an array of non-empty strings (up to 100 characters)' });
+      }
+      
+      const saved = await dbService.saveGroupTags(req.params.groupId, [...new Set(tags.map(tag => tag.trim()))]);
+      res.json(saved);
+    } catch (error) {
+      console.error('Error saving group tags:', error);
+      res.status(500).json({ error: 'Failed to save group tags' });
+    }
+  });
+
+  /**
+   * Get a group's participants with admin flags
+   * GET /api/groups/:groupId/participants?admins=true
+   */
+  router.get('/groups/:groupId/participants', async (req, res) => {
+    try {
+      const participants = await dbService.getGroupParticipants(req.params.groupId, req.query.admins === 'true');
+      res.json(participants);
+    } catch (error) {
+      console.error('Error fetching group participants:', error);
+      res.status(500).json({ error: 'Failed to fetch group participants' });
+    }
+  });
+
+  /**
+   * Get membership and settings events for a group
+   * GET /api/groups/:groupId/events?type=join|leave|remove|promote|demote|subject|description|icon|settings
+   */
+  router.get('/groups/:groupId/events', async (req, res) => {
+    try {
+      const { groupId } = req.params;
+      const limit = parseInt(req.query.limit) || 100;
+      const offset = parseInt(req.query.offset) || 0;
+      
+      const events = await dbService.getGroupEvents(groupId, limit, offset, req.query.type || null);
+      res.json(events);
+    } catch (error) {
+      console.error('Error fetching group events:', error);
+      res.status(500).json({ error: 'Failed to fetch group events' });
+    }
+  });
+
+  /**
+   * Get a group's details (subject, description, owner, creation date) with its tags and participants
+   * GET /api/groups/:groupId
+   */
+  router.get('/groups/:groupId', async (req, res) => {
+    try {
+      const { groupId } = req.params;
+      const group = await dbService.getGroupDetails(groupId);
+      if (!group) {
+        return res.status(404).json({ error: 'Group not found' });
+      }
+      
+      const participants = await dbService.getGroupParticipants(groupId);
+      const tags = await dbService.getGroupTags(groupId);
+      res.json({ ...group, tags, participants });
+    } catch (error) {
+      console.error('Error fetching group details:', error);
+      res.status(500).json({ error: 'Failed to fetch group details' });
+    }
+  });
+
+  /**
+   * Queue a message to a group (text, media, or media with a caption), optionally as a reply
+   * POST /api/groups/:groupId/messages
+   * Body: { text, media: { data (base64), mimetype, filename }, replyTo (stored message id), account }
+   */
+  router.post('/groups/:groupId/messages', async (req, res) => {
+    try {
+      const clientManager = getClientManager();
+      if (!clientManager) {
+        return res.status(503).json({ error: 'WhatsApp clients not available' });
+      }
+      
+      const { groupId } = req.params;
+      const { text, media, replyTo, account } = req.body || {};
+      
+      if (!groupId.endsWith('@g.us')) {
+        return res.status(400).json({ error: 'Messages can only be sent to groups' });
+      }
+      if (text !== undefined && typeof text !== 'string') {
+        return res.status(400).json({ error: 'text must be a string' });
+      }
+      if (media !== undefined && !isValidMedia(media)) {
+        return res.status(400).json({ error: 'media must include base64 data and a mimetype' });
+      }
+      if (!text && !media) {
+        return res.status(400).json({ error: 'Provide text, media or both' });
+      }
+      
+      const whatsappClient = getWhatsAppClient(account);
+      if (!whatsappClient) {
+        return res.status(404).json({ error: 'Account not found' });
+      }
+      
+      let replyToMessageId = null;
+      if (replyTo !== undefined) {
+        const replyToId = parseInt(replyTo);
+        if (!replyToId) {
+          return res.status(400).json({ error: 'Invalid replyTo message id' });
+        }
+        
+        const original = await dbService.getMessageById(replyToId);
+        if (!original || !original.message_id) {
+          return res.status(404).json({ error: 'Message to reply to not found' });
+        }
+        if (original.group_id !== groupId) {
+          return res.status(400).json({ error: 'Message to reply to belongs to another group' });
+        }
+        replyToMessageId = original.message_id;
+      }
+      
+      const outbound = await clientManager.sendQueue.enqueue({
+        accountId: whatsappClient.accountId,
+        groupId,
+        text: text || null,
+        media: media ? { ...media, filename: media.filename || 'attachment' } : null,
+        replyToMessageId
+      });
+      res.status(202).json(outbound);
+    } catch (error) {
+      console.error('Error queueing outbound message:', error);
+      res.status(500).json({ error: 'Failed to queue message' });
+    }
+  });
+
+  /**
+   * Get messages queued or sent through the API with their delivery status
+   * GET /api/outbound?group_id=...&status=queued|sending|sent|failed|paused|cancelled&account=name
+   */
+  router.get('/outbound', async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 100;
+      const offset = parseInt(req.query.offset) || 0;
+      
+      const messages = await dbService.getOutboundMessages({
+        groupId: req.query.group_id,
+        status: req.query.status,
+        accountId: req.query.account
+      }, limit, offset);
+      res.json(messages);
+    } catch (error) {
+      console.error('Error fetching outbound messages:', error);
+      res.status(500).json({ error: 'Failed to fetch outbound messages' });
+    }
+  });
+
+  /**
+   * Get one outbound message's status, attempts and acknowledgements
+   * GET /api/outbound/:id
+   */
+  router.get('/outbound/:id', async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      if (!id) {
+        return res.status(400).json({ error: 'Invalid outbound message id' });
+      }
+      
+      const outbound = await dbService.getOutboundMessage(id);
+      if (!outbound) {
+        return res.status(404).json({ error: 'Outbound message not found' });
+      }
+      
+      res.json(outbound);
+    } catch (error) {
+      console.error('Error fetching outbound message:', error);
+      res.status(500).json({ error: 'Failed to fetch outbound message' });
+    }
+  });
+
+  /**
+   * Get broadcast jobs with their schedule and run count
+   * GET /api/broadcasts?status=scheduled|paused|completed|cancelled
+   */
+  router.get('/broadcasts', async (req, res) => {
+    try {
+      const status = BroadcastService.STATUSES.includes(req.query.status) ? req.query.status : null;
+      const jobs = await dbService.getBroadcastJobs(status);
+      res.json(jobs);
+    } catch (error) {
+      console.error('Error fetching broadcasts:', error);
+      res.status(500).json({ error: 'Failed to fetch broadcasts' });
+    }
+  });
+
+  /**
+   * Schedule a broadcast to a list of groups or to every group with a tag
+   * POST /api/broadcasts
+   * Body: { name, text, variables, media: { data (base64), mimetype, filename }, groupIds: [...] or tag,
+   *   runAt (ISO time, one-off) or cron ('0 9 * * 1-5', recurring), staggerMs, account }
+   */
+  router.post('/broadcasts', async (req, res) => {
+    try {
+      const clientManager = getClientManager();
+      if (!clientManager) {
+        return res.status(503).json({ error: 'WhatsApp clients not available' });
+      }
+      
+      const { name, text, variables, media, groupIds, tag, runAt, cron, staggerMs, account } = req.body || {};
+      
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'name is required' });
+      }
+      if (text !== undefined && typeof text !== 'string') {
+        return res.status(400).json({ error: 'text must be a string' });
+      }
+      if (media !== undefined && !isValidMedia(media)) {
+        return res.status(400).json({ error: 'media must include base64 data and a mimetype' });
+      }
+      if (!text && !media) {
+        return res.status(400).json({ error: 'Provide text, media or both' });
+      }
+      if (variables !== undefined && (typeof variables !== 'object' || variables === null || Array.isArray(variables))) {
+        return res.status(400).json({ error: 'variables must be an object' });
+      }
+      if ((groupIds === undefined) === (tag === undefined)) {
+        return res.status(400).json({ error: 'Provide either groupIds or tag' });
+      }
+      if (groupIds !== undefined && (!Array.isArray(groupIds) || groupIds.length === 0 ||
+        groupIds.some(groupId => typeof groupId !== 'string' || !groupId.endsWith('@g.us')))) {
+        return res.status(400).json({ error: 'groupIds must be a non-empty array of group IDs' });
+      }
+      if (tag !== undefined && (typeof tag !== 'string' || !tag.trim())) {
+        return res.status(400).json({ error: 'tag must be a non-empty string' });
+      }
+      if ((runAt === undefined) === (cron === undefined)) {
+        return res.status(400).json({ error: 'Provide either runAt or cron' });
+      }
+      if (runAt !== undefined && isNaN(new Date(runAt).getTime())) {
+        return res.status(400).json({ error: 'runAt must be a valid date' });
+      }
+      if (cron !== undefined && !clientManager.broadcastService.isValidCron(cron)) {
+        return res.status(400).json({ error: 'cron must have 5 valid fields: minute hour day-of-month month day-of-week' });
+      }
+      if (cron !== undefined) {
+        // A valid expression can still name a date that never comes, like 31 February
+        try {
+          clientManager.broadcastService.getNextCronRun(cron);
+        } catch (error) {
+          return res.status(400).json({ error: 'cron never fires (no date matches its day and month fields)' });
+        }
+      }
+      if (staggerMs !== undefined && (!Number.isInteger(staggerMs) || staggerMs < 0)) {
+        return res.status(400).json({ error: 'staggerMs must be a non-negative integer' });
+      }
+      
+      const whatsappClient = getWhatsAppClient(account);
+      if (!whatsappClient) {
+        return res.status(404).json({ error: 'Account not found' });
+      }
+      
+      const job = await clientManager.broadcastService.createJob({
+        name: name.trim(),
+        accountId: whatsappClient.accountId,
+        text: text || null,
+        variables,
+        media: media ? { ...media, filename: media.filename || 'attachment' } : null,
+        groupIds,
+        tag: tag ? tag.trim() : undefined,
+        runAt,
+        cron,
+        staggerMs
+      });
+      res.status(201).json(job);
+    } catch (error) {
+      console.error('Error creating broadcast:', error);
+      res.status(500).json({ error: 'Failed to create broadcast' });
+    }
+  });
+
+  /**
+   * Get a broadcast job with its run history and delivery counts per run
+   * GET /api/broadcasts/:id
+   */
+  router.get('/broadcasts/:id', async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      if (!id) {
+        return res.status(400).json({ error: 'Invalid broadcast id' });
+      }
+      
+      const job = await dbService.getBroadcastJob(id);
+      if (!job) {
+        return res.status(404).json({ error: 'Broadcast not found' });
+      }
+      
+      const runs = await dbService.getBroadcastRuns(id);
+      res.json({ ...job, runs });
+    } catch (error) {
+      console.error('Error fetching broadcast:', error);
+      res.status(500).json({ error: 'Failed to fetch broadcast' });
+    }
+  });
+
+  /**
+   * Get the per-group results of one broadcast run
+   * GET /api/broadcasts/:id/runs/:runId
+   */
+  router.get('/broadcasts/:id/runs/:runId', async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      const runId = parseInt(req.params.runId);
+      if (!id || !runId) {
+        return res.status(400).json({ error: 'Invalid broadcast or run id' });
+      }
+      
+      const run = await dbService.getBroadcastRunResults(runId);
+      if (!run || run.job_id !== id) {
+        return res.status(404).json({ error: 'Broadcast run not found' });
+      }
+      
+      res.json(run);
+    } catch (error) {
+      console.error('Error fetching broadcast run:', error);
+      res.status(500).json({ error: 'Failed to fetch broadcast run' });
+    }
+  });
+
+  /**
+   * Pause, resume or cancel a broadcast job for the routes below
+   * @param {Object} req - Request with the job id in params
+   * @param {Object} res - Response
+   * @param {string} action - 'pause', 'resume' or 'cancel'
+   */
+  const changeBroadcastState = async (req, res, action) => {
+    try {
+      const clientManager = getClientManager();
+      if (!clientManager) {
+        return res.status(503).json({ error: 'WhatsApp clients not available' });
+      }
+      
+      const id = parseInt(req.params.id);
+      if (!id) {
+        return res.status(400).json({ error: 'Invalid broadcast id' });
+      }
+      
+      const job = await dbService.getBroadcastJob(id);
+      if (!job) {
+        return res.status(404).json({ error: 'Broadcast not found' });
+      }
+      if (job.status === 'cancelled') {
+        return res.status(409).json({ error: 'Broadcast was cancelled' });
+      }
+      if (action === 'pause' && job.status === 'paused') {
+        return res.status(409).json({ error: 'Broadcast is already paused' });
+      }
+      if (action === 'resume' && job.status !== 'paused') {
+        return res.status(409).json({ error: 'Broadcast is not paused' });
+      }
+      
+      const broadcastService = clientManager.broadcastService;
+      const updated = action === 'pause'
+        ? await broadcastService.pauseJob(id)
+        : action === 'resume'
+          ? await broadcastService.resumeJob(id)
+          : await broadcastService.cancelJob(id);
+      res.json(updated);
+    } catch (error) {
+      console.error(`Error trying to ${action} broadcast:`, error);
+      res.status(500).json({ error: `Failed to ${action} broadcast` });
+    }
+  };
+
+  /**
+   * Pause a broadcast: no further runs, and messages not yet sent are held
+   * POST /api/broadcasts/:id/pause
+   */
+  router.post('/broadcasts/:id/pause', async (req, res) => {
+    await changeBroadcastState(req, res, 'pause');
+  });
+
+  /**
+   * Resume a paused broadcast and release its held messages
+   * POST /api/broadcasts/:id/resume
+   */
+  router.post('/broadcasts/:id/resume', async (req, res) => {
+    await changeBroadcastState(req, res, 'resume');
+  });
+
+  /**
+   * Cancel a broadcast and drop its messages not yet sent
+   * DELETE /api/broadcasts/:id
+   */
+  router.delete('/broadcasts/:id', async (req, res) => {
+    await changeBroadcastState(req, res, 'cancel');
+  });
+
+  /**
+   * Pick auto-reply rule fields from a request body
+   * @param {Object} body - Request body
+   * @returns {Object} - Rule fields for RuleEngineService (undefined where not given)
+   */
+  const parseRuleBody = (body = {}) => {
+    const rule = {};
+    const keys = ['name', 'enabled', 'dryRun', 'groupId', 'senderId', 'textPattern', 'attachmentType',
+      'actionType', 'replyText', 'forwardGroupId', 'tag', 'cooldownSeconds'];
+    for (const key of keys) {
+      // Empty strings clear optional conditions
+      rule[key] = body[key] === '' ? null : body[key];
+    }
+    if (typeof rule.name === 'string') {
+      rule.name = rule.name.trim();
+    }
+    return rule;
+  };
+
+  /**
+   * Get every auto-reply rule
+   * GET /api/rules
+   */
+  router.get('/rules', async (req, res) => {
+    try {
+      const rules = await dbService.getAutoReplyRules();
+      res.json(rules);
+    } catch (error) {
+      console.error('Error fetching auto-reply rules:', error);
+      res.status(500).json({ error: 'Failed to fetch auto-reply rules' });
+    }
+  });
+
+  /**
+   * Create an auto-reply rule
+   * POST /api/rules
+   * Body: { name, groupId, senderId, textPattern, attachmentType (conditions, all optional),
+   *   actionType: 'reply' | 'forward' | 'tag', replyText | forwardGroupId | tag, cooldownSeconds, dryRun, enabled }
+   */
+  router.post('/rules', async (req, res) => {
+    try {
+      const clientManager = getClientManager();
+      if (!clientManager) {
+        return res.status(503).json({ error: 'WhatsApp clients not available' });
+      }
+      
+      const rule = parseRuleBody(req.body);
+      const invalid = clientManager.ruleEngine.validateRule(rule);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+      
+      const created = await clientManager.ruleEngine.createRule(rule);
+      res.status(201).json(created);
+    } catch (error) {
+      console.error('Error creating auto-reply rule:', error);
+      res.status(500).json({ error: 'Failed to create auto-reply rule' });
+    }
+  });
+
+  /**
+   * Get an auto-reply rule
+   * GET /api/rules/:id
+   */
+  router.get('/rules/:id', async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      if (!id) {
+        return res.status(400).json({ error: 'Invalid rule id' });
+      }
+      
+      const rule = await dbService.getAutoReplyRule(id);
+      if (!rule) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+      
+      res.json(rule);
+    } catch (error) {
+      console.error('Error fetching auto-reply rule:', error);
+      res.status(500).json({ error: 'Failed to fetch auto-reply rule' });
+    }
+  });
+
+  /**
+   * Update an auto-reply rule (only the fields given are changed)
+   * PUT /api/rules/:id
+   */
+  router.put('/rules/:id', async (req, res) => {
+    try {
+      const clientManager = getClientManager();
+      if (!clientManager) {
+        return res.status(503).json({ error: 'WhatsApp clients not available' });
+      }
+      
+      const id = parseInt(req.params.id);
+      if (!id) {
+        return res.status(400).json({ error: 'Invalid rule id' });
+      }
+      
+      const existing = await dbService.getAutoReplyRule(id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+      
+      const rule = parseRuleBody(req.body);
+      const invalid = clientManager.ruleEngine.validateRule(rule, existing);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+      
+      const updated = await clientManager.ruleEngine.updateRule(id, rule);
+      res.json(updated);
+    } catch (error) {
+      console.error('Error updating auto-reply rule:', error);
+      res.status(500).json({ error: 'Failed to update auto-reply rule' });
+    }
+  });
+
+  /**
+   * Delete an auto-reply rule
+   * DELETE /api/rules/:id
+   */
+  router.delete('/rules/:id', async (req, res) => {
+    try {
+      const clientManager = getClientManager();
+      if (!clientManager) {
+        return res.status(503).json({ error: 'WhatsApp clients not available' });
+      }
+      
+      const id = parseInt(req.params.id);
+      if (!id) {
+        return res.status(400).json({ error: 'Invalid rule id' });
+      }
+      
+      const removed = await clientManager.ruleEngine.deleteRule(id);
+      if (!removed) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+      
+      res.json({ message: 'Rule deleted' });
+    } catch (error) {
+      console.error('Error deleting auto-reply rule:', error);
+      res.status(500).json({ error: 'Failed to delete auto-reply rule' });
+    }
+  });
+
+  /**
+   * Get a rule's firing log, including what it would have done in dry-run mode
+   * GET /api/rules/:id/firings
+   */
+  router.get('/rules/:id/firings', async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      if (!id) {
+        return res.status(400).json({ error: 'Invalid rule id' });
+      }
+      
+      const limit = parseInt(req.query.limit) || 100;
+      const offset = parseInt(req.query.offset) || 0;
+      
+      const firings = await dbService.getAutoReplyFirings(id, limit, offset);
+      res.json(firings);
+    } catch (error) {
+      console.error('Error fetching auto-reply firings:', error);
+      res.status(500).json({ error: 'Failed to fetch auto-reply firings' });
+    }
+  });
+
   /**
    * Get messages for a specific group
-   * GET /api/messages/:groupId
+   * GET /api/messages/:groupId?revoked=true|false
    */
   router.get('/messages/:groupId', async (req, res) => {
     try {
@@ -37,7 +888,7 @@ module.exports = function(dbService) {
       const limit = parseInt(req.query.limit) || 100;
       const offset = parseInt(req.query.offset) || 0;
       
-      const messages = await dbService.getMessagesByGroup(groupId, limit, offset);
+      const messages = await dbService.getMessagesByGroup(groupId, limit, offset, parseMessageFilters(req.query));
       res.json(messages);
     } catch (error) {
       console.error('Error fetching messages by group:', error);
@@ -45,16 +896,217 @@ module.exports = function(dbService) {
     }
   });
 
+  // Downloads of lazy attachments in progress, by message row ID, so concurrent requests share one download
+  const lazyDownloads = new Map();
+
+  /**
+   * Download a lazy attachment from WhatsApp and store its path on the message
+   * @param {Object} whatsappClient - Client of the account that captured the message
+   * @param {Object} message - Message row
+   * @returns {Object} - { relativePath } on success, otherwise { status, error }
+   */
+  const downloadLazyAttachment = async (whatsappClient, message) => {
+    const attachment = await whatsappClient.downloadMessageMedia(message.message_id);
+    if (!attachment) {
+      return { status: 404, error: 'Attachment is no longer available from WhatsApp' };
+    }
+    if (attachment.downloadFailed) {
+      return { status: 500, error: `Failed to download attachment: ${attachment.error}` };
+    }
+    
+    await dbService.saveMessageAttachment(message.id, attachment);
+    return {
+      relativePath: attachment.imageAttachmentPath || attachment.videoAttachmentPath ||
+        attachment.audioAttachmentPath || attachment.documentAttachmentPath
+    };
+  };
+
+  /**
+   * Get a message's attachment, downloading it from WhatsApp on first request if it was stored lazily
+   * GET /api/messages/:id/attachment
+   */
+  router.get('/messages/:id/attachment', async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      if (!id) {
+        return res.status(400).json({ error: 'Invalid message id' });
+      }
+      
+      const message = await dbService.getMessageById(id);
+      if (!message) {
+        return res.status(404).json({ error: 'Message not found' });
+      }
+      
+      const storedPath = message.image_attachment_path || message.video_attachment_path ||
+        message.audio_attachment_path || message.document_attachment_path;
+      if (storedPath) {
+        return res.redirect(`/attachments/${storedPath}`);
+      }
+      
+      const mediaInfo = typeof message.media_info === 'string' ? JSON.parse(message.media_info) : message.media_info;
+      if (!mediaInfo || mediaInfo.mode !== 'lazy' || !message.message_id) {
+        return res.status(404).json({ error: 'Message has no attachment to download' });
+      }
+      
+      const whatsappClient = getWhatsAppClient(message.account_id);
+      if (!whatsappClient || !whatsappClient.isClientReady) {
+        return res.status(503).json({ error: 'WhatsApp client not available' });
+      }
+      
+      if (!lazyDownloads.has(id)) {
+        lazyDownloads.set(id, downloadLazyAttachment(whatsappClient, message).finally(() => lazyDownloads.delete(id)));
+      }
+      const result = await lazyDownloads.get(id);
+      if (!result.relativePath) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      
+      res.redirect(`/attachments/${result.relativePath}`);
+    } catch (error) {
+      console.error('Error fetching attachment:', error);
+      res.status(500).json({ error: 'Failed to fetch attachment' });
+    }
+  });
+
+  /**
+   * Get the reply thread a message belongs to, from its first message down through every reply
+   * GET /api/messages/:id/thread
+   */
+  router.get('/messages/:id/thread', async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      if (!id) {
+        return res.status(400).json({ error: 'Invalid message id' });
+      }
+      
+      const thread = await dbService.getMessageThread(id);
+      if (!thread) {
+        return res.status(404).json({ error: 'Message not found' });
+      }
+      
+      res.json(thread);
+    } catch (error) {
+      console.error('Error fetching message thread:', error);
+      res.status(500).json({ error: 'Failed to fetch message thread' });
+    }
+  });
+
+  /**
+   * Get the edit history of a message
+   * GET /api/messages/:id/revisions
+   */
+  router.get('/messages/:id/revisions', async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      if (!id) {
+        return res.status(400).json({ error: 'Invalid message id' });
+      }
+      
+      const revisions = await dbService.getMessageRevisions(id);
+      res.json(revisions);
+    } catch (error) {
+      console.error('Error fetching message revisions:', error);
+      res.status(500).json({ error: 'Failed to fetch message revisions' });
+    }
+  });
+
+  /**
+   * Get a poll message's question, options and live tallies
+   * GET /api/messages/:id/poll
+   */
+  router.get('/messages/:id/poll', async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      if (!id) {
+        return res.status(400).json({ error: 'Invalid message id' });
+      }
+      
+      const message = await dbService.getMessageById(id);
+      const poll = message && message.message_id ? await dbService.getPollResults(message.message_id) : null;
+      if (!poll) {
+        return res.status(404).json({ error: 'Poll not found' });
+      }
+      
+      res.json(poll);
+    } catch (error) {
+      console.error('Error fetching poll:', error);
+      res.status(500).json({ error: 'Failed to fetch poll' });
+    }
+  });
+
+  /**
+   * Get an album with its items in the order they were sent
+   * GET /api/batches/:batchId
+   */
+  router.get('/batches/:batchId', async (req, res) => {
+    try {
+      const batch = await dbService.getMessageBatch(req.params.batchId);
+      if (!batch) {
+        return res.status(404).json({ error: 'Batch not found' });
+      }
+      
+      res.json(batch);
+    } catch (error) {
+      console.error('Error fetching batch:', error);
+      res.status(500).json({ error: 'Failed to fetch batch' });
+    }
+  });
+
+  /**
+   * Get forwarded content that reached more than one chat, with the chat and time it was first seen
+   * GET /api/forwards?min_groups=2&since=ISO date
+   */
+  router.get('/forwards', async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 50;
+      const offset = parseInt(req.query.offset) || 0;
+      
+      const filters = {
+        minGroups: Math.max(parseInt(req.query.min_groups) || 2, 1)
+      };
+      if (req.query.since) {
+        filters.since = new Date(req.query.since);
+        if (isNaN(filters.since.getTime())) {
+          return res.status(400).json({ error: 'since must be a valid date' });
+        }
+      }
+      
+      const items = await dbService.getForwardedContent(filters, limit, offset);
+      res.json(items);
+    } catch (error) {
+      console.error('Error fetching forwarded content:', error);
+      res.status(500).json({ error: 'Failed to fetch forwarded content' });
+    }
+  });
+
+  /**
+   * Trace how one piece of forwarded content spread, chat by chat in order of arrival
+   * GET /api/forwards/:contentHash
+   */
+  router.get('/forwards/:contentHash', async (req, res) => {
+    try {
+      const spread = await dbService.getForwardedContentSpread(req.params.contentHash);
+      if (!spread) {
+        return res.status(404).json({ error: 'Content not found' });
+      }
+      
+      res.json(spread);
+    } catch (error) {
+      console.error('Error fetching forwarded content spread:', error);
+      res.status(500).json({ error: 'Failed to fetch forwarded content spread' });
+    }
+  });
+
   /**
    * Get all messages with pagination
-   * GET /api/messages
+   * GET /api/messages?revoked=true|false
    */
   router.get('/messages', async (req, res) => {
     try {
       const limit = parseInt(req.query.limit) || 100;
       const offset = parseInt(req.query.offset) || 0;
       
-      const messages = await dbService.getAllMessages(limit, offset);
+      const messages = await dbService.getAllMessages(limit, offset, parseMessageFilters(req.query));
       res.json(messages);
     } catch (error) {
       console.error('Error fetching all messages:', error);
@@ -62,5 +1114,249 @@ module.exports = function(dbService) {
     }
   });
 
+  /**
+   * Get a contact with their name history and activity across groups
+   * GET /api/contacts/:id
+   */
+  router.get('/contacts/:id', async (req, res) => {
+    try {
+      const contact = await dbService.getContactActivity(req.params.id);
+      if (!contact) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+      
+      res.json(contact);
+    } catch (error) {
+      console.error('Error fetching contact:', error);
+      res.status(500).json({ error: 'Failed to fetch contact' });
+    }
+  });
+
+  /**
+   * Get messages in which a contact was @mentioned, newest first
+   * GET /api/contacts/:id/mentions
+   */
+  router.get('/contacts/:id/mentions', async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 100;
+      const offset = parseInt(req.query.offset) || 0;
+      
+      const messages = await dbService.getMessagesMentioning(req.params.id, limit, offset);
+      res.json(messages);
+    } catch (error) {
+      console.error('Error fetching mentions:', error);
+      res.status(500).json({ error: 'Failed to fetch mentions' });
+    }
+  });
+
+  /**
+   * Get direct chat capture settings: the account default and per-contact overrides
+   * GET /api/direct-chats/settings
+   */
+  router.get('/direct-chats/settings', async (req, res) => {
+    try {
+      const clientManager = getClientManager();
+      const contacts = await dbService.getDirectChatSettings();
+      res.json({
+        accounts: clientManager
+          ? clientManager.getClients().map(client => ({
+            accountId: client.accountId,
+            captureDirectChats: client.captureDirectChats
+          }))
+          : [],
+        contacts
+      });
+    } catch (error) {
+      console.error('Error fetching direct chat settings:', error);
+      res.status(500).json({ error: 'Failed to fetch direct chat settings' });
+    }
+  });
+
+  /**
+   * Enable or disable capture of one contact's direct chat
+   * PUT /api/direct-chats/contacts/:contactId
+   * Body: { capture: true|false, contactName }
+   */
+  router.put('/direct-chats/contacts/:contactId', async (req, res) => {
+    try {
+      const { contactId } = req.params;
+      const { capture, contactName } = req.body || {};
+      
+      if (contactId.includes('@g.us')) {
+        return res.status(400).json({ error: 'This setting is for direct chats; use /api/groups/policy to choose which groups are captured' });
+      }
+      if (typeof capture !== 'boolean') {
+        return res.status(400).json({ error: 'capture must be true or false' });
+      }
+      
+      const setting = await dbService.saveDirectChatSetting(contactId, capture, contactName || null);
+      res.json(setting);
+    } catch (error) {
+      console.error('Error saving direct chat setting:', error);
+      res.status(500).json({ error: 'Failed to save direct chat setting' });
+    }
+  });
+
+  /**
+   * Remove a contact's override so the account default applies again
+   * DELETE /api/direct-chats/contacts/:contactId
+   */
+  router.delete('/direct-chats/contacts/:contactId', async (req, res) => {
+    try {
+      const removed = await dbService.deleteDirectChatSetting(req.params.contactId);
+      if (!removed) {
+        return res.status(404).json({ error: 'No setting for this contact' });
+      }
+      
+      res.json({ message: 'Direct chat setting removed' });
+    } catch (error) {
+      console.error('Error deleting direct chat setting:', error);
+      res.status(500).json({ error: 'Failed to delete direct chat setting' });
+    }
+  });
+
+  /**
+   * Get every WhatsApp account with its connection status
+   * GET /api/accounts
+   */
+  router.get('/accounts', (req, res) => {
+    const clientManager = getClientManager();
+    if (!clientManager) {
+      return res.status(503).json({ error: 'WhatsApp clients not available' });
+    }
+    
+    res.json(clientManager.getStatuses());
+  });
+
+  /**
+   * Get the pending QR code for an account that is waiting to be linked
+   * GET /api/accounts/:accountId/qr
+   */
+  router.get('/accounts/:accountId/qr', (req, res) => {
+    const whatsappClient = getWhatsAppClient(req.params.accountId);
+    if (!whatsappClient) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    if (!whatsappClient.qrCode || whatsappClient.isAuthenticated) {
+      return res.status(404).json({ error: 'No QR code pending for this account' });
+    }
+    
+    res.json({
+      accountId: whatsappClient.accountId,
+      qr: whatsappClient.qrCode,
+      generatedAt: whatsappClient.qrGeneratedAt
+    });
+  });
+
+  /**
+   * Get the depth of the on-disk buffer holding messages captured while the database was down
+   * GET /api/ingestion-buffer
+   */
+  router.get('/ingestion-buffer', (req, res) => {
+    const clientManager = getClientManager();
+    if (!clientManager) {
+      return res.status(503).json({ error: 'WhatsApp clients not available' });
+    }
+    
+    res.json(clientManager.ingestionBuffer.getStatus());
+  });
+
+  /**
+   * Get media downloads that were given up on after every retry failed
+   * GET /api/attachments/failed?group_id=...&account=name
+   */
+  router.get('/attachments/failed', async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 100;
+      const offset = parseInt(req.query.offset) || 0;
+      
+      const attachments = await dbService.getFailedAttachments({
+        groupId: req.query.group_id,
+        accountId: req.query.account
+      }, limit, offset);
+      res.json(attachments);
+    } catch (error) {
+      console.error('Error fetching failed attachments:', error);
+      res.status(500).json({ error: 'Failed to fetch failed attachments' });
+    }
+  });
+
+  /**
+   * Get message pipeline load and queue latency
+   * GET /api/pipeline
+   */
+  router.get('/pipeline', (req, res) => {
+    const clientManager = getClientManager();
+    if (!clientManager) {
+      return res.status(503).json({ error: 'WhatsApp clients not available' });
+    }
+    
+    res.json(clientManager.pipeline.getMetrics());
+  });
+
+  /**
+   * Get backfill progress and per-group cursors
+   * GET /api/backfill?account=name
+   */
+  router.get('/backfill', async (req, res) => {
+    try {
+      const whatsappClient = getWhatsAppClient(req.query.account);
+      if (!whatsappClient) {
+        return res.status(503).json({ error: 'WhatsApp client not available' });
+      }
+      
+      const status = await whatsappClient.backfillService.getStatus();
+      res.json(status);
+    } catch (error) {
+      console.error('Error fetching backfill status:', error);
+      res.status(500).json({ error: 'Failed to fetch backfill status' });
+    }
+  });
+
+  /**
+   * Start a backfill of missed group messages
+   * POST /api/backfill
+   * Body: { groupIds: [...], account } (both optional, defaults to all groups of the first account)
+   */
+  router.post('/backfill', async (req, res) => {
+    try {
+      const whatsappClient = getWhatsAppClient(req.body && req.body.account);
+      if (!whatsappClient || !whatsappClient.isClientReady) {
+        return res.status(503).json({ error: 'WhatsApp client not ready' });
+      }
+      
+      let groups = null;
+      const groupIds = req.body && req.body.groupIds;
+      if (Array.isArray(groupIds) && groupIds.length > 0) {
+        const allGroups = await whatsappClient.initializeGroups(1, 3);
+        groups = allGroups.filter(group => groupIds.includes(group.id._serialized));
+      }
+      
+      const started = whatsappClient.backfillService.start(groups);
+      if (!started) {
+        return res.status(409).json({ error: 'Backfill already running' });
+      }
+      
+      res.status(202).json({ message: 'Backfill started' });
+    } catch (error) {
+      console.error('Error starting backfill:', error);
+      res.status(500).json({ error: 'Failed to start backfill' });
+    }
+  });
+
+  /**
+   * Stop a running backfill (cursors are kept so it can resume)
+   * DELETE /api/backfill?account=name
+   */
+  router.delete('/backfill', (req, res) => {
+    const whatsappClient = getWhatsAppClient(req.query.account);
+    if (!whatsappClient) {
+      return res.status(503).json({ error: 'WhatsApp client not available' });
+    }
+    
+    whatsappClient.backfillService.stop();
+    res.json({ message: 'Backfill stop requested' });
+  });
+
   return router;
 };
\ No newline at end of file
@@ -16,6 +16,7 @@ class Server {
    */
   constructor(dbService) {
     this.dbService = dbService;
+    this.clientManager = null;
     this.app = express();
     this.server = http.createServer(this.app);
     this.io = socketIo(this.server);
@@ -36,8 +37,8 @@ class Server {
     // Serve attachment files
     this.app.use('/attachments', express.static(process.env.ATTACHMENT_PATH || '/Users/apple1/Downloads/WHATSAPP_DOCS/'));
     
-    // Parse JSON request bodies
-    this.app.use(express.json());
+    // Parse JSON request bodies (large enough for base64 media sent through the send API)
+    this.app.use(express.json({ limit: process.env.API_BODY_LIMIT || '25mb' }));
   }
   
   /**
@@ -45,7 +46,7 @@ class Server {
    */
   setupRoutes() {
     // API routes
-    this.app.use('/api', apiRoutes(this.dbService));
+    this.app.use('/api', apiRoutes(this.dbService, () => this.clientManager));
     
     // Main route (Table View)
     this.app.get('/', (req, res) => {
@@ -63,6 +64,14 @@ class Server {
     });
   }
   
+  /**
+   * Attach the WhatsApp client manager so API routes can reach every account
+   * @param {Object} clientManager - WhatsApp client manager
+   */
+  setClientManager(clientManager) {
+    this.clientManager = clientManager;
+  }
+  
   /**
    * Set up Socket.io event handlers
    */
@@ -85,6 +94,78 @@ class Server {
     console.log('Broadcasting new message to clients:', message.id);
   }
   
+  /**
+   * Broadcast message edit to all connected clients
+   * @param {Object} edit - Edit details (row id, revision, previous and new text)
+   */
+  broadcastMessageEdit(edit) {
+    this.io.emit('message-edited', edit);
+    console.log('Broadcasting message edit to clients:', edit.id);
+  }
+  
+  /**
+   * Broadcast message revocation to all connected clients
+   * @param {Object} revocation - Revocation details (row id, group, revoked time)
+   */
+  broadcastMessageRevoked(revocation) {
+    this.io.emit('message-revoked', revocation);
+    console.log('Broadcasting message revocation to clients:', revocation.id);
+  }
+  
+  /**
+   * Broadcast updated reaction counts to all connected clients
+   * @param {Object} update - Message row id, WhatsApp message id and reaction counts
+   */
+  broadcastReactionUpdate(update) {
+    this.io.emit('message-reaction', update);
+    console.log('Broadcasting reaction update to clients:', update.messageId);
+  }
+  
+  /**
+   * Broadcast group membership or settings event to all connected clients
+   * @param {Object} event - Group event row
+   */
+  broadcastGroupEvent(event) {
+    this.io.emit('group-event', event);
+    console.log('Broadcasting group event to clients:', event.id);
+  }
+  
+  /**
+   * Broadcast updated poll tallies to all connected clients
+   * @param {Object} poll - Poll results
+   */
+  broadcastPollUpdate(poll) {
+    this.io.emit('poll-update', poll);
+    console.log('Broadcasting poll update to clients:', poll.messageId);
+  }
+  
+  /**
+   * Broadcast a new QR code for an account waiting to be linked
+   * @param {Object} qr - Account name, raw QR string and when it was generated
+   */
+  broadcastQrCode(qr) {
+    this.io.emit('account-qr', qr);
+    console.log('Broadcasting QR code to clients for account:', qr.accountId);
+  }
+  
+  /**
+   * Broadcast an outbound message's queue status or acknowledgement change
+   * @param {Object} outbound - Outbound message row
+   */
+  broadcastOutboundUpdate(outbound) {
+    this.io.emit('outbound-update', outbound);
+    console.log('Broadcasting outbound update to clients:', outbound.id);
+  }
+  
+  /**
+   * Broadcast a message whose media was downloaded after it was stored
+   * @param {Object} message - Updated message row
+   */
+  broadcastAttachmentDownloaded(message) {
+    this.io.emit('attachment-downloaded', message);
+    console.log('Broadcasting downloaded attachment to clients:', message.id);
+  }
+  
   /**
    * Start the server
    */
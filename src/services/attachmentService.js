@@ -14,6 +14,7 @@ class AttachmentService {
     this.videosFolderName = 'VIDEOS';
     this.linksFolderName = 'LINKS';
     this.audioFolderName = 'AUDIO';
+    this.outboundFolderName = 'OUTBOUND';
     
     // Ensure attachment directories exist
     this.initializeAttachmentDirectories();
@@ -65,6 +66,13 @@ class AttachmentService {
         console.log(`Created audio directory: ${audioPath}`);
       }
       
+      // Create outbound directory (media uploaded through the send API)
+      const outboundPath = path.join(this.baseAttachmentPath, this.outboundFolderName);
+      if (!fs.existsSync(outboundPath)) {
+        fs.mkdirSync(outboundPath, { recursive: true });
+        console.log(`Created outbound directory: ${outboundPath}`);
+      }
+      
       // Create batches directory
       const batchesPath = path.join(this.baseAttachmentPath, 'batches');
       if (!fs.existsSync(batchesPath)) {
@@ -141,6 +149,29 @@ class AttachmentService {
     }
   }
 
+  /**
+   * Save media uploaded for an outbound message
+   * @param {Buffer} attachmentData - Attachment data buffer
+   * @param {string} fileName - Original file name
+   * @returns {string|null} - Relative path of the saved file, or null on failure
+   */
+  async saveOutboundAttachment(attachmentData, fileName) {
+    try {
+      // Strip any directories and unsafe characters from the client-supplied name
+      const safeFileName = path.basename(fileName).replace(/[^a-zA-Z0-9._-]/g, '_');
+      const uniqueFileName = `${new Date().getTime()}_${safeFileName}`;
+      const targetPath = path.join(this.baseAttachmentPath, this.outboundFolderName, uniqueFileName);
+      
+      await fs.promises.writeFile(targetPath, attachmentData);
+      console.log(`Saved outbound attachment to ${targetPath}`);
+      
+      return `${this.outboundFolderName}/${uniqueFileName}`;
+    } catch (error) {
+      console.error('Error saving outbound attachment:', error);
+      return null;
+    }
+  }
+
   /**
    * Get absolute path for a relative attachment path
    * @param {string} relativePath - Relative path of the attachment
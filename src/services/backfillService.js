@@ -0,0 +1,278 @@
+/**
+ * Backfill Service
+ * Recovers group messages sent while the WhatsApp client was offline
+ * Walks each group's chat history with a resumable cursor per account and group
+ */
+
+class BackfillService {
+  /**
+   * Constructor
+   * @param {Object} whatsappClient - Persistent WhatsApp client
+   * @param {Object} messageProcessor - Message processor service
+   * @param {Object} dbService - Database service
+   */
+  constructor(whatsappClient, messageProcessor, dbService) {
+    this.whatsappClient = whatsappClient;
+    this.messageProcessor = messageProcessor;
+    this.dbService = dbService;
+
+    // Throttling settings tuned for 400+ groups
+    this.pageSize = parseInt(process.env.BACKFILL_PAGE_SIZE) || 50;
+    this.maxMessagesPerGroup = parseInt(process.env.BACKFILL_MAX_MESSAGES_PER_GROUP) || 500;
+    this.groupDelay = parseInt(process.env.BACKFILL_GROUP_DELAY_MS) || 3000;
+    this.pageDelay = parseInt(process.env.BACKFILL_PAGE_DELAY_MS) || 1000;
+    this.messageDelay = parseInt(process.env.BACKFILL_MESSAGE_DELAY_MS) || 200;
+
+    this.isRunning = false;
+    this.stopRequested = false;
+    this.status = {
+      isRunning: false,
+      startedAt: null,
+      finishedAt: null,
+      groupsTotal: 0,
+      groupsDone: 0,
+      messagesSaved: 0,
+      currentGroup: null,
+      errors: []
+    };
+  }
+
+  /**
+   * Start a backfill run in the background
+   * @param {Array} groups - Group chats to backfill (optional, defaults to all groups)
+   * @returns {boolean} - False if a run is already in progress
+   */
+  start(groups = null) {
+    if (this.isRunning) {
+      console.log('⏳ Backfill already running, ignoring new request');
+      return false;
+    }
+
+    this.run(groups).catch(error => {
+      console.error('❌ Backfill run failed:', error.message);
+    });
+    return true;
+  }
+
+  /**
+   * Ask a running backfill to stop after the current message
+   */
+  stop() {
+    if (this.isRunning) {
+      console.log('🛑 Backfill stop requested');
+      this.stopRequested = true;
+    }
+  }
+
+  /**
+   * Backfill every group, one at a time
+   * @param {Array} groups - Group chats to backfill (optional, defaults to all groups)
+   */
+  async run(groups = null) {
+    this.isRunning = true;
+    this.stopRequested = false;
+    const runStartedAt = new Date();
+
+    this.status = {
+      isRunning: true,
+      startedAt: runStartedAt,
+      finishedAt: null,
+      groupsTotal: 0,
+      groupsDone: 0,
+      messagesSaved: 0,
+      currentGroup: null,
+      errors: []
+    };
+
+    try {
+      if (!groups) {
+        groups = await this.whatsappClient.initializeGroups(1, 3);
+      }
+
+      this.status.groupsTotal = groups.length;
+      console.log(`📚 Starting backfill for ${groups.length} groups...`);
+
+      for (const chat of groups) {
+        if (this.stopRequested || !this.whatsappClient.isClientReady) {
+          console.log('🛑 Backfill interrupted, cursors saved for resume');
+          break;
+        }
+
+        this.status.currentGroup = chat.name;
+
+        // Groups excluded by the group selection policy are not backfilled
+        if (!(await this.whatsappClient.shouldCaptureChat(chat.id._serialized))) {
+          this.status.groupsDone++;
+          continue;
+        }
+
+        try {
+          const saved = await this.backfillGroup(chat, runStartedAt);
+          this.status.messagesSaved += saved;
+        } catch (error) {
+          console.error(`❌ Backfill failed for group ${chat.name}:`, error.message);
+          this.status.errors.push({ groupId: chat.id._serialized, error: error.message });
+          await this.dbService.saveBackfillCursor(chat.id._serialized, {
+            status: 'failed',
+            lastError: error.message
+          }, this.whatsappClient.accountId).catch(() => {});
+        }
+
+        this.status.groupsDone++;
+        await this.sleep(this.groupDelay);
+      }
+
+      console.log(`✅ Backfill finished: ${this.status.messagesSaved} messages recovered from ${this.status.groupsDone} groups`);
+    } finally {
+      this.isRunning = false;
+      this.status.isRunning = false;
+      this.status.currentGroup = null;
+      this.status.finishedAt = new Date();
+    }
+  }
+
+  /**
+   * Backfill a single group from its cursor (or last stored message) up to now
+   * @param {Object} chat - Group chat
+   * @param {Date} runStartedAt - When this run started, to ignore rows stored live since then
+   * @returns {number} - Number of newly stored messages
+   */
+  async backfillGroup(chat, runStartedAt) {
+    const groupId = chat.id._serialized;
+    const accountId = this.whatsappClient.accountId;
+    const cursor = await this.dbService.getBackfillCursor(groupId, accountId);
+
+    // Resume from the cursor if we have one, otherwise stop at the newest message
+    // stored before this run (live messages arriving now would hide the gap)
+    let stopAt = cursor && cursor.synced_until ? new Date(cursor.synced_until) : null;
+    if (!stopAt) {
+      stopAt = await this.dbService.getLatestMessageTimestamp(groupId, runStartedAt);
+    }
+
+    await this.dbService.saveBackfillCursor(groupId, {
+      groupName: chat.name,
+      status: 'in_progress',
+      lastError: null,
+      startedAt: new Date()
+    }, accountId);
+
+    const { messages, truncated } = await this.fetchMessagesSince(chat, stopAt);
+    console.log(`📥 ${chat.name}: ${messages.length} messages to backfill`);
+    if (truncated) {
+      console.warn(`⚠️ ${chat.name}: more than ${this.maxMessagesPerGroup} messages since the last sync, older ones are not fetched`);
+    }
+
+    let saved = 0;
+    let messagesSaved = cursor ? cursor.messages_saved : 0;
+
+    for (const message of messages) {
+      if (this.stopRequested) break;
+
+      if (this.whatsappClient.isCapturedSender(message)) {
+        await this.whatsappClient.waitForPipelineCapacity();
+        const processedMessage = await this.messageProcessor.processMessage(message);
+
+        if (processedMessage) {
+          const { isNew } = await this.whatsappClient.persistMessage(processedMessage);
+          if (isNew) {
+            saved++;
+            messagesSaved++;
+          }
+        }
+      }
+
+      // Advance the cursor after every message so an interrupted run resumes here. When the
+      // cap cut the fetch short, the messages between the old cursor and the first one fetched
+      // are missing, so the cursor stays put and the next run tries the gap again
+      await this.dbService.saveBackfillCursor(groupId, {
+        syncedUntil: truncated ? undefined : new Date(message.timestamp * 1000),
+        lastMessageId: message.id._serialized,
+        messagesSaved
+      }, accountId);
+
+      await this.sleep(this.messageDelay);
+    }
+
+    if (this.stopRequested) {
+      return saved;
+    }
+
+    if (truncated) {
+      await this.dbService.saveBackfillCursor(groupId, {
+        status: 'truncated',
+        lastError: `Stopped at BACKFILL_MAX_MESSAGES_PER_GROUP (${this.maxMessagesPerGroup}) before reaching the cursor; ` +
+          `messages between it and ${new Date(messages[0].timestamp * 1000).toISOString()} were not fetched`,
+        completedAt: new Date()
+      }, accountId);
+    } else {
+      await this.dbService.saveBackfillCursor(groupId, {
+        status: 'complete',
+        syncedUntil: messages.length > 0 ? undefined : new Date(),
+        completedAt: new Date()
+      }, accountId);
+    }
+
+    return saved;
+  }
+
+  /**
+   * Fetch a group's messages newer than a point in time, oldest first
+   * Loads history in pages until the stop point or the per-group cap is reached
+   * @param {Object} chat - Group chat
+   * @param {Date|null} stopAt - Oldest timestamp to include (null to take up to the cap)
+   * @returns {Object} - { messages, truncated }: messages in chronological order, and whether the
+   *   cap was hit before reaching stopAt (so older messages back to stopAt are missing)
+   */
+  async fetchMessagesSince(chat, stopAt) {
+    let limit = this.pageSize;
+    let messages = [];
+    let reachedStop = false;
+    let exhausted = false;
+
+    while (true) {
+      // Our own messages are only needed when outgoing capture is enabled
+      const options = { limit };
+      if (!this.whatsappClient.captureOutgoing) options.fromMe = false;
+      
+      messages = await chat.fetchMessages(options);
+      messages.sort((a, b) => a.timestamp - b.timestamp);
+
+      reachedStop = !!stopAt && messages.length > 0 &&
+        new Date(messages[0].timestamp * 1000) <= stopAt;
+      exhausted = messages.length < limit;
+
+      if (reachedStop || exhausted || limit >= this.maxMessagesPerGroup) break;
+
+      limit = Math.min(limit + this.pageSize, this.maxMessagesPerGroup);
+      await this.sleep(this.pageDelay);
+    }
+
+    // Keep messages at the stop second too; the upsert drops the ones already stored
+    return {
+      messages: messages.filter(message => !stopAt || new Date(message.timestamp * 1000) >= stopAt),
+      truncated: !!stopAt && !reachedStop && !exhausted
+    };
+  }
+
+  /**
+   * Get backfill progress and per-group cursors
+   * @returns {Object} - Current run status and stored cursors
+   */
+  async getStatus() {
+    const cursors = await this.dbService.getBackfillCursors(this.whatsappClient.accountId);
+    return {
+      ...this.status,
+      cursors
+    };
+  }
+
+  /**
+   * Wait between WhatsApp calls to avoid rate limits
+   * @param {number} ms - Delay in milliseconds
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = BackfillService;
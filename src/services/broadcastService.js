@@ -0,0 +1,395 @@
+/**
+ * Broadcast Service
+ * Runs scheduled bulletins to a list of groups or to every group with a tag
+ * Jobs run once at a set time or on a cron schedule (minute hour day-of-month month day-of-week),
+ * and each run queues one message per group through the send queue, staggered apart
+ */
+
+const STATUSES = ['scheduled', 'paused', 'completed', 'cancelled'];
+
+// Allowed range of each cron field, in order
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+class BroadcastService {
+  /**
+   * Constructor
+   * @param {Object} clientManager - WhatsApp client manager
+   * @param {Object} dbService - Database service
+   * @param {Object} sendQueue - Send queue the broadcast messages go through
+   */
+  constructor(clientManager, dbService, sendQueue) {
+    this.clientManager = clientManager;
+    this.dbService = dbService;
+    this.sendQueue = sendQueue;
+
+    this.pollInterval = parseInt(process.env.BROADCAST_POLL_MS) || 30000;
+    // Default gap between groups in one run; a random extra of up to half of it is added to each
+    this.defaultStagger = parseInt(process.env.BROADCAST_STAGGER_MS) || 20000;
+
+    this.pollTimer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start checking for due jobs
+   */
+  start() {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setInterval(() => this.runDueJobs(), this.pollInterval);
+    console.log('📣 Broadcast scheduler started');
+  }
+
+  /**
+   * Stop checking for due jobs (messages already queued are still sent)
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Create a job
+   * @param {Object} job - { name, accountId, text, variables, media, groupIds, tag, runAt, cron, staggerMs }
+   *   with either groupIds or tag, and either runAt (one-off) or cron (recurring)
+   * @returns {Object} - The new job row
+   */
+  async createJob(job) {
+    // Worked out first, so a schedule that never fires doesn't leave the uploaded media behind
+    const nextRunAt = job.cron ? this.getNextCronRun(job.cron) : new Date(job.runAt);
+    const storedMedia = job.media ? await this.sendQueue.saveMedia(job.media) : {};
+
+    const created = await this.dbService.createBroadcastJob({
+      name: job.name,
+      accountId: job.accountId,
+      messageTemplate: job.text,
+      variables: job.variables,
+      ...storedMedia,
+      targetGroupIds: job.groupIds,
+      targetTag: job.tag,
+      cronExpression: job.cron,
+      staggerMs: job.staggerMs !== undefined ? job.staggerMs : this.defaultStagger,
+      nextRunAt
+    });
+
+    console.log(`📣 Broadcast job ${created.id} "${created.name}" scheduled for ${nextRunAt.toISOString()}`);
+    return created;
+  }
+
+  /**
+   * Run every job that is due
+   * A job that fails doesn't stop the others from running in the same tick
+   */
+  async runDueJobs() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    try {
+      const jobs = await this.dbService.getDueBroadcastJobs();
+      for (const job of jobs) {
+        try {
+          await this.runJob(job);
+        } catch (error) {
+          console.error(`❌ Broadcast job ${job.id} "${job.name}" failed:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error running broadcast jobs:', error.message);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Run a due job once: queue a message for each target group and schedule the next run
+   * Recurring jobs that fell behind (e.g. while the app was down) run once and skip the missed runs.
+   * Targets and texts are prepared before the run is claimed, so a failure there leaves the job due
+   * and it is tried again on the next tick. Once claimed, a failure marks the run failed, recording
+   * how many groups were queued, since running it again would message those groups twice.
+   * @param {Object} job - Job row
+   */
+  async runJob(job) {
+    const startedAt = new Date();
+    const nextRunAt = job.cron_expression ? this.getNextCronRun(job.cron_expression, startedAt) : null;
+
+    const groupIds = await this.resolveTargets(job);
+    const variables = this.parseJson(job.variables) || {};
+
+    const texts = [];
+    for (const groupId of groupIds) {
+      const groupName = await this.getGroupName(job.account_id, groupId);
+      texts.push(job.message_template
+        ? this.renderTemplate(job.message_template, { ...variables, group_name: groupName || '' }, startedAt)
+        : null);
+    }
+
+    const runId = await this.dbService.claimBroadcastRun(job, nextRunAt, startedAt);
+    if (!runId) return;
+
+    let queued = 0;
+    try {
+      let sendAt = startedAt.getTime();
+      for (const [index, groupId] of groupIds.entries()) {
+        await this.sendQueue.enqueue({
+          accountId: job.account_id,
+          groupId,
+          text: texts[index],
+          mediaPath: job.media_path,
+          mediaMimetype: job.media_mimetype,
+          mediaFilename: job.media_filename,
+          broadcastRunId: runId,
+          sendAt: new Date(sendAt)
+        });
+        queued++;
+
+        sendAt += job.stagger_ms + Math.floor(Math.random() * job.stagger_ms / 2);
+      }
+
+      await this.dbService.setBroadcastRunTargetCount(runId, groupIds.length);
+    } catch (error) {
+      console.error(`❌ Broadcast job ${job.id} run ${runId} failed after queueing ${queued} of ${groupIds.length} groups:`, error.message);
+      await this.dbService.markBroadcastRunFailed(runId, error.message, queued).catch(() => {});
+      throw error;
+    }
+
+    console.log(`📣 Broadcast job ${job.id} "${job.name}" run ${runId} queued for ${groupIds.length} groups`);
+  }
+
+  /**
+   * Get the group IDs a job targets, from its list or its tag
+   * @param {Object} job - Job row
+   * @returns {Array} - Group IDs
+   */
+  async resolveTargets(job) {
+    if (job.target_tag) {
+      return this.dbService.getGroupIdsByTag(job.target_tag);
+    }
+    return this.parseJson(job.target_group_ids) || [];
+  }
+
+  /**
+   * Get a group's name for templates, from the group directory or the account's client
+   * @param {string} accountId - Account name
+   * @param {string} groupId - Serialized group ID
+   * @returns {string|null} - Group name or null if unknown
+   */
+  async getGroupName(accountId, groupId) {
+    const group = await this.dbService.getGroupDetails(groupId);
+    if (group && group.subject) {
+      return group.subject;
+    }
+
+    const whatsappClient = this.clientManager.getClient(accountId);
+    return whatsappClient && whatsappClient.isClientReady
+      ? whatsappClient.getGroupName(groupId)
+      : null;
+  }
+
+  /**
+   * Fill {{placeholders}} in a message template
+   * Built in: {{group_name}}, {{date}} (YYYY-MM-DD) and {{time}} (HH:MM); unknown placeholders are left as is
+   * @param {string} template - Message template
+   * @param {Object} variables - Placeholder values
+   * @param {Date} now - Time used for {{date}} and {{time}}
+   * @returns {string} - Rendered text
+   */
+  renderTemplate(template, variables, now = new Date()) {
+    const pad = (value) => String(value).padStart(2, '0');
+    const values = {
+      date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+      time: `${pad(now.getHours())}:${pad(now.getMinutes())}`,
+      ...variables
+    };
+
+    return template.replace(/\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g, (placeholder, name) =>
+      values[name] !== undefined ? String(values[name]) : placeholder
+    );
+  }
+
+  /**
+   * Pause a job: no further runs, and messages of earlier runs that haven't gone out yet are held
+   * @param {number} id - Job ID
+   * @returns {Object|null} - Updated job row, or null if not found
+   */
+  async pauseJob(id) {
+    const job = await this.dbService.getBroadcastJob(id);
+    if (!job) return null;
+
+    const updated = await this.dbService.updateBroadcastJobStatus(id, 'paused');
+    const held = await this.dbService.updateBroadcastOutboundStatus(id, 'queued', 'paused');
+    console.log(`⏸️ Broadcast job ${id} paused (${held} pending messages held)`);
+    return updated;
+  }
+
+  /**
+   * Resume a paused job: held messages are released and recurring jobs continue from now
+   * A one-off job whose run already happened stays completed
+   * @param {number} id - Job ID
+   * @returns {Object|null} - Updated job row, or null if not found
+   */
+  async resumeJob(id) {
+    const job = await this.dbService.getBroadcastJob(id);
+    if (!job) return null;
+
+    let status = 'scheduled';
+    let nextRunAt = job.next_run_at;
+    if (job.cron_expression) {
+      nextRunAt = this.getNextCronRun(job.cron_expression);
+    } else if (job.last_run_at) {
+      status = 'completed';
+      nextRunAt = null;
+    }
+
+    const updated = await this.dbService.updateBroadcastJobStatus(id, status, nextRunAt);
+    const released = await this.dbService.updateBroadcastOutboundStatus(id, 'paused', 'queued');
+    console.log(`▶️ Broadcast job ${id} resumed (${released} held messages released)`);
+    return updated;
+  }
+
+  /**
+   * Cancel a job: no further runs, and messages that haven't gone out yet are dropped
+   * @param {number} id - Job ID
+   * @returns {Object|null} - Updated job row, or null if not found
+   */
+  async cancelJob(id) {
+    const job = await this.dbService.getBroadcastJob(id);
+    if (!job) return null;
+
+    const updated = await this.dbService.updateBroadcastJobStatus(id, 'cancelled', null);
+    await this.dbService.updateBroadcastOutboundStatus(id, 'queued', 'cancelled');
+    await this.dbService.updateBroadcastOutboundStatus(id, 'paused', 'cancelled');
+    console.log(`🛑 Broadcast job ${id} cancelled`);
+    return updated;
+  }
+
+  /**
+   * Check whether a cron expression is valid
+   * @param {string} expression - Cron expression
+   * @returns {boolean} - True if it can be parsed
+   */
+  isValidCron(expression) {
+    try {
+      this.parseCron(expression);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Parse a five-field cron expression (minute hour day-of-month month day-of-week)
+   * Each field accepts *, numbers, ranges (1-5), lists (1,15) and steps (*\/10, 8-18/2); Sunday is 0 or 7
+   * @param {string} expression - Cron expression
+   * @returns {Object} - Sets of allowed values per field, and whether the day fields are restricted
+   */
+  parseCron(expression) {
+    const parts = String(expression).trim().split(/\s+/);
+    if (parts.length !== CRON_FIELDS.length) {
+      throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    const sets = parts.map((part, index) => {
+      const field = CRON_FIELDS[index];
+      const values = new Set();
+
+      for (const item of part.split(',')) {
+        const match = item.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) {
+          throw new Error(`Invalid ${field.name} field "${part}"`);
+        }
+
+        const start = match[1] === '*' ? field.min : parseInt(match[2]);
+        const end = match[1] === '*' ? field.max : (match[3] !== undefined ? parseInt(match[3]) : (match[4] ? field.max : start));
+        const step = match[4] ? parseInt(match[4]) : 1;
+
+        if (start < field.min || end > field.max || start > end || step < 1) {
+          throw new Error(`Invalid ${field.name} field "${part}"`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+          values.add(value);
+        }
+      }
+
+      return values;
+    });
+
+    // Sunday can be written as 7
+    if (sets[4].has(7)) sets[4].add(0);
+
+    return {
+      minutes: sets[0],
+      hours: sets[1],
+      daysOfMonth: sets[2],
+      months: sets[3],
+      daysOfWeek: sets[4],
+      // As in standard cron, a day field starting with * (such as */2) doesn't count as restricted
+      dayOfMonthRestricted: !parts[2].startsWith('*'),
+      dayOfWeekRestricted: !parts[4].startsWith('*')
+    };
+  }
+
+  /**
+   * Get the next time a cron expression fires, in server local time
+   * @param {string} expression - Cron expression
+   * @param {Date} after - Find the first run strictly after this time
+   * @returns {Date} - Next run time
+   */
+  getNextCronRun(expression, after = new Date()) {
+    const cron = this.parseCron(expression);
+    const candidate = new Date(after.getTime());
+    candidate.setSeconds(0, 0);
+    candidate.setMinutes(candidate.getMinutes() + 1);
+
+    // Like standard cron, when both day fields are restricted a day matching either one fires;
+    // otherwise the day has to match both
+    const dayMatches = (date) => {
+      const dayOfMonth = cron.daysOfMonth.has(date.getDate());
+      const dayOfWeek = cron.daysOfWeek.has(date.getDay());
+      if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return dayOfMonth || dayOfWeek;
+      return dayOfMonth && dayOfWeek;
+    };
+
+    // Jump a month, day or hour at a time when that part doesn't match; give up after five years
+    const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+    while (candidate.getTime() <= limit) {
+      if (!cron.months.has(candidate.getMonth() + 1)) {
+        candidate.setMonth(candidate.getMonth() + 1, 1);
+        candidate.setHours(0, 0, 0, 0);
+      } else if (!dayMatches(candidate)) {
+        candidate.setDate(candidate.getDate() + 1);
+        candidate.setHours(0, 0, 0, 0);
+      } else if (!cron.hours.has(candidate.getHours())) {
+        candidate.setHours(candidate.getHours() + 1, 0, 0, 0);
+      } else if (!cron.minutes.has(candidate.getMinutes())) {
+        candidate.setMinutes(candidate.getMinutes() + 1, 0, 0);
+      } else {
+        return candidate;
+      }
+    }
+
+    throw new Error(`Cron expression "${expression}" never fires`);
+  }
+
+  /**
+   * Parse a JSON column that may arrive as a string or already parsed
+   * @param {*} value - Column value
+   * @returns {*} - Parsed value or null
+   */
+  parseJson(value) {
+    if (value === null || value === undefined) return null;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+}
+
+BroadcastService.STATUSES = STATUSES;
+
+module.exports = BroadcastService;
@@ -0,0 +1,210 @@
+/**
+ * WhatsApp Client Manager
+ * Runs one PersistentWhatsAppClient per configured business account
+ * Each account gets its own session directory, auth storage, lock file, status and QR flow
+ */
+
+const path = require('path');
+const PersistentWhatsAppClient = require('./whatsappClient');
+const GroupPolicyService = require('./groupPolicyService');
+const SendQueueService = require('./sendQueueService');
+const BroadcastService = require('./broadcastService');
+const RuleEngineService = require('./ruleEngineService');
+const IngestionBufferService = require('./ingestionBufferService');
+const MessagePipelineService = require('./messagePipelineService');
+const MediaRetryService = require('./mediaRetryService');
+const MediaPolicyService = require('./mediaPolicyService');
+
+const DEFAULT_ACCOUNT_ID = 'default';
+
+class WhatsAppClientManager {
+  /**
+   * Constructor
+   * @param {Object} messageProcessor - Message processor service
+   * @param {Object} dbService - Database service
+   * @param {Object} server - Web server for broadcasts (optional)
+   */
+  constructor(messageProcessor, dbService, server = null) {
+    this.messageProcessor = messageProcessor;
+    this.dbService = dbService;
+    this.server = server;
+    this.clients = new Map();
+
+    // Delay between starting browsers so several accounts don't launch at once
+    this.startDelay = parseInt(process.env.WHATSAPP_ACCOUNT_START_DELAY_MS) || 15000;
+
+    // One policy shared by every account, so API changes apply everywhere at once
+    this.groupPolicy = new GroupPolicyService(dbService);
+
+    // One send queue for every account, so the global rate limit covers all of them
+    this.sendQueue = new SendQueueService(this, dbService, messageProcessor.attachmentService, server);
+
+    // Scheduled bulletins go out through the same queue
+    this.broadcastService = new BroadcastService(this, dbService, this.sendQueue);
+
+    // Auto-reply rules apply to messages received by any account
+    this.ruleEngine = new RuleEngineService(dbService, this.sendQueue, messageProcessor.attachmentService);
+
+    // Messages captured while MySQL is down wait on disk, in one ordered buffer for every account
+    this.ingestionBuffer = new IngestionBufferService(this, dbService);
+
+    // Message events from every account share one concurrency limit, since they share the database pool
+    this.pipeline = new MessagePipelineService();
+
+    // Which media is downloaded on arrival, on first request or not at all, shared by every account
+    this.mediaPolicy = new MediaPolicyService(dbService);
+    messageProcessor.setMediaPolicy(this.mediaPolicy);
+
+    // Failed media downloads are retried through whichever account captured the message
+    this.mediaRetry = new MediaRetryService(this, dbService, server);
+
+    for (const account of this.loadAccountConfigs()) {
+      this.clients.set(account.accountId, new PersistentWhatsAppClient(messageProcessor, dbService, server, {
+        ...account,
+        groupPolicy: this.groupPolicy,
+        ruleEngine: this.ruleEngine,
+        ingestionBuffer: this.ingestionBuffer,
+        pipeline: this.pipeline,
+        mediaRetry: this.mediaRetry
+      }));
+    }
+  }
+
+  /**
+   * Read account configuration from the environment
+   * WHATSAPP_ACCOUNTS is a comma-separated list of account names (e.g. "sales,support").
+   * Without it a single "default" account runs with the original session path and client ID.
+   * Per-account overrides: CAPTURE_DIRECT_CHATS_<NAME> and CAPTURE_OUTGOING_MESSAGES_<NAME>
+   * @returns {Array} - Account options for PersistentWhatsAppClient
+   */
+  loadAccountConfigs() {
+    const accountIds = (process.env.WHATSAPP_ACCOUNTS || '')
+      .split(',')
+      .map(accountId => accountId.trim())
+      .filter(Boolean);
+
+    if (accountIds.length === 0) {
+      return [{ accountId: DEFAULT_ACCOUNT_ID }];
+    }
+
+    for (const accountId of accountIds) {
+      if (!/^[a-zA-Z0-9_-]+$/.test(accountId)) {
+        throw new Error(`Invalid WhatsApp account name "${accountId}" (use letters, numbers, - and _)`);
+      }
+    }
+
+    const baseSessionPath = process.env.WHATSAPP_SESSION_DATA_PATH || path.join(process.cwd(), 'whatsapp-session');
+
+    return accountIds.map(accountId => {
+      const envSuffix = accountId.toUpperCase().replace(/-/g, '_');
+      const account = {
+        accountId,
+        sessionPath: path.join(baseSessionPath, accountId),
+        clientId: `persistent-whatsapp-client-${accountId}`
+      };
+
+      const captureDirectChats = process.env[`CAPTURE_DIRECT_CHATS_${envSuffix}`];
+      if (captureDirectChats !== undefined) {
+        account.captureDirectChats = captureDirectChats === 'true';
+      }
+
+      const captureOutgoing = process.env[`CAPTURE_OUTGOING_MESSAGES_${envSuffix}`];
+      if (captureOutgoing !== undefined) {
+        account.captureOutgoing = captureOutgoing === 'true';
+      }
+
+      return account;
+    });
+  }
+
+  /**
+   * Start every account's client, staggered so browsers don't launch together
+   * Launches don't wait for earlier accounts to finish, since an account waiting
+   * for its QR code to be scanned would otherwise hold up all the others
+   */
+  async initializeAll() {
+    const initializations = [];
+    let first = true;
+
+    // Messages left on disk by an earlier outage are stored before new ones
+    await this.ingestionBuffer.start();
+
+    // Queued messages wait until their account's client is ready
+    await this.sendQueue.start();
+    this.broadcastService.start();
+    this.mediaRetry.start();
+
+    for (const [accountId, client] of this.clients) {
+      if (!first) {
+        await new Promise(resolve => setTimeout(resolve, this.startDelay));
+      }
+      first = false;
+
+      console.log(`👤 Starting WhatsApp account "${accountId}"...`);
+      // initializeClient handles its own failures and retries
+      initializations.push(client.initializeClient());
+    }
+
+    await Promise.all(initializations);
+  }
+
+  /**
+   * Get an account's client
+   * @param {string} accountId - Account name (optional, defaults to the first account)
+   * @returns {Object|null} - PersistentWhatsAppClient or null if there is no such account
+   */
+  getClient(accountId = null) {
+    if (accountId) {
+      return this.clients.get(accountId) || null;
+    }
+    return this.clients.values().next().value || null;
+  }
+
+  /**
+   * Get every account's client
+   * @returns {Array} - PersistentWhatsAppClient instances
+   */
+  getClients() {
+    return Array.from(this.clients.values());
+  }
+
+  /**
+   * Get the connection status of every account
+   * @returns {Array} - Status objects including accountId and whether a QR scan is pending
+   */
+  getStatuses() {
+    return this.getClients().map(client => client.getStatus());
+  }
+
+  /**
+   * Set backfill-on-ready for every account
+   * @param {boolean} enabled - Whether to backfill each time a client becomes ready
+   */
+  setBackfillOnReady(enabled) {
+    for (const client of this.clients.values()) {
+      client.backfillOnReady = enabled;
+    }
+  }
+
+  /**
+   * Shut down every account's client
+   */
+  async shutdown() {
+    this.broadcastService.stop();
+    this.sendQueue.stop();
+    this.ingestionBuffer.stop();
+    this.mediaRetry.stop();
+
+    for (const [accountId, client] of this.clients) {
+      try {
+        await client.shutdown();
+      } catch (error) {
+        console.error(`❌ Error shutting down account "${accountId}":`, error.message);
+      }
+    }
+  }
+}
+
+WhatsAppClientManager.DEFAULT_ACCOUNT_ID = DEFAULT_ACCOUNT_ID;
+
+module.exports = WhatsAppClientManager;
@@ -5,10 +5,29 @@
 
 const mysql = require('mysql2/promise');
 
+// Error codes meaning the database can't be reached (as opposed to a bad query)
+const CONNECTION_ERROR_CODES = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'EPIPE',
+  'ENOTFOUND',
+  'EHOSTUNREACH',
+  'PROTOCOL_CONNECTION_LOST',
+  'PROTOCOL_ENQUEUE_AFTER_FATAL_ERROR',
+  'ER_CON_COUNT_ERROR',
+  'ER_SERVER_SHUTDOWN'
+];
+
+// Limits on how much of a reply thread is loaded
+const MAX_THREAD_DEPTH = 50;
+const MAX_THREAD_SIZE = 500;
+
 class DatabaseService {
   constructor() {
     this.pool = null;
     this.isConnected = false;
+    this.reconnecting = null; // In-flight reconnect attempt, shared by concurrent callers
   }
 
   /**
@@ -49,16 +68,44 @@ class DatabaseService {
    * Reconnect to database
    */
   async reconnect() {
-    if (!this.isConnected) {
+    if (this.isConnected) return;
+    
+    // Callers arriving during an attempt wait for it instead of opening another pool
+    if (this.reconnecting) return this.reconnecting;
+    
+    this.reconnecting = (async () => {
       try {
         await this.connect();
         console.log('Database reconnected successfully');
       } catch (error) {
-        console.error('Database reconnection failed:', error);
-        // Try again after delay
-        setTimeout(() => this.reconnect(), 5000);
+        // connect() has already scheduled the next attempt
+        console.error('Database reconnection failed:', error.message);
+      } finally {
+        this.reconnecting = null;
       }
-    }
+    })();
+    
+    return this.reconnecting;
+  }
+
+  /**
+   * Check whether an error means the database is unreachable
+   * @param {Error} error - Error thrown by a query
+   * @returns {boolean} - True for connection failures, false for query errors
+   */
+  isConnectionError(error) {
+    return !!error && (error.fatal === true || CONNECTION_ERROR_CODES.includes(error.code));
+  }
+
+  /**
+   * Record that the connection was lost mid-operation and start reconnecting
+   */
+  markDisconnected() {
+    if (!this.isConnected) return;
+    
+    this.isConnected = false;
+    console.warn('⚠️ Database connection lost, reconnecting in 5s...');
+    setTimeout(() => this.reconnect(), 5000);
   }
 
   /**
@@ -79,8 +126,13 @@ class DatabaseService {
     const createMessagesTable = `
       CREATE TABLE IF NOT EXISTS messages (
         id INT AUTO_INCREMENT PRIMARY KEY,
+        message_id VARCHAR(255),
         group_id VARCHAR(255) NOT NULL,
         group_name VARCHAR(255),
+        chat_type VARCHAR(10) NOT NULL DEFAULT 'group',
+        direction VARCHAR(10) NOT NULL DEFAULT 'incoming',
+        account_id VARCHAR(100),
+        sender_id VARCHAR(255),
         sender_name VARCHAR(255) NOT NULL,
         message_text TEXT NOT NULL,
         timestamp DATETIME NOT NULL,
@@ -95,10 +147,406 @@ class DatabaseService {
         reply_text TEXT,
         reply_attachment_type VARCHAR(50),
         reply_attachment_path VARCHAR(255),
+        reply_to_row_id INT,
+        is_forwarded BOOLEAN NOT NULL DEFAULT FALSE,
+        forwarding_score INT NOT NULL DEFAULT 0,
+        content_hash CHAR(64),
+        capture_count INT NOT NULL DEFAULT 1,
+        post_processed BOOLEAN NOT NULL DEFAULT FALSE,
+        is_edited BOOLEAN NOT NULL DEFAULT FALSE,
+        edited_at DATETIME,
+        is_revoked BOOLEAN NOT NULL DEFAULT FALSE,
+        revoked_at DATETIME,
+        location_data JSON,
+        contact_data JSON,
+        media_info JSON,
+        batch_id VARCHAR(255),
+        batch_position INT,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE INDEX uniq_message_id (message_id),
+        INDEX idx_batch_id (batch_id),
         INDEX idx_group_id (group_id),
+        INDEX idx_chat_type (chat_type),
+        INDEX idx_account_id (account_id),
+        INDEX idx_sender_id (sender_id),
         INDEX idx_timestamp (timestamp),
-        INDEX idx_reply_to_message_id (reply_to_message_id)
+        INDEX idx_is_revoked (is_revoked),
+        INDEX idx_reply_to_message_id (reply_to_message_id),
+        INDEX idx_reply_to_row_id (reply_to_row_id),
+        INDEX idx_content_hash (content_hash)
+      );
+    `;
+
+    const createBackfillCursorsTable = `
+      CREATE TABLE IF NOT EXISTS backfill_cursors (
+        account_id VARCHAR(100) NOT NULL DEFAULT 'default',
+        group_id VARCHAR(255) NOT NULL,
+        group_name VARCHAR(255),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        synced_until DATETIME,
+        last_message_id VARCHAR(255),
+        messages_saved INT NOT NULL DEFAULT 0,
+        last_error TEXT,
+        started_at DATETIME,
+        completed_at DATETIME,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (account_id, group_id)
+      );
+    `;
+
+    const createMessageRevisionsTable = `
+      CREATE TABLE IF NOT EXISTS message_revisions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        message_row_id INT NOT NULL,
+        message_id VARCHAR(255),
+        revision INT NOT NULL,
+        previous_text TEXT,
+        new_text TEXT,
+        edited_at DATETIME NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_message_row_id (message_row_id)
+      );
+    `;
+
+    const createMessageReactionsTable = `
+      CREATE TABLE IF NOT EXISTS message_reactions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        message_id VARCHAR(255) NOT NULL,
+        reactor_id VARCHAR(255) NOT NULL,
+        emoji VARCHAR(32) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin,
+        reacted_at DATETIME NOT NULL,
+        removed BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE INDEX uniq_message_reactor (message_id, reactor_id),
+        INDEX idx_reactor_id (reactor_id)
+      );
+    `;
+
+    const createGroupEventsTable = `
+      CREATE TABLE IF NOT EXISTS group_events (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        event_id VARCHAR(255),
+        group_id VARCHAR(255) NOT NULL,
+        group_name VARCHAR(255),
+        event_type VARCHAR(50) NOT NULL,
+        subtype VARCHAR(50),
+        actor_id VARCHAR(255),
+        target_ids JSON,
+        details TEXT,
+        event_time DATETIME NOT NULL,
+        capture_count INT NOT NULL DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE INDEX uniq_event_id (event_id),
+        INDEX idx_group_event_time (group_id, event_time),
+        INDEX idx_event_type (event_type)
+      );
+    `;
+
+    const createPollsTable = `
+      CREATE TABLE IF NOT EXISTS polls (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        message_id VARCHAR(255) NOT NULL,
+        group_id VARCHAR(255),
+        creator_id VARCHAR(255),
+        question TEXT,
+        options JSON NOT NULL,
+        allow_multiple_answers BOOLEAN NOT NULL DEFAULT FALSE,
+        poll_time DATETIME,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE INDEX uniq_poll_message_id (message_id),
+        INDEX idx_group_id (group_id)
+      );
+    `;
+
+    const createDirectChatSettingsTable = `
+      CREATE TABLE IF NOT EXISTS direct_chat_settings (
+        contact_id VARCHAR(255) PRIMARY KEY,
+        contact_name VARCHAR(255),
+        capture BOOLEAN NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      );
+    `;
+
+    const createGroupPolicyTable = `
+      CREATE TABLE IF NOT EXISTS group_policy (
+        id TINYINT PRIMARY KEY,
+        mode VARCHAR(20) NOT NULL DEFAULT 'all',
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      );
+    `;
+
+    const createGroupPolicyRulesTable = `
+      CREATE TABLE IF NOT EXISTS group_policy_rules (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        list_type VARCHAR(10) NOT NULL,
+        match_type VARCHAR(20) NOT NULL,
+        value VARCHAR(255) NOT NULL,
+        group_name VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE INDEX uniq_group_policy_rule (list_type, match_type, value)
+      );
+    `;
+
+    // An empty group_id or media_type means the rule applies to every chat or every type
+    const createMediaPolicyRulesTable = `
+      CREATE TABLE IF NOT EXISTS media_policy_rules (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        group_id VARCHAR(255) NOT NULL DEFAULT '',
+        media_type VARCHAR(20) NOT NULL DEFAULT '',
+        mode VARCHAR(10) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE INDEX uniq_media_policy_rule (group_id, media_type)
+      );
+    `;
+
+    // `groups` is a reserved word in MySQL 8, so it is always quoted
+    const createGroupsTable = `
+      CREATE TABLE IF NOT EXISTS \`groups\` (
+        group_id VARCHAR(255) PRIMARY KEY,
+        subject VARCHAR(255),
+        description TEXT,
+        group_created_at DATETIME,
+        owner_id VARCHAR(255),
+        participant_count INT NOT NULL DEFAULT 0,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        last_synced_at DATETIME,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      );
+    `;
+
+    const createGroupParticipantsTable = `
+      CREATE TABLE IF NOT EXISTS group_participants (
+        group_id VARCHAR(255) NOT NULL,
+        participant_id VARCHAR(255) NOT NULL,
+        is_admin BOOLEAN NOT NULL DEFAULT FALSE,
+        is_super_admin BOOLEAN NOT NULL DEFAULT FALSE,
+        synced_at DATETIME NOT NULL,
+        PRIMARY KEY (group_id, participant_id),
+        INDEX idx_participant_id (participant_id)
+      );
+    `;
+
+    // Which accounts belong to each group, so one account's sync can't deactivate another's groups
+    const createGroupAccountsTable = `
+      CREATE TABLE IF NOT EXISTS group_accounts (
+        group_id VARCHAR(255) NOT NULL,
+        account_id VARCHAR(100) NOT NULL,
+        last_synced_at DATETIME NOT NULL,
+        PRIMARY KEY (group_id, account_id),
+        INDEX idx_account_synced (account_id, last_synced_at)
+      );
+    `;
+
+    const createContactsTable = `
+      CREATE TABLE IF NOT EXISTS contacts (
+        contact_id VARCHAR(255) PRIMARY KEY,
+        phone_number VARCHAR(50),
+        name VARCHAR(255),
+        pushname VARCHAR(255),
+        verified_name VARCHAR(255),
+        is_business BOOLEAN NOT NULL DEFAULT FALSE,
+        first_seen_at DATETIME NOT NULL,
+        last_seen_at DATETIME NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_phone_number (phone_number)
+      );
+    `;
+
+    const createContactNameHistoryTable = `
+      CREATE TABLE IF NOT EXISTS contact_name_history (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        contact_id VARCHAR(255) NOT NULL,
+        name_type VARCHAR(20) NOT NULL,
+        old_value VARCHAR(255),
+        new_value VARCHAR(255),
+        changed_at DATETIME NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_contact_changed (contact_id, changed_at)
+      );
+    `;
+
+    const createOutboundMessagesTable = `
+      CREATE TABLE IF NOT EXISTS outbound_messages (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        account_id VARCHAR(100),
+        group_id VARCHAR(255) NOT NULL,
+        message_text TEXT,
+        media_path VARCHAR(255),
+        media_mimetype VARCHAR(100),
+        media_filename VARCHAR(255),
+        reply_to_message_id VARCHAR(255),
+        broadcast_run_id INT,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued',
+        attempts INT NOT NULL DEFAULT 0,
+        next_attempt_at DATETIME NOT NULL,
+        last_error TEXT,
+        whatsapp_message_id VARCHAR(255),
+        ack TINYINT,
+        sent_at DATETIME,
+        delivered_at DATETIME,
+        read_at DATETIME,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE INDEX uniq_whatsapp_message_id (whatsapp_message_id),
+        INDEX idx_status_next_attempt (status, next_attempt_at),
+        INDEX idx_group_created (group_id, created_at),
+        INDEX idx_broadcast_run_id (broadcast_run_id)
+      );
+    `;
+
+    const createGroupTagsTable = `
+      CREATE TABLE IF NOT EXISTS group_tags (
+        group_id VARCHAR(255) NOT NULL,
+        tag VARCHAR(100) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (group_id, tag),
+        INDEX idx_tag (tag)
+      );
+    `;
+
+    const createBroadcastJobsTable = `
+      CREATE TABLE IF NOT EXISTS broadcast_jobs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        account_id VARCHAR(100),
+        message_template TEXT,
+        variables JSON,
+        media_path VARCHAR(255),
+        media_mimetype VARCHAR(100),
+        media_filename VARCHAR(255),
+        target_group_ids JSON,
+        target_tag VARCHAR(100),
+        cron_expression VARCHAR(100),
+        stagger_ms INT NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'scheduled',
+        next_run_at DATETIME,
+        last_run_at DATETIME,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_status_next_run (status, next_run_at)
+      );
+    `;
+
+    const createBroadcastRunsTable = `
+      CREATE TABLE IF NOT EXISTS broadcast_runs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        job_id INT NOT NULL,
+        scheduled_for DATETIME,
+        started_at DATETIME NOT NULL,
+        target_count INT NOT NULL DEFAULT 0,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued',
+        last_error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_job_started (job_id, started_at)
+      );
+    `;
+
+    const createAutoReplyRulesTable = `
+      CREATE TABLE IF NOT EXISTS auto_reply_rules (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        dry_run BOOLEAN NOT NULL DEFAULT FALSE,
+        group_id VARCHAR(255),
+        sender_id VARCHAR(255),
+        text_pattern VARCHAR(500),
+        attachment_type VARCHAR(50),
+        action_type VARCHAR(20) NOT NULL,
+        reply_text TEXT,
+        forward_group_id VARCHAR(255),
+        tag VARCHAR(100),
+        cooldown_seconds INT NOT NULL DEFAULT 300,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      );
+    `;
+
+    const createAutoReplyFiringsTable = `
+      CREATE TABLE IF NOT EXISTS auto_reply_firings (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        rule_id INT NOT NULL,
+        message_row_id INT NOT NULL,
+        group_id VARCHAR(255) NOT NULL,
+        action_type VARCHAR(20) NOT NULL,
+        dry_run BOOLEAN NOT NULL DEFAULT FALSE,
+        outbound_message_id INT,
+        fired_at DATETIME NOT NULL,
+        INDEX idx_rule_group_fired (rule_id, group_id, fired_at)
+      );
+    `;
+
+    const createMessageTagsTable = `
+      CREATE TABLE IF NOT EXISTS message_tags (
+        message_row_id INT NOT NULL,
+        tag VARCHAR(100) NOT NULL,
+        rule_id INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (message_row_id, tag),
+        INDEX idx_tag (tag)
+      );
+    `;
+
+    const createMessageMentionsTable = `
+      CREATE TABLE IF NOT EXISTS message_mentions (
+        message_row_id INT NOT NULL,
+        contact_id VARCHAR(255) NOT NULL,
+        placeholder VARCHAR(100) NOT NULL,
+        display_name VARCHAR(255),
+        group_id VARCHAR(255) NOT NULL,
+        mentioned_at DATETIME NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (message_row_id, contact_id),
+        INDEX idx_contact_mentioned (contact_id, mentioned_at)
+      );
+    `;
+
+    // An album: media sent together by one sender, stored as one message row per item
+    const createMessageBatchesTable = `
+      CREATE TABLE IF NOT EXISTS message_batches (
+        batch_id VARCHAR(255) PRIMARY KEY,
+        group_id VARCHAR(255) NOT NULL,
+        sender_id VARCHAR(255),
+        account_id VARCHAR(100),
+        member_count INT NOT NULL DEFAULT 0,
+        first_message_at DATETIME NOT NULL,
+        last_message_at DATETIME NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_group_first_message (group_id, first_message_at)
+      );
+    `;
+
+    const createPendingAttachmentsTable = `
+      CREATE TABLE IF NOT EXISTS pending_attachments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        message_row_id INT NOT NULL,
+        message_id VARCHAR(255) NOT NULL,
+        account_id VARCHAR(100),
+        group_id VARCHAR(255) NOT NULL,
+        media_type VARCHAR(20) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 1,
+        next_attempt_at DATETIME,
+        last_error TEXT,
+        downloaded_at DATETIME,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE INDEX uniq_message_row_id (message_row_id),
+        INDEX idx_status_next_attempt (status, next_attempt_at)
+      );
+    `;
+
+    const createPollVotesTable = `
+      CREATE TABLE IF NOT EXISTS poll_votes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        poll_message_id VARCHAR(255) NOT NULL,
+        voter_id VARCHAR(255) NOT NULL,
+        selected_options JSON NOT NULL,
+        voted_at DATETIME NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_poll_voter (poll_message_id, voter_id)
       );
     `;
 
@@ -113,13 +561,143 @@ class DatabaseService {
       { name: 'reply_text', definition: 'TEXT' },
       { name: 'reply_attachment_type', definition: 'VARCHAR(50)' },
       { name: 'reply_attachment_path', definition: 'VARCHAR(255)' },
-      { name: 'attachment_type', definition: 'VARCHAR(50)' }
+      { name: 'attachment_type', definition: 'VARCHAR(50)' },
+      { name: 'message_id', definition: 'VARCHAR(255)' },
+      { name: 'sender_id', definition: 'VARCHAR(255)' },
+      { name: 'is_edited', definition: 'BOOLEAN NOT NULL DEFAULT FALSE' },
+      { name: 'edited_at', definition: 'DATETIME' },
+      { name: 'is_revoked', definition: 'BOOLEAN NOT NULL DEFAULT FALSE' },
+      { name: 'revoked_at', definition: 'DATETIME' },
+      { name: 'location_data', definition: 'JSON' },
+      { name: 'contact_data', definition: 'JSON' },
+      { name: 'chat_type', definition: "VARCHAR(10) NOT NULL DEFAULT 'group'" },
+      { name: 'direction', definition: "VARCHAR(10) NOT NULL DEFAULT 'incoming'" },
+      { name: 'account_id', definition: 'VARCHAR(100)' },
+      { name: 'media_info', definition: 'JSON' },
+      { name: 'batch_id', definition: 'VARCHAR(255)' },
+      { name: 'batch_position', definition: 'INT' },
+      { name: 'reply_to_row_id', definition: 'INT' },
+      { name: 'is_forwarded', definition: 'BOOLEAN NOT NULL DEFAULT FALSE' },
+      { name: 'forwarding_score', definition: 'INT NOT NULL DEFAULT 0' },
+      { name: 'content_hash', definition: 'CHAR(64)' },
+      { name: 'capture_count', definition: 'INT NOT NULL DEFAULT 1' }
+    ];
+
+    // Check and add indexes if they don't exist
+    const checkAndAddIndexes = [
+      { name: 'uniq_message_id', definition: 'UNIQUE INDEX uniq_message_id (message_id)' },
+      { name: 'idx_sender_id', definition: 'INDEX idx_sender_id (sender_id)' },
+      { name: 'idx_is_revoked', definition: 'INDEX idx_is_revoked (is_revoked)' },
+      { name: 'idx_chat_type', definition: 'INDEX idx_chat_type (chat_type)' },
+      { name: 'idx_account_id', definition: 'INDEX idx_account_id (account_id)' },
+      { name: 'idx_batch_id', definition: 'INDEX idx_batch_id (batch_id)' },
+      { name: 'idx_reply_to_message_id', definition: 'INDEX idx_reply_to_message_id (reply_to_message_id)' },
+      { name: 'idx_reply_to_row_id', definition: 'INDEX idx_reply_to_row_id (reply_to_row_id)' },
+      { name: 'idx_content_hash', definition: 'INDEX idx_content_hash (content_hash)' }
     ];
     
     try {
       // Create the messages table if it doesn't exist
       await this.pool.query(createMessagesTable);
       
+      // Create the backfill cursor table if it doesn't exist
+      await this.pool.query(createBackfillCursorsTable);
+      
+      // Cursors used to be per group only; each account walks its own copy of a group's history,
+      // so existing cursors (from the single-account days) become the default account's
+      const [cursorAccountRows] = await this.pool.query(`
+        SELECT COUNT(*) as count 
+        FROM INFORMATION_SCHEMA.COLUMNS 
+        WHERE TABLE_SCHEMA = DATABASE() 
+        AND TABLE_NAME = 'backfill_cursors' 
+        AND COLUMN_NAME = 'account_id'
+      `);
+      
+      if (cursorAccountRows[0].count === 0) {
+        console.log('Keying backfill cursors by account...');
+        await this.pool.query(`
+          ALTER TABLE backfill_cursors
+          ADD COLUMN account_id VARCHAR(100) NOT NULL DEFAULT 'default' FIRST,
+          DROP PRIMARY KEY,
+          ADD PRIMARY KEY (account_id, group_id)
+        `);
+        console.log('Backfill cursors keyed by account successfully.');
+      }
+      
+      // Create the message revisions table if it doesn't exist
+      await this.pool.query(createMessageRevisionsTable);
+      
+      // Create the message reactions table if it doesn't exist
+      await this.pool.query(createMessageReactionsTable);
+      
+      // Create the group events table if it doesn't exist
+      await this.pool.query(createGroupEventsTable);
+      
+      // Create the poll tables if they don't exist
+      await this.pool.query(createPollsTable);
+      await this.pool.query(createPollVotesTable);
+      
+      // Create the per-contact direct chat capture table if it doesn't exist
+      await this.pool.query(createDirectChatSettingsTable);
+      
+      // Create the group selection policy tables if they don't exist
+      await this.pool.query(createGroupPolicyTable);
+      await this.pool.query(createGroupPolicyRulesTable);
+      
+      // Create the media download policy table if it doesn't exist
+      await this.pool.query(createMediaPolicyRulesTable);
+      
+      // Create the group directory tables if they don't exist
+      await this.pool.query(createGroupsTable);
+      await this.pool.query(createGroupParticipantsTable);
+      await this.pool.query(createGroupAccountsTable);
+      
+      // Create the contact directory tables if they don't exist
+      await this.pool.query(createContactsTable);
+      await this.pool.query(createContactNameHistoryTable);
+      
+      // Create the outbound send queue table if it doesn't exist
+      await this.pool.query(createOutboundMessagesTable);
+      
+      // Create the group tag and broadcast tables if they don't exist
+      await this.pool.query(createGroupTagsTable);
+      await this.pool.query(createBroadcastJobsTable);
+      await this.pool.query(createBroadcastRunsTable);
+      
+      // Runs created before failed runs were recorded are all treated as queued
+      for (const column of [
+        { name: 'status', definition: "VARCHAR(20) NOT NULL DEFAULT 'queued'" },
+        { name: 'last_error', definition: 'TEXT' }
+      ]) {
+        const [runColumnRows] = await this.pool.query(`
+          SELECT COUNT(*) as count 
+          FROM INFORMATION_SCHEMA.COLUMNS 
+          WHERE TABLE_SCHEMA = DATABASE() 
+          AND TABLE_NAME = 'broadcast_runs' 
+          AND COLUMN_NAME = ?
+        `, [column.name]);
+        
+        if (runColumnRows[0].count === 0) {
+          console.log(`Adding column ${column.name} to broadcast_runs table...`);
+          await this.pool.query(`ALTER TABLE broadcast_runs ADD COLUMN ${column.name} ${column.definition}`);
+          console.log(`Column ${column.name} added successfully.`);
+        }
+      }
+      
+      // Create the auto-reply rule and message tag tables if they don't exist
+      await this.pool.query(createAutoReplyRulesTable);
+      await this.pool.query(createAutoReplyFiringsTable);
+      await this.pool.query(createMessageTagsTable);
+      
+      // Create the mentions table if it doesn't exist
+      await this.pool.query(createMessageMentionsTable);
+      
+      // Create the album table if it doesn't exist
+      await this.pool.query(createMessageBatchesTable);
+      
+      // Create the media download retry table if it doesn't exist
+      await this.pool.query(createPendingAttachmentsTable);
+      
       // Check for each column and add if it doesn't exist
       for (const column of checkAndAddColumns) {
         const [rows] = await this.pool.query(`
@@ -137,6 +715,37 @@ class DatabaseService {
         }
       }
       
+      // group_events counts captures the same way as messages, so saveGroupEvent can tell new events apart
+      const [eventColumnRows] = await this.pool.query(`
+        SELECT COUNT(*) as count 
+        FROM INFORMATION_SCHEMA.COLUMNS 
+        WHERE TABLE_SCHEMA = DATABASE() 
+        AND TABLE_NAME = 'group_events' 
+        AND COLUMN_NAME = 'capture_count'
+      `);
+      
+      if (eventColumnRows[0].count === 0) {
+        console.log('Adding column capture_count to group_events table...');
+        await this.pool.query('ALTER TABLE group_events ADD COLUMN capture_count INT NOT NULL DEFAULT 1');
+        console.log('Column capture_count added successfully.');
+      }
+      
+      // Rows stored before the flag existed had their follow-ups run when they were saved
+      const [postProcessedRows] = await this.pool.query(`
+        SELECT COUNT(*) as count 
+        FROM INFORMATION_SCHEMA.COLUMNS 
+        WHERE TABLE_SCHEMA = DATABASE() 
+        AND TABLE_NAME = 'messages' 
+        AND COLUMN_NAME = 'post_processed'
+      `);
+      
+      if (postProcessedRows[0].count === 0) {
+        console.log('Adding column post_processed to messages table...');
+        await this.pool.query('ALTER TABLE messages ADD COLUMN post_processed BOOLEAN NOT NULL DEFAULT FALSE');
+        await this.pool.query('UPDATE messages SET post_processed = TRUE');
+        console.log('Column post_processed added successfully.');
+      }
+      
       // Check if link_attachment_path exists and remove it if it does
       const [linkPathRows] = await this.pool.query(`
         SELECT COUNT(*) as count 
@@ -152,6 +761,23 @@ class DatabaseService {
         console.log('Column link_attachment_path removed successfully.');
       }
       
+      // Check for each index and add if it doesn't exist
+      for (const index of checkAndAddIndexes) {
+        const [rows] = await this.pool.query(`
+          SELECT COUNT(*) as count 
+          FROM INFORMATION_SCHEMA.STATISTICS 
+          WHERE TABLE_SCHEMA = DATABASE() 
+          AND TABLE_NAME = 'messages' 
+          AND INDEX_NAME = ?
+        `, [index.name]);
+        
+        if (rows[0].count === 0) {
+          console.log(`Adding index ${index.name} to messages table...`);
+          await this.pool.query(`ALTER TABLE messages ADD ${index.definition}`);
+          console.log(`Index ${index.name} added successfully.`);
+        }
+      }
+      
       console.log('Database tables initialized successfully');
     } catch (error) {
       console.error('Error initializing database tables:', error);
@@ -209,25 +835,58 @@ class DatabaseService {
    * @param {string} replyAttachmentType - Type of attachment in the replied message (optional)
    * @param {string} replyAttachmentPath - Path to attachment in the replied message (optional)
    * @param {string} attachmentType - Unified type of attachment (optional)
+   * @param {string} messageId - Serialized WhatsApp message ID (optional)
+   * @param {string} senderId - Serialized WhatsApp sender ID (optional)
+   * @param {Object} locationData - Coordinates, name and address of a shared location (optional)
+   * @param {Array} contactData - Parsed contact cards (optional)
+   * @param {string} chatType - 'group' or 'direct' (optional, defaults to 'group')
+   * @param {string} direction - 'incoming' or 'outgoing' (optional, defaults to 'incoming')
+   * @param {string} accountId - Name of the WhatsApp account that captured the message (optional)
+   * @param {Object} mediaInfo - Media key, mimetype and size of media that wasn't downloaded (optional)
+   * @param {number} replyToRowId - Row ID of the stored message this one replies to (optional)
+   * @param {boolean} isForwarded - Whether WhatsApp marked the message as forwarded (optional)
+   * @param {number} forwardingScore - How many times it had been forwarded, 5 or more shows as "forwarded many times" (optional)
+   * @param {string} contentHash - Fingerprint of the text and media, for matching copies across chats (optional)
+   * @returns {Object} - { id, isNew } where isNew is false if the message was already stored
    */
   async saveMessage(groupId, groupName, senderName, messageText, timestamp, 
     imageAttachmentPath = null, documentAttachmentPath = null, videoAttachmentPath = null, 
     audioAttachmentPath = null, linkMetadata = null, batchAttachmentPath = null, batchMetadata = null,
     replyToMessageId = null, replyText = null, replyAttachmentType = null, replyAttachmentPath = null,
-    attachmentType = null) {
+    attachmentType = null, messageId = null, senderId = null, locationData = null, contactData = null, chatType = 'group', direction = 'incoming', accountId = null,
+    mediaInfo = null, replyToRowId = null, isForwarded = false, forwardingScore = 0, contentHash = null) {
     
     if (!this.isConnected) {
       await this.reconnect();
     }
 
     try {
+      // Upsert on message_id: a replayed message keeps its row and only fills
+      // in attachment paths that were missing the first time round. capture_count is
+      // bumped on every duplicate so the row always changes and affectedRows tells the
+      // two apart (the pool keeps mysql2's default CLIENT_FOUND_ROWS flag, which reports
+      // a duplicate left unchanged as 1, the same as an insert)
       const query = `
         INSERT INTO messages 
         (group_id, group_name, sender_name, message_text, timestamp, 
          image_attachment_path, document_attachment_path, video_attachment_path, audio_attachment_path, 
          link_metadata, batch_attachment_path, batch_metadata,
-         reply_to_message_id, reply_text, reply_attachment_type, reply_attachment_path, attachment_type) 
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         reply_to_message_id, reply_text, reply_attachment_type, reply_attachment_path, attachment_type,
+         message_id, sender_id, location_data, contact_data, chat_type, direction, account_id, media_info,
+         reply_to_row_id, is_forwarded, forwarding_score, content_hash) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          id = LAST_INSERT_ID(id),
+          capture_count = capture_count + 1,
+          sender_id = COALESCE(sender_id, VALUES(sender_id)),
+          image_attachment_path = COALESCE(image_attachment_path, VALUES(image_attachment_path)),
+          document_attachment_path = COALESCE(document_attachment_path, VALUES(document_attachment_path)),
+          video_attachment_path = COALESCE(video_attachment_path, VALUES(video_attachment_path)),
+          audio_attachment_path = COALESCE(audio_attachment_path, VALUES(audio_attachment_path)),
+          attachment_type = COALESCE(attachment_type, VALUES(attachment_type)),
+          media_info = COALESCE(media_info, VALUES(media_info)),
+          reply_to_row_id = COALESCE(reply_to_row_id, VALUES(reply_to_row_id)),
+          content_hash = COALESCE(content_hash, VALUES(content_hash))
       `;
       
       // Convert JSON objects to strings if they exist
@@ -267,10 +926,26 @@ class DatabaseService {
         replyText,
         replyAttachmentType,
         replyAttachmentPath,
-        attachmentType
+        attachmentType,
+        messageId,
+        senderId,
+        locationData ? JSON.stringify(locationData) : null,
+        contactData ? JSON.stringify(contactData) : null,
+        chatType,
+        direction,
+        accountId,
+        mediaInfo ? JSON.stringify(mediaInfo) : null,
+        replyToRowId,
+        isForwarded,
+        forwardingScore,
+        contentHash
       ]);
       
-      return result.insertId;
+      // affectedRows is 1 for a fresh insert and 2 for a duplicate
+      return {
+        id: result.insertId,
+        isNew: result.affectedRows === 1
+      };
     } catch (error) {
       console.error('Error saving message:', error);
       throw error;
@@ -282,22 +957,24 @@ class DatabaseService {
    * @param {string} groupId - Group ID
    * @param {number} limit - Maximum number of messages to retrieve
    * @param {number} offset - Offset for pagination
+   * @param {Object} filters - Optional filters ({ revoked, chatType, direction })
    */
-  async getMessagesByGroup(groupId, limit = 100, offset = 0) {
+  async getMessagesByGroup(groupId, limit = 100, offset = 0, filters = {}) {
     if (!this.isConnected) {
       await this.reconnect();
     }
 
     try {
+      const { clause, params } = this.buildMessageFilters(filters);
       const query = `
         SELECT * FROM messages 
-        WHERE group_id = ? 
+        WHERE group_id = ? ${clause ? `AND ${clause}` : ''}
         ORDER BY timestamp DESC 
         LIMIT ? OFFSET ?
       `;
       
-      const [rows] = await this.pool.query(query, [groupId, limit, offset]);
-      return rows;
+      const [rows] = await this.pool.query(query, [groupId, ...params, limit, offset]);
+      return this.enrichMessages(rows);
     } catch (error) {
       console.error('Error getting messages by group:', error);
       throw error;
@@ -305,26 +982,30 @@ class DatabaseService {
   }
 
   /**
-   * Get all groups with message counts
+   * Get all groups (and captured direct chats) with message counts
+   * @param {Object} filters - Optional message filters ({ chatType, accountId, ... })
    */
-  async getAllGroups() {
+  async getAllGroups(filters = {}) {
     if (!this.isConnected) {
       await this.reconnect();
     }
 
     try {
+      const { clause, params } = this.buildMessageFilters(filters);
       const query = `
         SELECT 
           group_id, 
           group_name, 
+          chat_type, 
           COUNT(*) as message_count, 
           MAX(timestamp) as last_message_time 
         FROM messages 
-        GROUP BY group_id, group_name 
+        ${clause ? `WHERE ${clause}` : ''}
+        GROUP BY group_id, group_name, chat_type 
         ORDER BY last_message_time DESC
       `;
       
-      const [rows] = await this.pool.query(query);
+      const [rows] = await this.pool.query(query, params);
       return rows;
     } catch (error) {
       console.error('Error getting all groups:', error);
@@ -333,29 +1014,2761 @@ class DatabaseService {
   }
 
   /**
-   * Get all messages with pagination
-   * @param {number} limit - Maximum number of messages to retrieve
-   * @param {number} offset - Offset for pagination
+   * Create or update a group in the directory and replace its participant list
+   * @param {Object} group - { groupId, subject, description, createdAt, ownerId, participants }
+   *   where participants is an array of { participantId, isAdmin, isSuperAdmin }
+   * @param {Date} syncedAt - When the group was read from WhatsApp
+   * @param {string} accountId - Account the group was read through
+   */
+  async saveGroupDirectoryEntry(group, syncedAt = new Date(), accountId = 'default') {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    const participants = group.participants || [];
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      
+      await connection.query(`
+        INSERT INTO \`groups\` 
+        (group_id, subject, description, group_created_at, owner_id, participant_count, is_active, last_synced_at) 
+        VALUES (?, ?, ?, ?, ?, ?, TRUE, ?)
+        ON DUPLICATE KEY UPDATE
+          subject = VALUES(subject),
+          description = VALUES(description),
+          group_created_at = COALESCE(VALUES(group_created_at), group_created_at),
+          owner_id = COALESCE(VALUES(owner_id), owner_id),
+          participant_count = VALUES(participant_count),
+          is_active = TRUE,
+          last_synced_at = VALUES(last_synced_at)
+      `, [
+        group.groupId,
+        group.subject,
+        group.description || null,
+        group.createdAt || null,
+        group.ownerId || null,
+        participants.length,
+        syncedAt
+      ]);
+      
+      await connection.query(`
+        INSERT INTO group_accounts (group_id, account_id, last_synced_at) 
+        VALUES (?, ?, ?)
+        ON DUPLICATE KEY UPDATE last_synced_at = VALUES(last_synced_at)
+      `, [group.groupId, accountId, syncedAt]);
+      
+      await connection.query('DELETE FROM group_participants WHERE group_id = ?', [group.groupId]);
+      
+      if (participants.length > 0) {
+        await connection.query(`
+          INSERT INTO group_participants (group_id, participant_id, is_admin, is_super_admin, synced_at) 
+          VALUES ?
+        `, [participants.map(participant => [
+          group.groupId,
+          participant.participantId,
+          !!participant.isAdmin,
+          !!participant.isSuperAdmin,
+          syncedAt
+        ])]);
+      }
+      
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error saving group directory entry:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Drop an account's membership of groups missing from its full sync (the account left them),
+   * then mark groups no account belongs to any more as inactive
+   * @param {string} accountId - Account that ran the sync
+   * @param {Date} syncStartedAt - When the full sync started (whole seconds)
+   * @returns {number} - Number of groups marked inactive
    */
-  async getAllMessages(limit = 100, offset = 0) {
+  async markUnsyncedGroupsInactive(accountId, syncStartedAt) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      
+      await connection.query(
+        'DELETE FROM group_accounts WHERE account_id = ? AND last_synced_at < ?',
+        [accountId, syncStartedAt]
+      );
+      
+      const [result] = await connection.query(`
+        UPDATE \`groups\` g SET g.is_active = FALSE 
+        WHERE g.is_active = TRUE 
+        AND NOT EXISTS (SELECT 1 FROM group_accounts ga WHERE ga.group_id = g.group_id)
+      `);
+      
+      await connection.commit();
+      return result.affectedRows;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error marking unsynced groups inactive:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Get the group directory, including silent groups, with message counts
+   * @param {boolean} includeInactive - Also return groups the account has left
+   */
+  async getGroupDirectory(includeInactive = false) {
     if (!this.isConnected) {
       await this.reconnect();
     }
 
     try {
       const query = `
-        SELECT * FROM messages 
-        ORDER BY timestamp DESC 
-        LIMIT ? OFFSET ?
+        SELECT 
+          g.*, 
+          COALESCE(m.message_count, 0) as message_count, 
+          m.last_message_time 
+        FROM \`groups\` g 
+        LEFT JOIN (
+          SELECT group_id, COUNT(*) as message_count, MAX(timestamp) as last_message_time 
+          FROM messages 
+          GROUP BY group_id
+        ) m ON m.group_id = g.group_id 
+        ${includeInactive ? '' : 'WHERE g.is_active = TRUE'}
+        ORDER BY g.subject
       `;
       
-      const [rows] = await this.pool.query(query, [limit, offset]);
+      const [rows] = await this.pool.query(query);
       return rows;
     } catch (error) {
-      console.error('Error getting all messages:', error);
+      console.error('Error getting group directory:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a group's directory entry with message stats
+   * @param {string} groupId - Group ID
+   * @returns {Object|null} - Group or null if it has never been synced
+   */
+  async getGroupDetails(groupId) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query(`
+        SELECT 
+          g.*, 
+          (SELECT COUNT(*) FROM messages WHERE group_id = g.group_id) as message_count, 
+          (SELECT MAX(timestamp) FROM messages WHERE group_id = g.group_id) as last_message_time 
+        FROM \`groups\` g 
+        WHERE g.group_id = ?
+      `, [groupId]);
+      if (rows.length === 0) return null;
+      
+      const [accounts] = await this.pool.query(
+        'SELECT account_id FROM group_accounts WHERE group_id = ? ORDER BY account_id',
+        [groupId]
+      );
+      return {
+        ...rows[0],
+        accounts: accounts.map(account => account.account_id)
+      };
+    } catch (error) {
+      console.error('Error getting group details:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a group's participants, admins first
+   * @param {string} groupId - Group ID
+   * @param {boolean} adminsOnly - Only return admins
+   */
+  async getGroupParticipants(groupId, adminsOnly = false) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query(`
+        SELECT participant_id, is_admin, is_super_admin, synced_at 
+        FROM group_participants 
+        WHERE group_id = ? ${adminsOnly ? 'AND is_admin = TRUE' : ''}
+        ORDER BY is_super_admin DESC, is_admin DESC, participant_id
+      `, [groupId]);
+      return rows;
+    } catch (error) {
+      console.error('Error getting group participants:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or update a contact, recording name and pushname changes in the history
+   * @param {Object} contact - { contactId, phoneNumber, name, pushname, verifiedName, isBusiness }
+   * @param {Date} seenAt - When the contact was seen (message timestamp)
+   * @returns {Array} - Name changes recorded ({ nameType, oldValue, newValue })
+   */
+  async saveContact(contact, seenAt = new Date()) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      
+      const [rows] = await connection.query(
+        'SELECT name, pushname, verified_name, first_seen_at, last_seen_at FROM contacts WHERE contact_id = ? FOR UPDATE',
+        [contact.contactId]
+      );
+      const existing = rows[0] || null;
+      
+      // Names we have seen before; a missing value is not treated as a change
+      const changes = [];
+      const nameFields = { name: 'name', pushname: 'pushname', verifiedName: 'verified_name' };
+      for (const [key, column] of Object.entries(nameFields)) {
+        const newValue = contact[key] || null;
+        const oldValue = existing ? existing[column] : null;
+        if (newValue && newValue !== oldValue) {
+          changes.push({ nameType: column, oldValue, newValue });
+        }
+      }
+      
+      await connection.query(`
+        INSERT INTO contacts 
+        (contact_id, phone_number, name, pushname, verified_name, is_business, first_seen_at, last_seen_at) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          phone_number = COALESCE(VALUES(phone_number), phone_number),
+          name = COALESCE(VALUES(name), name),
+          pushname = COALESCE(VALUES(pushname), pushname),
+          verified_name = COALESCE(VALUES(verified_name), verified_name),
+          is_business = VALUES(is_business),
+          first_seen_at = LEAST(first_seen_at, VALUES(first_seen_at)),
+          last_seen_at = GREATEST(last_seen_at, VALUES(last_seen_at))
+      `, [
+        contact.contactId,
+        contact.phoneNumber || null,
+        contact.name || null,
+        contact.pushname || null,
+        contact.verifiedName || null,
+        !!contact.isBusiness,
+        seenAt,
+        seenAt
+      ]);
+      
+      if (changes.length > 0) {
+        await connection.query(`
+          INSERT INTO contact_name_history (contact_id, name_type, old_value, new_value, changed_at) 
+          VALUES ?
+        `, [changes.map(change => [contact.contactId, change.nameType, change.oldValue, change.newValue, seenAt])]);
+      }
+      
+      await connection.commit();
+      return changes;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error saving contact:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Get a contact with their name history and activity across groups
+   * @param {string} contactId - Serialized WhatsApp contact ID
+   * @returns {Object|null} - Contact with nameHistory, groups and memberships, or null if unknown
+   */
+  async getContactActivity(contactId) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [contacts] = await this.pool.query('SELECT * FROM contacts WHERE contact_id = ?', [contactId]);
+      if (contacts.length === 0) return null;
+      
+      const [nameHistory] = await this.pool.query(`
+        SELECT name_type, old_value, new_value, changed_at 
+        FROM contact_name_history 
+        WHERE contact_id = ? 
+        ORDER BY changed_at DESC, id DESC
+      `, [contactId]);
+      
+      // Groups the contact has posted in, most recently active first
+      const [groups] = await this.pool.query(`
+        SELECT 
+          group_id, 
+          MAX(group_name) as group_name, 
+          COUNT(*) as message_count, 
+          MIN(timestamp) as first_message_time, 
+          MAX(timestamp) as last_message_time 
+        FROM messages 
+        WHERE sender_id = ? 
+        GROUP BY group_id 
+        ORDER BY last_message_time DESC
+      `, [contactId]);
+      
+      // Groups the contact belongs to according to the group directory
+      const [memberships] = await this.pool.query(`
+        SELECT gp.group_id, g.subject, gp.is_admin, gp.is_super_admin 
+        FROM group_participants gp 
+        LEFT JOIN \`groups\` g ON g.group_id = gp.group_id 
+        WHERE gp.participant_id = ?
+        ORDER BY g.subject
+      `, [contactId]);
+      
+      return {
+        ...contacts[0],
+        message_count: groups.reduce((total, group) => total + group.message_count, 0),
+        nameHistory,
+        groups,
+        memberships
+      };
+    } catch (error) {
+      console.error('Error getting contact activity:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the people a message @mentions
+   * @param {number} messageRowId - Row ID of the stored message
+   * @param {Array} mentions - Mentions from MessageProcessor.extractMentions
+   * @param {Object} message - Processed message (groupId, timestamp)
+   */
+  async saveMessageMentions(messageRowId, mentions, message) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      await this.pool.query(`
+        INSERT INTO message_mentions (message_row_id, contact_id, placeholder, display_name, group_id, mentioned_at)
+        VALUES ?
+        ON DUPLICATE KEY UPDATE display_name = COALESCE(VALUES(display_name), display_name)
+      `, [mentions.map(mention => [
+        messageRowId,
+        mention.contactId,
+        mention.placeholder,
+        mention.displayName || null,
+        message.groupId,
+        message.timestamp
+      ])]);
+    } catch (error) {
+      console.error('Error saving message mentions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get messages in which a contact was @mentioned, newest first
+   * @param {string} contactId - Serialized WhatsApp contact ID
+   * @param {number} limit - Maximum number of messages to return
+   * @param {number} offset - Number of messages to skip
+   */
+  async getMessagesMentioning(contactId, limit = 100, offset = 0) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query(`
+        SELECT m.* FROM message_mentions mm
+        JOIN messages m ON m.id = mm.message_row_id
+        WHERE mm.contact_id = ?
+        ORDER BY mm.mentioned_at DESC, m.id DESC
+        LIMIT ? OFFSET ?
+      `, [contactId, limit, offset]);
+      return this.enrichMessages(rows);
+    } catch (error) {
+      console.error('Error getting messages mentioning contact:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all messages with pagination
+   * @param {number} limit - Maximum number of messages to retrieve
+   * @param {number} offset - Offset for pagination
+   * @param {Object} filters - Optional filters ({ revoked, chatType, direction })
+   */
+  async getAllMessages(limit = 100, offset = 0, filters = {}) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const { clause, params } = this.buildMessageFilters(filters);
+      const query = `
+        SELECT * FROM messages 
+        ${clause ? `WHERE ${clause}` : ''}
+        ORDER BY timestamp DESC 
+        LIMIT ? OFFSET ?
+      `;
+      
+      const [rows] = await this.pool.query(query, [...params, limit, offset]);
+      return this.enrichMessages(rows);
+    } catch (error) {
+      console.error('Error getting all messages:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the WHERE conditions for message list filters
+   * @param {Object} filters - Filters ({ revoked: true|false, chatType: 'group'|'direct',
+   *   direction: 'incoming'|'outgoing', accountId, tag, forwarded: true|false })
+   * @returns {Object} - { clause, params } where clause is '' when no filter applies
+   */
+  buildMessageFilters(filters = {}) {
+    const conditions = [];
+    const params = [];
+    
+    if (typeof filters.revoked === 'boolean') {
+      conditions.push('is_revoked = ?');
+      params.push(filters.revoked);
+    }
+    
+    if (filters.chatType) {
+      conditions.push('chat_type = ?');
+      params.push(filters.chatType);
+    }
+    
+    if (filters.direction) {
+      conditions.push('direction = ?');
+      params.push(filters.direction);
+    }
+    
+    if (filters.accountId) {
+      conditions.push('account_id = ?');
+      params.push(filters.accountId);
+    }
+    
+    if (filters.tag) {
+      conditions.push('id IN (SELECT message_row_id FROM message_tags WHERE tag = ?)');
+      params.push(filters.tag);
+    }
+    
+    if (typeof filters.forwarded === 'boolean') {
+      conditions.push('is_forwarded = ?');
+      params.push(filters.forwarded);
+    }
+    
+    return {
+      clause: conditions.join(' AND '),
+      params
+    };
+  }
+
+  /**
+   * Check whether a stored message's follow-ups (reply links, media retry, broadcast, rules) have run
+   * @param {number} id - Row ID of the message
+   * @returns {boolean} - True if markMessagePostProcessed has claimed it
+   */
+  async isMessagePostProcessed(id) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query('SELECT post_processed FROM messages WHERE id = ?', [id]);
+      return rows.length > 0 && !!rows[0].post_processed;
+    } catch (error) {
+      console.error('Error checking whether message was post-processed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim a stored message's follow-ups, so they run once however often the message is written
+   * @param {number} id - Row ID of the message
+   * @returns {boolean} - True if this call claimed them, false if they were claimed before
+   */
+  async markMessagePostProcessed(id) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      // The WHERE clause only matches an unclaimed row, so affectedRows is 1 for one caller only
+      const [result] = await this.pool.query(
+        'UPDATE messages SET post_processed = TRUE WHERE id = ? AND post_processed = FALSE',
+        [id]
+      );
+      return result.affectedRows === 1;
+    } catch (error) {
+      console.error('Error marking message post-processed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Flag a stored message as deleted for everyone, keeping its content
+   * @param {string} messageId - Serialized WhatsApp message ID
+   * @param {Date} revokedAt - When the message was revoked
+   * @returns {Object|null} - The updated message row or null if the message is not stored
+   */
+  async markMessageRevoked(messageId, revokedAt = new Date()) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      await this.pool.query(
+        'UPDATE messages SET is_revoked = TRUE, revoked_at = COALESCE(revoked_at, ?) WHERE message_id = ?',
+        [revokedAt, messageId]
+      );
+      
+      const [rows] = await this.pool.query('SELECT * FROM messages WHERE message_id = ?', [messageId]);
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error marking message revoked:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record an edit of a stored message and update its current text
+   * @param {string} messageId - Serialized WhatsApp message ID
+   * @param {string} newText - Text after the edit
+   * @param {string} previousText - Text before the edit
+   * @param {Date} editedAt - When the edit happened
+   * @returns {Object|null} - { id, revision } or null if the message is not stored
+   */
+  async saveMessageEdit(messageId, newText, previousText, editedAt = new Date()) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      
+      const [rows] = await connection.query(
+        'SELECT id, message_text FROM messages WHERE message_id = ? FOR UPDATE',
+        [messageId]
+      );
+      
+      if (rows.length === 0) {
+        await connection.rollback();
+        return null;
+      }
+      
+      const { id, message_text: storedText } = rows[0];
+      
+      const [countRows] = await connection.query(
+        'SELECT COUNT(*) as count FROM message_revisions WHERE message_row_id = ?',
+        [id]
+      );
+      const revision = countRows[0].count + 1;
+      
+      // Prefer the text WhatsApp reports as previous, fall back to what we stored
+      await connection.query(`
+        INSERT INTO message_revisions 
+        (message_row_id, message_id, revision, previous_text, new_text, edited_at) 
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [id, messageId, revision, previousText != null ? previousText : storedText, newText, editedAt]);
+      
+      await connection.query(
+        'UPDATE messages SET message_text = ?, is_edited = TRUE, edited_at = ? WHERE id = ?',
+        [newText, editedAt, id]
+      );
+      
+      await connection.commit();
+      return { id, revision };
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error saving message edit:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Get the edit history of a stored message
+   * @param {number} messageRowId - Row ID in the messages table
+   * @returns {Array} - Revisions, oldest first
+   */
+  async getMessageRevisions(messageRowId) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query(
+        'SELECT * FROM message_revisions WHERE message_row_id = ? ORDER BY revision ASC',
+        [messageRowId]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting message revisions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add related data (edit history, reaction counts, reply counts) to message rows
+   * @param {Array} rows - Message rows
+   * @returns {Array} - Same rows with related data attached
+   */
+  async enrichMessages(rows) {
+    if (rows.length === 0) return rows;
+    
+    await this.attachRevisions(rows);
+    await this.attachReactions(rows);
+    await this.attachPolls(rows);
+    await this.attachTags(rows);
+    await this.attachReplyCounts(rows);
+    await this.attachMentions(rows);
+    return rows;
+  }
+
+  /**
+   * Attach @mentions to message rows, named from the contact directory where possible
+   * @param {Array} rows - Message rows
+   * @returns {Array} - Same rows, each with a mentions array of { contact_id, placeholder, display_name }
+   */
+  async attachMentions(rows) {
+    const [mentions] = await this.pool.query(`
+      SELECT mm.message_row_id, mm.contact_id, mm.placeholder,
+        COALESCE(c.name, c.pushname, c.verified_name, mm.display_name) AS display_name
+      FROM message_mentions mm
+      LEFT JOIN contacts c ON c.contact_id = mm.contact_id
+      WHERE mm.message_row_id IN (?)
+    `, [rows.map(row => row.id)]);
+    
+    for (const row of rows) {
+      row.mentions = mentions
+        .filter(mention => mention.message_row_id === row.id)
+        .map(({ contact_id, placeholder, display_name }) => ({ contact_id, placeholder, display_name }));
+    }
+    
+    return rows;
+  }
+
+  /**
+   * Attach the number of direct replies to message rows
+   * @param {Array} rows - Message rows
+   * @returns {Array} - Same rows, each with a reply_count
+   */
+  async attachReplyCounts(rows) {
+    const [counts] = await this.pool.query(
+      'SELECT reply_to_row_id, COUNT(*) AS count FROM messages WHERE reply_to_row_id IN (?) GROUP BY reply_to_row_id',
+      [rows.map(row => row.id)]
+    );
+    
+    for (const row of rows) {
+      const match = counts.find(count => count.reply_to_row_id === row.id);
+      row.reply_count = match ? match.count : 0;
+    }
+    
+    return rows;
+  }
+
+  /**
+   * Attach tags to message rows
+   * @param {Array} rows - Message rows
+   * @returns {Array} - Same rows, each with a tags array
+   */
+  async attachTags(rows) {
+    const [tags] = await this.pool.query(
+      'SELECT message_row_id, tag FROM message_tags WHERE message_row_id IN (?) ORDER BY tag',
+      [rows.map(row => row.id)]
+    );
+    
+    for (const row of rows) {
+      row.tags = tags.filter(tag => tag.message_row_id === row.id).map(tag => tag.tag);
+    }
+    
+    return rows;
+  }
+
+  /**
+   * Attach edit history to edited message rows
+   * @param {Array} rows - Message rows
+   * @returns {Array} - Same rows, edited ones with a revisions array
+   */
+  async attachRevisions(rows) {
+    const editedIds = rows.filter(row => row.is_edited).map(row => row.id);
+    if (editedIds.length === 0) return rows;
+    
+    const [revisions] = await this.pool.query(
+      'SELECT * FROM message_revisions WHERE message_row_id IN (?) ORDER BY revision ASC',
+      [editedIds]
+    );
+    
+    for (const row of rows) {
+      if (row.is_edited) {
+        row.revisions = revisions.filter(revision => revision.message_row_id === row.id);
+      }
+    }
+    
+    return rows;
+  }
+
+  /**
+   * Attach aggregated reaction counts to message rows
+   * @param {Array} rows - Message rows
+   * @returns {Array} - Same rows, each with a reactions array of { emoji, count }
+   */
+  async attachReactions(rows) {
+    const counts = await this.getReactionCounts(rows.map(row => row.message_id).filter(Boolean));
+    
+    for (const row of rows) {
+      row.reactions = counts[row.message_id] || [];
+    }
+    
+    return rows;
+  }
+
+  /**
+   * Store a reaction, replacing the reactor's previous reaction on the message
+   * @param {string} messageId - Serialized WhatsApp ID of the message reacted to
+   * @param {string} reactorId - Serialized WhatsApp ID of the person reacting
+   * @param {string} emoji - Reaction emoji (empty when the reaction was removed)
+   * @param {Date} reactedAt - When the reaction was sent
+   * @returns {Object} - { messageRowId, reactions } with the message's current counts
+   */
+  async saveReaction(messageId, reactorId, emoji, reactedAt = new Date()) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      if (emoji) {
+        await this.pool.query(`
+          INSERT INTO message_reactions (message_id, reactor_id, emoji, reacted_at, removed) 
+          VALUES (?, ?, ?, ?, FALSE)
+          ON DUPLICATE KEY UPDATE emoji = VALUES(emoji), reacted_at = VALUES(reacted_at), removed = FALSE
+        `, [messageId, reactorId, emoji, reactedAt]);
+      } else {
+        // Removal keeps the last emoji so the history stays readable
+        await this.pool.query(`
+          INSERT INTO message_reactions (message_id, reactor_id, emoji, reacted_at, removed) 
+          VALUES (?, ?, NULL, ?, TRUE)
+          ON DUPLICATE KEY UPDATE reacted_at = VALUES(reacted_at), removed = TRUE
+        `, [messageId, reactorId, reactedAt]);
+      }
+      
+      const [rows] = await this.pool.query('SELECT id FROM messages WHERE message_id = ?', [messageId]);
+      const counts = await this.getReactionCounts([messageId]);
+      
+      return {
+        messageRowId: rows[0] ? rows[0].id : null,
+        reactions: counts[messageId] || []
+      };
+    } catch (error) {
+      console.error('Error saving reaction:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get active reaction counts per emoji for a set of messages
+   * @param {Array} messageIds - Serialized WhatsApp message IDs
+   * @returns {Object} - Map of message ID to an array of { emoji, count }
+   */
+  async getReactionCounts(messageIds) {
+    if (!messageIds || messageIds.length === 0) return {};
+    
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query(`
+        SELECT message_id, emoji, COUNT(*) as count 
+        FROM message_reactions 
+        WHERE removed = FALSE AND message_id IN (?) 
+        GROUP BY message_id, emoji 
+        ORDER BY count DESC
+      `, [messageIds]);
+      
+      const counts = {};
+      for (const row of rows) {
+        if (!counts[row.message_id]) counts[row.message_id] = [];
+        counts[row.message_id].push({ emoji: row.emoji, count: row.count });
+      }
+      
+      return counts;
+    } catch (error) {
+      console.error('Error getting reaction counts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a group membership or settings event
+   * @param {Object} event - Event data (eventId, groupId, groupName, eventType, subtype,
+   *   actorId, targetIds, details, eventTime)
+   * @returns {Object} - { id, isNew } where isNew is false if the event was already stored
+   */
+  async saveGroupEvent(event) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [result] = await this.pool.query(`
+        INSERT INTO group_events 
+        (event_id, group_id, group_name, event_type, subtype, actor_id, target_ids, details, event_time) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id), capture_count = capture_count + 1
+      `, [
+        event.eventId || null,
+        event.groupId,
+        event.groupName || null,
+        event.eventType,
+        event.subtype || null,
+        event.actorId || null,
+        JSON.stringify(event.targetIds || []),
+        event.details || null,
+        event.eventTime
+      ]);
+      
+      // As in saveMessage, the capture_count bump makes a duplicate report 2 affected rows
+      return {
+        id: result.insertId,
+        isNew: result.affectedRows === 1
+      };
+    } catch (error) {
+      console.error('Error saving group event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get membership and settings events for a group
+   * @param {string} groupId - Group ID
+   * @param {number} limit - Maximum number of events to retrieve
+   * @param {number} offset - Offset for pagination
+   * @param {string} eventType - Only return events of this type (optional)
+   * @returns {Array} - Events, newest first
+   */
+  async getGroupEvents(groupId, limit = 100, offset = 0, eventType = null) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const params = [groupId];
+      let typeClause = '';
+      if (eventType) {
+        typeClause = 'AND event_type = ?';
+        params.push(eventType);
+      }
+      
+      const [rows] = await this.pool.query(`
+        SELECT * FROM group_events 
+        WHERE group_id = ? ${typeClause} 
+        ORDER BY event_time DESC 
+        LIMIT ? OFFSET ?
+      `, [...params, limit, offset]);
+      
+      return rows;
+    } catch (error) {
+      console.error('Error getting group events:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a poll created in a group
+   * @param {string} messageId - Serialized WhatsApp ID of the poll message
+   * @param {Object} poll - Poll data (groupId, creatorId, question, options, allowMultipleAnswers, pollTime)
+   * @returns {number} - Poll row ID
+   */
+  async savePoll(messageId, poll) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [result] = await this.pool.query(`
+        INSERT INTO polls 
+        (message_id, group_id, creator_id, question, options, allow_multiple_answers, poll_time) 
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)
+      `, [
+        messageId,
+        poll.groupId || null,
+        poll.creatorId || null,
+        poll.question || null,
+        JSON.stringify(poll.options || []),
+        !!poll.allowMultipleAnswers,
+        poll.pollTime || null
+      ]);
+      
+      return result.insertId;
+    } catch (error) {
+      console.error('Error saving poll:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a voter's current selection on a poll
+   * Every update is kept; tallies use each voter's latest selection
+   * @param {string} pollMessageId - Serialized WhatsApp ID of the poll message
+   * @param {string} voterId - Serialized WhatsApp ID of the voter
+   * @param {Array} selectedOptions - Selected options as { localId, name } (empty when all deselected)
+   * @param {Date} votedAt - When the selection was made
+   */
+  async savePollVote(pollMessageId, voterId, selectedOptions, votedAt = new Date()) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      await this.pool.query(`
+        INSERT INTO poll_votes (poll_message_id, voter_id, selected_options, voted_at) 
+        VALUES (?, ?, ?, ?)
+      `, [pollMessageId, voterId, JSON.stringify(selectedOptions || []), votedAt]);
+    } catch (error) {
+      console.error('Error saving poll vote:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a poll with live tallies
+   * @param {string} pollMessageId - Serialized WhatsApp ID of the poll message
+   * @returns {Object|null} - Poll with options [{ localId, name, votes, voters }] and totalVoters, or null
+   */
+  async getPollResults(pollMessageId) {
+    const results = await this.getPollResultsForMessages([pollMessageId]);
+    return results[pollMessageId] || null;
+  }
+
+  /**
+   * Get polls with live tallies for a set of messages
+   * @param {Array} messageIds - Serialized WhatsApp message IDs
+   * @returns {Object} - Map of message ID to poll results
+   */
+  async getPollResultsForMessages(messageIds) {
+    if (!messageIds || messageIds.length === 0) return {};
+    
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [polls] = await this.pool.query('SELECT * FROM polls WHERE message_id IN (?)', [messageIds]);
+      if (polls.length === 0) return {};
+      
+      // Latest selection per voter per poll
+      const [votes] = await this.pool.query(`
+        SELECT v.poll_message_id, v.voter_id, v.selected_options 
+        FROM poll_votes v 
+        JOIN (
+          SELECT MAX(id) as id FROM poll_votes 
+          WHERE poll_message_id IN (?) 
+          GROUP BY poll_message_id, voter_id
+        ) latest ON latest.id = v.id
+      `, [polls.map(poll => poll.message_id)]);
+      
+      const results = {};
+      for (const poll of polls) {
+        const options = (typeof poll.options === 'string' ? JSON.parse(poll.options) : poll.options) || [];
+        const tallies = options.map(option => ({ localId: option.localId, name: option.name, votes: 0, voters: [] }));
+        let totalVoters = 0;
+        
+        for (const vote of votes.filter(vote => vote.poll_message_id === poll.message_id)) {
+          const selected = (typeof vote.selected_options === 'string'
+            ? JSON.parse(vote.selected_options)
+            : vote.selected_options) || [];
+          if (selected.length === 0) continue;
+          
+          totalVoters++;
+          for (const option of selected) {
+            const tally = tallies.find(t => t.localId === option.localId);
+            if (tally) {
+              tally.votes++;
+              tally.voters.push(vote.voter_id);
+            }
+          }
+        }
+        
+        results[poll.message_id] = {
+          id: poll.id,
+          messageId: poll.message_id,
+          groupId: poll.group_id,
+          creatorId: poll.creator_id,
+          question: poll.question,
+          allowMultipleAnswers: !!poll.allow_multiple_answers,
+          pollTime: poll.poll_time,
+          totalVoters,
+          options: tallies
+        };
+      }
+      
+      return results;
+    } catch (error) {
+      console.error('Error getting poll results:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Attach poll results to poll message rows
+   * @param {Array} rows - Message rows
+   * @returns {Array} - Same rows, poll messages with a poll object
+   */
+  async attachPolls(rows) {
+    const pollIds = rows.filter(row => row.attachment_type === 'poll' && row.message_id).map(row => row.message_id);
+    const results = await this.getPollResultsForMessages(pollIds);
+    
+    for (const row of rows) {
+      if (results[row.message_id]) {
+        row.poll = results[row.message_id];
+      }
+    }
+    
+    return rows;
+  }
+
+  /**
+   * Get a message row by its ID
+   * @param {number} id - Row ID in the messages table
+   * @returns {Object|null} - Message row or null if not found
+   */
+  async getMessageById(id) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query('SELECT * FROM messages WHERE id = ?', [id]);
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error getting message by id:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a message row by its WhatsApp message ID
+   * @param {string} messageId - Serialized WhatsApp message ID
+   * @returns {Object|null} - Message row or null if not stored
+   */
+  async getMessageByWhatsAppId(messageId) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query('SELECT * FROM messages WHERE message_id = ?', [messageId]);
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error getting message by WhatsApp id:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Link unlinked replies to the stored message they quote
+   * Replies are stored with only the quoted WhatsApp ID when the parent isn't stored yet (out-of-order
+   * delivery, backfill, database outage); once it is, they point at its row and reuse its attachment
+   * @param {string} messageId - WhatsApp ID of the quoted message
+   * @returns {number} - Number of replies linked
+   */
+  async linkReplies(messageId) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [result] = await this.pool.query(`
+        UPDATE messages reply
+        JOIN messages parent ON parent.message_id = reply.reply_to_message_id
+        SET reply.reply_to_row_id = parent.id,
+          reply.reply_attachment_path = COALESCE(
+            parent.image_attachment_path, parent.video_attachment_path,
+            parent.audio_attachment_path, parent.document_attachment_path,
+            reply.reply_attachment_path
+          )
+        WHERE reply.reply_to_message_id = ? AND reply.reply_to_row_id IS NULL
+      `, [messageId]);
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error linking replies:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the reply thread a message belongs to
+   * Walks up to the first message of the chain, then collects every reply below it
+   * @param {number} id - Row ID of any message in the thread
+   * @returns {Object|null} - Root message with nested replies arrays, or null if the message doesn't exist
+   */
+  async getMessageThread(id) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [start] = await this.pool.query('SELECT * FROM messages WHERE id = ?', [id]);
+      if (start.length === 0) return null;
+
+      // Walk up to the root, guarding against cycles
+      let root = start[0];
+      const visited = new Set([root.id]);
+      while (root.reply_to_row_id && !visited.has(root.reply_to_row_id) && visited.size < MAX_THREAD_DEPTH) {
+        const [parents] = await this.pool.query('SELECT * FROM messages WHERE id = ?', [root.reply_to_row_id]);
+        if (parents.length === 0) break;
+        root = parents[0];
+        visited.add(root.id);
+      }
+
+      // Collect replies level by level
+      const rows = [root];
+      const seen = new Set([root.id]);
+      let level = [root.id];
+      while (level.length > 0 && rows.length < MAX_THREAD_SIZE) {
+        const [replies] = await this.pool.query(
+          'SELECT * FROM messages WHERE reply_to_row_id IN (?) ORDER BY timestamp, id LIMIT ?',
+          [level, MAX_THREAD_SIZE - rows.length]
+        );
+        const fresh = replies.filter(reply => !seen.has(reply.id));
+        fresh.forEach(reply => seen.add(reply.id));
+        rows.push(...fresh);
+        level = fresh.map(reply => reply.id);
+      }
+
+      await this.enrichMessages(rows);
+
+      const byId = new Map(rows.map(row => [row.id, { ...row, replies: [] }]));
+      for (const row of rows) {
+        if (row.id !== root.id && byId.has(row.reply_to_row_id)) {
+          byId.get(row.reply_to_row_id).replies.push(byId.get(row.id));
+        }
+      }
+
+      const thread = byId.get(root.id);
+      thread.messageCount = rows.length;
+      thread.truncated = rows.length >= MAX_THREAD_SIZE;
+      return thread;
+    } catch (error) {
+      console.error('Error getting message thread:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the newest stored message timestamp for a group
+   * @param {string} groupId - Group ID
+   * @param {Date} createdBefore - Only consider rows stored before this time (optional)
+   * @returns {Date|null} - Timestamp of the newest message or null if none stored
+   */
+  async getLatestMessageTimestamp(groupId, createdBefore = null) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      let query = 'SELECT MAX(timestamp) as latest FROM messages WHERE group_id = ?';
+      const params = [groupId];
+      
+      if (createdBefore) {
+        query += ' AND created_at < ?';
+        params.push(createdBefore);
+      }
+      
+      const [rows] = await this.pool.query(query, params);
+      return rows[0].latest || null;
+    } catch (error) {
+      console.error('Error getting latest message timestamp:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an account's backfill cursor for a group
+   * @param {string} groupId - Group ID
+   * @param {string} accountId - Account walking the group's history
+   * @returns {Object|null} - Cursor row or null if the account never backfilled the group
+   */
+  async getBackfillCursor(groupId, accountId = 'default') {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query(
+        'SELECT * FROM backfill_cursors WHERE account_id = ? AND group_id = ?',
+        [accountId, groupId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error getting backfill cursor:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an account's backfill cursors
+   * @param {string} accountId - Account walking the groups' history
+   * @returns {Array} - Cursor rows, most recently updated first
+   */
+  async getBackfillCursors(accountId = 'default') {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query(
+        'SELECT * FROM backfill_cursors WHERE account_id = ? ORDER BY updated_at DESC',
+        [accountId]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting backfill cursors:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or update an account's backfill cursor for a group
+   * @param {string} groupId - Group ID
+   * @param {Object} cursor - Cursor fields to set (groupName, status, syncedUntil, lastMessageId,
+   *   messagesSaved, lastError, startedAt, completedAt)
+   * @param {string} accountId - Account walking the group's history
+   */
+  async saveBackfillCursor(groupId, cursor, accountId = 'default') {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    const columns = {
+      groupName: 'group_name',
+      status: 'status',
+      syncedUntil: 'synced_until',
+      lastMessageId: 'last_message_id',
+      messagesSaved: 'messages_saved',
+      lastError: 'last_error',
+      startedAt: 'started_at',
+      completedAt: 'completed_at'
+    };
+
+    try {
+      const names = ['account_id', 'group_id'];
+      const values = [accountId, groupId];
+      
+      for (const [key, column] of Object.entries(columns)) {
+        if (cursor[key] !== undefined) {
+          names.push(column);
+          values.push(cursor[key]);
+        }
+      }
+      
+      const updates = names.slice(2).map(name => `${name} = VALUES(${name})`);
+      const query = `
+        INSERT INTO backfill_cursors (${names.join(', ')})
+        VALUES (${names.map(() => '?').join(', ')})
+        ${updates.length > 0 ? `ON DUPLICATE KEY UPDATE ${updates.join(', ')}` : 'ON DUPLICATE KEY UPDATE group_id = group_id'}
+      `;
+      
+      await this.pool.query(query, values);
+    } catch (error) {
+      console.error('Error saving backfill cursor:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the capture override for a direct chat contact
+   * @param {string} contactId - Serialized WhatsApp contact ID
+   * @returns {Object|null} - Setting row or null if the account default applies
+   */
+  async getDirectChatSetting(contactId) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query('SELECT * FROM direct_chat_settings WHERE contact_id = ?', [contactId]);
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error getting direct chat setting:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all per-contact direct chat capture overrides
+   */
+  async getDirectChatSettings() {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query('SELECT * FROM direct_chat_settings ORDER BY updated_at DESC');
+      return rows;
+    } catch (error) {
+      console.error('Error getting direct chat settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enable or disable capture of a contact's direct chat, overriding the account default
+   * @param {string} contactId - Serialized WhatsApp contact ID
+   * @param {boolean} capture - Whether to capture the direct chat
+   * @param {string} contactName - Contact display name (optional)
+   */
+  async saveDirectChatSetting(contactId, capture, contactName = null) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      await this.pool.query(`
+        INSERT INTO direct_chat_settings (contact_id, contact_name, capture)
+        VALUES (?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          capture = VALUES(capture),
+          contact_name = COALESCE(VALUES(contact_name), contact_name)
+      `, [contactId, contactName, capture]);
+      
+      return this.getDirectChatSetting(contactId);
+    } catch (error) {
+      console.error('Error saving direct chat setting:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a contact's override so the account default applies again
+   * @param {string} contactId - Serialized WhatsApp contact ID
+   * @returns {boolean} - True if an override was removed
+   */
+  async deleteDirectChatSetting(contactId) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [result] = await this.pool.query('DELETE FROM direct_chat_settings WHERE contact_id = ?', [contactId]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting direct chat setting:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the group selection policy
+   * @returns {Object|null} - Policy row or null if none has been saved (capture all)
+   */
+  async getGroupPolicy() {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query('SELECT * FROM group_policy WHERE id = 1');
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error getting group policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save the group selection policy mode
+   * @param {string} mode - 'all', 'allowlist' or 'denylist'
+   */
+  async saveGroupPolicyMode(mode) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      await this.pool.query(`
+        INSERT INTO group_policy (id, mode) VALUES (1, ?)
+        ON DUPLICATE KEY UPDATE mode = VALUES(mode)
+      `, [mode]);
+    } catch (error) {
+      console.error('Error saving group policy mode:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all group policy rules
+   */
+  async getGroupPolicyRules() {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query('SELECT * FROM group_policy_rules ORDER BY list_type, created_at');
+      return rows;
+    } catch (error) {
+      console.error('Error getting group policy rules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add an allow or deny rule (adding an existing rule again is a no-op)
+   * @param {Object} rule - { listType, matchType, value, groupName }
+   */
+  async addGroupPolicyRule(rule) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      await this.pool.query(`
+        INSERT INTO group_policy_rules (list_type, match_type, value, group_name)
+        VALUES (?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE group_name = COALESCE(VALUES(group_name), group_name)
+      `, [rule.listType, rule.matchType, rule.value, rule.groupName || null]);
+    } catch (error) {
+      console.error('Error adding group policy rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a group policy rule
+   * @param {number} id - Rule ID
+   * @returns {boolean} - True if the rule existed
+   */
+  async deleteGroupPolicyRule(id) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [result] = await this.pool.query('DELETE FROM group_policy_rules WHERE id = ?', [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting group policy rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the media download policy rules
+   */
+  async getMediaPolicyRules() {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query('SELECT * FROM media_policy_rules ORDER BY group_id, media_type');
+      return rows;
+    } catch (error) {
+      console.error('Error getting media policy rules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set the download mode for a group, a media type or both
+   * @param {Object} rule - { groupId, mediaType, mode } where groupId or mediaType may be null for any
+   */
+  async saveMediaPolicyRule(rule) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      await this.pool.query(`
+        INSERT INTO media_policy_rules (group_id, media_type, mode)
+        VALUES (?, ?, ?)
+        ON DUPLICATE KEY UPDATE mode = VALUES(mode)
+      `, [rule.groupId || '', rule.mediaType || '', rule.mode]);
+    } catch (error) {
+      console.error('Error saving media policy rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a media download policy rule
+   * @param {number} id - Rule ID
+   * @returns {boolean} - True if the rule existed
+   */
+  async deleteMediaPolicyRule(id) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [result] = await this.pool.query('DELETE FROM media_policy_rules WHERE id = ?', [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting media policy rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a message to the outbound send queue
+   * @param {Object} message - { accountId, groupId, text, mediaPath, mediaMimetype, mediaFilename, replyToMessageId,
+   *   broadcastRunId, sendAt } (sendAt defaults to now)
+   * @returns {Object} - The queued outbound row
+   */
+  async enqueueOutboundMessage(message) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [result] = await this.pool.query(`
+        INSERT INTO outbound_messages
+        (account_id, group_id, message_text, media_path, media_mimetype, media_filename, reply_to_message_id,
+         broadcast_run_id, next_attempt_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        message.accountId || null,
+        message.groupId,
+        message.text || null,
+        message.mediaPath || null,
+        message.mediaMimetype || null,
+        message.mediaFilename || null,
+        message.replyToMessageId || null,
+        message.broadcastRunId || null,
+        message.sendAt || new Date()
+      ]);
+      
+      return this.getOutboundMessage(result.insertId);
+    } catch (error) {
+      console.error('Error queueing outbound message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an outbound message by its ID
+   * @param {number} id - Row ID in the outbound_messages table
+   * @returns {Object|null} - Outbound row or null if not found
+   */
+  async getOutboundMessage(id) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query('SELECT * FROM outbound_messages WHERE id = ?', [id]);
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error getting outbound message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get outbound messages, newest first
+   * @param {Object} filters - { groupId, status, accountId } (all optional)
+   * @param {number} limit - Maximum number of rows to return
+   * @param {number} offset - Offset for pagination
+   */
+  async getOutboundMessages(filters = {}, limit = 100, offset = 0) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const conditions = [];
+      const params = [];
+      
+      if (filters.groupId) {
+        conditions.push('group_id = ?');
+        params.push(filters.groupId);
+      }
+      if (filters.status) {
+        conditions.push('status = ?');
+        params.push(filters.status);
+      }
+      if (filters.accountId) {
+        conditions.push('account_id = ?');
+        params.push(filters.accountId);
+      }
+      
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const [rows] = await this.pool.query(`
+        SELECT * FROM outbound_messages
+        ${where}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ? OFFSET ?
+      `, [...params, limit, offset]);
+      return rows;
+    } catch (error) {
+      console.error('Error getting outbound messages:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get queued outbound messages whose next attempt is due, oldest first
+   * Rows that can't be sent yet are filtered out here rather than by the caller, so a backlog for
+   * one account or group can't fill the page and hold up everyone else
+   * @param {number} limit - Maximum number of rows to return
+   * @param {Object} skip - What can't be sent now: { accountIds, withoutAccount, groupIds } where
+   *   withoutAccount skips rows queued without an account (they go out through the first account)
+   */
+  async getDueOutboundMessages(limit = 50, skip = {}) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const conditions = ["status = 'queued'", 'next_attempt_at <= ?'];
+      const params = [new Date()];
+      
+      if (skip.accountIds && skip.accountIds.length > 0) {
+        conditions.push('(account_id IS NULL OR account_id NOT IN (?))');
+        params.push(skip.accountIds);
+      }
+      if (skip.withoutAccount) {
+        conditions.push('account_id IS NOT NULL');
+      }
+      if (skip.groupIds && skip.groupIds.length > 0) {
+        conditions.push('group_id NOT IN (?)');
+        params.push(skip.groupIds);
+      }
+      
+      const [rows] = await this.pool.query(`
+        SELECT * FROM outbound_messages
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY next_attempt_at, id
+        LIMIT ?
+      `, [...params, limit]);
+      return rows;
+    } catch (error) {
+      console.error('Error getting due outbound messages:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a queued outbound message as being sent and count the attempt
+   * @param {number} id - Outbound row ID
+   * @returns {boolean} - False if the row was no longer queued
+   */
+  async claimOutboundMessage(id) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [result] = await this.pool.query(`
+        UPDATE outbound_messages
+        SET status = 'sending', attempts = attempts + 1
+        WHERE id = ? AND status = 'queued'
+      `, [id]);
+      return result.affectedRows === 1;
+    } catch (error) {
+      console.error('Error claiming outbound message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a successful send
+   * @param {number} id - Outbound row ID
+   * @param {string} whatsappMessageId - Serialized ID of the sent WhatsApp message
+   * @param {number} ack - Acknowledgement level returned by WhatsApp
+   * @param {Date} sentAt - When the message was sent
+   * @returns {Object} - Updated outbound row
+   */
+  async markOutboundMessageSent(id, whatsappMessageId, ack, sentAt = new Date()) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      await this.pool.query(`
+        UPDATE outbound_messages
+        SET status = 'sent', whatsapp_message_id = ?, ack = ?, sent_at = ?, last_error = NULL
+        WHERE id = ?
+      `, [whatsappMessageId, ack, sentAt, id]);
+      return this.getOutboundMessage(id);
+    } catch (error) {
+      console.error('Error marking outbound message sent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a failed send attempt
+   * @param {number} id - Outbound row ID
+   * @param {string} errorMessage - Why the attempt failed
+   * @param {Date|null} retryAt - When to try again, or null to give up
+   * @returns {Object} - Updated outbound row
+   */
+  async markOutboundMessageFailed(id, errorMessage, retryAt = null) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      await this.pool.query(`
+        UPDATE outbound_messages
+        SET status = ?, last_error = ?, next_attempt_at = COALESCE(?, next_attempt_at)
+        WHERE id = ?
+      `, [retryAt ? 'queued' : 'failed', errorMessage, retryAt, id]);
+      return this.getOutboundMessage(id);
+    } catch (error) {
+      console.error('Error marking outbound message failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Put messages left in 'sending' by a crash or restart back in the queue
+   * @returns {number} - Number of messages requeued
+   */
+  async requeueInterruptedOutboundMessages() {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [result] = await this.pool.query(`
+        UPDATE outbound_messages SET status = 'queued' WHERE status = 'sending'
+      `);
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error requeueing interrupted outbound messages:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a delivery or read acknowledgement for a sent message
+   * Acks only move forward, since WhatsApp can report them out of order
+   * @param {string} whatsappMessageId - Serialized WhatsApp message ID
+   * @param {number} ack - Acknowledgement level (1 server, 2 delivered, 3 read, 4 played)
+   * @param {Date} ackAt - When the acknowledgement arrived
+   * @returns {Object|null} - Updated outbound row, or null if the message wasn't sent through the queue
+   */
+  async updateOutboundMessageAck(whatsappMessageId, ack, ackAt = new Date()) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [result] = await this.pool.query(`
+        UPDATE outbound_messages
+        SET ack = ?,
+            delivered_at = IF(? >= 2, COALESCE(delivered_at, ?), delivered_at),
+            read_at = IF(? >= 3, COALESCE(read_at, ?), read_at)
+        WHERE whatsapp_message_id = ? AND (ack IS NULL OR ack < ?)
+      `, [ack, ack, ackAt, ack, ackAt, whatsappMessageId, ack]);
+      
+      if (result.affectedRows === 0) return null;
+      
+      const [rows] = await this.pool.query('SELECT * FROM outbound_messages WHERE whatsapp_message_id = ?', [whatsappMessageId]);
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error updating outbound message ack:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a group's tags
+   * @param {string} groupId - Group ID
+   * @returns {Array} - Tag names in alphabetical order
+   */
+  async getGroupTags(groupId) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query('SELECT tag FROM group_tags WHERE group_id = ? ORDER BY tag', [groupId]);
+      return rows.map(row => row.tag);
+    } catch (error) {
+      console.error('Error getting group tags:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a group's tags
+   * @param {string} groupId - Group ID
+   * @param {Array} tags - Tag names
+   * @returns {Array} - The group's tags after the change
+   */
+  async saveGroupTags(groupId, tags) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      
+      await connection.query('DELETE FROM group_tags WHERE group_id = ?', [groupId]);
+      if (tags.length > 0) {
+        await connection.query('INSERT IGNORE INTO group_tags (group_id, tag) VALUES ?', [
+          tags.map(tag => [groupId, tag])
+        ]);
+      }
+      
+      await connection.commit();
+      return this.getGroupTags(groupId);
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error saving group tags:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Get every tag with the number of groups carrying it
+   */
+  async getTagList() {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query(`
+        SELECT tag, COUNT(*) as group_count
+        FROM group_tags
+        GROUP BY tag
+        ORDER BY tag
+      `);
+      return rows;
+    } catch (error) {
+      console.error('Error getting tag list:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the IDs of every group carrying a tag
+   * @param {string} tag - Tag name
+   * @returns {Array} - Group IDs
+   */
+  async getGroupIdsByTag(tag) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query('SELECT group_id FROM group_tags WHERE tag = ? ORDER BY group_id', [tag]);
+      return rows.map(row => row.group_id);
+    } catch (error) {
+      console.error('Error getting groups by tag:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a scheduled broadcast job
+   * @param {Object} job - { name, accountId, messageTemplate, variables, mediaPath, mediaMimetype, mediaFilename,
+   *   targetGroupIds, targetTag, cronExpression, staggerMs, nextRunAt }
+   * @returns {Object} - The new job row
+   */
+  async createBroadcastJob(job) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [result] = await this.pool.query(`
+        INSERT INTO broadcast_jobs
+        (name, account_id, message_template, variables, media_path, media_mimetype, media_filename,
+         target_group_ids, target_tag, cron_expression, stagger_ms, next_run_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        job.name,
+        job.accountId || null,
+        job.messageTemplate || null,
+        job.variables ? JSON.stringify(job.variables) : null,
+        job.mediaPath || null,
+        job.mediaMimetype || null,
+        job.mediaFilename || null,
+        job.targetGroupIds ? JSON.stringify(job.targetGroupIds) : null,
+        job.targetTag || null,
+        job.cronExpression || null,
+        job.staggerMs,
+        job.nextRunAt
+      ]);
+      
+      return this.getBroadcastJob(result.insertId);
+    } catch (error) {
+      console.error('Error creating broadcast job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a broadcast job by its ID
+   * @param {number} id - Job ID
+   * @returns {Object|null} - Job row or null if not found
+   */
+  async getBroadcastJob(id) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query('SELECT * FROM broadcast_jobs WHERE id = ?', [id]);
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error getting broadcast job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every broadcast job with its run count, newest first
+   * @param {string} status - Only jobs with this status (optional)
+   */
+  async getBroadcastJobs(status = null) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query(`
+        SELECT 
+          j.*, 
+          (SELECT COUNT(*) FROM broadcast_runs WHERE job_id = j.id) as run_count 
+        FROM broadcast_jobs j 
+        ${status ? 'WHERE j.status = ?' : ''}
+        ORDER BY j.created_at DESC, j.id DESC
+      `, status ? [status] : []);
+      return rows;
+    } catch (error) {
+      console.error('Error getting broadcast jobs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get scheduled broadcast jobs whose next run is due
+   */
+  async getDueBroadcastJobs() {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query(`
+        SELECT * FROM broadcast_jobs
+        WHERE status = 'scheduled' AND next_run_at <= ?
+        ORDER BY next_run_at, id
+      `, [new Date()]);
+      return rows;
+    } catch (error) {
+      console.error('Error getting due broadcast jobs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim a due run of a broadcast job and move the job on to its next run
+   * Only succeeds if the job is still scheduled for the run that was read, so a run can't start twice
+   * @param {Object} job - Job row as read by getDueBroadcastJobs
+   * @param {Date|null} nextRunAt - Next run time, or null if the job has no more runs
+   * @param {Date} startedAt - When this run started
+   * @returns {number|null} - New run ID, or null if the run was claimed elsewhere or the job changed
+   */
+  async claimBroadcastRun(job, nextRunAt, startedAt = new Date()) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      
+      const [result] = await connection.query(`
+        UPDATE broadcast_jobs
+        SET next_run_at = ?, last_run_at = ?, status = ?
+        WHERE id = ? AND status = 'scheduled' AND next_run_at = ?
+      `, [nextRunAt, startedAt, nextRunAt ? 'scheduled' : 'completed', job.id, job.next_run_at]);
+      
+      if (result.affectedRows !== 1) {
+        await connection.rollback();
+        return null;
+      }
+      
+      const [run] = await connection.query(`
+        INSERT INTO broadcast_runs (job_id, scheduled_for, started_at) VALUES (?, ?, ?)
+      `, [job.id, job.next_run_at, startedAt]);
+      
+      await connection.commit();
+      return run.insertId;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error claiming broadcast run:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Mark a broadcast run that stopped part-way as failed
+   * @param {number} runId - Run ID
+   * @param {string} errorMessage - Why it stopped
+   * @param {number} queuedCount - Number of groups queued before it stopped
+   */
+  async markBroadcastRunFailed(runId, errorMessage, queuedCount) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      await this.pool.query(
+        "UPDATE broadcast_runs SET status = 'failed', last_error = ?, target_count = ? WHERE id = ?",
+        [errorMessage, queuedCount, runId]
+      );
+    } catch (error) {
+      console.error('Error marking broadcast run failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record how many groups a broadcast run targeted
+   * @param {number} runId - Run ID
+   * @param {number} targetCount - Number of groups queued
+   */
+  async setBroadcastRunTargetCount(runId, targetCount) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      await this.pool.query('UPDATE broadcast_runs SET target_count = ? WHERE id = ?', [targetCount, runId]);
+    } catch (error) {
+      console.error('Error saving broadcast run target count:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change a broadcast job's status
+   * @param {number} id - Job ID
+   * @param {string} status - 'scheduled', 'paused', 'completed' or 'cancelled'
+   * @param {Date|null} nextRunAt - New next run time (optional, unchanged if undefined)
+   * @returns {Object|null} - Updated job row
+   */
+  async updateBroadcastJobStatus(id, status, nextRunAt = undefined) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      if (nextRunAt === undefined) {
+        await this.pool.query('UPDATE broadcast_jobs SET status = ? WHERE id = ?', [status, id]);
+      } else {
+        await this.pool.query('UPDATE broadcast_jobs SET status = ?, next_run_at = ? WHERE id = ?', [status, nextRunAt, id]);
+      }
+      return this.getBroadcastJob(id);
+    } catch (error) {
+      console.error('Error updating broadcast job status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a broadcast job's unsent messages from one status to another (e.g. queued to paused)
+   * @param {number} jobId - Job ID
+   * @param {string} fromStatus - Current outbound status
+   * @param {string} toStatus - New outbound status
+   * @returns {number} - Number of outbound messages changed
+   */
+  async updateBroadcastOutboundStatus(jobId, fromStatus, toStatus) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [result] = await this.pool.query(`
+        UPDATE outbound_messages o
+        JOIN broadcast_runs r ON r.id = o.broadcast_run_id
+        SET o.status = ?
+        WHERE r.job_id = ? AND o.status = ?
+      `, [toStatus, jobId, fromStatus]);
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error updating broadcast outbound status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a broadcast job's run history with per-run delivery counts, newest first
+   * @param {number} jobId - Job ID
+   */
+  async getBroadcastRuns(jobId) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query(`
+        SELECT 
+          r.*, 
+          COUNT(CASE WHEN o.status = 'sent' THEN 1 END) as sent_count, 
+          COUNT(CASE WHEN o.status = 'failed' THEN 1 END) as failed_count, 
+          COUNT(CASE WHEN o.status IN ('queued', 'sending', 'paused') THEN 1 END) as pending_count, 
+          COUNT(CASE WHEN o.status = 'cancelled' THEN 1 END) as cancelled_count, 
+          COUNT(CASE WHEN o.ack >= 2 THEN 1 END) as delivered_count, 
+          COUNT(CASE WHEN o.ack >= 3 THEN 1 END) as read_count 
+        FROM broadcast_runs r 
+        LEFT JOIN outbound_messages o ON o.broadcast_run_id = r.id 
+        WHERE r.job_id = ? 
+        GROUP BY r.id 
+        ORDER BY r.started_at DESC, r.id DESC
+      `, [jobId]);
+      return rows;
+    } catch (error) {
+      console.error('Error getting broadcast runs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a broadcast run with the outcome for each targeted group
+   * @param {number} runId - Run ID
+   * @returns {Object|null} - Run row with a targets array, or null if not found
+   */
+  async getBroadcastRunResults(runId) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [runs] = await this.pool.query('SELECT * FROM broadcast_runs WHERE id = ?', [runId]);
+      if (runs.length === 0) return null;
+      
+      const [targets] = await this.pool.query(`
+        SELECT o.*, g.subject as group_name
+        FROM outbound_messages o
+        LEFT JOIN \`groups\` g ON g.group_id = o.group_id
+        WHERE o.broadcast_run_id = ?
+        ORDER BY o.next_attempt_at, o.id
+      `, [runId]);
+      
+      return { ...runs[0], targets };
+    } catch (error) {
+      console.error('Error getting broadcast run results:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every auto-reply rule
+   */
+  async getAutoReplyRules() {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query('SELECT * FROM auto_reply_rules ORDER BY id');
+      return rows;
+    } catch (error) {
+      console.error('Error getting auto-reply rules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an auto-reply rule by its ID
+   * @param {number} id - Rule ID
+   * @returns {Object|null} - Rule row or null if not found
+   */
+  async getAutoReplyRule(id) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query('SELECT * FROM auto_reply_rules WHERE id = ?', [id]);
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error getting auto-reply rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an auto-reply rule, or update the given fields of an existing one
+   * @param {number|null} id - Rule ID to update, or null to create a rule
+   * @param {Object} rule - Rule fields (name, enabled, dryRun, groupId, senderId, textPattern, attachmentType,
+   *   actionType, replyText, forwardGroupId, tag, cooldownSeconds); fields left undefined are not changed
+   * @returns {Object|null} - Saved rule row, or null if the rule to update doesn't exist
+   */
+  async saveAutoReplyRule(id, rule) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    const columns = {
+      name: 'name',
+      enabled: 'enabled',
+      dryRun: 'dry_run',
+      groupId: 'group_id',
+      senderId: 'sender_id',
+      textPattern: 'text_pattern',
+      attachmentType: 'attachment_type',
+      actionType: 'action_type',
+      replyText: 'reply_text',
+      forwardGroupId: 'forward_group_id',
+      tag: 'tag',
+      cooldownSeconds: 'cooldown_seconds'
+    };
+
+    try {
+      const names = [];
+      const values = [];
+      
+      for (const [key, column] of Object.entries(columns)) {
+        if (rule[key] !== undefined) {
+          names.push(column);
+          values.push(rule[key]);
+        }
+      }
+      
+      if (!id) {
+        const [result] = await this.pool.query(`
+          INSERT INTO auto_reply_rules (${names.join(', ')})
+          VALUES (${names.map(() => '?').join(', ')})
+        `, values);
+        return this.getAutoReplyRule(result.insertId);
+      }
+      
+      if (names.length > 0) {
+        await this.pool.query(`
+          UPDATE auto_reply_rules SET ${names.map(name => `${name} = ?`).join(', ')} WHERE id = ?
+        `, [...values, id]);
+      }
+      return this.getAutoReplyRule(id);
+    } catch (error) {
+      console.error('Error saving auto-reply rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an auto-reply rule (its firing history is kept)
+   * @param {number} id - Rule ID
+   * @returns {boolean} - True if the rule existed
+   */
+  async deleteAutoReplyRule(id) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [result] = await this.pool.query('DELETE FROM auto_reply_rules WHERE id = ?', [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting auto-reply rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that a rule fired (or would have fired, in dry-run mode)
+   * @param {Object} firing - { ruleId, messageRowId, groupId, actionType, dryRun, outboundMessageId, firedAt }
+   */
+  async saveAutoReplyFiring(firing) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      await this.pool.query(`
+        INSERT INTO auto_reply_firings
+        (rule_id, message_row_id, group_id, action_type, dry_run, outbound_message_id, fired_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [
+        firing.ruleId,
+        firing.messageRowId,
+        firing.groupId,
+        firing.actionType,
+        !!firing.dryRun,
+        firing.outboundMessageId || null,
+        firing.firedAt
+      ]);
+    } catch (error) {
+      console.error('Error saving auto-reply firing:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get when a rule last fired in a group
+   * @param {number} ruleId - Rule ID
+   * @param {string} groupId - Group ID
+   * @param {boolean} dryRun - Look at dry-run firings instead of real ones
+   * @returns {Date|null} - Time of the last firing or null if it never fired there
+   */
+  async getLastAutoReplyFiring(ruleId, groupId, dryRun = false) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query(`
+        SELECT MAX(fired_at) as last_fired_at
+        FROM auto_reply_firings
+        WHERE rule_id = ? AND group_id = ? AND dry_run = ?
+      `, [ruleId, groupId, dryRun]);
+      return rows[0].last_fired_at || null;
+    } catch (error) {
+      console.error('Error getting last auto-reply firing:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a rule's firing log, newest first
+   * @param {number} ruleId - Rule ID
+   * @param {number} limit - Maximum number of firings to return
+   * @param {number} offset - Offset for pagination
+   */
+  async getAutoReplyFirings(ruleId, limit = 100, offset = 0) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query(`
+        SELECT f.*, m.sender_name, m.message_text
+        FROM auto_reply_firings f
+        LEFT JOIN messages m ON m.id = f.message_row_id
+        WHERE f.rule_id = ?
+        ORDER BY f.fired_at DESC, f.id DESC
+        LIMIT ? OFFSET ?
+      `, [ruleId, limit, offset]);
+      return rows;
+    } catch (error) {
+      console.error('Error getting auto-reply firings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tag a stored message (tagging it again with the same tag is a no-op)
+   * @param {number} messageRowId - Row ID in the messages table
+   * @param {string} tag - Tag name
+   * @param {number} ruleId - Rule that added the tag (optional)
+   */
+  async tagMessage(messageRowId, tag, ruleId = null) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      await this.pool.query(`
+        INSERT IGNORE INTO message_tags (message_row_id, tag, rule_id) VALUES (?, ?, ?)
+      `, [messageRowId, tag, ruleId]);
+    } catch (error) {
+      console.error('Error tagging message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a media download that failed so it can be retried
+   * @param {Object} attachment - { messageRowId, messageId, accountId, groupId, mediaType, error, nextAttemptAt }
+   */
+  async savePendingAttachment(attachment) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      await this.pool.query(`
+        INSERT IGNORE INTO pending_attachments
+          (message_row_id, message_id, account_id, group_id, media_type, last_error, next_attempt_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [
+        attachment.messageRowId,
+        attachment.messageId,
+        attachment.accountId || null,
+        attachment.groupId,
+        attachment.mediaType,
+        attachment.error || null,
+        attachment.nextAttemptAt
+      ]);
+    } catch (error) {
+      console.error('Error saving pending attachment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get pending media downloads whose next attempt is due, oldest first
+   * @param {number} limit - Maximum number of rows to return
+   */
+  async getDuePendingAttachments(limit = 20) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [rows] = await this.pool.query(`
+        SELECT * FROM pending_attachments
+        WHERE status = 'pending' AND next_attempt_at <= ?
+        ORDER BY next_attempt_at, id
+        LIMIT ?
+      `, [new Date(), limit]);
+      return rows;
+    } catch (error) {
+      console.error('Error getting due pending attachments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record another failed download attempt
+   * @param {number} id - Pending attachment ID
+   * @param {string} errorMessage - Why the download failed
+   * @param {Date|null} retryAt - When to try again, or null to give up
+   */
+  async markPendingAttachmentFailed(id, errorMessage, retryAt = null) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      await this.pool.query(`
+        UPDATE pending_attachments
+        SET attempts = attempts + 1, last_error = ?, next_attempt_at = ?, status = ?
+        WHERE id = ?
+      `, [errorMessage, retryAt, retryAt ? 'pending' : 'failed', id]);
+    } catch (error) {
+      console.error('Error marking pending attachment failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a late download on its message and close the pending attachment
+   * @param {Object} pending - Pending attachment row
+   * @param {Object} attachment - Paths returned by MessageProcessor.processAttachment
+   */
+  async completePendingAttachment(pending, attachment) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      await this.saveMessageAttachment(pending.message_row_id, attachment, connection);
+
+      await connection.query(`
+        UPDATE pending_attachments
+        SET status = 'downloaded', attempts = attempts + 1, next_attempt_at = NULL, downloaded_at = ?
+        WHERE id = ?
+      `, [new Date(), pending.id]);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error completing pending attachment:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Store the paths of media downloaded after its message was saved
+   * @param {number} messageRowId - Message row ID
+   * @param {Object} attachment - Paths returned by MessageProcessor.processAttachment
+   * @param {Object} connection - Connection to run on, for use inside a transaction (optional)
+   */
+  async saveMessageAttachment(messageRowId, attachment, connection = null) {
+    if (!connection && !this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const attachmentType = attachment.imageAttachmentPath ? 'image'
+        : attachment.videoAttachmentPath ? 'video'
+        : attachment.audioAttachmentPath ? 'audio'
+        : 'document';
+
+      await (connection || this.pool).query(`
+        UPDATE messages
+        SET image_attachment_path = ?, document_attachment_path = ?, video_attachment_path = ?,
+            audio_attachment_path = ?, attachment_type = ?
+        WHERE id = ?
+      `, [
+        attachment.imageAttachmentPath,
+        attachment.documentAttachmentPath,
+        attachment.videoAttachmentPath,
+        attachment.audioAttachmentPath,
+        attachmentType,
+        messageRowId
+      ]);
+
+      // Replies stored before the file arrived show it too
+      await (connection || this.pool).query(
+        'UPDATE messages SET reply_attachment_path = ? WHERE reply_to_row_id = ? AND reply_attachment_path IS NULL',
+        [
+          attachment.imageAttachmentPath || attachment.videoAttachmentPath ||
+            attachment.audioAttachmentPath || attachment.documentAttachmentPath,
+          messageRowId
+        ]
+      );
+    } catch (error) {
+      console.error('Error saving message attachment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get media downloads that were given up on, newest first
+   * @param {Object} filters - { groupId, accountId } (optional)
+   * @param {number} limit - Maximum number of rows to return
+   * @param {number} offset - Number of rows to skip
+   */
+  async getFailedAttachments(filters = {}, limit = 100, offset = 0) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const conditions = ["p.status = 'failed'"];
+      const params = [];
+      
+      if (filters.groupId) {
+        conditions.push('p.group_id = ?');
+        params.push(filters.groupId);
+      }
+      if (filters.accountId) {
+        conditions.push('p.account_id = ?');
+        params.push(filters.accountId);
+      }
+      
+      const [rows] = await this.pool.query(`
+        SELECT p.*, m.group_name, m.sender_name, m.message_text, m.timestamp
+        FROM pending_attachments p
+        LEFT JOIN messages m ON m.id = p.message_row_id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY p.updated_at DESC, p.id DESC
+        LIMIT ? OFFSET ?
+      `, [...params, limit, offset]);
+      return rows;
+    } catch (error) {
+      console.error('Error getting failed attachments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Link a stored message to its album
+   * The first item was stored before anyone knew it started an album, so it is linked when the second arrives
+   * @param {number} messageRowId - Row ID of the stored message
+   * @param {Object} batch - { batchId, position, startedAt } from MessageProcessor.assignBatch
+   * @param {Object} message - Processed message (groupId, senderId, timestamp)
+   * @param {string} accountId - Account that captured the message
+   */
+  async addMessageToBatch(messageRowId, batch, message, accountId = null) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      await connection.query(`
+        INSERT INTO message_batches (batch_id, group_id, sender_id, account_id, first_message_at, last_message_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE last_message_at = GREATEST(last_message_at, VALUES(last_message_at))
+      `, [batch.batchId, message.groupId, message.senderId || null, accountId, new Date(batch.startedAt), message.timestamp]);
+
+      // batch_metadata repeats the item's place in the album, so a row read on its own still shows it
+      const batchMetadata = (position) => JSON.stringify({
+        batchId: batch.batchId,
+        position,
+        startedAt: new Date(batch.startedAt).toISOString()
+      });
+
+      await connection.query(
+        'UPDATE messages SET batch_id = ?, batch_position = ?, batch_metadata = ? WHERE id = ?',
+        [batch.batchId, batch.position, batchMetadata(batch.position), messageRowId]
+      );
+      await connection.query(
+        'UPDATE messages SET batch_id = ?, batch_position = 0, batch_metadata = ? WHERE message_id = ? AND batch_id IS NULL',
+        [batch.batchId, batchMetadata(0), batch.batchId]
+      );
+
+      await connection.query(`
+        UPDATE message_batches
+        SET member_count = (SELECT COUNT(*) FROM messages WHERE batch_id = ?)
+        WHERE batch_id = ?
+      `, [batch.batchId, batch.batchId]);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error adding message to batch:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Get an album with its items in the order they were sent
+   * @param {string} batchId - Batch ID (the first item's WhatsApp message ID)
+   * @returns {Object|null} - Batch row with a members array, or null if not found
+   */
+  async getMessageBatch(batchId) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [batches] = await this.pool.query('SELECT * FROM message_batches WHERE batch_id = ?', [batchId]);
+      if (batches.length === 0) return null;
+
+      const [members] = await this.pool.query(
+        'SELECT * FROM messages WHERE batch_id = ? ORDER BY batch_position, id',
+        [batchId]
+      );
+      return {
+        ...batches[0],
+        members: await this.enrichMessages(members)
+      };
+    } catch (error) {
+      console.error('Error getting message batch:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find forwarded content that appeared in more than one chat
+   * Copies are matched by content hash; the earliest copy is reported as first seen, whether or not it
+   * was itself a forward, so content can be traced back to where it entered the captured chats
+   * @param {Object} filters - { minGroups, since } (optional)
+   * @param {number} limit - Maximum number of items to return
+   * @param {number} offset - Number of items to skip
+   * @returns {Array} - Content items, most widely spread first, each with a firstSeen message
+   */
+  async getForwardedContent(filters = {}, limit = 50, offset = 0) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [items] = await this.pool.query(`
+        SELECT content_hash,
+          COUNT(DISTINCT group_id) AS group_count,
+          COUNT(*) AS message_count,
+          COUNT(CASE WHEN is_forwarded THEN 1 END) AS forwarded_count,
+          MAX(forwarding_score) AS max_forwarding_score,
+          MIN(timestamp) AS first_seen_at,
+          MAX(timestamp) AS last_seen_at
+        FROM messages
+        WHERE content_hash IS NOT NULL
+        GROUP BY content_hash
+        HAVING group_count >= ? AND forwarded_count > 0 AND last_seen_at >= ?
+        ORDER BY group_count DESC, last_seen_at DESC
+        LIMIT ? OFFSET ?
+      `, [filters.minGroups || 2, filters.since || new Date(0), limit, offset]);
+      if (items.length === 0) return items;
+
+      const [firstRows] = await this.pool.query(`
+        SELECT m.* FROM messages m
+        JOIN (
+          SELECT content_hash, MIN(timestamp) AS first_seen_at
+          FROM messages WHERE content_hash IN (?)
+          GROUP BY content_hash
+        ) earliest ON earliest.content_hash = m.content_hash AND earliest.first_seen_at = m.timestamp
+        ORDER BY m.id
+      `, [items.map(item => item.content_hash)]);
+
+      return items.map(item => ({
+        ...item,
+        firstSeen: firstRows.find(row => row.content_hash === item.content_hash) || null
+      }));
+    } catch (error) {
+      console.error('Error getting forwarded content:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Trace how one piece of content spread across chats
+   * @param {string} contentHash - Content hash
+   * @returns {Object|null} - { contentHash, firstSeen, groups, messages } in order of arrival, or null if unknown
+   */
+  async getForwardedContentSpread(contentHash) {
+    if (!this.isConnected) {
+      await this.reconnect();
+    }
+
+    try {
+      const [messages] = await this.pool.query(
+        'SELECT * FROM messages WHERE content_hash = ? ORDER BY timestamp, id LIMIT 1000',
+        [contentHash]
+      );
+      if (messages.length === 0) return null;
+
+      // Each chat once, at the copy that first reached it
+      const groups = [];
+      for (const message of messages) {
+        const group = groups.find(entry => entry.groupId === message.group_id);
+        if (group) {
+          group.messageCount++;
+          continue;
+        }
+        groups.push({
+          groupId: message.group_id,
+          groupName: message.group_name,
+          firstSeenAt: message.timestamp,
+          firstSenderName: message.sender_name,
+          forwardingScore: message.forwarding_score,
+          messageCount: 1
+        });
+      }
+
+      return {
+        contentHash,
+        firstSeen: messages[0],
+        groups,
+        messages: await this.enrichMessages(messages)
+      };
+    } catch (error) {
+      console.error('Error getting forwarded content spread:', error);
       throw error;
     }
   }
 }
 
-module.exports = DatabaseService;
\ No newline at end of file
+module.exports = DatabaseService;
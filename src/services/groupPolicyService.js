@@ -0,0 +1,139 @@
+/**
+ * Group Policy Service
+ * Decides which groups are captured: all groups, only an allowlist, or all but a denylist
+ * Rules match a group by ID or by a name pattern (* and ? wildcards, case-insensitive)
+ */
+
+const MODES = ['all', 'allowlist', 'denylist'];
+const LIST_TYPES = ['allow', 'deny'];
+const MATCH_TYPES = ['group_id', 'name_pattern'];
+
+class GroupPolicyService {
+  /**
+   * Constructor
+   * @param {Object} dbService - Database service
+   */
+  constructor(dbService) {
+    this.dbService = dbService;
+
+    // Cached policy, reloaded whenever it is changed through this service
+    this.mode = 'all';
+    this.rules = [];
+    this.loaded = false;
+  }
+
+  /**
+   * Load the policy and its rules from the database
+   */
+  async load() {
+    const policy = await this.dbService.getGroupPolicy();
+    this.mode = policy ? policy.mode : 'all';
+    this.rules = await this.dbService.getGroupPolicyRules();
+    this.loaded = true;
+  }
+
+  /**
+   * Load the policy on first use
+   */
+  async ensureLoaded() {
+    if (!this.loaded) {
+      await this.load();
+    }
+  }
+
+  /**
+   * Check whether a group is captured under the current policy
+   * @param {string} groupId - Serialized group ID
+   * @param {string} groupName - Group name (optional, needed for name patterns)
+   * @returns {boolean} - True if messages from the group should be stored
+   */
+  async isGroupAllowed(groupId, groupName = null) {
+    await this.ensureLoaded();
+
+    if (this.mode === 'all') return true;
+
+    const listType = this.mode === 'allowlist' ? 'allow' : 'deny';
+    const matched = this.rules
+      .filter(rule => rule.list_type === listType)
+      .some(rule => this.matchesRule(rule, groupId, groupName));
+
+    return this.mode === 'allowlist' ? matched : !matched;
+  }
+
+  /**
+   * Check whether a rule matches a group
+   * @param {Object} rule - Policy rule row
+   * @param {string} groupId - Serialized group ID
+   * @param {string} groupName - Group name (may be null)
+   * @returns {boolean} - True if the rule matches
+   */
+  matchesRule(rule, groupId, groupName) {
+    if (rule.match_type === 'group_id') {
+      return rule.value === groupId;
+    }
+    return !!groupName && this.patternToRegExp(rule.value).test(groupName);
+  }
+
+  /**
+   * Convert a name pattern with * and ? wildcards into a case-insensitive regular expression
+   * @param {string} pattern - Name pattern
+   * @returns {RegExp} - Anchored regular expression
+   */
+  patternToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+  }
+
+  /**
+   * Get the current policy with its rules
+   * @returns {Object} - { mode, rules }
+   */
+  async getPolicy() {
+    await this.ensureLoaded();
+    return {
+      mode: this.mode,
+      rules: this.rules
+    };
+  }
+
+  /**
+   * Change the policy mode
+   * @param {string} mode - 'all', 'allowlist' or 'denylist'
+   * @returns {Object} - Updated policy
+   */
+  async setMode(mode) {
+    await this.dbService.saveGroupPolicyMode(mode);
+    await this.load();
+    console.log(`🛡️ Group policy mode set to ${mode}`);
+    return this.getPolicy();
+  }
+
+  /**
+   * Add an allow or deny rule
+   * @param {Object} rule - { listType, matchType, value, groupName }
+   * @returns {Object} - Updated policy
+   */
+  async addRule(rule) {
+    await this.dbService.addGroupPolicyRule(rule);
+    await this.load();
+    console.log(`🛡️ Group policy rule added: ${rule.listType} ${rule.matchType} "${rule.value}"`);
+    return this.getPolicy();
+  }
+
+  /**
+   * Remove a rule
+   * @param {number} id - Rule ID
+   * @returns {boolean} - True if the rule existed
+   */
+  async removeRule(id) {
+    const removed = await this.dbService.deleteGroupPolicyRule(id);
+    await this.load();
+    return removed;
+  }
+}
+
+GroupPolicyService.MODES = MODES;
+GroupPolicyService.LIST_TYPES = LIST_TYPES;
+GroupPolicyService.MATCH_TYPES = MATCH_TYPES;
+
+module.exports = GroupPolicyService;
@@ -0,0 +1,259 @@
+/**
+ * Ingestion Buffer Service
+ * Disk-backed write-ahead queue for processed messages that can't be stored because MySQL is down
+ * Each message is written to its own numbered file; once the database is back the files are
+ * replayed in order, so nothing captured during an outage is lost, even across restarts.
+ * Edits and revocations are queued the same way, behind the messages they may refer to.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class IngestionBufferService {
+  /**
+   * Constructor
+   * @param {Object} clientManager - WhatsApp client manager, to store messages through their account's client
+   * @param {Object} dbService - Database service
+   */
+  constructor(clientManager, dbService) {
+    this.clientManager = clientManager;
+    this.dbService = dbService;
+
+    this.bufferPath = process.env.INGESTION_BUFFER_PATH || path.join(process.cwd(), 'ingestion-buffer');
+    this.failedPath = path.join(this.bufferPath, 'failed');
+    this.drainInterval = parseInt(process.env.INGESTION_BUFFER_DRAIN_MS) || 5000;
+
+    this.drainTimer = null;
+    this.isDraining = false;
+    this.nextSequence = 1;
+    this.depth = 0;
+    this.status = {
+      oldestBufferedAt: null,
+      lastBufferedAt: null,
+      lastDrainedAt: null,
+      drainedCount: 0,
+      failedCount: 0,
+      lastError: null
+    };
+  }
+
+  /**
+   * Pick up messages left on disk by an earlier run and start draining
+   */
+  async start() {
+    await fs.promises.mkdir(this.failedPath, { recursive: true });
+
+    // Half-written entries from a crash were never acknowledged, so they can go
+    for (const file of await fs.promises.readdir(this.bufferPath)) {
+      if (file.endsWith('.tmp')) {
+        await fs.promises.unlink(path.join(this.bufferPath, file));
+      }
+    }
+
+    const files = await this.listEntries();
+    this.depth = files.length;
+    if (files.length > 0) {
+      this.nextSequence = parseInt(files[files.length - 1]) + 1;
+      this.status.oldestBufferedAt = (await fs.promises.stat(path.join(this.bufferPath, files[0]))).mtime;
+      console.log(`💽 ${files.length} buffered messages found on disk, storing them once the database is available`);
+    }
+
+    if (!this.drainTimer) {
+      this.drainTimer = setInterval(() => this.drain(), this.drainInterval);
+    }
+  }
+
+  /**
+   * Stop draining (buffered messages stay on disk for the next run)
+   */
+  stop() {
+    if (this.drainTimer) {
+      clearInterval(this.drainTimer);
+      this.drainTimer = null;
+    }
+  }
+
+  /**
+   * Check whether messages are waiting on disk
+   * New messages must join the buffer behind them to keep their order
+   * @returns {boolean} - True if the buffer is not empty
+   */
+  hasPending() {
+    return this.depth > 0;
+  }
+
+  /**
+   * Write a processed message to disk
+   * @param {string} accountId - Account that captured the message
+   * @param {Object} processedMessage - Processed message from MessageProcessor
+   * @param {boolean} live - True for a live incoming message, so auto-reply rules run on it once stored
+   */
+  async append(accountId, processedMessage, live = false) {
+    await this.writeEntry({ accountId, bufferedAt: new Date(), live, message: processedMessage });
+    console.log(`💽 Database unavailable, message buffered to disk (${this.depth} waiting):`, processedMessage.messageId);
+  }
+
+  /**
+   * Write an edit or revocation of a message to disk, behind any buffered messages
+   * @param {string} accountId - Account that captured the update
+   * @param {string} type - 'edit' or 'revoke', as accepted by WhatsAppClient.applyMessageUpdate
+   * @param {Object} update - The update's fields
+   */
+  async appendUpdate(accountId, type, update) {
+    await this.writeEntry({ type, accountId, bufferedAt: new Date(), update });
+    console.log(`💽 Database unavailable, message ${type} buffered to disk (${this.depth} waiting):`, update.messageId);
+  }
+
+  /**
+   * Write one entry to its own numbered file
+   * The file is written under a temporary name, flushed and then renamed, so a crash never leaves half an entry
+   * @param {Object} entry - Entry to store
+   */
+  async writeEntry(entry) {
+    const sequence = this.nextSequence++;
+    const fileName = `${String(sequence).padStart(12, '0')}.json`;
+    const tempPath = path.join(this.bufferPath, `${fileName}.tmp`);
+
+    const handle = await fs.promises.open(tempPath, 'w');
+    try {
+      await handle.writeFile(JSON.stringify(entry));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(tempPath, path.join(this.bufferPath, fileName));
+
+    if (this.depth === 0) {
+      this.status.oldestBufferedAt = new Date();
+    }
+    this.depth++;
+    this.status.lastBufferedAt = new Date();
+  }
+
+  /**
+   * Store buffered messages in order while the database is connected
+   * Stops at the first connection failure and carries on at the next drain; an entry that fails
+   * for any other reason is moved to the failed folder so it can't block the queue
+   */
+  async drain() {
+    if (this.isDraining || this.depth === 0 || !this.dbService.isConnected) return;
+    this.isDraining = true;
+
+    try {
+      const files = await this.listEntries();
+      this.depth = files.length;
+
+      for (const file of files) {
+        const filePath = path.join(this.bufferPath, file);
+
+        try {
+          const entry = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+
+          // A crash between these two steps replays the entry; the upsert drops a duplicate message,
+          // and its follow-ups only run once (see WhatsAppClient.writeMessage)
+          await this.storeEntry(entry);
+          await fs.promises.unlink(filePath);
+
+          this.depth--;
+          this.status.drainedCount++;
+          this.status.lastDrainedAt = new Date();
+        } catch (error) {
+          this.status.lastError = error.message;
+
+          if (this.dbService.isConnectionError(error)) {
+            this.dbService.markDisconnected();
+            console.warn(`💽 Database lost again while draining, ${this.depth} messages still buffered`);
+            return;
+          }
+
+          console.error(`❌ Buffered message ${file} could not be stored, moving it aside:`, error.message);
+          // Sequence numbers restart once the buffer is empty, so prefix the time to keep names unique
+          await fs.promises.rename(filePath, path.join(this.failedPath, `${Date.now()}_${file}`));
+          this.depth--;
+          this.status.failedCount++;
+        }
+      }
+
+      // Messages buffered while this drain was running are picked up by the next one
+      if (this.depth === 0) {
+        this.status.oldestBufferedAt = null;
+        console.log(`✅ Ingestion buffer drained (${this.status.drainedCount} messages stored so far)`);
+      }
+    } catch (error) {
+      console.error('❌ Error draining ingestion buffer:', error.message);
+    } finally {
+      this.isDraining = false;
+    }
+  }
+
+  /**
+   * Store one buffered entry through the client of the account that captured it
+   * For a message, this also finishes what the live handler skipped when it was buffered: the broadcast
+   * and, for live messages, the auto-reply rules. isNew is only true for the write that completes the
+   * message, so these run once even if an earlier write stored the row and then lost the connection.
+   * @param {Object} entry - { accountId, bufferedAt, live, message } for a message,
+   *   { type, accountId, bufferedAt, update } for an edit or revocation
+   */
+  async storeEntry(entry) {
+    let whatsappClient = this.clientManager.getClient(entry.accountId);
+    if (!whatsappClient) {
+      console.warn(`⚠️ Account "${entry.accountId}" is no longer configured, storing its buffered entry under the first account`);
+      whatsappClient = this.clientManager.getClient();
+    }
+
+    // Entries without a type were written before edits and revocations were buffered
+    if (entry.type) {
+      const update = { ...entry.update };
+      if (update.editedAt) update.editedAt = new Date(update.editedAt);
+      if (update.revokedAt) update.revokedAt = new Date(update.revokedAt);
+
+      const result = await whatsappClient.applyMessageUpdate(entry.type, update);
+      if (!result) {
+        console.log(`💽 Buffered ${entry.type} for unknown message ignored:`, update.messageId);
+      }
+      return;
+    }
+
+    entry.message.timestamp = new Date(entry.message.timestamp);
+    const { id, isNew } = await whatsappClient.writeMessage(entry.message);
+
+    // The message was held back, so the web interface hears about it only now
+    if (isNew && whatsappClient.server && typeof whatsappClient.server.broadcastNewMessage === 'function') {
+      whatsappClient.server.broadcastNewMessage({
+        id,
+        accountId: whatsappClient.accountId,
+        ...entry.message
+      });
+    }
+    
+    // Same guard as the live handler: backfilled history never triggers rules
+    if (isNew && entry.live && whatsappClient.ruleEngine) {
+      await whatsappClient.ruleEngine.evaluate(entry.message, id, whatsappClient);
+    }
+  }
+
+  /**
+   * List buffered entries in the order they were written
+   * @returns {Array} - File names
+   */
+  async listEntries() {
+    const files = await fs.promises.readdir(this.bufferPath);
+    return files.filter(file => /^\d{12}\.json$/.test(file)).sort();
+  }
+
+  /**
+   * Get the buffer's depth and drain progress
+   * @returns {Object} - Status for the API
+   */
+  getStatus() {
+    return {
+      depth: this.depth,
+      isDraining: this.isDraining,
+      databaseConnected: this.dbService.isConnected,
+      bufferPath: this.bufferPath,
+      ...this.status
+    };
+  }
+}
+
+module.exports = IngestionBufferService;
@@ -0,0 +1,105 @@
+/**
+ * Media Policy Service
+ * Decides whether a message's media is downloaded when it arrives (eager), only when first
+ * requested through the API (lazy), or never (skip)
+ * Rules apply to a group, a media type or both; the most specific matching rule wins
+ */
+
+const MODES = ['eager', 'lazy', 'skip'];
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document'];
+
+class MediaPolicyService {
+  /**
+   * Constructor
+   * @param {Object} dbService - Database service
+   */
+  constructor(dbService) {
+    this.dbService = dbService;
+
+    // Mode for media no rule matches
+    this.defaultMode = MODES.includes(process.env.MEDIA_DOWNLOAD_MODE) ? process.env.MEDIA_DOWNLOAD_MODE : 'eager';
+
+    // Cached rules, reloaded whenever they are changed through this service
+    this.rules = [];
+    this.loaded = false;
+  }
+
+  /**
+   * Load the rules from the database
+   */
+  async load() {
+    this.rules = await this.dbService.getMediaPolicyRules();
+    this.loaded = true;
+  }
+
+  /**
+   * Load the rules on first use
+   */
+  async ensureLoaded() {
+    if (!this.loaded) {
+      await this.load();
+    }
+  }
+
+  /**
+   * Get the download mode for a message's media
+   * A rule for the group and type beats one for the group, which beats one for the type
+   * @param {string} groupId - Serialized chat ID
+   * @param {string} mediaType - 'image', 'video', 'audio' or 'document'
+   * @returns {string} - 'eager', 'lazy' or 'skip'
+   */
+  async getMode(groupId, mediaType) {
+    await this.ensureLoaded();
+
+    const find = (ruleGroupId, ruleMediaType) => this.rules.find(rule =>
+      rule.group_id === ruleGroupId && rule.media_type === ruleMediaType
+    );
+    const rule = find(groupId, mediaType) || find(groupId, '') || find('', mediaType);
+
+    return rule ? rule.mode : this.defaultMode;
+  }
+
+  /**
+   * Get the default mode and rules
+   * @returns {Object} - { defaultMode, rules }
+   */
+  async getPolicy() {
+    await this.ensureLoaded();
+    return {
+      defaultMode: this.defaultMode,
+      rules: this.rules.map(rule => ({
+        ...rule,
+        group_id: rule.group_id || null,
+        media_type: rule.media_type || null
+      }))
+    };
+  }
+
+  /**
+   * Set the mode for a group, a media type or both (replacing an existing rule for the same pair)
+   * @param {Object} rule - { groupId, mediaType, mode } where groupId or mediaType may be null for any
+   * @returns {Object} - Updated policy
+   */
+  async setRule(rule) {
+    await this.dbService.saveMediaPolicyRule(rule);
+    await this.load();
+    console.log(`🗂️ Media policy: ${rule.mediaType || 'all media'} in ${rule.groupId || 'all chats'} set to ${rule.mode}`);
+    return this.getPolicy();
+  }
+
+  /**
+   * Remove a rule
+   * @param {number} id - Rule ID
+   * @returns {boolean} - True if the rule existed
+   */
+  async removeRule(id) {
+    const removed = await this.dbService.deleteMediaPolicyRule(id);
+    await this.load();
+    return removed;
+  }
+}
+
+MediaPolicyService.MODES = MODES;
+MediaPolicyService.MEDIA_TYPES = MEDIA_TYPES;
+
+module.exports = MediaPolicyService;
@@ -0,0 +1,158 @@
+/**
+ * Media Retry Service
+ * Retries media downloads that failed when a message was captured
+ * The message is stored without its file and recorded in pending_attachments; this worker looks the
+ * message up again in WhatsApp's cache and downloads it with backoff, filling in the message row on success
+ */
+
+class MediaRetryService {
+  /**
+   * Constructor
+   * @param {Object} clientManager - WhatsApp client manager, to reach the account that captured each message
+   * @param {Object} dbService - Database service
+   * @param {Object} server - Web server for broadcasts (optional)
+   */
+  constructor(clientManager, dbService, server = null) {
+    this.clientManager = clientManager;
+    this.dbService = dbService;
+    this.server = server;
+
+    // Media stays in WhatsApp's cache for a limited time, so the last attempts come within the hour
+    this.pollInterval = parseInt(process.env.MEDIA_RETRY_POLL_MS) || 30000;
+    this.maxAttempts = parseInt(process.env.MEDIA_RETRY_MAX_ATTEMPTS) || 6;
+    this.retryDelay = parseInt(process.env.MEDIA_RETRY_DELAY_MS) || 60000;
+
+    this.pollTimer = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Start polling for due downloads
+   */
+  start() {
+    if (this.pollTimer) return;
+    this.pollTimer = setInterval(() => this.processPending(), this.pollInterval);
+  }
+
+  /**
+   * Stop polling (pending downloads stay in the database)
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Record a message stored without its media so the download is retried
+   * @param {string} accountId - Account that captured the message
+   * @param {number} messageRowId - Row ID of the stored message
+   * @param {Object} processedMessage - Processed message with pendingAttachment set
+   */
+  async recordFailure(accountId, messageRowId, processedMessage) {
+    await this.dbService.savePendingAttachment({
+      messageRowId,
+      messageId: processedMessage.messageId,
+      accountId,
+      groupId: processedMessage.groupId,
+      mediaType: processedMessage.pendingAttachment.mediaType,
+      error: processedMessage.pendingAttachment.error,
+      nextAttemptAt: this.getRetryAt(1)
+    });
+    console.log(`📎 Media download for message ${messageRowId} failed, queued for retry`);
+  }
+
+  /**
+   * Get when a download that has failed a number of times should be tried again
+   * @param {number} attempts - Attempts made so far
+   * @returns {Date|null} - Next attempt time, or null once the attempts are used up
+   */
+  getRetryAt(attempts) {
+    if (attempts >= this.maxAttempts) return null;
+    return new Date(Date.now() + this.retryDelay * Math.pow(2, attempts - 1));
+  }
+
+  /**
+   * Retry every download that is due, one at a time
+   */
+  async processPending() {
+    if (this.isProcessing || !this.dbService.isConnected) return;
+    this.isProcessing = true;
+
+    try {
+      const pending = await this.dbService.getDuePendingAttachments();
+      for (const attachment of pending) {
+        if (!this.pollTimer) break;
+        await this.retry(attachment);
+      }
+    } catch (error) {
+      console.error('❌ Error retrying media downloads:', error.message);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Try one download again and record the outcome
+   * @param {Object} pending - Pending attachment row
+   */
+  async retry(pending) {
+    const whatsappClient = this.clientManager.getClient(pending.account_id);
+    if (!whatsappClient) {
+      await this.dbService.markPendingAttachmentFailed(pending.id, `Unknown account "${pending.account_id}"`);
+      return;
+    }
+    // Not an attempt: try again at the next poll once the account is connected
+    if (!whatsappClient.isClientReady) return;
+
+    const attempt = pending.attempts + 1;
+    let error;
+
+    try {
+      const attachment = await whatsappClient.downloadMessageMedia(pending.message_id);
+      if (!attachment) {
+        // Gone from the cache, so later attempts can't succeed either
+        await this.dbService.markPendingAttachmentFailed(pending.id, 'Message is no longer available in WhatsApp');
+        console.error(`❌ Media for message ${pending.message_row_id} is no longer available, giving up`);
+        return;
+      }
+
+      if (!attachment.downloadFailed) {
+        await this.dbService.completePendingAttachment(pending, attachment);
+        console.log(`📎 Media for message ${pending.message_row_id} downloaded on attempt ${attempt}`);
+        await this.broadcastUpdate(pending.message_row_id);
+        return;
+      }
+
+      error = attachment.error;
+    } catch (retryError) {
+      error = retryError.message;
+    }
+
+    const retryAt = this.getRetryAt(attempt);
+    await this.dbService.markPendingAttachmentFailed(pending.id, error, retryAt);
+
+    if (retryAt) {
+      console.warn(`⚠️ Media for message ${pending.message_row_id} failed again (attempt ${attempt}), retrying at ${retryAt.toISOString()}:`, error);
+    } else {
+      console.error(`❌ Media for message ${pending.message_row_id} failed after ${attempt} attempts:`, error);
+    }
+  }
+
+  /**
+   * Push a message whose media has arrived to connected browsers
+   * @param {number} messageRowId - Message row ID
+   */
+  async broadcastUpdate(messageRowId) {
+    if (!this.server || typeof this.server.broadcastAttachmentDownloaded !== 'function') return;
+
+    const row = await this.dbService.getMessageById(messageRowId);
+    if (!row) return;
+
+    const [message] = await this.dbService.enrichMessages([row]);
+    this.server.broadcastAttachmentDownloaded(message);
+  }
+}
+
+module.exports = MediaRetryService;
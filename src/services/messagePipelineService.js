@@ -0,0 +1,226 @@
+/**
+ * Message Pipeline Service
+ * Runs message handlers with bounded concurrency instead of one unbounded handler per WhatsApp event
+ * Work for the same chat runs strictly in arrival order; across chats, text is started before media
+ * (media that has waited too long goes first so it can't starve), and queue latency is measured
+ */
+
+const PRIORITIES = ['text', 'media'];
+
+// Number of recent samples kept per priority for latency and duration statistics
+const SAMPLE_SIZE = 500;
+
+class MessagePipelineService {
+  constructor() {
+    this.concurrency = parseInt(process.env.MESSAGE_PIPELINE_CONCURRENCY) || 4;
+    this.highWaterMark = parseInt(process.env.MESSAGE_PIPELINE_HIGH_WATER_MARK) || 500;
+    this.maxMediaWait = parseInt(process.env.MESSAGE_PIPELINE_MAX_MEDIA_WAIT_MS) || 30000;
+
+    this.queues = new Map(); // chat key -> tasks waiting, in arrival order
+    this.ready = { text: [], media: [] }; // chat keys whose next task can start, by that task's priority
+    this.running = 0;
+    this.queued = 0;
+    this.capacityWaiters = [];
+    this.overHighWaterMark = false;
+
+    this.metrics = {
+      enqueued: 0,
+      processed: 0,
+      failed: 0,
+      maxQueued: 0
+    };
+    this.samples = {
+      text: { latencies: [], durations: [] },
+      media: { latencies: [], durations: [] }
+    };
+  }
+
+  /**
+   * Queue a handler behind earlier work for the same chat
+   * Never refuses work, since WhatsApp events can't be replayed; past the high-water mark
+   * a warning is logged and waitForCapacity holds back callers that can wait (backfill)
+   * @param {string} key - Ordering key (account and chat ID)
+   * @param {string} priority - 'text' or 'media'
+   * @param {Function} handler - Async function doing the work
+   * @returns {Promise} - Resolves when the handler has finished (errors are logged, not thrown)
+   */
+  enqueue(key, priority, handler) {
+    return new Promise(resolve => {
+      const task = {
+        handler,
+        priority: PRIORITIES.includes(priority) ? priority : 'media',
+        enqueuedAt: Date.now(),
+        resolve
+      };
+
+      if (!this.queues.has(key)) {
+        this.queues.set(key, []);
+      }
+      const queue = this.queues.get(key);
+      queue.push(task);
+
+      // A chat becomes ready when its first task arrives; later ones wait their turn
+      if (queue.length === 1) {
+        this.ready[task.priority].push(key);
+      }
+
+      this.queued++;
+      this.metrics.enqueued++;
+      this.metrics.maxQueued = Math.max(this.metrics.maxQueued, this.queued);
+
+      if (this.queued >= this.highWaterMark && !this.overHighWaterMark) {
+        this.overHighWaterMark = true;
+        console.warn(`⚠️ Message pipeline backlog at ${this.queued} (high-water mark ${this.highWaterMark})`);
+      }
+
+      this.schedule();
+    });
+  }
+
+  /**
+   * Start queued tasks until every slot is busy
+   */
+  schedule() {
+    while (this.running < this.concurrency) {
+      const key = this.nextReadyKey();
+      if (!key) break;
+      this.run(key);
+    }
+  }
+
+  /**
+   * Pick the chat whose next task should start
+   * @returns {string|null} - Chat key or null if nothing is ready
+   */
+  nextReadyKey() {
+    const oldestMedia = this.ready.media[0];
+    if (oldestMedia && Date.now() - this.queues.get(oldestMedia)[0].enqueuedAt > this.maxMediaWait) {
+      return this.ready.media.shift();
+    }
+    if (this.ready.text.length > 0) {
+      return this.ready.text.shift();
+    }
+    return this.ready.media.shift() || null;
+  }
+
+  /**
+   * Run the next task of a chat, then make the chat ready again if more work is waiting
+   * @param {string} key - Chat key
+   */
+  async run(key) {
+    const queue = this.queues.get(key);
+    const task = queue[0];
+    const startedAt = Date.now();
+
+    this.running++;
+    this.addSample(this.samples[task.priority].latencies, startedAt - task.enqueuedAt);
+
+    try {
+      await task.handler();
+      this.metrics.processed++;
+    } catch (error) {
+      this.metrics.failed++;
+      console.error('❌ Message pipeline task failed:', error.message);
+    } finally {
+      this.addSample(this.samples[task.priority].durations, Date.now() - startedAt);
+
+      // The task stays at the head of its queue while running, which keeps the chat out of the ready lists
+      queue.shift();
+      this.queued--;
+      this.running--;
+
+      if (queue.length > 0) {
+        this.ready[queue[0].priority].push(key);
+      } else {
+        this.queues.delete(key);
+      }
+
+      if (this.queued < this.highWaterMark) {
+        this.overHighWaterMark = false;
+        this.capacityWaiters.splice(0).forEach(resolve => resolve());
+      }
+
+      task.resolve();
+      this.schedule();
+    }
+  }
+
+  /**
+   * Wait until the backlog is below the high-water mark
+   * Used by work that can be held back, such as backfill, so live messages aren't delayed
+   */
+  waitForCapacity() {
+    if (this.queued < this.highWaterMark) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.capacityWaiters.push(resolve));
+  }
+
+  /**
+   * Keep a bounded window of recent samples
+   * @param {Array} samples - Sample window
+   * @param {number} value - New sample in milliseconds
+   */
+  addSample(samples, value) {
+    samples.push(value);
+    if (samples.length > SAMPLE_SIZE) {
+      samples.shift();
+    }
+  }
+
+  /**
+   * Summarize a sample window
+   * @param {Array} samples - Samples in milliseconds
+   * @returns {Object} - { count, avgMs, p95Ms, maxMs }
+   */
+  summarize(samples) {
+    if (samples.length === 0) {
+      return { count: 0, avgMs: 0, p95Ms: 0, maxMs: 0 };
+    }
+
+    const sorted = [...samples].sort((a, b) => a - b);
+    return {
+      count: samples.length,
+      avgMs: Math.round(samples.reduce((sum, value) => sum + value, 0) / samples.length),
+      p95Ms: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+      maxMs: sorted[sorted.length - 1]
+    };
+  }
+
+  /**
+   * Get current load and recent queue latency
+   * @returns {Object} - Pipeline metrics for the API
+   */
+  getMetrics() {
+    let oldestQueuedAt = null;
+    for (const queue of this.queues.values()) {
+      if (!oldestQueuedAt || queue[0].enqueuedAt < oldestQueuedAt) {
+        oldestQueuedAt = queue[0].enqueuedAt;
+      }
+    }
+
+    const byPriority = {};
+    for (const priority of PRIORITIES) {
+      byPriority[priority] = {
+        ready: this.ready[priority].length,
+        queueLatency: this.summarize(this.samples[priority].latencies),
+        processingTime: this.summarize(this.samples[priority].durations)
+      };
+    }
+
+    return {
+      concurrency: this.concurrency,
+      highWaterMark: this.highWaterMark,
+      running: this.running,
+      queued: this.queued,
+      chatsWaiting: this.queues.size,
+      oldestQueuedMs: oldestQueuedAt ? Date.now() - oldestQueuedAt : 0,
+      ...this.metrics,
+      byPriority
+    };
+  }
+}
+
+MessagePipelineService.PRIORITIES = PRIORITIES;
+
+module.exports = MessagePipelineService;
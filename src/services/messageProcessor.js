@@ -3,12 +3,43 @@
  * Processes and validates messages before storage
  */
 
+const crypto = require('crypto');
 const AttachmentService = require('./attachmentService');
 
+// Quoted messages whose downloaded file is remembered for later replies
+const MAX_QUOTED_ATTACHMENTS = 500;
+
 class MessageProcessor {
-  constructor() {
+  /**
+   * Constructor
+   * @param {Object} dbService - Database service, used to link replies to the stored message they quote (optional)
+   */
+  constructor(dbService = null) {
+    this.dbService = dbService;
+    
     // Initialize attachment service
     this.attachmentService = new AttachmentService();
+    
+    // Media download policy; without one every attachment is downloaded straight away
+    this.mediaPolicy = null;
+    
+    // Albums arrive as separate messages; media from one sender this close together is grouped
+    this.albumWindow = parseInt(process.env.ALBUM_WINDOW_SECONDS) || 3;
+    this.albumTrackers = new Map(); // "chatId:senderId" -> the sender's latest album in that chat
+    
+    // Files downloaded for quoted messages that aren't stored, so replies to the same message share one copy
+    this.quotedAttachments = new Map(); // quoted message ID -> promise of the saved path (null if it failed)
+    
+    // Shorter texts ("ok", "Good morning") repeat everywhere and would match unrelated messages
+    this.minHashedTextLength = parseInt(process.env.FORWARD_MIN_TEXT_LENGTH) || 40;
+  }
+
+  /**
+   * Attach the media download policy (eager, lazy or skip per group and type)
+   * @param {Object} mediaPolicy - MediaPolicyService instance
+   */
+  setMediaPolicy(mediaPolicy) {
+    this.mediaPolicy = mediaPolicy;
   }
 
   /**
@@ -34,6 +65,32 @@ class MessageProcessor {
       // Extract message data
       const messageData = await this.extractMessageData(rawMessage);
       
+      // Keep poll question and options as structured data
+      if (rawMessage.type === 'poll_creation') {
+        messageData.poll = this.extractPollData(rawMessage);
+      }
+      
+      // Keep coordinates of shared locations instead of the thumbnail body
+      if (this.isLocationMessage(rawMessage)) {
+        messageData.locationData = this.extractLocationData(rawMessage);
+        messageData.messageText = messageData.locationData.caption ||
+          [messageData.locationData.name, messageData.locationData.address].filter(Boolean).join('\n');
+      }
+      
+      // Resolve @mentions to the people they name
+      if (rawMessage.mentionedIds && rawMessage.mentionedIds.length > 0) {
+        messageData.mentions = await this.extractMentions(rawMessage);
+      }
+      
+      // Parse contact cards instead of storing raw vCard text
+      if (rawMessage.type === 'vcard' || rawMessage.type === 'multi_vcard') {
+        messageData.contactData = (rawMessage.vCards || []).map(vCard => this.parseVCard(vCard));
+        messageData.messageText = messageData.contactData
+          .map(contact => contact.name)
+          .filter(Boolean)
+          .join(', ');
+      }
+      
       // Check if this is a reply to another message
       if (rawMessage.hasQuotedMsg) {
         try {
@@ -47,65 +104,14 @@ class MessageProcessor {
           
           if (quotedData) {
             messageData.replyToMessageId = quotedData.messageId;
-            // Use replyText from quotedData if available (for video attachments)
-            messageData.replyText = quotedData.replyText || quotedData.messageText;
-            // Fix: Ensure attachment type and path are correctly assigned
+            messageData.replyText = quotedData.messageText;
             messageData.replyAttachmentType = quotedData.attachmentType;
             messageData.replyAttachmentPath = quotedData.attachmentPath;
-            // Add unified attachment_type field
-            messageData.attachmentType = messageData.attachmentType || null;
-            
-            // Verify attachment type and path are correctly set
-            if (messageData.replyAttachmentPath && !messageData.replyAttachmentType) {
-              // Infer type from path if missing
-              if (messageData.replyAttachmentPath.includes('VIDEOS/')) {
-                messageData.replyAttachmentType = 'video';
-              } else if (messageData.replyAttachmentPath.includes('AUDIO/')) {
-                messageData.replyAttachmentType = 'audio';
-              } else if (messageData.replyAttachmentPath.includes('IMAGES/')) {
-                messageData.replyAttachmentType = 'image';
-              } else if (messageData.replyAttachmentPath.includes('DOCUMENTS/')) {
-                messageData.replyAttachmentType = 'document';
-              }
-              console.log('Inferred replyAttachmentType from path:', messageData.replyAttachmentType);
-            }
-            
-            console.log('Setting reply data in messageData:');
-            console.log('- replyToMessageId:', messageData.replyToMessageId);
-            console.log('- replyText:', messageData.replyText);
-            console.log('- replyAttachmentType:', messageData.replyAttachmentType);
-            console.log('- replyAttachmentPath:', messageData.replyAttachmentPath);
-            
-            // For video replies, ensure replyText contains the path if empty
-            if (quotedData.attachmentType === 'video' && (!messageData.replyText || messageData.replyText.trim() === '')) {
-              messageData.replyText = quotedData.attachmentPath;
-              console.log('Setting replyText to video path in processMessage:', messageData.replyText);
-            }
             
-            // Special handling for video and audio attachments
-            if (quotedMsg.hasMedia) {
-              if (quotedMsg.type === 'video' && !messageData.replyAttachmentType) {
-                messageData.replyAttachmentType = 'video';
-                
-                // If we don't have a path yet, generate one
-                if (!messageData.replyAttachmentPath) {
-                  const timestamp = quotedMsg.timestamp ? quotedMsg.timestamp * 1000 : new Date().getTime();
-                  const filename = `${timestamp}_attachment_${timestamp}.mp4`;
-                  messageData.replyAttachmentPath = `VIDEOS/${filename}`;
-                  console.log('Generated video attachment path for reply:', messageData.replyAttachmentPath);
-                }
-              } else if (quotedMsg.type === 'audio' && !messageData.replyAttachmentType) {
-                messageData.replyAttachmentType = 'audio';
-                
-                // If we don't have a path yet, generate one
-                if (!messageData.replyAttachmentPath) {
-                  const timestamp = quotedMsg.timestamp ? quotedMsg.timestamp * 1000 : new Date().getTime();
-                  const filename = `${timestamp}_attachment_${timestamp}.mp3`;
-                  messageData.replyAttachmentPath = `AUDIO/${filename}`;
-                  console.log('Generated audio attachment path for reply:', messageData.replyAttachmentPath);
-                }
-              }
-            }
+            // Link to the stored parent and point at its real attachment, downloading it if we never stored it
+            const parent = await this.resolveReplyParent(quotedMsg, quotedData, messageData.groupId);
+            messageData.replyToRowId = parent.rowId;
+            messageData.replyAttachmentPath = parent.attachmentPath || messageData.replyAttachmentPath;
           }
         } catch (replyError) {
           console.error('Error processing reply:', replyError);
@@ -127,20 +133,25 @@ class MessageProcessor {
       // Process attachments if present
       if (rawMessage.hasMedia) {
         try {
-          // Check if this is part of a batch
-          const isBatchAttachment = this.isBatchAttachment(rawMessage);
+          const mediaType = this.getExpectedMediaType(rawMessage);
+          const mediaMode = this.mediaPolicy
+            ? await this.mediaPolicy.getMode(messageData.groupId, mediaType)
+            : 'eager';
           
-          if (isBatchAttachment) {
-            // Process as part of a batch
-            const batchData = await this.processBatchAttachment(rawMessage);
-            if (batchData) {
-              messageData.batchAttachmentPath = batchData.batchAttachmentPath;
-              messageData.batchMetadata = batchData.batchMetadata;
-            }
+          if (mediaMode !== 'eager') {
+            // Keep only what's needed to fetch the file on request (lazy) or show what was left out (skip)
+            messageData.mediaInfo = this.extractMediaInfo(rawMessage, mediaType, mediaMode);
+            messageData.attachmentType = mediaType;
           } else {
             // Process as a single attachment
             const attachmentData = await this.processAttachment(rawMessage);
-            if (attachmentData) {
+            if (attachmentData && attachmentData.downloadFailed) {
+              // Stored without the file for now; the media retry worker downloads it later
+              messageData.pendingAttachment = {
+                mediaType,
+                error: attachmentData.error
+              };
+            } else if (attachmentData) {
               messageData.imageAttachmentPath = attachmentData.imageAttachmentPath;
               messageData.documentAttachmentPath = attachmentData.documentAttachmentPath;
               messageData.videoAttachmentPath = attachmentData.videoAttachmentPath;
@@ -153,6 +164,9 @@ class MessageProcessor {
         }
       }
       
+      // Photos and videos sent together as an album are linked into one batch
+      messageData.batch = this.assignBatch(rawMessage, messageData);
+      
       // Validate message
       if (!this.validateMessage(messageData)) {
         return null;
@@ -228,28 +242,69 @@ class MessageProcessor {
   }
   
   /**
-   * Check if message is part of a batch attachment
+   * Work out whether a message belongs to an album
+   * WhatsApp delivers an album as separate messages, so a photo or video from the same sender in the
+   * same chat within ALBUM_WINDOW_SECONDS of the previous one joins its batch; any other message from
+   * the sender ends it. The batch ID is the first item's message ID and items are numbered from 0.
+   * Relies on a chat's messages being processed in order, which the message pipeline guarantees.
    * @param {Object} rawMessage - Raw WhatsApp message
-   * @returns {boolean} - True if message is part of a batch
+   * @param {Object} messageData - Extracted message data
+   * @returns {Object|null} - { batchId, position, startedAt }, or null if the message isn't (yet) part of an album
    */
-  isBatchAttachment(rawMessage) {
-    // This is a placeholder for batch detection logic
-    // In a real implementation, you might check for specific markers in the message
-    // or use timing and sender information to group messages
+  assignBatch(rawMessage, messageData) {
+    if (!messageData.messageId || !messageData.senderId) return null;
+    
+    const key = `${messageData.groupId}:${messageData.senderId}`;
+    const tracker = this.albumTrackers.get(key);
     
-    // For now, we'll assume it's not a batch
-    return false;
+    if (!rawMessage.hasMedia || !['image', 'video'].includes(rawMessage.type)) {
+      this.albumTrackers.delete(key);
+      return null;
+    }
+    
+    const toBatch = (album) => ({
+      batchId: album.batchId,
+      position: album.positions.get(messageData.messageId),
+      startedAt: album.startedAt
+    });
+    
+    // The same message seen again (by a second account in the group, or on replay) keeps its place
+    if (tracker && tracker.positions.has(messageData.messageId)) {
+      return tracker.positions.size > 1 ? toBatch(tracker) : null;
+    }
+    
+    const timestamp = rawMessage.timestamp || Math.floor(new Date(messageData.timestamp).getTime() / 1000);
+    if (tracker && Math.abs(timestamp - tracker.lastTimestamp) <= this.albumWindow) {
+      tracker.positions.set(messageData.messageId, tracker.positions.size);
+      tracker.lastTimestamp = timestamp;
+      tracker.seenAt = Date.now();
+      return toBatch(tracker);
+    }
+    
+    // A photo or video that starts a new run only becomes a batch once a second item joins it
+    this.pruneAlbumTrackers();
+    this.albumTrackers.set(key, {
+      batchId: messageData.messageId,
+      positions: new Map([[messageData.messageId, 0]]),
+      startedAt: messageData.timestamp,
+      lastTimestamp: timestamp,
+      seenAt: Date.now()
+    });
+    return null;
   }
   
   /**
-   * Process a batch of attachments
-   * @param {Object} rawMessage - Raw WhatsApp message
-   * @returns {Object} - Batch attachment data
+   * Forget albums nobody has added to for a while, so the tracker doesn't grow with every sender
    */
-  async processBatchAttachment(rawMessage) {
-    // This would implement batch processing logic
-    // For now, we'll return null as this is a placeholder
-    return null;
+  pruneAlbumTrackers() {
+    if (this.albumTrackers.size < 1000) return;
+    
+    const cutoff = Date.now() - 10 * 60 * 1000;
+    for (const [key, tracker] of this.albumTrackers) {
+      if (tracker.seenAt < cutoff) {
+        this.albumTrackers.delete(key);
+      }
+    }
   }
 
   /**
@@ -291,9 +346,22 @@ class MessageProcessor {
         groupName: chat.name,
         senderId: contact.id._serialized,
         senderName: contact.pushname || contact.name || 'Unknown',
+        senderContact: {
+          contactId: contact.id._serialized,
+          phoneNumber: contact.number || null,
+          name: contact.name || null,
+          pushname: contact.pushname || null,
+          verifiedName: contact.verifiedName || null,
+          isBusiness: !!contact.isBusiness
+        },
         messageText: rawMessage.body,
         timestamp: rawMessage.timestamp ? new Date(rawMessage.timestamp * 1000) : new Date(),
-        isGroup: chat.isGroup
+        isGroup: chat.isGroup,
+        chatType: chat.isGroup ? 'group' : 'direct',
+        direction: rawMessage.fromMe ? 'outgoing' : 'incoming',
+        isForwarded: !!rawMessage.isForwarded,
+        forwardingScore: rawMessage.forwardingScore || 0,
+        contentHash: this.getContentHash(rawMessage)
       };
     } catch (error) {
       console.error('Error extracting message data:', util.inspect({ error: error.message }, { colors: true, depth: null }));
@@ -301,6 +369,128 @@ class MessageProcessor {
     }
   }
   
+  /**
+   * Extract question and options from a poll creation message
+   * @param {Object} rawMessage - Raw WhatsApp poll message
+   * @returns {Object} - Poll data with options as { localId, name }
+   */
+  extractPollData(rawMessage) {
+    const options = (rawMessage.pollOptions || []).map((option, index) => ({
+      localId: option.localId !== undefined ? option.localId : index,
+      name: option.name
+    }));
+    
+    return {
+      question: rawMessage.pollName || rawMessage.body || '',
+      options,
+      allowMultipleAnswers: !!rawMessage.allowMultipleAnswers
+    };
+  }
+
+  /**
+   * Check if message is a shared location or live location
+   * @param {Object} rawMessage - Raw WhatsApp message
+   * @returns {boolean} - True for location messages
+   */
+  isLocationMessage(rawMessage) {
+    return rawMessage.type === 'location' || rawMessage.type === 'livelocation' || !!rawMessage.location;
+  }
+
+  /**
+   * Extract coordinates, name and address from a location message
+   * @param {Object} rawMessage - Raw WhatsApp location message
+   * @returns {Object} - Location data with a map link
+   */
+  extractLocationData(rawMessage) {
+    const data = rawMessage._data || {};
+    const location = rawMessage.location || {};
+    
+    const latitude = location.latitude !== undefined ? location.latitude : data.lat;
+    const longitude = location.longitude !== undefined ? location.longitude : data.lng;
+    const isLive = rawMessage.type === 'livelocation' || !!data.isLive;
+    
+    return {
+      latitude,
+      longitude,
+      name: location.name || null,
+      address: location.address || null,
+      url: location.url || null,
+      isLive,
+      accuracy: isLive && data.accuracy !== undefined ? data.accuracy : null,
+      speed: isLive && data.speed !== undefined ? data.speed : null,
+      degrees: isLive && data.degrees !== undefined ? data.degrees : null,
+      caption: data.comment || null,
+      mapUrl: latitude !== undefined && longitude !== undefined
+        ? `https://www.google.com/maps?q=${latitude},${longitude}`
+        : null
+    };
+  }
+
+  /**
+   * Parse a vCard into names, phone numbers, emails and organization
+   * @param {string} vCard - Raw vCard text
+   * @returns {Object} - Parsed contact card
+   */
+  parseVCard(vCard) {
+    const contact = {
+      name: null,
+      firstName: null,
+      lastName: null,
+      organization: null,
+      phones: [],
+      emails: []
+    };
+    
+    if (!vCard) return contact;
+    
+    // Unfold continuation lines (RFC 6350: lines starting with a space or tab)
+    const lines = vCard.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    
+    for (const line of lines) {
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+      
+      // Drop grouping prefixes like "item1." and split off parameters
+      const [rawKey, ...params] = line.slice(0, separator).split(';');
+      const key = rawKey.replace(/^[^.]+\./, '').toUpperCase();
+      const value = line.slice(separator + 1).trim();
+      
+      switch (key) {
+        case 'FN':
+          contact.name = value;
+          break;
+        case 'N': {
+          const [lastName, firstName] = value.split(';');
+          contact.lastName = lastName || null;
+          contact.firstName = firstName || null;
+          break;
+        }
+        case 'ORG':
+          contact.organization = value.replace(/;+$/, '') || null;
+          break;
+        case 'TEL': {
+          const waidParam = params.find(param => param.toLowerCase().startsWith('waid='));
+          const typeParam = params.find(param => param.toLowerCase().startsWith('type='));
+          contact.phones.push({
+            number: value,
+            waId: waidParam ? waidParam.split('=')[1] : null,
+            type: typeParam ? typeParam.split('=')[1].toLowerCase() : null
+          });
+          break;
+        }
+        case 'EMAIL':
+          contact.emails.push(value);
+          break;
+      }
+    }
+    
+    if (!contact.name) {
+      contact.name = [contact.firstName, contact.lastName].filter(Boolean).join(' ') || null;
+    }
+    
+    return contact;
+  }
+
   /**
    * Extract data from a quoted/replied message
    * @param {Object} quotedMsg - The quoted message object
@@ -325,55 +515,16 @@ class MessageProcessor {
       console.log(util.inspect(replyInfo, { colors: true, depth: null }));
       console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
       
-      // Determine attachment type and path
+      // Determine attachment type; media paths come from the stored parent (see resolveReplyParent)
       let attachmentType = null;
       let attachmentPath = null;
       
       if (quotedMsg.hasMedia) {
-        console.log('📎 Quoted message has media, processing attachment...');
-        const mediaData = await quotedMsg.downloadMedia();
-        console.log('📄 Media data downloaded:', util.inspect({ mimetype: mediaData?.mimetype || 'unknown' }, { colors: true, depth: null }));
-        
-        if (mediaData && mediaData.mimetype) {
-          if (mediaData.mimetype.startsWith('image/')) {
-            attachmentType = 'image';
-            // Try to get the image path from the message data
-            // For WhatsApp images, we need to query the database to get the actual path
-            // For now, we'll use the format that matches how images are stored in the system
-            const timestamp = quotedMsg.timestamp ? quotedMsg.timestamp * 1000 : new Date().getTime();
-            const filename = `${timestamp}_attachment_${timestamp}.jpg`;
-            attachmentPath = `IMAGES/${filename}`;
-            console.log('Reply to image attachment path set to:', util.inspect({ path: attachmentPath }, { colors: true, depth: null }));
-          } else if (mediaData.mimetype.startsWith('video/')) {
-            attachmentType = 'video';
-            // Use the same format as the original video storage
-            const timestamp = quotedMsg.timestamp ? quotedMsg.timestamp * 1000 : new Date().getTime();
-            const filename = `${timestamp}_attachment_${timestamp}.mp4`;
-            attachmentPath = `VIDEOS/${filename}`;
-            console.log('Reply to video attachment:', util.inspect({ path: attachmentPath, type: attachmentType }, { colors: true, depth: null }));
-          } else if (mediaData.mimetype.startsWith('audio/')) {
-            attachmentType = 'audio';
-            // Use the same format as the original audio storage
-            const timestamp = quotedMsg.timestamp ? quotedMsg.timestamp * 1000 : new Date().getTime();
-            const filename = `${timestamp}_attachment_${timestamp}.mp3`;
-            attachmentPath = `AUDIO/${filename}`;
-            console.log('Reply to audio attachment path set to:', util.inspect({ path: attachmentPath }, { colors: true, depth: null }));
-          } else if (mediaData.mimetype.startsWith('application/')) {
-            attachmentType = 'document';
-            // Use the same format as the original document storage
-            const timestamp = quotedMsg.timestamp ? quotedMsg.timestamp * 1000 : new Date().getTime();
-            const filename = `${timestamp}_attachment_${timestamp}.pdf`;
-            attachmentPath = `DOCUMENTS/${filename}`;
-            console.log('Reply to document attachment path set to:', util.inspect({ path: attachmentPath }, { colors: true, depth: null }));
-          }
-          console.log('After processing media:', util.inspect({ attachmentType, attachmentPath }, { colors: true, depth: null }));
-        } else {
-          console.log(util.inspect({ error: 'No valid media data or mimetype found in quoted message' }, { colors: true, depth: null }));
-        }
+        attachmentType = this.getExpectedMediaType(quotedMsg);
       } else {
         // Check if the message contains a link
         const urlRegex = /(https?:\/\/[^\s]+)/g;
-        const matches = quotedMsg.body.match(urlRegex);
+        const matches = (quotedMsg.body || '').match(urlRegex);
         
         if (matches && matches.length > 0) {
           attachmentType = 'link';
@@ -383,41 +534,11 @@ class MessageProcessor {
         }
       }
       
-      // For video replies, also set the replyText to the attachmentPath
-      // This ensures the video path is available in the reply_text field
-      let replyText = quotedMsg.body;
-      
-      // If it's a video attachment and there's no text, use the path as the reply text
-      if (attachmentType === 'video' && (!replyText || replyText.trim() === '')) {
-        replyText = attachmentPath;
-      }
-      
-      // Ensure attachmentType and attachmentPath are set correctly for videos
-      if (quotedMsg.hasMedia && !attachmentType) {
-        // If we couldn't determine the type from mimetype, try to infer from other properties
-        if (quotedMsg.type === 'video') {
-          attachmentType = 'video';
-          const timestamp = quotedMsg.timestamp ? quotedMsg.timestamp * 1000 : new Date().getTime();
-          const filename = `${timestamp}_attachment_${timestamp}.mp4`;
-          attachmentPath = `VIDEOS/${filename}`;
-          console.log('Inferred video attachment from message type:', util.inspect({ path: attachmentPath }, { colors: true, depth: null }));
-        }
-      }
-      
-      // Final check to ensure video paths are correctly set
-      if (attachmentType === 'video' && !attachmentPath) {
-        const timestamp = quotedMsg.timestamp ? quotedMsg.timestamp * 1000 : new Date().getTime();
-        const filename = `${timestamp}_attachment_${timestamp}.mp4`;
-        attachmentPath = `VIDEOS/${filename}`;
-        console.log('Fixed missing video attachment path:', util.inspect({ path: attachmentPath }, { colors: true, depth: null }));
-      }
-      
       const result = {
         messageId: quotedMsg.id._serialized,
         messageText: quotedMsg.body,
         attachmentType,
-        attachmentPath,
-        replyText: replyText
+        attachmentPath
       };
       
       console.log('Final reply data being returned:', util.inspect(result, { colors: true, depth: null }));
@@ -428,6 +549,65 @@ class MessageProcessor {
     }
   }
 
+  /**
+   * Find the stored message a reply quotes, and the parent's attachment
+   * If the parent was never stored (sent before capture started, or from a group we skip), its media is
+   * downloaded once, shared by every reply to it, unless the media policy says otherwise
+   * @param {Object} quotedMsg - Quoted WhatsApp message
+   * @param {Object} quotedData - Data from extractReplyData
+   * @param {string} groupId - Chat the reply was sent in
+   * @returns {Object} - { rowId, attachmentPath }, either of which may be null
+   */
+  async resolveReplyParent(quotedMsg, quotedData, groupId) {
+    if (this.dbService) {
+      try {
+        const parent = await this.dbService.getMessageByWhatsAppId(quotedData.messageId);
+        if (parent) {
+          return {
+            rowId: parent.id,
+            attachmentPath: parent.image_attachment_path || parent.video_attachment_path ||
+              parent.audio_attachment_path || parent.document_attachment_path || null
+          };
+        }
+      } catch (error) {
+        // Linked later, when the row is written or the parent arrives
+        console.error('Error looking up quoted message:', error.message);
+      }
+    }
+    
+    if (!quotedMsg.hasMedia) {
+      return { rowId: null, attachmentPath: null };
+    }
+    
+    const mediaMode = this.mediaPolicy
+      ? await this.mediaPolicy.getMode(groupId, quotedData.attachmentType)
+      : 'eager';
+    if (mediaMode !== 'eager') {
+      return { rowId: null, attachmentPath: null };
+    }
+    
+    // Concurrent replies from different chats wait for the same download
+    if (!this.quotedAttachments.has(quotedData.messageId)) {
+      this.quotedAttachments.set(quotedData.messageId, this.processAttachment(quotedMsg).then(attachment => {
+        if (!attachment || attachment.downloadFailed) return null;
+        return attachment.imageAttachmentPath || attachment.videoAttachmentPath ||
+          attachment.audioAttachmentPath || attachment.documentAttachmentPath;
+      }));
+      
+      // Keep only recent quoted messages; Maps iterate oldest first
+      if (this.quotedAttachments.size > MAX_QUOTED_ATTACHMENTS) {
+        this.quotedAttachments.delete(this.quotedAttachments.keys().next().value);
+      }
+    }
+    
+    const attachmentPath = await this.quotedAttachments.get(quotedData.messageId);
+    if (!attachmentPath) {
+      // Let the next reply try again
+      this.quotedAttachments.delete(quotedData.messageId);
+    }
+    return { rowId: null, attachmentPath };
+  }
+
   /**
    * Validate message meets storage criteria
    * @param {Object} message - Extracted message data
@@ -473,7 +653,7 @@ class MessageProcessor {
   /**
    * Process message attachment
    * @param {Object} rawMessage - Raw WhatsApp message object
-   * @returns {Object} - Object with attachment paths
+   * @returns {Object} - Object with attachment paths, or { downloadFailed, error } if the media couldn't be downloaded
    */
   async processAttachment(rawMessage) {
     try {
@@ -492,11 +672,17 @@ class MessageProcessor {
       console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
       
       // Download media data
-      const mediaData = await rawMessage.downloadMedia();
+      let mediaData;
+      try {
+        mediaData = await rawMessage.downloadMedia();
+      } catch (downloadError) {
+        console.log(util.inspect({ error: '❌ Media download failed', reason: downloadError.message }, { colors: true, depth: null }));
+        return { downloadFailed: true, error: downloadError.message };
+      }
       
       if (!mediaData || !mediaData.data) {
         console.log(util.inspect({ error: '❌ No media data found in message' }, { colors: true, depth: null }));
-        return null;
+        return { downloadFailed: true, error: 'No media data returned' };
       }
       console.log('✅ Media downloaded successfully:', util.inspect({ mimetype: mediaData.mimetype }, { colors: true, depth: null }));
       
@@ -553,6 +739,98 @@ class MessageProcessor {
     }
   }
   
+  /**
+   * Work out which attachment column a message's media belongs in before it is downloaded
+   * @param {Object} rawMessage - Raw WhatsApp message object
+   * @returns {string} - 'image', 'video', 'audio' or 'document'
+   */
+  getExpectedMediaType(rawMessage) {
+    switch (rawMessage.type) {
+      case 'image':
+      case 'sticker':
+        return 'image';
+      case 'video':
+        return 'video';
+      case 'audio':
+      case 'ptt':
+        return 'audio';
+      default:
+        return 'document';
+    }
+  }
+  
+  /**
+   * Describe media that is not downloaded with the message
+   * @param {Object} rawMessage - Raw WhatsApp message object
+   * @param {string} mediaType - Expected attachment type
+   * @param {string} mode - 'lazy' or 'skip'
+   * @returns {Object} - { mode, mediaType, mimetype, size, filename, mediaKey }
+   */
+  extractMediaInfo(rawMessage, mediaType, mode) {
+    const data = rawMessage._data || {};
+    return {
+      mode,
+      mediaType,
+      mimetype: data.mimetype || null,
+      size: data.size || null,
+      filename: data.filename || null,
+      mediaKey: rawMessage.mediaKey || data.mediaKey || null
+    };
+  }
+  
+  /**
+   * Resolve a message's @mentions to contacts
+   * The text keeps WhatsApp's placeholders ("@" followed by the ID's number); each mention records the
+   * placeholder it replaces so names can be shown in its place
+   * @param {Object} rawMessage - Raw WhatsApp message object
+   * @returns {Array} - Mentions ({ contactId, placeholder, displayName })
+   */
+  async extractMentions(rawMessage) {
+    const mentions = [];
+    
+    for (const mentionedId of rawMessage.mentionedIds) {
+      const contactId = typeof mentionedId === 'string' ? mentionedId : mentionedId._serialized;
+      if (!contactId || mentions.some(mention => mention.contactId === contactId)) continue;
+      
+      let displayName = null;
+      try {
+        const contact = await rawMessage.client.getContactById(contactId);
+        displayName = contact.name || contact.pushname || contact.verifiedName || null;
+      } catch (error) {
+        // Stored without a name; the contact directory may know it later
+        console.error('Error resolving mentioned contact:', contactId, error.message);
+      }
+      
+      mentions.push({
+        contactId,
+        placeholder: `@${contactId.split('@')[0]}`,
+        displayName
+      });
+    }
+    
+    return mentions;
+  }
+  
+  /**
+   * Fingerprint a message's content so copies forwarded to other chats can be matched
+   * Taken before link extraction changes the text; media is identified by WhatsApp's file hash,
+   * which a forward keeps. Text-only messages are fingerprinted only from FORWARD_MIN_TEXT_LENGTH characters
+   * @param {Object} rawMessage - Raw WhatsApp message object
+   * @returns {string|null} - SHA-256 hex digest, or null for media without a file hash or short text
+   */
+  getContentHash(rawMessage) {
+    const data = rawMessage._data || {};
+    // For media, body is the caption
+    const normalizedText = (rawMessage.body || '').trim().replace(/\s+/g, ' ');
+    const mediaHash = rawMessage.hasMedia ? (data.filehash || rawMessage.mediaKey || data.mediaKey || '') : '';
+    
+    if (rawMessage.hasMedia ? !mediaHash : normalizedText.length < this.minHashedTextLength) return null;
+    
+    return crypto.createHash('sha256')
+      .update(`${mediaHash}\n${normalizedText}`)
+      .digest('hex');
+  }
+  
   /**
    * Get file extension from MIME type
    * @param {string} mimeType - MIME type
@@ -616,45 +894,6 @@ class MessageProcessor {
     // Add a single util declaration at the top of the function
     const util = require('util');
     
-    console.log('Formatting message data for storage, checking reply data:');
-    console.log(util.inspect({
-      replyAttachmentType: message.replyAttachmentType,
-      replyAttachmentPath: message.replyAttachmentPath,
-      replyText: message.replyText
-    }, { colors: true, depth: null }));
-    
-    // For video replies, ensure replyText contains the video path if not already set
-    if (message.replyAttachmentType === 'video' && (!message.replyText || message.replyText.trim() === '') && message.replyAttachmentPath) {
-      message.replyText = message.replyAttachmentPath;
-      console.log('Setting replyText to video path:', util.inspect({ replyText: message.replyText }, { colors: true, depth: null }));
-    }
-    
-    // Ensure replyAttachmentType and replyAttachmentPath are properly set for videos and audio
-    if (message.replyAttachmentPath) {
-      if (message.replyAttachmentPath.includes('VIDEOS/') && !message.replyAttachmentType) {
-        message.replyAttachmentType = 'video';
-        console.log('Fixed missing replyAttachmentType for video:', util.inspect({ type: message.replyAttachmentType }, { colors: true, depth: null }));
-      } else if (message.replyAttachmentPath.includes('AUDIO/') && !message.replyAttachmentType) {
-        message.replyAttachmentType = 'audio';
-        console.log('Fixed missing replyAttachmentType for audio:', util.inspect({ type: message.replyAttachmentType }, { colors: true, depth: null }));
-      }
-    }
-    
-    // Fix: Make sure replyAttachmentPath is not empty when replyAttachmentType is set
-    if (message.replyAttachmentType && !message.replyAttachmentPath) {
-      console.log('Warning: replyAttachmentType is set but replyAttachmentPath is empty');
-      // Try to infer path from type
-      if (message.replyAttachmentType === 'video') {
-        const timestamp = new Date().getTime();
-        message.replyAttachmentPath = `VIDEOS/${timestamp}_attachment_${timestamp}.mp4`;
-        console.log('Generated missing video path for reply:', util.inspect({ path: message.replyAttachmentPath }, { colors: true, depth: null }));
-      } else if (message.replyAttachmentType === 'audio') {
-        const timestamp = new Date().getTime();
-        message.replyAttachmentPath = `AUDIO/${timestamp}_attachment_${timestamp}.mp3`;
-        console.log('Generated missing audio path for reply:', util.inspect({ path: message.replyAttachmentPath }, { colors: true, depth: null }));
-      }
-    }
-    
     // Determine unified attachment type
     let attachmentType = null;
     if (message.imageAttachmentPath) {
@@ -669,10 +908,21 @@ class MessageProcessor {
       attachmentType = 'link';
     } else if (message.batchAttachmentPath) {
       attachmentType = 'batch';
+    } else if (message.poll) {
+      attachmentType = 'poll';
+    } else if (message.locationData) {
+      attachmentType = 'location';
+    } else if (message.contactData && message.contactData.length > 0) {
+      attachmentType = 'contact';
     }
     const formattedMessage = {
+  messageId: message.messageId || null,
   groupId: message.groupId,
   groupName: message.groupName,
+  chatType: message.chatType || 'group',
+  direction: message.direction || 'incoming',
+  senderId: message.senderId || null,
+  senderContact: message.senderContact || null,
   senderName: message.senderName,
   messageText: message.messageText,
   timestamp: message.timestamp,
@@ -687,15 +937,31 @@ class MessageProcessor {
   replyText: message.replyText || null,
   replyAttachmentType: message.replyAttachmentType || null,
   replyAttachmentPath: message.replyAttachmentPath || null,
-  attachmentType: message.attachmentType || attachmentType
+  replyToRowId: message.replyToRowId || null,
+  attachmentType: message.attachmentType || attachmentType,
+  poll: message.poll || null,
+  locationData: message.locationData || null,
+  contactData: message.contactData || null,
+  pendingAttachment: message.pendingAttachment || null,
+  mediaInfo: message.mediaInfo || null,
+  batch: message.batch || null,
+  isForwarded: !!message.isForwarded,
+  forwardingScore: message.forwardingScore || 0,
+  contentHash: message.contentHash || null,
+  mentions: message.mentions || []
 };
 
 console.log(JSON.stringify(formattedMessage, null, 2));
 
     
     return {
+      messageId: message.messageId || null,
       groupId: message.groupId,
       groupName: message.groupName,
+      chatType: message.chatType || 'group',
+      direction: message.direction || 'incoming',
+      senderId: message.senderId || null,
+      senderContact: message.senderContact || null,
       senderName: message.senderName,
       messageText: message.messageText,
       timestamp: message.timestamp,
@@ -710,7 +976,18 @@ console.log(JSON.stringify(formattedMessage, null, 2));
       replyText: message.replyText || null,
       replyAttachmentType: message.replyAttachmentType || null,
       replyAttachmentPath: message.replyAttachmentPath || null,
-      attachmentType: message.attachmentType || attachmentType
+      replyToRowId: message.replyToRowId || null,
+      attachmentType: message.attachmentType || attachmentType,
+      poll: message.poll || null,
+      locationData: message.locationData || null,
+      contactData: message.contactData || null,
+      pendingAttachment: message.pendingAttachment || null,
+      mediaInfo: message.mediaInfo || null,
+      batch: message.batch || null,
+      isForwarded: !!message.isForwarded,
+      forwardingScore: message.forwardingScore || 0,
+      contentHash: message.contentHash || null,
+      mentions: message.mentions || []
     };
   }
 }
@@ -0,0 +1,320 @@
+/**
+ * Rule Engine Service
+ * Evaluates auto-reply rules against each newly captured incoming message
+ * Rules match on group, sender, a text regex and attachment type; matching rules reply in-thread,
+ * forward the message to another group, or tag it. Replies and forwards go through the send queue.
+ */
+
+const fs = require('fs');
+
+const ACTION_TYPES = ['reply', 'forward', 'tag'];
+const ATTACHMENT_TYPES = ['none', 'image', 'video', 'audio', 'document', 'link', 'batch', 'poll', 'location', 'contact'];
+
+class RuleEngineService {
+  /**
+   * Constructor
+   * @param {Object} dbService - Database service
+   * @param {Object} sendQueue - Send queue used for replies and forwards
+   * @param {Object} attachmentService - Attachment service, to find stored media when forwarding
+   */
+  constructor(dbService, sendQueue, attachmentService) {
+    this.dbService = dbService;
+    this.sendQueue = sendQueue;
+    this.attachmentService = attachmentService;
+
+    // Cached rules with compiled patterns, reloaded whenever they are changed through this service
+    this.rules = [];
+    this.loaded = false;
+    this.lastFired = new Map(); // "ruleId:groupId:dryRun" -> time of the last firing, for cooldowns
+  }
+
+  /**
+   * Load the rules from the database and compile their patterns
+   */
+  async load() {
+    const rules = await this.dbService.getAutoReplyRules();
+    this.rules = rules.map(rule => ({
+      ...rule,
+      regex: rule.text_pattern ? new RegExp(rule.text_pattern, 'i') : null
+    }));
+    this.loaded = true;
+  }
+
+  /**
+   * Load the rules on first use
+   */
+  async ensureLoaded() {
+    if (!this.loaded) {
+      await this.load();
+    }
+  }
+
+  /**
+   * Run every enabled rule against a newly stored message
+   * Only live incoming messages are evaluated, so backfilled history and our own messages never trigger rules
+   * @param {Object} message - Processed message from MessageProcessor
+   * @param {number} messageRowId - Row ID of the stored message
+   * @param {Object} whatsappClient - Client of the account that received the message
+   */
+  async evaluate(message, messageRowId, whatsappClient) {
+    if (message.direction === 'outgoing') return;
+
+    try {
+      await this.ensureLoaded();
+
+      for (const rule of this.rules) {
+        if (!rule.enabled || !this.matches(rule, message)) continue;
+
+        if (await this.isCoolingDown(rule, message.groupId)) {
+          console.log(`⏳ Rule ${rule.id} "${rule.name}" matched but is cooling down in ${message.groupName}`);
+          continue;
+        }
+
+        try {
+          await this.fire(rule, message, messageRowId, whatsappClient);
+        } catch (error) {
+          console.error(`❌ Rule ${rule.id} "${rule.name}" failed:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error evaluating auto-reply rules:', error.message);
+    }
+  }
+
+  /**
+   * Check whether a message meets every condition of a rule (unset conditions match anything)
+   * @param {Object} rule - Rule row with compiled regex
+   * @param {Object} message - Processed message
+   * @returns {boolean} - True if the rule matches
+   */
+  matches(rule, message) {
+    if (rule.group_id && rule.group_id !== message.groupId) return false;
+    if (rule.sender_id && rule.sender_id !== message.senderId) return false;
+    if (rule.regex && !rule.regex.test(message.messageText || '')) return false;
+
+    if (rule.attachment_type) {
+      const attachmentType = message.attachmentType || 'none';
+      if (rule.attachment_type !== attachmentType) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Check whether a rule fired in a group within its cooldown
+   * Dry-run firings have their own cooldown so testing a rule doesn't hold back the real one
+   * @param {Object} rule - Rule row
+   * @param {string} groupId - Group ID
+   * @returns {boolean} - True if the rule must not fire yet
+   */
+  async isCoolingDown(rule, groupId) {
+    if (!rule.cooldown_seconds) return false;
+
+    const key = `${rule.id}:${groupId}:${!!rule.dry_run}`;
+    if (!this.lastFired.has(key)) {
+      // After a restart the last firing comes from the log
+      const lastFiredAt = await this.dbService.getLastAutoReplyFiring(rule.id, groupId, !!rule.dry_run);
+      this.lastFired.set(key, lastFiredAt ? new Date(lastFiredAt).getTime() : 0);
+    }
+
+    return Date.now() - this.lastFired.get(key) < rule.cooldown_seconds * 1000;
+  }
+
+  /**
+   * Perform a rule's action (or only log it in dry-run mode) and record the firing
+   * @param {Object} rule - Rule row
+   * @param {Object} message - Processed message
+   * @param {number} messageRowId - Row ID of the stored message
+   * @param {Object} whatsappClient - Client of the account that received the message
+   */
+  async fire(rule, message, messageRowId, whatsappClient) {
+    const firedAt = new Date();
+    this.lastFired.set(`${rule.id}:${message.groupId}:${!!rule.dry_run}`, firedAt.getTime());
+
+    let outbound = null;
+
+    if (rule.dry_run) {
+      console.log(`🧪 [dry run] Rule ${rule.id} "${rule.name}" would ${this.describeAction(rule)} for message ${messageRowId} in ${message.groupName}`);
+    } else if (rule.action_type === 'reply') {
+      outbound = await this.sendQueue.enqueue({
+        accountId: whatsappClient.accountId,
+        groupId: message.groupId,
+        text: this.renderText(rule.reply_text, message),
+        replyToMessageId: message.messageId
+      });
+    } else if (rule.action_type === 'forward') {
+      outbound = await this.sendQueue.enqueue({
+        accountId: whatsappClient.accountId,
+        groupId: rule.forward_group_id,
+        text: this.getForwardText(message),
+        mediaPath: this.getForwardMediaPath(message)
+      });
+    } else if (rule.action_type === 'tag') {
+      await this.dbService.tagMessage(messageRowId, rule.tag, rule.id);
+    }
+
+    if (!rule.dry_run) {
+      console.log(`🤖 Rule ${rule.id} "${rule.name}" fired: ${this.describeAction(rule)} for message ${messageRowId} in ${message.groupName}`);
+    }
+
+    await this.dbService.saveAutoReplyFiring({
+      ruleId: rule.id,
+      messageRowId,
+      groupId: message.groupId,
+      actionType: rule.action_type,
+      dryRun: rule.dry_run,
+      outboundMessageId: outbound ? outbound.id : null,
+      firedAt
+    });
+  }
+
+  /**
+   * Describe a rule's action for logs
+   * @param {Object} rule - Rule row
+   * @returns {string} - e.g. 'forward to 123@g.us'
+   */
+  describeAction(rule) {
+    if (rule.action_type === 'reply') return `reply "${rule.reply_text}"`;
+    if (rule.action_type === 'forward') return `forward to ${rule.forward_group_id}`;
+    return `tag "${rule.tag}"`;
+  }
+
+  /**
+   * Fill {{sender_name}} and {{group_name}} in a reply
+   * @param {string} text - Reply template
+   * @param {Object} message - Processed message being replied to
+   * @returns {string} - Reply text
+   */
+  renderText(text, message) {
+    const values = {
+      sender_name: message.senderName || '',
+      group_name: message.groupName || ''
+    };
+    return text.replace(/\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g, (placeholder, name) =>
+      values[name] !== undefined ? values[name] : placeholder
+    );
+  }
+
+  /**
+   * Build the text of a forwarded message, naming where it came from
+   * @param {Object} message - Processed message being forwarded
+   * @returns {string} - Forward text
+   */
+  getForwardText(message) {
+    const header = `↪️ Forwarded from ${message.groupName || message.groupId} (${message.senderName})`;
+    return message.messageText ? `${header}:\n${message.messageText}` : header;
+  }
+
+  /**
+   * Find a forwarded message's stored media file, if it has a single one on disk
+   * @param {Object} message - Processed message being forwarded
+   * @returns {string|null} - Relative attachment path or null to forward the text only
+   */
+  getForwardMediaPath(message) {
+    const relativePath = message.imageAttachmentPath || message.videoAttachmentPath ||
+      message.audioAttachmentPath || message.documentAttachmentPath;
+
+    if (!relativePath || !fs.existsSync(this.attachmentService.getAbsolutePath(relativePath))) {
+      return null;
+    }
+    return relativePath;
+  }
+
+  /**
+   * Check a rule's fields before saving
+   * @param {Object} rule - Rule fields (camelCase, as accepted by saveAutoReplyRule)
+   * @param {Object} existing - Current rule row when updating (optional)
+   * @returns {string|null} - Error message or null if the rule is valid
+   */
+  validateRule(rule, existing = null) {
+    const merged = {
+      name: existing ? existing.name : undefined,
+      actionType: existing ? existing.action_type : undefined,
+      replyText: existing ? existing.reply_text : undefined,
+      forwardGroupId: existing ? existing.forward_group_id : undefined,
+      tag: existing ? existing.tag : undefined,
+      ...Object.fromEntries(Object.entries(rule).filter(([, value]) => value !== undefined))
+    };
+
+    if (typeof merged.name !== 'string' || !merged.name.trim()) {
+      return 'name is required';
+    }
+    if (!ACTION_TYPES.includes(merged.actionType)) {
+      return `actionType must be one of: ${ACTION_TYPES.join(', ')}`;
+    }
+    if (merged.actionType === 'reply' && (typeof merged.replyText !== 'string' || !merged.replyText.trim())) {
+      return 'replyText is required for reply rules';
+    }
+    if (merged.actionType === 'forward' && (typeof merged.forwardGroupId !== 'string' || !merged.forwardGroupId.endsWith('@g.us'))) {
+      return 'forwardGroupId must be a group ID for forward rules';
+    }
+    if (merged.actionType === 'tag' && (typeof merged.tag !== 'string' || !merged.tag.trim() || merged.tag.length > 100)) {
+      return 'tag is required for tag rules (up to 100 characters)';
+    }
+    for (const key of ['enabled', 'dryRun']) {
+      if (rule[key] !== undefined && typeof rule[key] !== 'boolean') {
+        return `${key} must be true or false`;
+      }
+    }
+    for (const key of ['groupId', 'senderId', 'textPattern']) {
+      if (rule[key] !== undefined && rule[key] !== null && typeof rule[key] !== 'string') {
+        return `${key} must be a string or null`;
+      }
+    }
+    if (rule.attachmentType && !ATTACHMENT_TYPES.includes(rule.attachmentType)) {
+      return `attachmentType must be one of: ${ATTACHMENT_TYPES.join(', ')}`;
+    }
+    if (rule.cooldownSeconds !== undefined && (!Number.isInteger(rule.cooldownSeconds) || rule.cooldownSeconds < 0)) {
+      return 'cooldownSeconds must be a non-negative integer';
+    }
+    if (rule.textPattern) {
+      try {
+        new RegExp(rule.textPattern, 'i');
+      } catch (error) {
+        return `textPattern is not a valid regular expression: ${error.message}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a rule
+   * @param {Object} rule - Rule fields
+   * @returns {Object} - The new rule row
+   */
+  async createRule(rule) {
+    const created = await this.dbService.saveAutoReplyRule(null, rule);
+    await this.load();
+    console.log(`🤖 Auto-reply rule ${created.id} "${created.name}" created`);
+    return created;
+  }
+
+  /**
+   * Update a rule
+   * @param {number} id - Rule ID
+   * @param {Object} rule - Fields to change
+   * @returns {Object|null} - Updated rule row, or null if not found
+   */
+  async updateRule(id, rule) {
+    const updated = await this.dbService.saveAutoReplyRule(id, rule);
+    await this.load();
+    return updated;
+  }
+
+  /**
+   * Delete a rule
+   * @param {number} id - Rule ID
+   * @returns {boolean} - True if the rule existed
+   */
+  async deleteRule(id) {
+    const removed = await this.dbService.deleteAutoReplyRule(id);
+    await this.load();
+    return removed;
+  }
+}
+
+RuleEngineService.ACTION_TYPES = ACTION_TYPES;
+RuleEngineService.ATTACHMENT_TYPES = ATTACHMENT_TYPES;
+
+module.exports = RuleEngineService;
@@ -0,0 +1,287 @@
+/**
+ * Send Queue Service
+ * Delivers messages posted through the API from a persistent queue in the outbound_messages table
+ * Sends are spaced by a global and a per-group interval, and failed sends are retried with backoff
+ */
+
+const { MessageMedia } = require('whatsapp-web.js');
+
+class SendQueueService {
+  /**
+   * Constructor
+   * @param {Object} clientManager - WhatsApp client manager, to reach each account's client
+   * @param {Object} dbService - Database service
+   * @param {Object} attachmentService - Attachment service, for storing uploaded media
+   * @param {Object} server - Web server for broadcasts (optional)
+   */
+  constructor(clientManager, dbService, attachmentService, server = null) {
+    this.clientManager = clientManager;
+    this.dbService = dbService;
+    this.attachmentService = attachmentService;
+    this.server = server;
+
+    // Rate limits, kept conservative so bulk sends don't get the number banned
+    this.pollInterval = parseInt(process.env.SEND_QUEUE_POLL_MS) || 2000;
+    this.globalInterval = parseInt(process.env.SEND_GLOBAL_INTERVAL_MS) || 3000;
+    this.groupInterval = parseInt(process.env.SEND_GROUP_INTERVAL_MS) || 15000;
+    this.maxAttempts = parseInt(process.env.SEND_MAX_ATTEMPTS) || 5;
+    this.retryDelay = parseInt(process.env.SEND_RETRY_DELAY_MS) || 30000;
+
+    this.pollTimer = null;
+    this.isProcessing = false;
+    this.lastSentAt = 0;
+    this.lastSentByGroup = new Map(); // group ID -> time of the last send
+    this.unrecordedSends = new Map(); // outbound row ID -> sent message whose 'sent' status couldn't be saved yet
+  }
+
+  /**
+   * Start polling the queue
+   */
+  async start() {
+    if (this.pollTimer) return;
+
+    // A send interrupted by a restart may or may not have gone out; retrying is the safer choice
+    const requeued = await this.dbService.requeueInterruptedOutboundMessages();
+    if (requeued > 0) {
+      console.log(`📮 Requeued ${requeued} outbound messages interrupted by a restart`);
+    }
+
+    this.pollTimer = setInterval(() => this.processQueue(), this.pollInterval);
+    console.log('📮 Send queue started');
+  }
+
+  /**
+   * Stop polling the queue (queued messages stay in the database)
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Store uploaded media so queued messages can be sent from disk
+   * @param {Object} media - { data, mimetype, filename } where data is base64 encoded
+   * @returns {Object} - { mediaPath, mediaMimetype, mediaFilename }
+   */
+  async saveMedia(media) {
+    const buffer = Buffer.from(media.data, 'base64');
+    const mediaPath = await this.attachmentService.saveOutboundAttachment(buffer, media.filename);
+    if (!mediaPath) {
+      throw new Error('Failed to save uploaded media');
+    }
+
+    return {
+      mediaPath,
+      mediaMimetype: media.mimetype,
+      mediaFilename: media.filename
+    };
+  }
+
+  /**
+   * Queue a message for a group
+   * @param {Object} message - { accountId, groupId, text, media: { data, mimetype, filename }, replyToMessageId }
+   *   where media.data is base64 encoded; media already stored with saveMedia can be passed as
+   *   mediaPath, mediaMimetype and mediaFilename instead. Optional sendAt delays the first attempt
+   *   and broadcastRunId links the message to a broadcast run.
+   * @returns {Object} - The queued outbound row
+   */
+  async enqueue(message) {
+    const storedMedia = message.media ? await this.saveMedia(message.media) : {};
+
+    const row = await this.dbService.enqueueOutboundMessage({
+      accountId: message.accountId,
+      groupId: message.groupId,
+      text: message.text,
+      mediaPath: storedMedia.mediaPath || message.mediaPath,
+      mediaMimetype: storedMedia.mediaMimetype || message.mediaMimetype,
+      mediaFilename: storedMedia.mediaFilename || message.mediaFilename,
+      replyToMessageId: message.replyToMessageId,
+      broadcastRunId: message.broadcastRunId,
+      sendAt: message.sendAt
+    });
+
+    console.log(`📮 Outbound message ${row.id} queued for ${row.group_id}`);
+    this.broadcastUpdate(row);
+
+    // Don't wait for the next poll when the queue is idle
+    setImmediate(() => this.processQueue());
+    return row;
+  }
+
+  /**
+   * Send every message that is due, one at a time and within the rate limits
+   */
+  async processQueue() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      await this.recordUnrecordedSends();
+
+      while (this.pollTimer) {
+        const next = await this.findSendableMessage();
+        if (!next) break;
+
+        const wait = this.lastSentAt + this.globalInterval - Date.now();
+        if (wait > 0) {
+          await this.sleep(wait);
+        }
+
+        await this.sendMessage(next.row, next.whatsappClient);
+      }
+    } catch (error) {
+      console.error('❌ Error processing send queue:', error.message);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Work out which accounts and groups can't be sent to right now
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} - { accountIds, withoutAccount, groupIds } for DatabaseService.getDueOutboundMessages
+   */
+  getSendBlockers(now) {
+    const notReady = this.clientManager.getClients().filter(client => !client.isClientReady);
+    const firstClient = this.clientManager.getClient();
+
+    const groupIds = [];
+    for (const [groupId, lastSentAt] of this.lastSentByGroup) {
+      if (now - lastSentAt < this.groupInterval) {
+        groupIds.push(groupId);
+      } else {
+        this.lastSentByGroup.delete(groupId);
+      }
+    }
+
+    return {
+      accountIds: notReady.map(client => client.accountId),
+      withoutAccount: !!firstClient && !firstClient.isClientReady,
+      groupIds
+    };
+  }
+
+  /**
+   * Find the oldest due message whose account is ready and whose group isn't cooling down
+   * @returns {Object|null} - { row, whatsappClient } or null if nothing can be sent now
+   */
+  async findSendableMessage() {
+    const now = Date.now();
+    const rows = await this.dbService.getDueOutboundMessages(50, this.getSendBlockers(now));
+
+    for (const row of rows) {
+      const whatsappClient = this.clientManager.getClient(row.account_id);
+      if (!whatsappClient) {
+        const updated = await this.dbService.markOutboundMessageFailed(row.id, `Unknown account "${row.account_id}"`);
+        this.broadcastUpdate(updated);
+        continue;
+      }
+      if (!whatsappClient.isClientReady) continue;
+
+      const groupLastSentAt = this.lastSentByGroup.get(row.group_id);
+      if (groupLastSentAt && now - groupLastSentAt < this.groupInterval) continue;
+
+      return { row, whatsappClient };
+    }
+
+    return null;
+  }
+
+  /**
+   * Send one queued message and record the outcome
+   * @param {Object} row - Outbound row
+   * @param {Object} whatsappClient - Persistent WhatsApp client of the row's account
+   */
+  async sendMessage(row, whatsappClient) {
+    const claimed = await this.dbService.claimOutboundMessage(row.id);
+    if (!claimed) return;
+
+    // Failed attempts count against the rate limits too
+    this.lastSentAt = Date.now();
+    this.lastSentByGroup.set(row.group_id, this.lastSentAt);
+
+    const attempt = row.attempts + 1;
+    let sent;
+
+    try {
+      const options = {};
+      let content = row.message_text;
+
+      if (row.media_path) {
+        content = MessageMedia.fromFilePath(this.attachmentService.getAbsolutePath(row.media_path));
+        content.mimetype = row.media_mimetype || content.mimetype;
+        content.filename = row.media_filename || content.filename;
+        if (row.message_text) {
+          options.caption = row.message_text;
+        }
+      }
+      if (row.reply_to_message_id) {
+        options.quotedMessageId = row.reply_to_message_id;
+      }
+
+      sent = await whatsappClient.client.sendMessage(row.group_id, content, options);
+    } catch (error) {
+      const retryAt = attempt < this.maxAttempts
+        ? new Date(Date.now() + this.retryDelay * Math.pow(2, attempt - 1))
+        : null;
+      const updated = await this.dbService.markOutboundMessageFailed(row.id, error.message, retryAt);
+
+      if (retryAt) {
+        console.warn(`⚠️ Outbound message ${row.id} failed (attempt ${attempt}), retrying at ${retryAt.toISOString()}:`, error.message);
+      } else {
+        console.error(`❌ Outbound message ${row.id} failed after ${attempt} attempts:`, error.message);
+      }
+      this.broadcastUpdate(updated);
+      return;
+    }
+
+    console.log(`📨 Outbound message ${row.id} sent to ${row.group_id} (attempt ${attempt})`);
+    this.unrecordedSends.set(row.id, {
+      whatsappMessageId: sent.id._serialized,
+      ack: sent.ack,
+      sentAt: new Date()
+    });
+    await this.recordUnrecordedSends();
+  }
+
+  /**
+   * Save the 'sent' status of messages that already went out
+   * Kept apart from send errors: a message that was sent is never failed or requeued, even if the
+   * database can't be reached right after, since a retry would post it to the group twice. Until it
+   * is saved the row stays 'sending', which no poll picks up.
+   */
+  async recordUnrecordedSends() {
+    for (const [id, sent] of this.unrecordedSends) {
+      try {
+        const updated = await this.dbService.markOutboundMessageSent(id, sent.whatsappMessageId, sent.ack, sent.sentAt);
+        this.unrecordedSends.delete(id);
+        this.broadcastUpdate(updated);
+      } catch (error) {
+        console.error(`❌ Outbound message ${id} was sent but its status couldn't be saved, will try again:`, error.message);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Push an outbound row's new state to connected browsers
+   * @param {Object} row - Outbound row
+   */
+  broadcastUpdate(row) {
+    if (row && this.server && typeof this.server.broadcastOutboundUpdate === 'function') {
+      this.server.broadcastOutboundUpdate(row);
+    }
+  }
+
+  /**
+   * Wait between sends to respect the global rate limit
+   * @param {number} ms - Delay in milliseconds
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = SendQueueService;
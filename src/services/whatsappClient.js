@@ -11,17 +11,35 @@ const qrcode = require('qrcode-terminal');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const BackfillService = require('./backfillService');
+const GroupPolicyService = require('./groupPolicyService');
+
+// Quoted message types whose file may be downloaded along with a reply
+const QUOTED_MEDIA_TYPES = ['image', 'video', 'audio', 'ptt', 'document', 'sticker'];
 
 class PersistentWhatsAppClient {
-  constructor(messageProcessor, dbService, server = null) {
+  /**
+   * Constructor
+   * @param {Object} messageProcessor - Message processor service
+   * @param {Object} dbService - Database service
+   * @param {Object} server - Web server for broadcasts (optional)
+   * @param {Object} options - Account options from WhatsAppClientManager (accountId, sessionPath,
+   *   clientId, captureDirectChats, captureOutgoing, groupPolicy, ruleEngine, ingestionBuffer, pipeline,
+   *   mediaRetry); all optional
+   */
+  constructor(messageProcessor, dbService, server = null, options = {}) {
     this.client = null;
+    this.accountId = options.accountId || 'default';
+    this.clientId = options.clientId || 'persistent-whatsapp-client';
     this.messageProcessor = messageProcessor;
     this.dbService = dbService;
     this.businessPhoneNumber = null;
     this.server = server;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 20; // Increased from 15 to 20 for large-scale operation with 400+ groups
-    this.sessionPath = process.env.WHATSAPP_SESSION_DATA_PATH || path.join(process.cwd(), 'whatsapp-session');
+    this.sessionPath = options.sessionPath || process.env.WHATSAPP_SESSION_DATA_PATH || path.join(process.cwd(), 'whatsapp-session');
+    this.qrCode = null; // Latest QR code while waiting to be scanned
+    this.qrGeneratedAt = null;
     this.isClientReady = false;
     this.isAuthenticated = false;
     this.connectionMonitor = null;
@@ -44,6 +62,38 @@ class PersistentWhatsAppClient {
     this.heartbeatInterval = 90000; // Increased from 60 to 90 seconds for large-scale operation
     this.maxIdleTime = 15 * 60 * 1000; // Increased from 10 to 15 minutes for large-scale operation
     this.aggressiveReconnect = false; // Changed to false to reduce aggressive reconnection
+    
+    // Backfill of messages missed while offline, run each time the client becomes ready
+    this.backfillService = new BackfillService(this, messageProcessor, dbService);
+    this.backfillOnReady = process.env.BACKFILL_ON_STARTUP === 'true';
+    
+    // Direct (1:1) chats are opt-in for the account; contacts can override this either way
+    this.captureDirectChats = options.captureDirectChats !== undefined
+      ? options.captureDirectChats
+      : process.env.CAPTURE_DIRECT_CHATS === 'true';
+    
+    // Record messages our own account sends so transcripts show both sides
+    this.captureOutgoing = options.captureOutgoing !== undefined
+      ? options.captureOutgoing
+      : process.env.CAPTURE_OUTGOING_MESSAGES === 'true';
+    
+    // Which groups are captured (allow-all, allowlist or denylist), managed through the API
+    this.groupPolicy = options.groupPolicy || new GroupPolicyService(dbService);
+    this.groupNames = new Map(); // group ID -> name, for name-pattern rules
+    this.groupDirectorySyncInProgress = false;
+    this.knownContacts = new Map(); // contact ID -> { namesKey, savedAt }, to skip redundant writes
+    
+    // Auto-reply rules run against new incoming messages (none without a client manager)
+    this.ruleEngine = options.ruleEngine || null;
+    
+    // Disk buffer that holds messages while the database is unreachable (none without a client manager)
+    this.ingestionBuffer = options.ingestionBuffer || null;
+    
+    // Bounded, per-chat ordered processing of message events (handled directly without a client manager)
+    this.pipeline = options.pipeline || null;
+    
+    // Retries media downloads that failed at capture time (none without a client manager)
+    this.mediaRetry = options.mediaRetry || null;
   }
 
   /**
@@ -157,7 +207,7 @@ class PersistentWhatsAppClient {
   createLocalAuthStrategy() {
     return new LocalAuth({
       dataPath: this.sessionPath,
-      clientId: 'persistent-whatsapp-client'
+      clientId: this.clientId
     });
   }
 
@@ -240,7 +290,7 @@ class PersistentWhatsAppClient {
         authStrategy = new RemoteAuth({
           store: store,
           backupSyncIntervalMs: 300000, // 5 minutes
-          clientId: 'persistent-whatsapp-client'
+          clientId: this.clientId
         });
         console.log('✅ Using RemoteAuth with MongoDB for better session persistence');
       } catch (mongoError) {
@@ -319,7 +369,14 @@ class PersistentWhatsAppClient {
     // QR Code - only show if not authenticated
     this.client.on('qr', (qr) => {
       if (!this.isAuthenticated) {
-        console.log('📱 QR code for authentication:');
+        this.qrCode = qr;
+        this.qrGeneratedAt = new Date();
+        
+        if (this.server && typeof this.server.broadcastQrCode === 'function') {
+          this.server.broadcastQrCode({ accountId: this.accountId, qr, generatedAt: this.qrGeneratedAt });
+        }
+        
+        console.log(`📱 QR code for authentication (account "${this.accountId}"):`);
         console.log(qr); // Log the raw QR code string for backend-only implementation
         
         // Generate terminal QR code for server environments
@@ -333,15 +390,16 @@ class PersistentWhatsAppClient {
 
     // Authentication success
     this.client.on('authenticated', () => {
-      console.log('🔐 WhatsApp authenticated successfully!');
+      console.log(`🔐 WhatsApp authenticated successfully (account "${this.accountId}")!`);
       this.isAuthenticated = true;
+      this.qrCode = null;
       this.reconnectAttempts = 0; // Reset on successful auth
     });
 
     // Ready event
     // Ready event - with improved group initialization timing
 this.client.on('ready', async () => {
-  console.log('✅ WhatsApp client is ready and connected!');
+  console.log(`✅ WhatsApp client is ready and connected (account "${this.accountId}")!`);
   this.isClientReady = true;
   this.isAuthenticated = true;
   this.lastHeartbeat = new Date();
@@ -375,11 +433,14 @@ this.client.on('ready', async () => {
         // Second attempt after longer delay if first attempt found no groups
         setTimeout(async () => {
           try {
-            await this.initializeGroups(1, 5);
+            const retryGroups = await this.initializeGroups(1, 5);
+            this.startBackfillIfEnabled(retryGroups);
           } catch (secondError) {
             console.error('❌ Second group loading attempt failed:', secondError.message);
           }
         }, 30000); // Try again after 30 seconds
+      } else {
+        this.startBackfillIfEnabled(groups);
       }
     } catch (error) {
       console.error('❌ Initial group loading failed:', error.message);
@@ -449,7 +510,61 @@ this.client.on('ready', async () => {
     // Message handling
     this.client.on('message', async (message) => {
       this.lastHeartbeat = new Date(); // Update heartbeat on message
-      await this.handleIncomingMessage(message);
+      await this.runInPipeline(message, this.getPipelinePriority(message), () => this.handleIncomingMessage(message));
+    });
+
+    // Outgoing messages (message_create also fires for incoming ones, which 'message' handles)
+    this.client.on('message_create', async (message) => {
+      if (!message.fromMe || !this.captureOutgoing) return;
+      this.lastHeartbeat = new Date();
+      await this.runInPipeline(message, this.getPipelinePriority(message), () => this.handleOutgoingMessage(message));
+    });
+
+    // Delivery and read receipts for messages we sent
+    this.client.on('message_ack', async (message, ack) => {
+      if (!message.fromMe) return;
+      await this.handleMessageAck(message, ack);
+    });
+
+    // Message edits
+    this.client.on('message_edit', async (message, newBody, prevBody) => {
+      this.lastHeartbeat = new Date();
+      await this.runInPipeline(message, 'text', () => this.handleMessageEdit(message, newBody, prevBody));
+    });
+
+    // Messages deleted for everyone
+    this.client.on('message_revoke_everyone', async (message, revokedMessage) => {
+      this.lastHeartbeat = new Date();
+      await this.runInPipeline(message, 'text', () => this.handleMessageRevoke(message, revokedMessage));
+    });
+
+    // Reactions added, changed or removed
+    this.client.on('message_reaction', async (reaction) => {
+      this.lastHeartbeat = new Date();
+      await this.handleReaction(reaction);
+    });
+
+    // Poll votes selected or deselected
+    this.client.on('vote_update', async (vote) => {
+      this.lastHeartbeat = new Date();
+      await this.handlePollVote(vote);
+    });
+
+    // Group membership and settings changes
+    this.client.on('group_join', async (notification) => {
+      await this.handleGroupNotification(notification);
+    });
+    
+    this.client.on('group_leave', async (notification) => {
+      await this.handleGroupNotification(notification);
+    });
+    
+    this.client.on('group_admin_changed', async (notification) => {
+      await this.handleGroupNotification(notification);
+    });
+    
+    this.client.on('group_update', async (notification) => {
+      await this.handleGroupNotification(notification);
     });
 
     // Remote session saved (another device paired)
@@ -467,8 +582,8 @@ this.client.on('ready', async () => {
       if (!this.useRemoteAuth) return; // Only for RemoteAuth
       
       const db = mongoose.connection.db;
-      const filesCollection = db.collection('whatsapp-RemoteAuth-persistent-whatsapp-client.files');
-      const chunksCollection = db.collection('whatsapp-RemoteAuth-persistent-whatsapp-client.chunks');
+      const filesCollection = db.collection(`whatsapp-RemoteAuth-${this.clientId}.files`);
+      const chunksCollection = db.collection(`whatsapp-RemoteAuth-${this.clientId}.chunks`);
       
       // Get all backup files sorted by upload date (newest first - Stack LIFO)
       const backupFiles = await filesCollection
@@ -537,13 +652,15 @@ this.client.on('ready', async () => {
         // Only attempt to refresh groups if client is ready
         if (this.isClientReady) {
           const groups = await this.client.getChats();
-          const groupCount = groups.filter(chat => chat.isGroup).length;
+          const groupChats = groups.filter(chat => chat.isGroup);
+          const groupCount = groupChats.length;
           
           if (groupCount === 0) {
             console.log('🔄 No groups found, attempting to initialize groups again...');
             await this.initializeGroups(1, 3); // Use fewer attempts for periodic checks
           } else {
             console.log(`✅ Periodic check: ${groupCount} groups available`);
+            await this.syncGroupDirectory(groupChats);
           }
         }
       } catch (error) {
@@ -1008,6 +1125,44 @@ this.client.on('ready', async () => {
     }
   }
 
+  /**
+   * Get the pipeline lane for a new message
+   * Replies to media count as media, since the quoted file may be downloaded with them
+   * @param {Object} message - WhatsApp message
+   * @returns {string} - 'text' or 'media'
+   */
+  getPipelinePriority(message) {
+    const quotedMsg = message._data && message._data.quotedMsg;
+    if (message.hasMedia || (quotedMsg && QUOTED_MEDIA_TYPES.includes(quotedMsg.type))) {
+      return 'media';
+    }
+    return 'text';
+  }
+
+  /**
+   * Run a message handler through the shared pipeline, behind earlier work for the same chat
+   * Edits and deletions share the chat's queue so they never overtake the message they change
+   * @param {Object} message - WhatsApp message
+   * @param {string} priority - 'text' or 'media'
+   * @param {Function} handler - Handler to run
+   */
+  async runInPipeline(message, priority, handler) {
+    if (!this.pipeline) {
+      return handler();
+    }
+    const chatId = message.fromMe ? message.to : message.from;
+    return this.pipeline.enqueue(`${this.accountId}:${chatId}`, priority, handler);
+  }
+
+  /**
+   * Wait while the pipeline is backed up, so backfill yields to live messages
+   */
+  async waitForPipelineCapacity() {
+    if (this.pipeline) {
+      await this.pipeline.waitForCapacity();
+    }
+  }
+
   /**
    * Handle incoming messages
    */
@@ -1016,8 +1171,8 @@ this.client.on('ready', async () => {
       // Skip business messages
       if (this.isBusinessMessage(message)) return;
       
-      // Skip non-group messages
-      if (!message.from.includes('@g.us')) return;
+      // Skip chats we are not capturing (direct chats are opt-in)
+      if (!(await this.shouldCaptureChat(message.from))) return;
       
       // Get message details for enhanced logging
       const messageContent = message.body || '[NO CONTENT]';
@@ -1072,37 +1227,35 @@ this.client.on('ready', async () => {
       
       if (processedMessage) {
         // Save to database
-        const insertId = await this.dbService.saveMessage(
-          processedMessage.groupId,
-          processedMessage.groupName,
-          processedMessage.senderName,
-          processedMessage.messageText,
-          processedMessage.timestamp,
-          processedMessage.imageAttachmentPath,
-          processedMessage.documentAttachmentPath,
-          processedMessage.videoAttachmentPath,
-          processedMessage.audioAttachmentPath,
-          processedMessage.linkMetadata,
-          processedMessage.batchAttachmentPath,
-          processedMessage.batchMetadata,
-          processedMessage.replyToMessageId,
-          processedMessage.replyText,
-          processedMessage.replyAttachmentType,
-          processedMessage.replyAttachmentPath,
-          processedMessage.attachmentType
-        );
+        const { id: insertId, isNew, buffered } = await this.persistMessage(processedMessage, true);
         
-        // Log saved message with color
         const util = require('util');
+        
+        // Held on disk until the database is back; it is broadcast and run through the rules when stored
+        if (buffered) return;
+        
+        // Already stored (reconnect replay or session takeover) - nothing new to broadcast
+        if (!isNew) {
+          console.log(`♻️ Duplicate message skipped:`, util.inspect({ id: insertId, messageId: processedMessage.messageId }, { colors: true, depth: null }));
+          return;
+        }
+        
+        // Log saved message with color
         console.log(`✅ Message saved:`, util.inspect({ id: insertId }, { colors: true, depth: null }));
         
         // Broadcast if server available
         if (this.server && typeof this.server.broadcastNewMessage === 'function') {
           this.server.broadcastNewMessage({
             id: insertId,
+            accountId: this.accountId,
             ...processedMessage
           });
         }
+        
+        // Rules only see live messages; backfilled history never triggers replies
+        if (this.ruleEngine) {
+          await this.ruleEngine.evaluate(processedMessage, insertId, this);
+        }
       }
     } catch (error) {
       const util = require('util');
@@ -1110,6 +1263,636 @@ this.client.on('ready', async () => {
     }
   }
 
+  /**
+   * Check whether messages from a chat should be captured
+   * Groups follow the group selection policy; direct chats follow the contact's override,
+   * falling back to the account-wide captureDirectChats setting
+   * @param {string} chatId - Serialized chat ID
+   * @returns {boolean} - True if the chat is captured
+   */
+  async shouldCaptureChat(chatId) {
+    if (!chatId) return false;
+    
+    if (chatId.includes('@g.us')) {
+      try {
+        return await this.groupPolicy.isGroupAllowed(chatId, await this.getGroupName(chatId));
+      } catch (error) {
+        // Never lose messages because the policy could not be read
+        console.error('Error checking group policy:', error.message);
+        return true;
+      }
+    }
+    
+    // Status updates, broadcast lists and channels are never direct chats
+    if (chatId.endsWith('@broadcast') || chatId.endsWith('@newsletter')) return false;
+    
+    try {
+      const setting = await this.dbService.getDirectChatSetting(chatId);
+      if (setting) return !!setting.capture;
+    } catch (error) {
+      console.error('Error checking direct chat setting:', error.message);
+    }
+    
+    return this.captureDirectChats;
+  }
+
+  /**
+   * Handle a message sent by our own account (from this session or another linked device)
+   * Stored with direction 'outgoing'; replays of the same message are dropped by the upsert
+   * @param {Object} message - Outgoing WhatsApp message
+   */
+  async handleOutgoingMessage(message) {
+    const util = require('util');
+    try {
+      if (!(await this.shouldCaptureChat(message.to))) return;
+      
+      const processedMessage = await this.messageProcessor.processMessage(message);
+      if (!processedMessage) return;
+      
+      const { id: insertId, isNew, buffered } = await this.persistMessage(processedMessage);
+      if (!isNew || buffered) return;
+      
+      console.log('📤 Outgoing message saved:', util.inspect({
+        id: insertId,
+        to: processedMessage.groupName,
+        type: message.type
+      }, { colors: true, depth: null }));
+      
+      if (this.server && typeof this.server.broadcastNewMessage === 'function') {
+        this.server.broadcastNewMessage({
+          id: insertId,
+          accountId: this.accountId,
+          ...processedMessage
+        });
+      }
+    } catch (error) {
+      console.error('❌ Error handling outgoing message:', util.inspect({ error: error.message }, { colors: true, depth: null }));
+    }
+  }
+
+  /**
+   * Handle a delivery or read acknowledgement by updating the outbound row it belongs to
+   * Messages not sent through the send queue have no outbound row and are ignored
+   * @param {Object} message - Sent WhatsApp message
+   * @param {number} ack - Acknowledgement level (1 server, 2 delivered, 3 read, 4 played)
+   */
+  async handleMessageAck(message, ack) {
+    const util = require('util');
+    try {
+      const outbound = await this.dbService.updateOutboundMessageAck(message.id._serialized, ack);
+      if (!outbound) return;
+      
+      console.log('✔️ Outbound message acknowledged:', util.inspect({
+        id: outbound.id,
+        groupId: outbound.group_id,
+        ack
+      }, { colors: true, depth: null }));
+      
+      if (this.server && typeof this.server.broadcastOutboundUpdate === 'function') {
+        this.server.broadcastOutboundUpdate(outbound);
+      }
+    } catch (error) {
+      console.error('❌ Error handling message ack:', util.inspect({ error: error.message }, { colors: true, depth: null }));
+    }
+  }
+
+  /**
+   * Get a group's name, from the cache filled by initializeGroups or from WhatsApp
+   * @param {string} groupId - Serialized group ID
+   * @returns {string|null} - Group name or null if unavailable
+   */
+  async getGroupName(groupId) {
+    if (this.groupNames.has(groupId)) {
+      return this.groupNames.get(groupId);
+    }
+    
+    try {
+      const chat = await this.client.getChatById(groupId);
+      this.groupNames.set(groupId, chat.name);
+      return chat.name;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * List every group the account belongs to with its capture status under the policy
+   * @returns {Array} - [{ groupId, groupName, participantCount, captured }]
+   */
+  async getGroupsWithPolicy() {
+    const chats = await this.client.getChats();
+    const groups = chats.filter(chat => chat.isGroup);
+    
+    const result = [];
+    for (const group of groups) {
+      const groupId = group.id._serialized;
+      this.groupNames.set(groupId, group.name);
+      result.push({
+        groupId,
+        groupName: group.name,
+        participantCount: group.participants ? group.participants.length : null,
+        captured: await this.groupPolicy.isGroupAllowed(groupId, group.name)
+      });
+    }
+    
+    return result;
+  }
+
+  /**
+   * Handle an edited message by storing a new revision
+   * @param {Object} message - Edited WhatsApp message
+   * @param {string} newBody - Text after the edit
+   * @param {string} prevBody - Text before the edit
+   */
+  async handleMessageEdit(message, newBody, prevBody) {
+    const util = require('util');
+    try {
+      // Same scope as stored messages: captured chats and senders only
+      if (!this.isCapturedSender(message)) return;
+      if (!(await this.shouldCaptureChat(this.getChatId(message)))) return;
+      
+      const messageId = message.id._serialized;
+      const editedAt = message.latestEditSenderTimestampMs
+        ? new Date(message.latestEditSenderTimestampMs)
+        : new Date();
+      
+      // The edited message may still be waiting in the buffer, so the edit has to wait behind it
+      const { result, buffered } = await this.persistMessageUpdate('edit', {
+        messageId,
+        groupId: this.getChatId(message),
+        newBody,
+        prevBody,
+        editedAt
+      });
+      
+      if (!result && !buffered) {
+        console.log('✏️ Edit for unknown message ignored:', util.inspect({ messageId }, { colors: true, depth: null }));
+      }
+    } catch (error) {
+      console.error('❌ Error handling message edit:', util.inspect({ error: error.message }, { colors: true, depth: null }));
+    }
+  }
+
+  /**
+   * Handle a message deleted for everyone by flagging the stored row
+   * The original text and attachments are kept for compliance
+   * @param {Object} message - Revoked message in its current state
+   * @param {Object} revokedMessage - Message before it was revoked (may be undefined)
+   */
+  async handleMessageRevoke(message, revokedMessage) {
+    const util = require('util');
+    try {
+      if (!this.isCapturedSender(message)) return;
+      if (!(await this.shouldCaptureChat(this.getChatId(message)))) return;
+      
+      const messageId = message.id._serialized;
+      const revoke = { messageId, revokedAt: new Date() };
+      
+      // While writes are buffered the original can't be looked up, so it is buffered ahead of the
+      // revocation in case it was never stored; the upsert drops it if it was
+      if (revokedMessage && this.isBuffering()) {
+        await this.persistRevokedOriginal(revokedMessage);
+      }
+      
+      let { result: row, buffered } = await this.persistMessageUpdate('revoke', revoke);
+      
+      // Never stored (e.g. arrived while offline) - save the original first if we still have it
+      if (!row && !buffered && revokedMessage && await this.persistRevokedOriginal(revokedMessage)) {
+        ({ result: row, buffered } = await this.persistMessageUpdate('revoke', revoke));
+      }
+      
+      if (!row && !buffered) {
+        console.log('🗑️ Revocation for unknown message ignored:', util.inspect({ messageId }, { colors: true, depth: null }));
+      }
+    } catch (error) {
+      console.error('❌ Error handling message revoke:', util.inspect({ error: error.message }, { colors: true, depth: null }));
+    }
+  }
+
+  /**
+   * Store the original of a revoked message, as it was before the revocation
+   * @param {Object} revokedMessage - Message before it was revoked
+   * @returns {boolean} - True if it was stored or buffered
+   */
+  async persistRevokedOriginal(revokedMessage) {
+    const processedMessage = await this.messageProcessor.processMessage(revokedMessage);
+    if (!processedMessage) return false;
+    
+    await this.persistMessage(processedMessage);
+    return true;
+  }
+
+  /**
+   * Handle a reaction being added, changed or removed on a group message
+   * @param {Object} reaction - WhatsApp reaction
+   */
+  async handleReaction(reaction) {
+    const util = require('util');
+    try {
+      if (!reaction.msgId || !(await this.shouldCaptureChat(reaction.msgId.remote))) return;
+      
+      const messageId = reaction.msgId._serialized;
+      // Reaction timestamps arrive in seconds or milliseconds depending on the source
+      const reactedAt = reaction.timestamp
+        ? new Date(reaction.timestamp > 1e12 ? reaction.timestamp : reaction.timestamp * 1000)
+        : new Date();
+      
+      const result = await this.dbService.saveReaction(messageId, reaction.senderId, reaction.reaction, reactedAt);
+      
+      console.log('😀 Reaction saved:', util.inspect({
+        messageId,
+        reactor: reaction.senderId,
+        emoji: reaction.reaction || '[REMOVED]'
+      }, { colors: true, depth: null }));
+      
+      if (this.server && typeof this.server.broadcastReactionUpdate === 'function') {
+        this.server.broadcastReactionUpdate({
+          id: result.messageRowId,
+          messageId,
+          reactions: result.reactions
+        });
+      }
+    } catch (error) {
+      console.error('❌ Error handling reaction:', util.inspect({ error: error.message }, { colors: true, depth: null }));
+    }
+  }
+
+  /**
+   * Handle a poll vote update by recording the voter's current selection
+   * @param {Object} vote - WhatsApp poll vote
+   */
+  async handlePollVote(vote) {
+    const util = require('util');
+    try {
+      const pollMessage = vote.parentMessage;
+      if (!pollMessage || !pollMessage.id) return;
+      
+      const chatId = pollMessage.fromMe ? pollMessage.to : pollMessage.from;
+      if (!(await this.shouldCaptureChat(chatId))) return;
+      
+      const pollMessageId = pollMessage.id._serialized;
+      
+      // Make sure the poll itself is known, even if its creation was missed
+      await this.dbService.savePoll(pollMessageId, {
+        ...this.messageProcessor.extractPollData(pollMessage),
+        groupId: chatId,
+        creatorId: pollMessage.author || pollMessage.from,
+        pollTime: pollMessage.timestamp ? new Date(pollMessage.timestamp * 1000) : null
+      });
+      
+      const votedAt = vote.interractedAtTs ? new Date(vote.interractedAtTs) : new Date();
+      await this.dbService.savePollVote(pollMessageId, vote.voter, vote.selectedOptions, votedAt);
+      
+      const results = await this.dbService.getPollResults(pollMessageId);
+      
+      console.log('🗳️ Poll vote saved:', util.inspect({
+        poll: results ? results.question : pollMessageId,
+        voter: vote.voter,
+        selected: (vote.selectedOptions || []).map(option => option.name)
+      }, { colors: true, depth: null }));
+      
+      if (results && this.server && typeof this.server.broadcastPollUpdate === 'function') {
+        this.server.broadcastPollUpdate(results);
+      }
+    } catch (error) {
+      console.error('❌ Error handling poll vote:', util.inspect({ error: error.message }, { colors: true, depth: null }));
+    }
+  }
+
+  /**
+   * Handle a group notification (join, leave, admin change or settings update)
+   * @param {Object} notification - WhatsApp group notification
+   */
+  async handleGroupNotification(notification) {
+    const util = require('util');
+    try {
+      this.lastHeartbeat = new Date();
+      
+      if (!(await this.shouldCaptureChat(notification.chatId))) return;
+      
+      let groupName = null;
+      try {
+        const chat = await notification.getChat();
+        groupName = chat.name;
+        this.groupNames.set(notification.chatId, chat.name);
+        
+        // Keep the directory entry (subject, description, participants, admins) current
+        await this.saveGroupDirectoryChat(chat);
+      } catch (err) {
+        console.error('Error getting chat info:', util.inspect({ error: err.message }, { colors: true, depth: null }));
+      }
+      
+      const event = {
+        eventId: notification.id ? notification.id._serialized : null,
+        groupId: notification.chatId,
+        groupName,
+        eventType: this.getGroupEventType(notification.type),
+        subtype: notification.type,
+        actorId: notification.author || null,
+        targetIds: notification.recipientIds || [],
+        details: notification.body || null,
+        eventTime: notification.timestamp ? new Date(notification.timestamp * 1000) : new Date()
+      };
+      
+      const { id, isNew } = await this.dbService.saveGroupEvent(event);
+      if (!isNew) return;
+      
+      console.log('👥 Group event saved:', util.inspect({
+        id,
+        group: groupName,
+        type: event.eventType,
+        actor: event.actorId,
+        targets: event.targetIds
+      }, { colors: true, depth: null }));
+      
+      if (this.server && typeof this.server.broadcastGroupEvent === 'function') {
+        this.server.broadcastGroupEvent({
+          id,
+          event_id: event.eventId,
+          group_id: event.groupId,
+          group_name: event.groupName,
+          event_type: event.eventType,
+          subtype: event.subtype,
+          actor_id: event.actorId,
+          target_ids: event.targetIds,
+          details: event.details,
+          event_time: event.eventTime
+        });
+      }
+    } catch (error) {
+      console.error('❌ Error handling group notification:', util.inspect({ error: error.message }, { colors: true, depth: null }));
+    }
+  }
+
+  /**
+   * Map a WhatsApp group notification subtype to a stored event type
+   * @param {string} subtype - Notification subtype
+   * @returns {string} - join, leave, remove, promote, demote, subject, description, icon or settings
+   */
+  getGroupEventType(subtype) {
+    switch (subtype) {
+      case 'add':
+      case 'invite':
+      case 'linked_group_join':
+        return 'join';
+      case 'leave':
+        return 'leave';
+      case 'remove':
+        return 'remove';
+      case 'promote':
+        return 'promote';
+      case 'demote':
+        return 'demote';
+      case 'subject':
+        return 'subject';
+      case 'description':
+        return 'description';
+      case 'picture':
+        return 'icon';
+      default:
+        return 'settings';
+    }
+  }
+
+  /**
+   * Save a processed message, falling back to the on-disk ingestion buffer while the database is down
+   * Once anything is buffered, later messages are buffered behind it so they are stored in order
+   * @param {Object} processedMessage - Message returned by MessageProcessor.processMessage
+   * @param {boolean} live - True for a live incoming message, which auto-reply rules run on once it is stored
+   * @returns {Object} - { id, isNew } as returned by DatabaseService.saveMessage, or
+   *   { id: null, isNew: true, buffered: true } when the message was buffered
+   */
+  async persistMessage(processedMessage, live = false) {
+    if (this.isBuffering()) {
+      await this.ingestionBuffer.append(this.accountId, processedMessage, live);
+      return { id: null, isNew: true, buffered: true };
+    }
+    
+    try {
+      return await this.writeMessage(processedMessage);
+    } catch (error) {
+      if (!this.ingestionBuffer || !this.dbService.isConnectionError(error)) throw error;
+      
+      this.dbService.markDisconnected();
+      await this.ingestionBuffer.append(this.accountId, processedMessage, live);
+      return { id: null, isNew: true, buffered: true };
+    }
+  }
+
+  /**
+   * Check whether writes have to go to the ingestion buffer, because the database is down or
+   * messages are already waiting there and later writes must not overtake them
+   * @returns {boolean} - True if writes are being buffered
+   */
+  isBuffering() {
+    return !!this.ingestionBuffer && (this.ingestionBuffer.hasPending() || !this.dbService.isConnected);
+  }
+
+  /**
+   * Apply an edit or revocation, or buffer it behind the messages waiting on disk (one of which it
+   * may refer to) while the database is down
+   * @param {string} type - 'edit' or 'revoke'
+   * @param {Object} update - Update for applyMessageUpdate
+   * @returns {Object} - { result } from applyMessageUpdate, or { result: null, buffered: true } when buffered
+   */
+  async persistMessageUpdate(type, update) {
+    if (this.isBuffering()) {
+      await this.ingestionBuffer.appendUpdate(this.accountId, type, update);
+      return { result: null, buffered: true };
+    }
+    
+    try {
+      return { result: await this.applyMessageUpdate(type, update) };
+    } catch (error) {
+      if (!this.ingestionBuffer || !this.dbService.isConnectionError(error)) throw error;
+      
+      this.dbService.markDisconnected();
+      await this.ingestionBuffer.appendUpdate(this.accountId, type, update);
+      return { result: null, buffered: true };
+    }
+  }
+
+  /**
+   * Store an edit or revocation of a stored message and tell the web interface about it
+   * @param {string} type - 'edit' or 'revoke'
+   * @param {Object} update - { messageId, groupId, newBody, prevBody, editedAt } for an edit,
+   *   { messageId, revokedAt } for a revocation
+   * @returns {Object|null} - Result of saveMessageEdit or the revoked row, or null if the message is not stored
+   */
+  async applyMessageUpdate(type, update) {
+    const util = require('util');
+    
+    if (type === 'edit') {
+      const result = await this.dbService.saveMessageEdit(update.messageId, update.newBody, update.prevBody, update.editedAt);
+      if (!result) return null;
+      
+      console.log('✏️ Message edit saved:', util.inspect({ id: result.id, revision: result.revision }, { colors: true, depth: null }));
+      
+      if (this.server && typeof this.server.broadcastMessageEdit === 'function') {
+        this.server.broadcastMessageEdit({
+          id: result.id,
+          messageId: update.messageId,
+          groupId: update.groupId,
+          revision: result.revision,
+          previousText: update.prevBody,
+          messageText: update.newBody,
+          editedAt: update.editedAt
+        });
+      }
+      return result;
+    }
+    
+    if (type === 'revoke') {
+      const row = await this.dbService.markMessageRevoked(update.messageId, update.revokedAt);
+      if (!row) return null;
+      
+      console.log('🗑️ Message revoked:', util.inspect({ id: row.id, messageId: update.messageId }, { colors: true, depth: null }));
+      
+      if (this.server && typeof this.server.broadcastMessageRevoked === 'function') {
+        this.server.broadcastMessageRevoked({
+          id: row.id,
+          messageId: update.messageId,
+          groupId: row.group_id,
+          revokedAt: row.revoked_at
+        });
+      }
+      return row;
+    }
+    
+    throw new Error(`Unknown message update type "${type}"`);
+  }
+
+  /**
+   * Write a processed message to the database, with its sender contact and poll
+   * Every write here is safe to repeat. A message whose write was cut short by a lost connection is
+   * buffered and written again, so its follow-ups are tied to the post_processed flag rather than to
+   * the first insert: they run on whichever write completes first, and isNew reports that write.
+   * @param {Object} processedMessage - Message returned by MessageProcessor.processMessage
+   * @returns {Object} - { id, isNew }, where isNew is true only for the write that completed the message
+   */
+  async writeMessage(processedMessage) {
+    const result = await this.dbService.saveMessage(
+      processedMessage.groupId,
+      processedMessage.groupName,
+      processedMessage.senderName,
+      processedMessage.messageText,
+      processedMessage.timestamp,
+      processedMessage.imageAttachmentPath,
+      processedMessage.documentAttachmentPath,
+      processedMessage.videoAttachmentPath,
+      processedMessage.audioAttachmentPath,
+      processedMessage.linkMetadata,
+      processedMessage.batchAttachmentPath,
+      processedMessage.batchMetadata,
+      processedMessage.replyToMessageId,
+      processedMessage.replyText,
+      processedMessage.replyAttachmentType,
+      processedMessage.replyAttachmentPath,
+      processedMessage.attachmentType,
+      processedMessage.messageId,
+      processedMessage.senderId,
+      processedMessage.locationData,
+      processedMessage.contactData,
+      processedMessage.chatType,
+      processedMessage.direction,
+      this.accountId,
+      processedMessage.mediaInfo,
+      processedMessage.replyToRowId,
+      processedMessage.isForwarded,
+      processedMessage.forwardingScore,
+      processedMessage.contentHash
+    );
+    
+    // A duplicate still needs its follow-ups if the write that stored it was cut short
+    const followUpsDue = result.isNew || !(await this.dbService.isMessagePostProcessed(result.id));
+    
+    // Link replies that arrived before this message, and this reply if its parent couldn't be looked up earlier
+    if (followUpsDue && processedMessage.messageId) {
+      await this.dbService.linkReplies(processedMessage.messageId);
+    }
+    if (processedMessage.replyToMessageId && !processedMessage.replyToRowId) {
+      await this.dbService.linkReplies(processedMessage.replyToMessageId);
+    }
+    
+    // Keep the contact directory and its name history up to date
+    if (processedMessage.senderContact) {
+      await this.recordContact(processedMessage.senderContact, processedMessage.timestamp);
+    }
+    
+    // Mentions are stored per person so each one's mentions can be listed
+    if (processedMessage.mentions && processedMessage.mentions.length > 0) {
+      await this.dbService.saveMessageMentions(result.id, processedMessage.mentions, processedMessage);
+    }
+    
+    // Album items are linked to their batch, including the first item once a second one arrives
+    if (processedMessage.batch) {
+      await this.dbService.addMessageToBatch(result.id, processedMessage.batch, processedMessage, this.accountId);
+    }
+    
+    // Media that couldn't be downloaded is fetched again later and added to the row
+    if (followUpsDue && processedMessage.pendingAttachment && processedMessage.messageId && this.mediaRetry) {
+      await this.mediaRetry.recordFailure(this.accountId, result.id, processedMessage);
+    }
+    
+    // Polls keep their question and options alongside the message row
+    if (processedMessage.poll && processedMessage.messageId) {
+      await this.dbService.savePoll(processedMessage.messageId, {
+        ...processedMessage.poll,
+        groupId: processedMessage.groupId,
+        creatorId: processedMessage.senderId,
+        pollTime: processedMessage.timestamp
+      });
+    }
+    
+    // Claimed last, so the broadcast and rules the caller runs on isNew happen once the message is complete
+    const isNew = followUpsDue && await this.dbService.markMessagePostProcessed(result.id);
+    
+    return { id: result.id, isNew };
+  }
+
+  /**
+   * Download a stored message's media from WhatsApp and save it with the other attachments
+   * @param {string} messageId - Serialized WhatsApp message ID
+   * @returns {Object|null} - Paths from MessageProcessor.processAttachment ({ downloadFailed, error } if the
+   *   download failed), or null if WhatsApp no longer has the message
+   */
+  async downloadMessageMedia(messageId) {
+    const message = await this.client.getMessageById(messageId);
+    if (!message) return null;
+    
+    const attachment = await this.messageProcessor.processAttachment(message);
+    return attachment || { downloadFailed: true, error: 'Attachment could not be saved' };
+  }
+
+  /**
+   * Save a message sender to the contact directory
+   * Skips the database when the names are the same as the last time we saw this contact
+   * @param {Object} contact - Sender contact from MessageProcessor.extractMessageData
+   * @param {Date} seenAt - Message timestamp
+   */
+  async recordContact(contact, seenAt) {
+    const util = require('util');
+    const namesKey = [contact.name, contact.pushname, contact.verifiedName].join('|');
+    const lastSeen = this.knownContacts.get(contact.contactId);
+    
+    // Only refresh last_seen_at once an hour for contacts whose names did not change
+    if (lastSeen && lastSeen.namesKey === namesKey && seenAt - lastSeen.savedAt < 60 * 60 * 1000) {
+      return;
+    }
+    
+    try {
+      const changes = await this.dbService.saveContact(contact, seenAt);
+      this.knownContacts.set(contact.contactId, { namesKey, savedAt: seenAt });
+      
+      if (lastSeen && changes.length > 0) {
+        console.log('🪪 Contact name changed:', util.inspect({ contactId: contact.contactId, changes }, { colors: true, depth: null }));
+      }
+    } catch (error) {
+      // The message itself is already stored, so a contact failure is not fatal
+      console.error('❌ Error saving contact:', util.inspect({ error: error.message }, { colors: true, depth: null }));
+    }
+  }
+
   /**
    * Initialize groups with improved robustness for backend-only mode
    * Enhanced for large-scale operation with 400+ groups
@@ -1151,9 +1934,17 @@ this.client.on('ready', async () => {
         new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout getting chats')), 60000))
       ]);
       const groups = chats.filter(chat => chat.isGroup);
+      groups.forEach(group => this.groupNames.set(group.id._serialized, group.name));
       
       console.log(`✅ Found ${groups.length} groups`);
       
+      // Persist the group directory in the background so callers are not held up
+      if (groups.length > 0) {
+        this.syncGroupDirectory(groups).catch(error => {
+          console.error('❌ Group directory sync failed:', error.message);
+        });
+      }
+      
       // For large-scale operations, only log a summary instead of all groups
       if (groups.length > 20) {
         console.log(`   First 10 groups:`);
@@ -1230,6 +2021,80 @@ this.client.on('ready', async () => {
     }
   }
 
+  /**
+   * Persist every group the account belongs to, then mark groups missing from the list as inactive
+   * Only one full sync runs at a time; single-group updates go through saveGroupDirectoryChat
+   * @param {Array} groups - Every group chat of the account
+   */
+  async syncGroupDirectory(groups) {
+    if (this.groupDirectorySyncInProgress) {
+      console.log('⏳ Group directory sync already running, skipping');
+      return;
+    }
+    
+    this.groupDirectorySyncInProgress = true;
+    // last_synced_at holds whole seconds, so a millisecond start time would make MySQL's rounded
+    // value compare as earlier than the sync that wrote it
+    const syncStartedAt = new Date(Math.floor(Date.now() / 1000) * 1000);
+    let synced = 0;
+    
+    try {
+      for (const group of groups) {
+        try {
+          await this.saveGroupDirectoryChat(group, syncStartedAt);
+          synced++;
+        } catch (error) {
+          console.error(`❌ Failed to sync group ${group.name}:`, error.message);
+        }
+      }
+      
+      // Only trust a complete sync to tell us which groups we have left
+      if (synced === groups.length) {
+        const inactive = await this.dbService.markUnsyncedGroupsInactive(this.accountId, syncStartedAt);
+        if (inactive > 0) {
+          console.log(`👋 ${inactive} groups marked inactive (no longer a member)`);
+        }
+      }
+      
+      console.log(`📇 Group directory synced: ${synced}/${groups.length} groups`);
+    } finally {
+      this.groupDirectorySyncInProgress = false;
+    }
+  }
+
+  /**
+   * Persist one group and its participants to the group directory
+   * @param {Object} group - Group chat
+   * @param {Date} syncedAt - When the group was read from WhatsApp
+   */
+  async saveGroupDirectoryChat(group, syncedAt = new Date()) {
+    const metadata = group.groupMetadata || {};
+    
+    await this.dbService.saveGroupDirectoryEntry({
+      groupId: group.id._serialized,
+      subject: group.name,
+      description: metadata.desc || null,
+      createdAt: metadata.creation ? new Date(metadata.creation * 1000) : null,
+      ownerId: metadata.owner ? metadata.owner._serialized : null,
+      participants: (metadata.participants || []).map(participant => ({
+        participantId: participant.id._serialized,
+        isAdmin: participant.isAdmin,
+        isSuperAdmin: participant.isSuperAdmin
+      }))
+    }, syncedAt, this.accountId);
+  }
+
+  /**
+   * Start a backfill of missed messages if enabled for startup/reconnect
+   * @param {Array} groups - Group chats found by initializeGroups
+   */
+  startBackfillIfEnabled(groups) {
+    if (!this.backfillOnReady || !groups || groups.length === 0) return;
+    
+    console.log('📚 Backfill on ready enabled, recovering messages missed while offline...');
+    this.backfillService.start(groups);
+  }
+
   // Utility methods
   isBusinessMessage(message) {
     if (!message.from || !this.businessPhoneNumber) return false;
@@ -1238,13 +2103,37 @@ this.client.on('ready', async () => {
     return isFromBusiness || isStatus;
   }
 
+  /**
+   * Check whether a message's sender is captured
+   * Status updates never are; our own messages only when outgoing capture is enabled
+   * @param {Object} message - WhatsApp message
+   * @returns {boolean} - True if the message should be stored
+   */
+  isCapturedSender(message) {
+    if (message.isStatus === true || (message.from && message.from.includes('status@broadcast'))) return false;
+    if (message.fromMe || this.isBusinessMessage(message)) return this.captureOutgoing;
+    return true;
+  }
+
+  /**
+   * Get the chat a message belongs to (for our own messages, 'from' is our account)
+   * @param {Object} message - WhatsApp message
+   * @returns {string} - Serialized chat ID
+   */
+  getChatId(message) {
+    return message.fromMe ? message.to : message.from;
+  }
+
   /**
    * Get connection status
    */
   getStatus() {
     return {
+      accountId: this.accountId,
       isReady: this.isClientReady,
       isAuthenticated: this.isAuthenticated,
+      waitingForQrScan: !this.isAuthenticated && !!this.qrCode,
+      qrGeneratedAt: this.qrGeneratedAt,
       reconnectAttempts: this.reconnectAttempts,
       lastHeartbeat: this.lastHeartbeat,
       businessNumber: this.businessPhoneNumber
@@ -1305,6 +2194,7 @@ this.client.on('ready', async () => {
   async shutdown() {
     console.log('🛑 Shutting down Persistent WhatsApp Client...');
     this.stopConnectionMonitoring();
+    this.backfillService.stop();
     
     if (this.client) {
       try {
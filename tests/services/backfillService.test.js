@@ -0,0 +1,177 @@
+/**
+ * Tests for how BackfillService pages through a group's history and moves its cursor
+ * WhatsApp and the database are mocked; messages are plain objects with Unix-second timestamps
+ */
+
+const BackfillService = require('../../src/services/backfillService');
+
+describe('BackfillService', () => {
+  const savedEnv = {};
+  let whatsappClient;
+  let messageProcessor;
+  let dbService;
+  let service;
+
+  // A group whose history holds `count` messages, one a minute from `start` (Unix seconds)
+  const createChat = (count, start = 1000000) => {
+    const history = Array.from({ length: count }, (_, i) => ({
+      id: { _serialized: `msg-${i}` },
+      timestamp: start + i * 60
+    }));
+    return {
+      id: { _serialized: 'group-1@g.us' },
+      name: 'Group',
+      history,
+      fetchMessages: jest.fn(async ({ limit }) => history.slice(-limit).reverse())
+    };
+  };
+
+  const cursorUpdates = () => dbService.saveBackfillCursor.mock.calls.map(([, cursor]) => cursor);
+
+  beforeEach(() => {
+    for (const key of ['BACKFILL_PAGE_SIZE', 'BACKFILL_MAX_MESSAGES_PER_GROUP']) {
+      savedEnv[key] = process.env[key];
+    }
+    process.env.BACKFILL_PAGE_SIZE = '10';
+    process.env.BACKFILL_MAX_MESSAGES_PER_GROUP = '30';
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    whatsappClient = {
+      accountId: 'sales',
+      captureOutgoing: false,
+      isCapturedSender: () => true,
+      waitForPipelineCapacity: jest.fn().mockResolvedValue(),
+      persistMessage: jest.fn().mockResolvedValue({ id: 1, isNew: true })
+    };
+    messageProcessor = { processMessage: jest.fn(async message => ({ messageId: message.id._serialized })) };
+    dbService = {
+      getBackfillCursor: jest.fn().mockResolvedValue(null),
+      getLatestMessageTimestamp: jest.fn().mockResolvedValue(null),
+      saveBackfillCursor: jest.fn().mockResolvedValue()
+    };
+
+    service = new BackfillService(whatsappClient, messageProcessor, dbService);
+    service.sleep = jest.fn().mockResolvedValue();
+  });
+
+  afterEach(() => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    jest.restoreAllMocks();
+  });
+
+  describe('fetchMessagesSince', () => {
+    test('pages back until it reaches the stop point', async () => {
+      const chat = createChat(100);
+      const stopAt = new Date(chat.history[85].timestamp * 1000);
+
+      const { messages, truncated } = await service.fetchMessagesSince(chat, stopAt);
+
+      expect(truncated).toBe(false);
+      expect(messages.map(message => message.id._serialized)).toEqual(
+        chat.history.slice(85).map(message => message.id._serialized)
+      );
+      expect(chat.fetchMessages.mock.calls.map(([options]) => options.limit)).toEqual([10, 20]);
+    });
+
+    test('is not truncated when the whole history is shorter than the cap', async () => {
+      const chat = createChat(25);
+
+      const { messages, truncated } = await service.fetchMessagesSince(chat, new Date(0));
+
+      expect(truncated).toBe(false);
+      expect(messages).toHaveLength(25);
+    });
+
+    test('reports truncation when the cap is hit before the stop point', async () => {
+      const chat = createChat(100);
+      const stopAt = new Date(chat.history[10].timestamp * 1000);
+
+      const { messages, truncated } = await service.fetchMessagesSince(chat, stopAt);
+
+      expect(truncated).toBe(true);
+      expect(messages).toHaveLength(30);
+      expect(messages[0].id._serialized).toBe('msg-70');
+    });
+
+    test('takes up to the cap without truncation when there is no stop point', async () => {
+      const { messages, truncated } = await service.fetchMessagesSince(createChat(100), null);
+
+      expect(truncated).toBe(false);
+      expect(messages).toHaveLength(30);
+    });
+
+    test('leaves our own messages out unless outgoing capture is on', async () => {
+      const chat = createChat(5);
+
+      await service.fetchMessagesSince(chat, null);
+      whatsappClient.captureOutgoing = true;
+      await service.fetchMessagesSince(chat, null);
+
+      expect(chat.fetchMessages.mock.calls[0][0]).toEqual({ limit: 10, fromMe: false });
+      expect(chat.fetchMessages.mock.calls[1][0]).toEqual({ limit: 10 });
+    });
+  });
+
+  describe('backfillGroup', () => {
+    test('advances the cursor to each stored message and marks the group complete', async () => {
+      const chat = createChat(100);
+      dbService.getBackfillCursor.mockResolvedValue({
+        synced_until: new Date(chat.history[95].timestamp * 1000),
+        messages_saved: 4
+      });
+
+      const saved = await service.backfillGroup(chat, new Date());
+
+      expect(saved).toBe(5);
+      const updates = cursorUpdates();
+      expect(updates[updates.length - 2]).toMatchObject({
+        syncedUntil: new Date(chat.history[99].timestamp * 1000),
+        lastMessageId: 'msg-99',
+        messagesSaved: 9
+      });
+      expect(updates[updates.length - 1]).toMatchObject({ status: 'complete' });
+    });
+
+    test('keeps the cursor in place and marks the group truncated when the cap cuts the fetch short', async () => {
+      const chat = createChat(100);
+      const syncedUntil = new Date(chat.history[10].timestamp * 1000);
+      dbService.getBackfillCursor.mockResolvedValue({ synced_until: syncedUntil, messages_saved: 0 });
+
+      const saved = await service.backfillGroup(chat, new Date());
+
+      expect(saved).toBe(30);
+      const updates = cursorUpdates();
+      expect(updates.every(update => update.syncedUntil === undefined)).toBe(true);
+      expect(updates[updates.length - 1]).toMatchObject({ status: 'truncated' });
+      expect(updates[updates.length - 1].lastError).toMatch('BACKFILL_MAX_MESSAGES_PER_GROUP (30)');
+      expect(updates.some(update => update.status === 'complete')).toBe(false);
+    });
+
+    test('reads and writes the cursor of its own account', async () => {
+      await service.backfillGroup(createChat(3), new Date());
+
+      expect(dbService.getBackfillCursor).toHaveBeenCalledWith('group-1@g.us', 'sales');
+      for (const call of dbService.saveBackfillCursor.mock.calls) {
+        expect(call[0]).toBe('group-1@g.us');
+        expect(call[2]).toBe('sales');
+      }
+    });
+
+    test('stops where it was asked to and leaves the group in progress', async () => {
+      whatsappClient.persistMessage.mockImplementation(async () => {
+        service.stopRequested = true;
+        return { id: 1, isNew: true };
+      });
+
+      const saved = await service.backfillGroup(createChat(5), new Date());
+
+      expect(saved).toBe(1);
+      expect(cursorUpdates().some(update => update.status === 'complete')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,288 @@
+/**
+ * Tests for the cron parser, next-run calculation and job runs of BroadcastService
+ * Dates are built with local-time constructors, as getNextCronRun works in server local time
+ */
+
+const BroadcastService = require('../../src/services/broadcastService');
+
+describe('BroadcastService cron schedules', () => {
+  const service = new BroadcastService(null, null, null);
+
+  const sorted = (set) => [...set].sort((a, b) => a - b);
+
+  describe('parseCron', () => {
+    test('expands * to the whole range of a field', () => {
+      const cron = service.parseCron('* * * * *');
+
+      expect(cron.minutes.size).toBe(60);
+      expect(cron.hours.size).toBe(24);
+      expect(sorted(cron.daysOfMonth)[0]).toBe(1);
+      expect(sorted(cron.months)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+      expect(cron.dayOfMonthRestricted).toBe(false);
+      expect(cron.dayOfWeekRestricted).toBe(false);
+    });
+
+    test('expands ranges', () => {
+      const cron = service.parseCron('0 9-17 * * 1-5');
+
+      expect(sorted(cron.hours)).toEqual([9, 10, 11, 12, 13, 14, 15, 16, 17]);
+      expect(sorted(cron.daysOfWeek)).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test('expands steps over *, ranges and a start value', () => {
+      expect(sorted(service.parseCron('*/15 * * * *').minutes)).toEqual([0, 15, 30, 45]);
+      expect(sorted(service.parseCron('0 8-18/5 * * *').hours)).toEqual([8, 13, 18]);
+      expect(sorted(service.parseCron('5/20 * * * *').minutes)).toEqual([5, 25, 45]);
+    });
+
+    test('expands lists, including lists of ranges', () => {
+      expect(sorted(service.parseCron('0,30 * * * *').minutes)).toEqual([0, 30]);
+      expect(sorted(service.parseCron('0 1-3,10,20-22/2 * * *').hours)).toEqual([1, 2, 3, 10, 20, 22]);
+    });
+
+    test('accepts 7 as well as 0 for Sunday', () => {
+      expect(service.parseCron('0 0 * * 7').daysOfWeek.has(0)).toBe(true);
+      expect(service.parseCron('0 0 * * 0').daysOfWeek.has(0)).toBe(true);
+    });
+
+    test('treats day fields starting with * as unrestricted', () => {
+      const cron = service.parseCron('0 0 */2 * 1');
+
+      expect(cron.dayOfMonthRestricted).toBe(false);
+      expect(cron.dayOfWeekRestricted).toBe(true);
+    });
+  });
+
+  describe('isValidCron', () => {
+    test.each([
+      '* * * * *',
+      '0 9 * * 1-5',
+      '*/5 8-18 1,15 1-12/3 0,7'
+    ])('accepts "%s"', (expression) => {
+      expect(service.isValidCron(expression)).toBe(true);
+    });
+
+    test.each([
+      ['too few fields', '* * * *'],
+      ['too many fields', '* * * * * *'],
+      ['an empty expression', ''],
+      ['minute above 59', '60 * * * *'],
+      ['hour above 23', '* 24 * * *'],
+      ['day of month 0', '* * 0 * *'],
+      ['day of month above 31', '* * 32 * *'],
+      ['month 0', '* * * 0 *'],
+      ['month above 12', '* * * 13 *'],
+      ['day of week above 7', '* * * * 8'],
+      ['a reversed range', '5-1 * * * *'],
+      ['a zero step', '*/0 * * * *'],
+      ['a range with three parts', '1-2-3 * * * *'],
+      ['a name instead of a number', '* * * * MON'],
+      ['a negative number', '-1 * * * *'],
+      ['an empty list item', '1,,2 * * * *']
+    ])('rejects %s', (description, expression) => {
+      expect(service.isValidCron(expression)).toBe(false);
+    });
+  });
+
+  describe('getNextCronRun', () => {
+    test('returns the first run strictly after the given time', () => {
+      expect(service.getNextCronRun('0 9 * * *', new Date(2024, 0, 1, 8, 59, 59)))
+        .toEqual(new Date(2024, 0, 1, 9, 0));
+      expect(service.getNextCronRun('0 9 * * *', new Date(2024, 0, 1, 9, 0)))
+        .toEqual(new Date(2024, 0, 2, 9, 0));
+      expect(service.getNextCronRun('0 9 * * *', new Date(2024, 0, 1, 9, 0, 30)))
+        .toEqual(new Date(2024, 0, 2, 9, 0));
+    });
+
+    test('follows steps within the hour and into the next hour', () => {
+      expect(service.getNextCronRun('*/15 * * * *', new Date(2024, 0, 1, 10, 7)))
+        .toEqual(new Date(2024, 0, 1, 10, 15));
+      expect(service.getNextCronRun('*/15 * * * *', new Date(2024, 0, 1, 10, 45)))
+        .toEqual(new Date(2024, 0, 1, 11, 0));
+    });
+
+    test('rolls over into the next month and year', () => {
+      expect(service.getNextCronRun('30 6 1 * *', new Date(2024, 0, 15)))
+        .toEqual(new Date(2024, 1, 1, 6, 30));
+      expect(service.getNextCronRun('0 0 1 1 *', new Date(2024, 5, 1)))
+        .toEqual(new Date(2025, 0, 1, 0, 0));
+    });
+
+    test('fires on either day when day of month and day of week are both restricted', () => {
+      // The 10th or any Monday; 3 September 2024 is a Tuesday
+      expect(service.getNextCronRun('0 0 10 * 1', new Date(2024, 8, 3)))
+        .toEqual(new Date(2024, 8, 9, 0, 0));
+      expect(service.getNextCronRun('0 0 10 * 1', new Date(2024, 8, 9, 0, 0)))
+        .toEqual(new Date(2024, 8, 10, 0, 0));
+    });
+
+    test('uses only day of week when day of month is *', () => {
+      // Mondays only; 10 September 2024 is a Tuesday
+      expect(service.getNextCronRun('0 0 * * 1', new Date(2024, 8, 10)))
+        .toEqual(new Date(2024, 8, 16, 0, 0));
+    });
+
+    test('requires both day fields when one of them starts with *', () => {
+      // Odd days that are also Mondays: 16 September 2024 is even, 23 September is odd
+      expect(service.getNextCronRun('0 0 */2 * 1', new Date(2024, 8, 10)))
+        .toEqual(new Date(2024, 8, 23, 0, 0));
+    });
+
+    test('treats 7 as Sunday', () => {
+      // 15 September 2024 is a Sunday
+      expect(service.getNextCronRun('0 12 * * 7', new Date(2024, 8, 10)))
+        .toEqual(new Date(2024, 8, 15, 12, 0));
+    });
+
+    test('finds 29 February in the same or a later leap year', () => {
+      expect(service.getNextCronRun('0 12 29 2 *', new Date(2024, 0, 1)))
+        .toEqual(new Date(2024, 1, 29, 12, 0));
+      expect(service.getNextCronRun('0 12 29 2 *', new Date(2025, 2, 1)))
+        .toEqual(new Date(2028, 1, 29, 12, 0));
+    });
+
+    test('skips months without the day', () => {
+      // No 31 April, June, September or November
+      expect(service.getNextCronRun('0 0 31 * *', new Date(2024, 3, 1)))
+        .toEqual(new Date(2024, 4, 31, 0, 0));
+    });
+
+    test('throws for a schedule that never fires', () => {
+      expect(() => service.getNextCronRun('0 0 30 2 *', new Date(2024, 0, 1))).toThrow('never fires');
+    });
+
+    test('throws for an invalid expression', () => {
+      expect(() => service.getNextCronRun('0 0 * *')).toThrow('must have 5 fields');
+    });
+  });
+});
+
+describe('BroadcastService jobs', () => {
+  let dbService;
+  let sendQueue;
+  let service;
+
+  const dueJob = (fields) => ({
+    id: 1,
+    name: 'Morning',
+    account_id: 'sales',
+    message_template: 'Good morning {{group_name}}',
+    variables: null,
+    target_group_ids: JSON.stringify(['group-1@g.us', 'group-2@g.us', 'group-3@g.us']),
+    target_tag: null,
+    cron_expression: null,
+    stagger_ms: 0,
+    next_run_at: new Date(2024, 0, 1, 9, 0),
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    dbService = {
+      createBroadcastJob: jest.fn(async job => ({ id: 1, name: job.name, ...job })),
+      getDueBroadcastJobs: jest.fn().mockResolvedValue([]),
+      claimBroadcastRun: jest.fn().mockResolvedValue(10),
+      setBroadcastRunTargetCount: jest.fn().mockResolvedValue(),
+      markBroadcastRunFailed: jest.fn().mockResolvedValue(),
+      getGroupIdsByTag: jest.fn().mockResolvedValue([]),
+      getGroupDetails: jest.fn(async groupId => ({ subject: `Name of ${groupId}` }))
+    };
+    sendQueue = {
+      saveMedia: jest.fn().mockResolvedValue({ mediaPath: 'outbound/a.jpg', mediaMimetype: 'image/jpeg', mediaFilename: 'a.jpg' }),
+      enqueue: jest.fn().mockResolvedValue({})
+    };
+    service = new BroadcastService({ getClient: () => null }, dbService, sendQueue);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createJob', () => {
+    test('schedules a recurring job at its next run', async () => {
+      const job = await service.createJob({ name: 'Daily', text: 'Hi', groupIds: ['group-1@g.us'], cron: '0 9 * * *' });
+
+      expect(job.nextRunAt.getHours()).toBe(9);
+      expect(job.nextRunAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('saves no media for a schedule that never fires', async () => {
+      await expect(service.createJob({
+        name: 'Never',
+        media: { data: 'aGk=', mimetype: 'image/jpeg', filename: 'a.jpg' },
+        groupIds: ['group-1@g.us'],
+        cron: '0 0 31 2 *'
+      })).rejects.toThrow('never fires');
+
+      expect(sendQueue.saveMedia).not.toHaveBeenCalled();
+      expect(dbService.createBroadcastJob).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runJob', () => {
+    test('queues one message per group with its name filled in', async () => {
+      await service.runJob(dueJob());
+
+      expect(sendQueue.enqueue.mock.calls.map(([message]) => [message.groupId, message.text, message.broadcastRunId])).toEqual([
+        ['group-1@g.us', 'Good morning Name of group-1@g.us', 10],
+        ['group-2@g.us', 'Good morning Name of group-2@g.us', 10],
+        ['group-3@g.us', 'Good morning Name of group-3@g.us', 10]
+      ]);
+      expect(dbService.setBroadcastRunTargetCount).toHaveBeenCalledWith(10, 3);
+    });
+
+    test('claims the run with the next cron time for a recurring job', async () => {
+      await service.runJob(dueJob({ cron_expression: '0 9 * * *' }));
+
+      const [, nextRunAt, startedAt] = dbService.claimBroadcastRun.mock.calls[0];
+      expect(nextRunAt).toEqual(service.getNextCronRun('0 9 * * *', startedAt));
+    });
+
+    test('leaves the job due when its targets cannot be resolved', async () => {
+      dbService.getGroupDetails.mockRejectedValue(new Error('connection lost'));
+
+      await expect(service.runJob(dueJob())).rejects.toThrow('connection lost');
+
+      expect(dbService.claimBroadcastRun).not.toHaveBeenCalled();
+      expect(sendQueue.enqueue).not.toHaveBeenCalled();
+    });
+
+    test('does nothing when the run was claimed elsewhere', async () => {
+      dbService.claimBroadcastRun.mockResolvedValue(null);
+
+      await service.runJob(dueJob());
+
+      expect(sendQueue.enqueue).not.toHaveBeenCalled();
+    });
+
+    test('marks the run failed with the number of groups queued when queueing stops part-way', async () => {
+      sendQueue.enqueue
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(new Error('connection lost'));
+
+      await expect(service.runJob(dueJob())).rejects.toThrow('connection lost');
+
+      expect(dbService.markBroadcastRunFailed).toHaveBeenCalledWith(10, 'connection lost', 1);
+      expect(dbService.setBroadcastRunTargetCount).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runDueJobs', () => {
+    test('keeps running the other due jobs when one fails', async () => {
+      dbService.getDueBroadcastJobs.mockResolvedValue([
+        dueJob({ id: 1, target_tag: 'broken', target_group_ids: null }),
+        dueJob({ id: 2 })
+      ]);
+      dbService.getGroupIdsByTag.mockRejectedValue(new Error('bad tag'));
+
+      await service.runDueJobs();
+
+      expect(dbService.claimBroadcastRun).toHaveBeenCalledTimes(1);
+      expect(dbService.claimBroadcastRun.mock.calls[0][0].id).toBe(2);
+      expect(sendQueue.enqueue).toHaveBeenCalledTimes(3);
+      expect(service.isRunning).toBe(false);
+    });
+  });
+});
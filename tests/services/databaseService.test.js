@@ -0,0 +1,172 @@
+/**
+ * Tests for queries of DatabaseService whose logic lives in SQL: upserts, claims and outbound queue filters
+ * The pool is replaced with a mock, so these check the query and how its result is read
+ */
+
+const DatabaseService = require('../../src/services/databaseService');
+
+describe('DatabaseService', () => {
+  let db;
+
+  const mockResult = (result) => {
+    db.pool.query.mockResolvedValueOnce([result]);
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db = new DatabaseService();
+    db.isConnected = true;
+    db.pool = { query: jest.fn() };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('saveMessage', () => {
+    const save = () => db.saveMessage(
+      'group-1@g.us', 'Group', 'Alice', 'Hello', new Date(2024, 0, 1),
+      null, null, null, null, null,
+      null, null, null, null, null, null,
+      null, 'true_group-1@g.us_ABC', 'alice@c.us'
+    );
+
+    test('reports a fresh insert as new', async () => {
+      mockResult({ insertId: 41, affectedRows: 1 });
+
+      await expect(save()).resolves.toEqual({ id: 41, isNew: true });
+    });
+
+    test('reports a duplicate as not new, with the existing row ID', async () => {
+      mockResult({ insertId: 17, affectedRows: 2 });
+
+      await expect(save()).resolves.toEqual({ id: 17, isNew: false });
+    });
+
+    test('always changes a duplicate row, so the default CLIENT_FOUND_ROWS flag cannot hide it', async () => {
+      mockResult({ insertId: 17, affectedRows: 2 });
+      await save();
+
+      const [query, params] = db.pool.query.mock.calls[0];
+      expect(query).toMatch(/ON DUPLICATE KEY UPDATE\s+id = LAST_INSERT_ID\(id\),\s+capture_count = capture_count \+ 1/);
+      expect(params).toHaveLength(29);
+      expect(params[17]).toBe('true_group-1@g.us_ABC');
+      expect(params[18]).toBe('alice@c.us');
+    });
+
+    test('only fills in missing values on a duplicate', async () => {
+      mockResult({ insertId: 17, affectedRows: 2 });
+      await save();
+
+      const [query] = db.pool.query.mock.calls[0];
+      const updates = query.split('ON DUPLICATE KEY UPDATE')[1];
+      expect(updates).not.toMatch(/message_text|sender_name|timestamp/);
+      expect(updates).toMatch(/image_attachment_path = COALESCE\(image_attachment_path, VALUES\(image_attachment_path\)\)/);
+    });
+
+    test('reconnects first when the connection is down', async () => {
+      db.isConnected = false;
+      db.reconnect = jest.fn().mockResolvedValue();
+      mockResult({ insertId: 41, affectedRows: 1 });
+
+      await save();
+      expect(db.reconnect).toHaveBeenCalledTimes(1);
+    });
+
+    test('rethrows query errors', async () => {
+      db.pool.query.mockRejectedValueOnce(Object.assign(new Error('gone'), { code: 'ECONNRESET' }));
+
+      await expect(save()).rejects.toThrow('gone');
+    });
+  });
+
+  describe('markMessagePostProcessed', () => {
+    test('claims a message only while it is unclaimed', async () => {
+      mockResult({ affectedRows: 1 });
+      await expect(db.markMessagePostProcessed(41)).resolves.toBe(true);
+
+      mockResult({ affectedRows: 0 });
+      await expect(db.markMessagePostProcessed(41)).resolves.toBe(false);
+
+      const [query, params] = db.pool.query.mock.calls[0];
+      expect(query).toMatch(/SET post_processed = TRUE WHERE id = \? AND post_processed = FALSE/);
+      expect(params).toEqual([41]);
+    });
+  });
+
+  describe('saveGroupEvent', () => {
+    const event = {
+      eventId: 'event-1',
+      groupId: 'group-1@g.us',
+      eventType: 'membership',
+      subtype: 'add',
+      targetIds: ['bob@c.us'],
+      eventTime: new Date(2024, 0, 1)
+    };
+
+    test('tells new events from duplicates', async () => {
+      mockResult({ insertId: 3, affectedRows: 1 });
+      await expect(db.saveGroupEvent(event)).resolves.toEqual({ id: 3, isNew: true });
+
+      mockResult({ insertId: 3, affectedRows: 2 });
+      await expect(db.saveGroupEvent(event)).resolves.toEqual({ id: 3, isNew: false });
+
+      expect(db.pool.query.mock.calls[0][0]).toMatch(/capture_count = capture_count \+ 1/);
+    });
+  });
+
+  describe('addMessageToBatch', () => {
+    test('links the item and the album\'s first item, recording each one\'s place in batch_metadata', async () => {
+      const connection = {
+        beginTransaction: jest.fn().mockResolvedValue(),
+        query: jest.fn().mockResolvedValue([{ affectedRows: 1 }]),
+        commit: jest.fn().mockResolvedValue(),
+        rollback: jest.fn().mockResolvedValue(),
+        release: jest.fn()
+      };
+      db.pool.getConnection = jest.fn().mockResolvedValue(connection);
+      const startedAt = new Date(2024, 0, 1, 9, 0);
+
+      await db.addMessageToBatch(42, { batchId: 'msg-1', position: 2, startedAt: startedAt.getTime() }, {
+        groupId: 'group-1@g.us',
+        senderId: 'alice@c.us',
+        timestamp: new Date(2024, 0, 1, 9, 0, 2)
+      }, 'sales');
+
+      const updates = connection.query.mock.calls.filter(([query]) => query.startsWith('UPDATE messages'));
+      const [[, itemParams], [, firstItemParams]] = updates;
+      expect(JSON.parse(itemParams[2])).toEqual({ batchId: 'msg-1', position: 2, startedAt: startedAt.toISOString() });
+      expect(JSON.parse(firstItemParams[1])).toEqual({ batchId: 'msg-1', position: 0, startedAt: startedAt.toISOString() });
+      expect(updates[1][0]).toMatch(/WHERE message_id = \? AND batch_id IS NULL/);
+      expect(connection.commit).toHaveBeenCalled();
+      expect(connection.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('getDueOutboundMessages', () => {
+    test('only filters on status and due time by default', async () => {
+      mockResult([]);
+      await db.getDueOutboundMessages();
+
+      const [query, params] = db.pool.query.mock.calls[0];
+      expect(query).toMatch(/WHERE status = 'queued' AND next_attempt_at <= \?\s+ORDER BY next_attempt_at, id\s+LIMIT \?/);
+      expect(params).toEqual([expect.any(Date), 50]);
+    });
+
+    test('leaves out accounts and groups that cannot be sent to, in SQL', async () => {
+      mockResult([]);
+      await db.getDueOutboundMessages(20, {
+        accountIds: ['support'],
+        withoutAccount: true,
+        groupIds: ['group-1@g.us', 'group-2@g.us']
+      });
+
+      const [query, params] = db.pool.query.mock.calls[0];
+      expect(query).toContain('(account_id IS NULL OR account_id NOT IN (?))');
+      expect(query).toContain('account_id IS NOT NULL');
+      expect(query).toContain('group_id NOT IN (?)');
+      expect(params).toEqual([expect.any(Date), ['support'], ['group-1@g.us', 'group-2@g.us'], 20]);
+    });
+  });
+});
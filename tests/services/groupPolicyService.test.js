@@ -0,0 +1,91 @@
+/**
+ * Tests for group allow/deny matching in GroupPolicyService
+ * The database is mocked with the stored policy mode and rules
+ */
+
+const GroupPolicyService = require('../../src/services/groupPolicyService');
+
+describe('GroupPolicyService', () => {
+  const createPolicy = (mode, rules = []) => new GroupPolicyService({
+    getGroupPolicy: jest.fn().mockResolvedValue(mode ? { mode } : null),
+    getGroupPolicyRules: jest.fn().mockResolvedValue(rules)
+  });
+
+  const rule = (list_type, match_type, value) => ({ list_type, match_type, value });
+
+  describe('patternToRegExp', () => {
+    test.each([
+      ['Sales*', 'Sales Team', true],
+      ['Sales*', 'sales', true],
+      ['Sales*', 'Team Sales', false],
+      ['*sales*', 'North Sales Team', true],
+      ['Team ?', 'Team A', true],
+      ['Team ?', 'Team AB', false],
+      ['Team ?', 'Team ', false]
+    ])('"%s" against "%s" is %s', (pattern, name, expected) => {
+      expect(createPolicy('all').patternToRegExp(pattern).test(name)).toBe(expected);
+    });
+
+    test('treats regular expression characters in a pattern literally', () => {
+      const policy = createPolicy('all');
+
+      expect(policy.patternToRegExp('Q1 (2024) + plans.').test('Q1 (2024) + plans.')).toBe(true);
+      expect(policy.patternToRegExp('a.c').test('abc')).toBe(false);
+      expect(policy.patternToRegExp('[test]').test('t')).toBe(false);
+      expect(policy.patternToRegExp('cost $5^2').test('cost $5^2')).toBe(true);
+    });
+  });
+
+  describe('isGroupAllowed', () => {
+    test('captures every group when no policy is stored', async () => {
+      await expect(createPolicy(null).isGroupAllowed('group-1@g.us', 'Anything')).resolves.toBe(true);
+    });
+
+    test('captures every group in "all" mode, whatever the rules say', async () => {
+      const policy = createPolicy('all', [rule('deny', 'group_id', 'group-1@g.us')]);
+
+      await expect(policy.isGroupAllowed('group-1@g.us', 'Group')).resolves.toBe(true);
+    });
+
+    test('only captures matching groups in allowlist mode', async () => {
+      const policy = createPolicy('allowlist', [
+        rule('allow', 'group_id', 'group-1@g.us'),
+        rule('allow', 'name_pattern', 'Support*'),
+        rule('deny', 'name_pattern', '*')
+      ]);
+
+      await expect(policy.isGroupAllowed('group-1@g.us', 'Random')).resolves.toBe(true);
+      await expect(policy.isGroupAllowed('group-2@g.us', 'support desk')).resolves.toBe(true);
+      await expect(policy.isGroupAllowed('group-3@g.us', 'Random')).resolves.toBe(false);
+    });
+
+    test('captures all but matching groups in denylist mode', async () => {
+      const policy = createPolicy('denylist', [
+        rule('deny', 'name_pattern', '*family*'),
+        rule('allow', 'group_id', 'group-2@g.us')
+      ]);
+
+      await expect(policy.isGroupAllowed('group-1@g.us', 'The Family Chat')).resolves.toBe(false);
+      await expect(policy.isGroupAllowed('group-2@g.us', 'Family')).resolves.toBe(false);
+      await expect(policy.isGroupAllowed('group-3@g.us', 'Work')).resolves.toBe(true);
+    });
+
+    test('name patterns never match a group whose name is unknown', async () => {
+      const allowlist = createPolicy('allowlist', [rule('allow', 'name_pattern', '*')]);
+      const denylist = createPolicy('denylist', [rule('deny', 'name_pattern', '*')]);
+
+      await expect(allowlist.isGroupAllowed('group-1@g.us')).resolves.toBe(false);
+      await expect(denylist.isGroupAllowed('group-1@g.us')).resolves.toBe(true);
+    });
+
+    test('loads the policy once and reuses it', async () => {
+      const policy = createPolicy('denylist', []);
+
+      await policy.isGroupAllowed('group-1@g.us', 'A');
+      await policy.isGroupAllowed('group-2@g.us', 'B');
+
+      expect(policy.dbService.getGroupPolicy).toHaveBeenCalledTimes(1);
+      expect(policy.dbService.getGroupPolicyRules).toHaveBeenCalledTimes(1);
+    });
+  });
+});
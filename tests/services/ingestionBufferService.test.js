@@ -0,0 +1,190 @@
+/**
+ * Tests for how IngestionBufferService queues entries on disk and drains them in order
+ * Entries go to a temporary folder; the client manager, WhatsApp client and database are mocked
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const IngestionBufferService = require('../../src/services/ingestionBufferService');
+
+describe('IngestionBufferService', () => {
+  const savedEnv = {};
+  let bufferPath;
+  let dbService;
+  let whatsappClient;
+  let buffer;
+  let stored;
+
+  const processedMessage = (messageId, fields) => ({
+    messageId,
+    groupId: 'group-1@g.us',
+    groupName: 'Group',
+    messageText: `Text of ${messageId}`,
+    timestamp: new Date(2024, 0, 1, 9, 0),
+    ...fields
+  });
+
+  const connectionError = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+  beforeEach(async () => {
+    for (const key of ['INGESTION_BUFFER_PATH']) {
+      savedEnv[key] = process.env[key];
+    }
+    bufferPath = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ingestion-buffer-'));
+    process.env.INGESTION_BUFFER_PATH = bufferPath;
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    // Everything stored, in order, as [kind, messageId]
+    stored = [];
+    dbService = {
+      isConnected: true,
+      isConnectionError: jest.fn(error => error.code === 'ECONNREFUSED'),
+      markDisconnected: jest.fn(() => { dbService.isConnected = false; })
+    };
+    whatsappClient = {
+      accountId: 'sales',
+      server: { broadcastNewMessage: jest.fn() },
+      ruleEngine: { evaluate: jest.fn().mockResolvedValue() },
+      writeMessage: jest.fn(async message => {
+        stored.push(['message', message.messageId]);
+        return { id: stored.length, isNew: true };
+      }),
+      applyMessageUpdate: jest.fn(async (type, update) => {
+        stored.push([type, update.messageId]);
+        return { id: 1 };
+      })
+    };
+    const clientManager = { getClient: jest.fn(() => whatsappClient) };
+
+    buffer = new IngestionBufferService(clientManager, dbService);
+    await buffer.start();
+  });
+
+  afterEach(async () => {
+    buffer.stop();
+    await fs.promises.rm(bufferPath, { recursive: true, force: true });
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    jest.restoreAllMocks();
+  });
+
+  describe('append', () => {
+    test('writes each entry to its own numbered file', async () => {
+      await buffer.append('sales', processedMessage('msg-1'));
+      await buffer.appendUpdate('sales', 'edit', { messageId: 'msg-1', newBody: 'Edited', editedAt: new Date() });
+
+      expect(await buffer.listEntries()).toEqual(['000000000001.json', '000000000002.json']);
+      expect(buffer.hasPending()).toBe(true);
+      expect(buffer.getStatus().depth).toBe(2);
+    });
+
+    test('carries on numbering from the entries left by an earlier run', async () => {
+      await buffer.append('sales', processedMessage('msg-1'));
+      await fs.promises.writeFile(path.join(bufferPath, '000000000002.json.tmp'), '{"half');
+
+      const restarted = new IngestionBufferService({ getClient: () => whatsappClient }, dbService);
+      await restarted.start();
+      restarted.stop();
+      await restarted.append('sales', processedMessage('msg-2'));
+
+      expect(await restarted.listEntries()).toEqual(['000000000001.json', '000000000002.json']);
+      expect(fs.existsSync(path.join(bufferPath, '000000000002.json.tmp'))).toBe(false);
+      expect(restarted.depth).toBe(2);
+    });
+  });
+
+  describe('drain', () => {
+    test('stores messages, edits and revocations in the order they were buffered', async () => {
+      await buffer.append('sales', processedMessage('msg-1'));
+      await buffer.appendUpdate('sales', 'edit', { messageId: 'msg-1', newBody: 'Edited', editedAt: new Date(2024, 0, 1, 9, 5) });
+      await buffer.append('sales', processedMessage('msg-2'));
+      await buffer.appendUpdate('sales', 'revoke', { messageId: 'msg-2', revokedAt: new Date(2024, 0, 1, 9, 6) });
+
+      await buffer.drain();
+
+      expect(stored).toEqual([['message', 'msg-1'], ['edit', 'msg-1'], ['message', 'msg-2'], ['revoke', 'msg-2']]);
+      expect(await buffer.listEntries()).toEqual([]);
+      expect(buffer.hasPending()).toBe(false);
+      expect(buffer.getStatus()).toMatchObject({ drainedCount: 4, oldestBufferedAt: null });
+    });
+
+    test('restores dates that were written to disk as strings', async () => {
+      await buffer.append('sales', processedMessage('msg-1'));
+      await buffer.appendUpdate('sales', 'edit', { messageId: 'msg-1', editedAt: new Date(2024, 0, 1, 9, 5) });
+
+      await buffer.drain();
+
+      expect(whatsappClient.writeMessage.mock.calls[0][0].timestamp).toEqual(new Date(2024, 0, 1, 9, 0));
+      expect(whatsappClient.applyMessageUpdate.mock.calls[0][1].editedAt).toEqual(new Date(2024, 0, 1, 9, 5));
+    });
+
+    test('broadcasts stored messages and runs rules on live ones only', async () => {
+      await buffer.append('sales', processedMessage('msg-1'), true);
+      await buffer.append('sales', processedMessage('msg-2'));
+
+      await buffer.drain();
+
+      expect(whatsappClient.server.broadcastNewMessage).toHaveBeenCalledTimes(2);
+      expect(whatsappClient.ruleEngine.evaluate).toHaveBeenCalledTimes(1);
+      expect(whatsappClient.ruleEngine.evaluate.mock.calls[0][0].messageId).toBe('msg-1');
+    });
+
+    test('skips the broadcast and rules for a message whose follow-ups already ran', async () => {
+      whatsappClient.writeMessage.mockResolvedValueOnce({ id: 7, isNew: false });
+      await buffer.append('sales', processedMessage('msg-1'), true);
+
+      await buffer.drain();
+
+      expect(whatsappClient.server.broadcastNewMessage).not.toHaveBeenCalled();
+      expect(whatsappClient.ruleEngine.evaluate).not.toHaveBeenCalled();
+      expect(buffer.hasPending()).toBe(false);
+    });
+
+    test('stops at a lost connection and resumes from the same entry', async () => {
+      await buffer.append('sales', processedMessage('msg-1'));
+      await buffer.append('sales', processedMessage('msg-2'));
+      await buffer.append('sales', processedMessage('msg-3'));
+      whatsappClient.writeMessage
+        .mockImplementationOnce(async message => {
+          stored.push(['message', message.messageId]);
+          return { id: 1, isNew: true };
+        })
+        .mockRejectedValueOnce(connectionError());
+
+      await buffer.drain();
+
+      expect(stored).toEqual([['message', 'msg-1']]);
+      expect(dbService.markDisconnected).toHaveBeenCalled();
+      expect(buffer.depth).toBe(2);
+
+      // Nothing is drained until the database is back
+      await buffer.drain();
+      expect(whatsappClient.writeMessage).toHaveBeenCalledTimes(2);
+
+      dbService.isConnected = true;
+      await buffer.drain();
+
+      expect(stored).toEqual([['message', 'msg-1'], ['message', 'msg-2'], ['message', 'msg-3']]);
+      expect(buffer.hasPending()).toBe(false);
+    });
+
+    test('moves an entry that fails for another reason aside and carries on', async () => {
+      await buffer.append('sales', processedMessage('msg-1'));
+      await buffer.append('sales', processedMessage('msg-2'));
+      whatsappClient.writeMessage.mockRejectedValueOnce(new Error('Data too long for column'));
+
+      await buffer.drain();
+
+      expect(stored).toEqual([['message', 'msg-2']]);
+      expect(await fs.promises.readdir(buffer.failedPath)).toEqual([expect.stringMatching(/^\d+_000000000001\.json$/)]);
+      expect(buffer.getStatus()).toMatchObject({ depth: 0, failedCount: 1, drainedCount: 1 });
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Tests for how MediaPolicyService picks a download mode from its rules
+ * The database is mocked; rules use '' for "any group" and "any type", as they are stored
+ */
+
+const MediaPolicyService = require('../../src/services/mediaPolicyService');
+
+describe('MediaPolicyService', () => {
+  const savedEnv = {};
+
+  const rule = (id, group_id, media_type, mode) => ({ id, group_id, media_type, mode });
+
+  const createPolicy = (rules = []) => new MediaPolicyService({
+    getMediaPolicyRules: jest.fn().mockResolvedValue(rules),
+    saveMediaPolicyRule: jest.fn().mockResolvedValue(),
+    deleteMediaPolicyRule: jest.fn().mockResolvedValue(true)
+  });
+
+  beforeEach(() => {
+    savedEnv.MEDIA_DOWNLOAD_MODE = process.env.MEDIA_DOWNLOAD_MODE;
+    delete process.env.MEDIA_DOWNLOAD_MODE;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    if (savedEnv.MEDIA_DOWNLOAD_MODE === undefined) delete process.env.MEDIA_DOWNLOAD_MODE;
+    else process.env.MEDIA_DOWNLOAD_MODE = savedEnv.MEDIA_DOWNLOAD_MODE;
+    jest.restoreAllMocks();
+  });
+
+  describe('getMode', () => {
+    const rules = [
+      rule(1, '', 'video', 'lazy'),
+      rule(2, 'group-1@g.us', '', 'skip'),
+      rule(3, 'group-1@g.us', 'image', 'eager'),
+      rule(4, '', 'document', 'skip')
+    ];
+
+    test.each([
+      ['a rule for the group and type', 'group-1@g.us', 'image', 'eager'],
+      ['a rule for the group over one for the type', 'group-1@g.us', 'video', 'skip'],
+      ['a rule for the group when no type rule matches', 'group-1@g.us', 'audio', 'skip'],
+      ['a rule for the type in other groups', 'group-2@g.us', 'video', 'lazy'],
+      ['another type rule in other groups', 'group-2@g.us', 'document', 'skip'],
+      ['the default when no rule matches', 'group-2@g.us', 'image', 'eager']
+    ])('uses %s', async (description, groupId, mediaType, mode) => {
+      await expect(createPolicy(rules).getMode(groupId, mediaType)).resolves.toBe(mode);
+    });
+
+    test('falls back to MEDIA_DOWNLOAD_MODE when it is a known mode', async () => {
+      process.env.MEDIA_DOWNLOAD_MODE = 'lazy';
+      await expect(createPolicy().getMode('group-1@g.us', 'image')).resolves.toBe('lazy');
+
+      process.env.MEDIA_DOWNLOAD_MODE = 'sometimes';
+      await expect(createPolicy().getMode('group-1@g.us', 'image')).resolves.toBe('eager');
+    });
+
+    test('loads the rules once and reuses them', async () => {
+      const policy = createPolicy(rules);
+
+      await policy.getMode('group-1@g.us', 'image');
+      await policy.getMode('group-2@g.us', 'video');
+
+      expect(policy.dbService.getMediaPolicyRules).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getPolicy', () => {
+    test('reports rules for any group or type with null', async () => {
+      const { defaultMode, rules } = await createPolicy([rule(1, '', 'video', 'lazy')]).getPolicy();
+
+      expect(defaultMode).toBe('eager');
+      expect(rules).toEqual([{ id: 1, group_id: null, media_type: 'video', mode: 'lazy' }]);
+    });
+  });
+
+  describe('setRule', () => {
+    test('reloads the rules so the change applies straight away', async () => {
+      const policy = createPolicy([]);
+      await policy.getMode('group-1@g.us', 'image');
+      policy.dbService.getMediaPolicyRules.mockResolvedValue([rule(1, 'group-1@g.us', '', 'skip')]);
+
+      await policy.setRule({ groupId: 'group-1@g.us', mediaType: null, mode: 'skip' });
+
+      await expect(policy.getMode('group-1@g.us', 'image')).resolves.toBe('skip');
+    });
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Tests for the scheduling order of MessagePipelineService
+ * Each test holds the pipeline busy with a blocking task, queues more work behind it,
+ * then releases the block and checks the order the handlers started in
+ */
+
+const MessagePipelineService = require('../../src/services/messagePipelineService');
+
+const ENV_KEYS = [
+  'MESSAGE_PIPELINE_CONCURRENCY',
+  'MESSAGE_PIPELINE_HIGH_WATER_MARK',
+  'MESSAGE_PIPELINE_MAX_MEDIA_WAIT_MS'
+];
+
+// A promise that can be resolved from outside, used to keep a handler running
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(res => { resolve = res; });
+  return { promise, resolve };
+};
+
+describe('MessagePipelineService scheduling', () => {
+  const savedEnv = {};
+  let started;
+
+  const createPipeline = (env = {}) => {
+    Object.assign(process.env, { MESSAGE_PIPELINE_CONCURRENCY: '1', ...env });
+    return new MessagePipelineService();
+  };
+
+  // Handler that records its name when it starts
+  const track = (name, work) => async () => {
+    started.push(name);
+    if (work) await work();
+  };
+
+  beforeEach(() => {
+    for (const key of ENV_KEYS) {
+      savedEnv[key] = process.env[key];
+      delete process.env[key];
+    }
+    started = [];
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    for (const key of ENV_KEYS) {
+      if (savedEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = savedEnv[key];
+    }
+    jest.restoreAllMocks();
+  });
+
+  test('runs work for the same chat in arrival order, whatever its priority', async () => {
+    const pipeline = createPipeline({ MESSAGE_PIPELINE_CONCURRENCY: '4' });
+
+    const done = [
+      pipeline.enqueue('chat-a', 'media', track('a1', () => new Promise(res => setTimeout(res, 20)))),
+      pipeline.enqueue('chat-a', 'text', track('a2')),
+      pipeline.enqueue('chat-a', 'media', track('a3')),
+      pipeline.enqueue('chat-a', 'text', track('a4'))
+    ];
+
+    // Free slots don't let a chat run two tasks at once
+    expect(started).toEqual(['a1']);
+
+    await Promise.all(done);
+    expect(started).toEqual(['a1', 'a2', 'a3', 'a4']);
+  });
+
+  test('starts text before media across chats', async () => {
+    const pipeline = createPipeline();
+    const block = deferred();
+
+    const done = [
+      pipeline.enqueue('blocker', 'text', track('blocker', () => block.promise)),
+      pipeline.enqueue('chat-a', 'media', track('a-media')),
+      pipeline.enqueue('chat-b', 'media', track('b-media')),
+      pipeline.enqueue('chat-c', 'text', track('c-text')),
+      pipeline.enqueue('chat-d', 'text', track('d-text'))
+    ];
+
+    block.resolve();
+    await Promise.all(done);
+
+    expect(started).toEqual(['blocker', 'c-text', 'd-text', 'a-media', 'b-media']);
+  });
+
+  test('starts media that has waited longer than the maximum before text', async () => {
+    const pipeline = createPipeline({ MESSAGE_PIPELINE_MAX_MEDIA_WAIT_MS: '1000' });
+    const block = deferred();
+    let now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    const done = [
+      pipeline.enqueue('blocker', 'text', track('blocker', () => block.promise)),
+      pipeline.enqueue('chat-a', 'media', track('a-media'))
+    ];
+    now += 1001;
+    done.push(pipeline.enqueue('chat-b', 'text', track('b-text')));
+
+    block.resolve();
+    await Promise.all(done);
+
+    expect(started).toEqual(['blocker', 'a-media', 'b-text']);
+  });
+
+  test('keeps media behind text while it is within the maximum wait', async () => {
+    const pipeline = createPipeline({ MESSAGE_PIPELINE_MAX_MEDIA_WAIT_MS: '1000' });
+    const block = deferred();
+    let now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    const done = [
+      pipeline.enqueue('blocker', 'text', track('blocker', () => block.promise)),
+      pipeline.enqueue('chat-a', 'media', track('a-media'))
+    ];
+    now += 1000;
+    done.push(pipeline.enqueue('chat-b', 'text', track('b-text')));
+
+    block.resolve();
+    await Promise.all(done);
+
+    expect(started).toEqual(['blocker', 'b-text', 'a-media']);
+  });
+
+  test('puts a chat back in line by the priority of its next task', async () => {
+    const pipeline = createPipeline();
+    const block = deferred();
+
+    const done = [
+      pipeline.enqueue('chat-a', 'text', track('a-text', () => block.promise)),
+      pipeline.enqueue('chat-a', 'media', track('a-media')),
+      pipeline.enqueue('chat-b', 'text', track('b-text')),
+      pipeline.enqueue('chat-c', 'media', track('c-media'))
+    ];
+
+    block.resolve();
+    await Promise.all(done);
+
+    // chat-a's media joins the media list behind chat-c, which was ready first
+    expect(started).toEqual(['a-text', 'b-text', 'c-media', 'a-media']);
+  });
+
+  test('never runs more handlers at once than the concurrency', async () => {
+    const pipeline = createPipeline({ MESSAGE_PIPELINE_CONCURRENCY: '3' });
+    let active = 0;
+    let maxActive = 0;
+
+    const work = async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise(res => setTimeout(res, 5));
+      active--;
+    };
+
+    const done = [];
+    for (let i = 0; i < 12; i++) {
+      done.push(pipeline.enqueue(`chat-${i % 6}`, i % 2 ? 'media' : 'text', work));
+    }
+
+    expect(pipeline.getMetrics().running).toBe(3);
+
+    await Promise.all(done);
+    expect(maxActive).toBe(3);
+
+    const metrics = pipeline.getMetrics();
+    expect(metrics.processed).toBe(12);
+    expect(metrics.running).toBe(0);
+    expect(metrics.queued).toBe(0);
+    expect(metrics.chatsWaiting).toBe(0);
+  });
+
+  test('a failing handler resolves and does not hold up its chat', async () => {
+    const pipeline = createPipeline();
+
+    const failed = pipeline.enqueue('chat-a', 'text', track('a1', async () => {
+      throw new Error('boom');
+    }));
+    const next = pipeline.enqueue('chat-a', 'text', track('a2'));
+
+    await expect(failed).resolves.toBeUndefined();
+    await next;
+
+    expect(started).toEqual(['a1', 'a2']);
+    expect(pipeline.getMetrics()).toMatchObject({ processed: 1, failed: 1, queued: 0 });
+  });
+
+  test('treats an unknown priority as media', async () => {
+    const pipeline = createPipeline();
+    const block = deferred();
+
+    const done = [
+      pipeline.enqueue('blocker', 'text', track('blocker', () => block.promise)),
+      pipeline.enqueue('chat-a', 'bulk', track('a-unknown')),
+      pipeline.enqueue('chat-b', 'text', track('b-text'))
+    ];
+
+    block.resolve();
+    await Promise.all(done);
+
+    expect(started).toEqual(['blocker', 'b-text', 'a-unknown']);
+  });
+
+  test('holds waitForCapacity callers until the backlog drops below the high-water mark', async () => {
+    const pipeline = createPipeline({ MESSAGE_PIPELINE_HIGH_WATER_MARK: '2' });
+    const block = deferred();
+
+    const done = [
+      pipeline.enqueue('chat-a', 'text', () => block.promise),
+      pipeline.enqueue('chat-b', 'text', async () => {})
+    ];
+
+    let released = false;
+    const waiting = pipeline.waitForCapacity().then(() => { released = true; });
+    await Promise.resolve();
+    expect(released).toBe(false);
+    expect(console.warn).toHaveBeenCalledTimes(1);
+
+    block.resolve();
+    await waiting;
+    expect(released).toBe(true);
+
+    await Promise.all(done);
+    await expect(pipeline.waitForCapacity()).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,364 @@
+/**
+ * Tests for the pure parts of MessageProcessor: album grouping, location and contact card parsing,
+ * content hashes and @mentions
+ * Messages are plain objects shaped like the raw WhatsApp message and the extracted message data
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const savedEnv = {};
+let attachmentDir;
+let MessageProcessor;
+let processor;
+
+beforeAll(() => {
+  // Constructing the processor creates the attachment folders, so keep them out of the real attachment path
+  attachmentDir = fs.mkdtempSync(path.join(os.tmpdir(), 'message-processor-test-'));
+  for (const key of ['ATTACHMENT_PATH', 'ALBUM_WINDOW_SECONDS', 'FORWARD_MIN_TEXT_LENGTH']) {
+    savedEnv[key] = process.env[key];
+  }
+  process.env.ATTACHMENT_PATH = attachmentDir;
+  delete process.env.ALBUM_WINDOW_SECONDS;
+  delete process.env.FORWARD_MIN_TEXT_LENGTH;
+  MessageProcessor = require('../../src/services/messageProcessor');
+});
+
+afterAll(() => {
+  for (const [key, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  fs.rmSync(attachmentDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  processor = new MessageProcessor();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('MessageProcessor album batches', () => {
+  // Build the raw message and extracted data for one message; timestamps are Unix seconds
+  const message = ({ id, timestamp, type = 'image', hasMedia = true, chat = 'group-1', sender = 'sender-1' }) => [
+    { type, hasMedia, timestamp },
+    {
+      messageId: id,
+      senderId: sender,
+      groupId: chat,
+      timestamp: new Date(timestamp * 1000).toISOString()
+    }
+  ];
+
+  const assign = (options) => processor.assignBatch(...message(options));
+
+  test('a single photo is not a batch', () => {
+    expect(assign({ id: 'm1', timestamp: 1000 })).toBeNull();
+  });
+
+  test('photos and videos within the window join the first item\'s batch', () => {
+    expect(assign({ id: 'm1', timestamp: 1000 })).toBeNull();
+
+    expect(assign({ id: 'm2', timestamp: 1002, type: 'video' })).toEqual({
+      batchId: 'm1',
+      position: 1,
+      startedAt: new Date(1000 * 1000).toISOString()
+    });
+    // The window is measured from the previous item, so a run can last longer than the window
+    expect(assign({ id: 'm3', timestamp: 1005 })).toMatchObject({ batchId: 'm1', position: 2 });
+    expect(assign({ id: 'm4', timestamp: 1008 })).toMatchObject({ batchId: 'm1', position: 3 });
+  });
+
+  test('a gap longer than the window starts a new album', () => {
+    assign({ id: 'm1', timestamp: 1000 });
+    expect(assign({ id: 'm2', timestamp: 1003 })).toMatchObject({ batchId: 'm1', position: 1 });
+
+    expect(assign({ id: 'm3', timestamp: 1007 })).toBeNull();
+    expect(assign({ id: 'm4', timestamp: 1008 })).toMatchObject({ batchId: 'm3', position: 1 });
+  });
+
+  test('follows ALBUM_WINDOW_SECONDS', () => {
+    process.env.ALBUM_WINDOW_SECONDS = '10';
+    try {
+      processor = new MessageProcessor();
+    } finally {
+      delete process.env.ALBUM_WINDOW_SECONDS;
+  delete process.env.FORWARD_MIN_TEXT_LENGTH;
+    }
+
+    assign({ id: 'm1', timestamp: 1000 });
+    expect(assign({ id: 'm2', timestamp: 1010 })).toMatchObject({ batchId: 'm1', position: 1 });
+    expect(assign({ id: 'm3', timestamp: 1021 })).toBeNull();
+  });
+
+  test('any other message from the sender ends the album', () => {
+    assign({ id: 'm1', timestamp: 1000 });
+    expect(assign({ id: 'm2', timestamp: 1001, type: 'chat', hasMedia: false })).toBeNull();
+    expect(assign({ id: 'm3', timestamp: 1002 })).toBeNull();
+
+    // A document is media, but not album media
+    expect(assign({ id: 'm4', timestamp: 1003, type: 'document' })).toBeNull();
+    expect(assign({ id: 'm5', timestamp: 1004 })).toBeNull();
+    expect(assign({ id: 'm6', timestamp: 1005 })).toMatchObject({ batchId: 'm5', position: 1 });
+  });
+
+  test('other senders and other chats keep their own albums', () => {
+    assign({ id: 'a1', timestamp: 1000 });
+    assign({ id: 'b1', timestamp: 1000, sender: 'sender-2' });
+    assign({ id: 'c1', timestamp: 1000, chat: 'group-2' });
+
+    // A text from another sender in between doesn't end the first sender's album
+    expect(assign({ id: 'b2', timestamp: 1001, sender: 'sender-2', type: 'chat', hasMedia: false })).toBeNull();
+
+    expect(assign({ id: 'a2', timestamp: 1001 })).toMatchObject({ batchId: 'a1', position: 1 });
+    expect(assign({ id: 'c2', timestamp: 1001, chat: 'group-2' })).toMatchObject({ batchId: 'c1', position: 1 });
+    expect(assign({ id: 'b3', timestamp: 1002, sender: 'sender-2' })).toBeNull();
+  });
+
+  test('a message seen again keeps its position', () => {
+    assign({ id: 'm1', timestamp: 1000 });
+    assign({ id: 'm2', timestamp: 1001 });
+    assign({ id: 'm3', timestamp: 1002 });
+
+    expect(assign({ id: 'm2', timestamp: 1001 })).toMatchObject({ batchId: 'm1', position: 1 });
+    expect(assign({ id: 'm1', timestamp: 1000 })).toMatchObject({ batchId: 'm1', position: 0 });
+    expect(assign({ id: 'm4', timestamp: 1003 })).toMatchObject({ batchId: 'm1', position: 3 });
+  });
+
+  test('the first item seen again before a second one arrives is still not a batch', () => {
+    assign({ id: 'm1', timestamp: 1000 });
+    expect(assign({ id: 'm1', timestamp: 1000 })).toBeNull();
+    expect(assign({ id: 'm2', timestamp: 1001 })).toMatchObject({ batchId: 'm1', position: 1 });
+  });
+
+  test('messages without a message or sender ID are never batched', () => {
+    expect(assign({ id: null, timestamp: 1000 })).toBeNull();
+    expect(assign({ id: 'm1', timestamp: 1000, sender: null })).toBeNull();
+    expect(processor.albumTrackers.size).toBe(0);
+  });
+});
+
+describe('MessageProcessor locations', () => {
+  test('reads a pinned location with its name, address and map link', () => {
+    const location = processor.extractLocationData({
+      type: 'location',
+      location: { latitude: 52.37, longitude: 4.89, name: 'Dam Square', address: 'Dam, Amsterdam', url: 'https://example.com' },
+      _data: { comment: 'Meet here' }
+    });
+
+    expect(location).toEqual({
+      latitude: 52.37,
+      longitude: 4.89,
+      name: 'Dam Square',
+      address: 'Dam, Amsterdam',
+      url: 'https://example.com',
+      isLive: false,
+      accuracy: null,
+      speed: null,
+      degrees: null,
+      caption: 'Meet here',
+      mapUrl: 'https://www.google.com/maps?q=52.37,4.89'
+    });
+  });
+
+  test('reads a live location from the raw data, with its accuracy, speed and heading', () => {
+    const location = processor.extractLocationData({
+      type: 'livelocation',
+      _data: { lat: -33.86, lng: 151.2, accuracy: 12, speed: 3.5, degrees: 90 }
+    });
+
+    expect(location).toMatchObject({
+      latitude: -33.86,
+      longitude: 151.2,
+      isLive: true,
+      accuracy: 12,
+      speed: 3.5,
+      degrees: 90,
+      mapUrl: 'https://www.google.com/maps?q=-33.86,151.2'
+    });
+  });
+
+  test('keeps coordinates of 0 and ignores live fields on a static location', () => {
+    const location = processor.extractLocationData({
+      type: 'location',
+      location: { latitude: 0, longitude: 0 },
+      _data: { accuracy: 12 }
+    });
+
+    expect(location).toMatchObject({ latitude: 0, longitude: 0, accuracy: null });
+    expect(location.mapUrl).toBe('https://www.google.com/maps?q=0,0');
+  });
+
+  test('has no map link without coordinates', () => {
+    expect(processor.extractLocationData({ type: 'location' }).mapUrl).toBeNull();
+  });
+
+  test('recognizes location messages by type or by their location', () => {
+    expect(processor.isLocationMessage({ type: 'location' })).toBe(true);
+    expect(processor.isLocationMessage({ type: 'livelocation' })).toBe(true);
+    expect(processor.isLocationMessage({ type: 'chat', location: { latitude: 1, longitude: 2 } })).toBe(true);
+    expect(processor.isLocationMessage({ type: 'chat' })).toBe(false);
+  });
+});
+
+describe('MessageProcessor contact cards', () => {
+  test('reads names, phone numbers with their WhatsApp IDs, emails and organization', () => {
+    const contact = processor.parseVCard([
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      'N:Doe;Jane;;;',
+      'FN:Jane Doe',
+      'ORG:Acme Ltd;',
+      'item1.TEL;waid=31612345678:+31 6 12345678',
+      'item1.X-ABLabel:Mobile',
+      'TEL;TYPE=WORK:+31 20 1234567',
+      'EMAIL;TYPE=INTERNET:jane@example.com',
+      'END:VCARD'
+    ].join('\r\n'));
+
+    expect(contact).toEqual({
+      name: 'Jane Doe',
+      firstName: 'Jane',
+      lastName: 'Doe',
+      organization: 'Acme Ltd',
+      phones: [
+        { number: '+31 6 12345678', waId: '31612345678', type: null },
+        { number: '+31 20 1234567', waId: null, type: 'work' }
+      ],
+      emails: ['jane@example.com']
+    });
+  });
+
+  test('builds the name from N when there is no FN', () => {
+    const contact = processor.parseVCard('BEGIN:VCARD\nN:Doe;Jane\nEND:VCARD');
+
+    expect(contact.name).toBe('Jane Doe');
+  });
+
+  test('unfolds continuation lines', () => {
+    const contact = processor.parseVCard('BEGIN:VCARD\r\nFN:Jane\r\n  Doe-Smith\r\nEND:VCARD');
+
+    expect(contact.name).toBe('Jane Doe-Smith');
+  });
+
+  test('keeps colons inside values', () => {
+    const contact = processor.parseVCard('BEGIN:VCARD\nFN:Support: Night Shift\nEND:VCARD');
+
+    expect(contact.name).toBe('Support: Night Shift');
+  });
+
+  test('returns an empty card for missing input', () => {
+    expect(processor.parseVCard(null)).toEqual({
+      name: null,
+      firstName: null,
+      lastName: null,
+      organization: null,
+      phones: [],
+      emails: []
+    });
+  });
+});
+
+describe('MessageProcessor content hashes', () => {
+  const longText = 'Please share: the community centre is open for shelter tonight from 8pm';
+
+  test('matches texts that differ only in surrounding and repeated whitespace', () => {
+    const hash = processor.getContentHash({ body: longText });
+
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(processor.getContentHash({ body: `  ${longText.replace(/ /g, '  \n')}  ` })).toBe(hash);
+    expect(processor.getContentHash({ body: `${longText}!` })).not.toBe(hash);
+  });
+
+  test('leaves out texts shorter than FORWARD_MIN_TEXT_LENGTH', () => {
+    expect(processor.getContentHash({ body: 'ok thanks' })).toBeNull();
+    expect(processor.getContentHash({ body: 'x'.repeat(39) })).toBeNull();
+    expect(processor.getContentHash({ body: 'x'.repeat(40) })).not.toBeNull();
+    expect(processor.getContentHash({})).toBeNull();
+
+    process.env.FORWARD_MIN_TEXT_LENGTH = '5';
+    try {
+      expect(new MessageProcessor().getContentHash({ body: 'ok thanks' })).not.toBeNull();
+    } finally {
+      delete process.env.FORWARD_MIN_TEXT_LENGTH;
+    }
+  });
+
+  test('identifies media by its file hash, whatever the caption length', () => {
+    const photo = { hasMedia: true, body: '', _data: { filehash: 'abc123' } };
+
+    expect(processor.getContentHash(photo)).not.toBeNull();
+    expect(processor.getContentHash({ ...photo, _data: { filehash: 'def456' } })).not.toBe(processor.getContentHash(photo));
+    expect(processor.getContentHash({ ...photo, body: 'Look' })).not.toBe(processor.getContentHash(photo));
+  });
+
+  test('falls back to the media key and leaves out media without either', () => {
+    expect(processor.getContentHash({ hasMedia: true, body: longText, mediaKey: 'key-1' }))
+      .toBe(processor.getContentHash({ hasMedia: true, body: longText, _data: { mediaKey: 'key-1' } }));
+    expect(processor.getContentHash({ hasMedia: true, body: longText, _data: {} })).toBeNull();
+  });
+
+  test('never matches a text message with a captioned photo of the same text', () => {
+    expect(processor.getContentHash({ hasMedia: true, body: longText, _data: { filehash: 'abc123' } }))
+      .not.toBe(processor.getContentHash({ body: longText }));
+  });
+});
+
+describe('MessageProcessor mentions', () => {
+  const contacts = {
+    '447700900001@c.us': { name: 'Bob Saved', pushname: 'bobby' },
+    '447700900002@c.us': { pushname: 'Carol' },
+    '447700900003@c.us': { verifiedName: 'Acme Ltd' },
+    '447700900004@c.us': {}
+  };
+
+  const rawMessage = (mentionedIds) => ({
+    mentionedIds,
+    client: {
+      getContactById: jest.fn(async contactId => {
+        if (!contacts[contactId]) throw new Error('contact not found');
+        return contacts[contactId];
+      })
+    }
+  });
+
+  test('names each mention from the contact, preferring the saved name', async () => {
+    const mentions = await processor.extractMentions(rawMessage([
+      '447700900001@c.us',
+      '447700900002@c.us',
+      '447700900003@c.us',
+      '447700900004@c.us'
+    ]));
+
+    expect(mentions).toEqual([
+      { contactId: '447700900001@c.us', placeholder: '@447700900001', displayName: 'Bob Saved' },
+      { contactId: '447700900002@c.us', placeholder: '@447700900002', displayName: 'Carol' },
+      { contactId: '447700900003@c.us', placeholder: '@447700900003', displayName: 'Acme Ltd' },
+      { contactId: '447700900004@c.us', placeholder: '@447700900004', displayName: null }
+    ]);
+  });
+
+  test('accepts serialized and object IDs and lists each contact once', async () => {
+    const mentions = await processor.extractMentions(rawMessage([
+      '447700900001@c.us',
+      { _serialized: '447700900001@c.us' },
+      { _serialized: '447700900002@c.us' },
+      { _serialized: '' }
+    ]));
+
+    expect(mentions.map(mention => mention.contactId)).toEqual(['447700900001@c.us', '447700900002@c.us']);
+  });
+
+  test('keeps a mention whose contact cannot be looked up, without a name', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const mentions = await processor.extractMentions(rawMessage(['15550100@lid']));
+
+    expect(mentions).toEqual([{ contactId: '15550100@lid', placeholder: '@15550100', displayName: null }]);
+    expect(console.error).toHaveBeenCalled();
+  });
+});
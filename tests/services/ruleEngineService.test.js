@@ -0,0 +1,214 @@
+/**
+ * Tests for rule matching, cooldowns and validation in RuleEngineService
+ * The database and send queue are mocked; messages are shaped like MessageProcessor output
+ */
+
+const RuleEngineService = require('../../src/services/ruleEngineService');
+
+describe('RuleEngineService', () => {
+  let dbService;
+  let sendQueue;
+  let engine;
+
+  const rule = (fields) => ({
+    id: 1,
+    name: 'Greeter',
+    enabled: true,
+    dry_run: false,
+    group_id: null,
+    sender_id: null,
+    regex: null,
+    attachment_type: null,
+    action_type: 'reply',
+    reply_text: 'Hi {{sender_name}}, welcome to {{group_name}}',
+    cooldown_seconds: 0,
+    ...fields
+  });
+
+  const message = (fields) => ({
+    messageId: 'msg-1',
+    groupId: 'group-1@g.us',
+    groupName: 'Group',
+    senderId: 'alice@c.us',
+    senderName: 'Alice',
+    messageText: 'Hello there',
+    direction: 'incoming',
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    dbService = {
+      getAutoReplyRules: jest.fn().mockResolvedValue([]),
+      getLastAutoReplyFiring: jest.fn().mockResolvedValue(null),
+      saveAutoReplyFiring: jest.fn().mockResolvedValue(),
+      tagMessage: jest.fn().mockResolvedValue()
+    };
+    sendQueue = { enqueue: jest.fn().mockResolvedValue({ id: 5 }) };
+    engine = new RuleEngineService(dbService, sendQueue, { getAbsolutePath: relativePath => `/attachments/${relativePath}` });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('matches', () => {
+    test('a rule without conditions matches any message', () => {
+      expect(engine.matches(rule(), message())).toBe(true);
+    });
+
+    test('checks group and sender', () => {
+      expect(engine.matches(rule({ group_id: 'group-1@g.us' }), message())).toBe(true);
+      expect(engine.matches(rule({ group_id: 'group-2@g.us' }), message())).toBe(false);
+      expect(engine.matches(rule({ sender_id: 'alice@c.us' }), message())).toBe(true);
+      expect(engine.matches(rule({ sender_id: 'bob@c.us' }), message())).toBe(false);
+    });
+
+    test('tests the text pattern against the message text, treating missing text as empty', () => {
+      const pricing = rule({ regex: /price|cost/i });
+
+      expect(engine.matches(pricing, message({ messageText: 'What is the PRICE?' }))).toBe(true);
+      expect(engine.matches(pricing, message({ messageText: 'Hello' }))).toBe(false);
+      expect(engine.matches(pricing, message({ messageText: null }))).toBe(false);
+      expect(engine.matches(rule({ regex: /^$/ }), message({ messageText: null }))).toBe(true);
+    });
+
+    test('matches attachment type "none" only on messages without an attachment', () => {
+      expect(engine.matches(rule({ attachment_type: 'none' }), message())).toBe(true);
+      expect(engine.matches(rule({ attachment_type: 'none' }), message({ attachmentType: 'image' }))).toBe(false);
+      expect(engine.matches(rule({ attachment_type: 'image' }), message({ attachmentType: 'image' }))).toBe(true);
+    });
+
+    test('needs every condition to hold', () => {
+      const strict = rule({ group_id: 'group-1@g.us', sender_id: 'bob@c.us', regex: /hello/i });
+
+      expect(engine.matches(strict, message())).toBe(false);
+      expect(engine.matches(strict, message({ senderId: 'bob@c.us' }))).toBe(true);
+    });
+  });
+
+  describe('isCoolingDown', () => {
+    test('never cools down without a cooldown', async () => {
+      engine.lastFired.set('1:group-1@g.us:false', Date.now());
+
+      await expect(engine.isCoolingDown(rule(), 'group-1@g.us')).resolves.toBe(false);
+      expect(dbService.getLastAutoReplyFiring).not.toHaveBeenCalled();
+    });
+
+    test('cools down per group after a firing', async () => {
+      const cooling = rule({ cooldown_seconds: 60 });
+      engine.lastFired.set('1:group-1@g.us:false', Date.now() - 30000);
+      engine.lastFired.set('1:group-2@g.us:false', Date.now() - 90000);
+
+      await expect(engine.isCoolingDown(cooling, 'group-1@g.us')).resolves.toBe(true);
+      await expect(engine.isCoolingDown(cooling, 'group-2@g.us')).resolves.toBe(false);
+    });
+
+    test('reads the last firing from the log once after a restart', async () => {
+      dbService.getLastAutoReplyFiring.mockResolvedValue(new Date(Date.now() - 10000));
+      const cooling = rule({ cooldown_seconds: 60 });
+
+      await expect(engine.isCoolingDown(cooling, 'group-1@g.us')).resolves.toBe(true);
+      await expect(engine.isCoolingDown(cooling, 'group-1@g.us')).resolves.toBe(true);
+
+      expect(dbService.getLastAutoReplyFiring).toHaveBeenCalledTimes(1);
+      expect(dbService.getLastAutoReplyFiring).toHaveBeenCalledWith(1, 'group-1@g.us', false);
+    });
+
+    test('keeps dry-run firings apart from real ones', async () => {
+      engine.lastFired.set('1:group-1@g.us:true', Date.now());
+
+      await expect(engine.isCoolingDown(rule({ cooldown_seconds: 60, dry_run: true }), 'group-1@g.us')).resolves.toBe(true);
+      await expect(engine.isCoolingDown(rule({ cooldown_seconds: 60 }), 'group-1@g.us')).resolves.toBe(false);
+    });
+  });
+
+  describe('evaluate', () => {
+    const whatsappClient = { accountId: 'sales' };
+
+    test('queues an in-thread reply and starts the cooldown', async () => {
+      engine.rules = [rule({ cooldown_seconds: 60 })];
+      engine.loaded = true;
+
+      await engine.evaluate(message(), 41, whatsappClient);
+      await engine.evaluate(message(), 42, whatsappClient);
+
+      expect(sendQueue.enqueue).toHaveBeenCalledTimes(1);
+      expect(sendQueue.enqueue).toHaveBeenCalledWith({
+        accountId: 'sales',
+        groupId: 'group-1@g.us',
+        text: 'Hi Alice, welcome to Group',
+        replyToMessageId: 'msg-1'
+      });
+      expect(dbService.saveAutoReplyFiring).toHaveBeenCalledWith(expect.objectContaining({
+        ruleId: 1,
+        messageRowId: 41,
+        outboundMessageId: 5
+      }));
+    });
+
+    test('only logs the firing of a dry-run rule', async () => {
+      engine.rules = [rule({ dry_run: true })];
+      engine.loaded = true;
+
+      await engine.evaluate(message(), 41, whatsappClient);
+
+      expect(sendQueue.enqueue).not.toHaveBeenCalled();
+      expect(dbService.saveAutoReplyFiring).toHaveBeenCalledWith(expect.objectContaining({ dryRun: true, outboundMessageId: null }));
+    });
+
+    test('skips our own messages and disabled rules', async () => {
+      engine.rules = [rule({ id: 1 }), rule({ id: 2, enabled: false, action_type: 'tag', tag: 'seen' })];
+      engine.loaded = true;
+
+      await engine.evaluate(message({ direction: 'outgoing' }), 41, whatsappClient);
+      await engine.evaluate(message(), 42, whatsappClient);
+
+      expect(sendQueue.enqueue).toHaveBeenCalledTimes(1);
+      expect(dbService.tagMessage).not.toHaveBeenCalled();
+    });
+
+    test('keeps evaluating the other rules when one fails', async () => {
+      engine.rules = [rule({ id: 1 }), rule({ id: 2, action_type: 'tag', tag: 'greeting' })];
+      engine.loaded = true;
+      sendQueue.enqueue.mockRejectedValue(new Error('connection lost'));
+
+      await engine.evaluate(message(), 41, whatsappClient);
+
+      expect(dbService.tagMessage).toHaveBeenCalledWith(41, 'greeting', 2);
+    });
+  });
+
+  describe('validateRule', () => {
+    test('accepts a complete rule of each action type', () => {
+      expect(engine.validateRule({ name: 'Reply', actionType: 'reply', replyText: 'Hi' })).toBeNull();
+      expect(engine.validateRule({ name: 'Forward', actionType: 'forward', forwardGroupId: 'group-2@g.us' })).toBeNull();
+      expect(engine.validateRule({ name: 'Tag', actionType: 'tag', tag: 'urgent', textPattern: 'urgent|asap' })).toBeNull();
+    });
+
+    test.each([
+      ['a missing name', { actionType: 'reply', replyText: 'Hi' }, 'name is required'],
+      ['an unknown action', { name: 'R', actionType: 'delete' }, 'actionType must be one of'],
+      ['a reply without text', { name: 'R', actionType: 'reply', replyText: ' ' }, 'replyText is required'],
+      ['a forward to a direct chat', { name: 'R', actionType: 'forward', forwardGroupId: 'bob@c.us' }, 'forwardGroupId must be a group ID'],
+      ['a tag over 100 characters', { name: 'R', actionType: 'tag', tag: 'x'.repeat(101) }, 'tag is required'],
+      ['a non-boolean flag', { name: 'R', actionType: 'reply', replyText: 'Hi', enabled: 'yes' }, 'enabled must be true or false'],
+      ['a non-string condition', { name: 'R', actionType: 'reply', replyText: 'Hi', senderId: 5 }, 'senderId must be a string or null'],
+      ['an unknown attachment type', { name: 'R', actionType: 'reply', replyText: 'Hi', attachmentType: 'gif' }, 'attachmentType must be one of'],
+      ['a negative cooldown', { name: 'R', actionType: 'reply', replyText: 'Hi', cooldownSeconds: -1 }, 'cooldownSeconds must be'],
+      ['an invalid pattern', { name: 'R', actionType: 'reply', replyText: 'Hi', textPattern: '(' }, 'textPattern is not a valid regular expression']
+    ])('rejects %s', (description, fields, error) => {
+      expect(engine.validateRule(fields)).toMatch(error);
+    });
+
+    test('checks an update against the stored rule', () => {
+      const existing = { name: 'Tagger', action_type: 'tag', tag: 'urgent' };
+
+      expect(engine.validateRule({ enabled: false }, existing)).toBeNull();
+      expect(engine.validateRule({ actionType: 'reply' }, existing)).toMatch('replyText is required');
+      expect(engine.validateRule({ actionType: 'reply', replyText: 'On it' }, existing)).toBeNull();
+    });
+  });
+});
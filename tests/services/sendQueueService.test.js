@@ -0,0 +1,246 @@
+/**
+ * Tests for rate limiting and retries in SendQueueService
+ * The client manager, WhatsApp clients and database are mocked
+ */
+
+jest.mock('whatsapp-web.js', () => ({
+  MessageMedia: {
+    fromFilePath: jest.fn(filePath => ({ filePath, mimetype: 'application/octet-stream', filename: 'file' }))
+  }
+}));
+
+const SendQueueService = require('../../src/services/sendQueueService');
+
+describe('SendQueueService', () => {
+  const ENV_KEYS = ['SEND_GLOBAL_INTERVAL_MS', 'SEND_GROUP_INTERVAL_MS', 'SEND_MAX_ATTEMPTS', 'SEND_RETRY_DELAY_MS'];
+  const savedEnv = {};
+  let clients;
+  let dbService;
+  let queue;
+
+  const createClient = (accountId, isClientReady = true) => ({
+    accountId,
+    isClientReady,
+    client: {
+      sendMessage: jest.fn().mockResolvedValue({ id: { _serialized: `sent-${accountId}` }, ack: 1 })
+    }
+  });
+
+  const outboundRow = (fields) => ({
+    id: 1,
+    account_id: 'sales',
+    group_id: 'group-1@g.us',
+    message_text: 'Hello',
+    media_path: null,
+    reply_to_message_id: null,
+    attempts: 0,
+    ...fields
+  });
+
+  beforeEach(() => {
+    for (const key of ENV_KEYS) {
+      savedEnv[key] = process.env[key];
+    }
+    process.env.SEND_GLOBAL_INTERVAL_MS = '1000';
+    process.env.SEND_GROUP_INTERVAL_MS = '10000';
+    process.env.SEND_MAX_ATTEMPTS = '3';
+    process.env.SEND_RETRY_DELAY_MS = '100';
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    clients = new Map([
+      ['sales', createClient('sales')],
+      ['support', createClient('support', false)]
+    ]);
+    const clientManager = {
+      getClient: (accountId = null) => (accountId ? clients.get(accountId) : clients.values().next().value) || null,
+      getClients: () => Array.from(clients.values())
+    };
+    dbService = {
+      getDueOutboundMessages: jest.fn().mockResolvedValue([]),
+      claimOutboundMessage: jest.fn().mockResolvedValue(true),
+      markOutboundMessageSent: jest.fn(async id => ({ id, status: 'sent' })),
+      markOutboundMessageFailed: jest.fn(async (id, error, retryAt) => ({ id, status: retryAt ? 'queued' : 'failed' }))
+    };
+    const attachmentService = { getAbsolutePath: relativePath => `/attachments/${relativePath}` };
+
+    queue = new SendQueueService(clientManager, dbService, attachmentService);
+    queue.sleep = jest.fn().mockResolvedValue();
+  });
+
+  afterEach(() => {
+    for (const key of ENV_KEYS) {
+      if (savedEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = savedEnv[key];
+    }
+    jest.restoreAllMocks();
+  });
+
+  describe('findSendableMessage', () => {
+    test('leaves accounts that are not ready and groups that are cooling down out of the query', async () => {
+      const now = Date.now();
+      queue.lastSentByGroup.set('group-recent@g.us', now - 5000);
+      queue.lastSentByGroup.set('group-old@g.us', now - 20000);
+
+      await queue.findSendableMessage();
+
+      expect(dbService.getDueOutboundMessages).toHaveBeenCalledWith(50, {
+        accountIds: ['support'],
+        withoutAccount: false,
+        groupIds: ['group-recent@g.us']
+      });
+      // Groups whose interval has passed are forgotten
+      expect(queue.lastSentByGroup.has('group-old@g.us')).toBe(false);
+    });
+
+    test('skips rows without an account while the first account is not ready', async () => {
+      clients.get('sales').isClientReady = false;
+
+      await queue.findSendableMessage();
+
+      expect(dbService.getDueOutboundMessages.mock.calls[0][1]).toMatchObject({
+        accountIds: ['sales', 'support'],
+        withoutAccount: true
+      });
+    });
+
+    test('returns the first row with a ready account, sending rows without an account through the first one', async () => {
+      dbService.getDueOutboundMessages.mockResolvedValue([outboundRow({ id: 7, account_id: null })]);
+
+      const next = await queue.findSendableMessage();
+
+      expect(next.row.id).toBe(7);
+      expect(next.whatsappClient).toBe(clients.get('sales'));
+    });
+
+    test('fails rows of an unknown account and moves on', async () => {
+      dbService.getDueOutboundMessages.mockResolvedValue([
+        outboundRow({ id: 7, account_id: 'gone' }),
+        outboundRow({ id: 8 })
+      ]);
+
+      const next = await queue.findSendableMessage();
+
+      expect(dbService.markOutboundMessageFailed).toHaveBeenCalledWith(7, 'Unknown account "gone"');
+      expect(next.row.id).toBe(8);
+    });
+
+    test('still checks readiness and cooldown of the rows it gets back', async () => {
+      queue.lastSentByGroup.set('group-1@g.us', Date.now());
+      dbService.getDueOutboundMessages.mockResolvedValue([
+        outboundRow({ id: 7, account_id: 'support' }),
+        outboundRow({ id: 8 })
+      ]);
+
+      await expect(queue.findSendableMessage()).resolves.toBeNull();
+    });
+  });
+
+  describe('sendMessage', () => {
+    test('sends a claimed message and records it as sent', async () => {
+      const client = clients.get('sales');
+
+      await queue.sendMessage(outboundRow({ reply_to_message_id: 'quoted-1' }), client);
+
+      expect(client.client.sendMessage).toHaveBeenCalledWith('group-1@g.us', 'Hello', { quotedMessageId: 'quoted-1' });
+      expect(dbService.markOutboundMessageSent).toHaveBeenCalledWith(1, 'sent-sales', 1, expect.any(Date));
+      expect(queue.lastSentByGroup.get('group-1@g.us')).toBe(queue.lastSentAt);
+      expect(queue.unrecordedSends.size).toBe(0);
+    });
+
+    test('sends media from disk with the text as caption', async () => {
+      const client = clients.get('sales');
+
+      await queue.sendMessage(outboundRow({ media_path: 'outbound/a.jpg', media_mimetype: 'image/jpeg', media_filename: 'a.jpg' }), client);
+
+      const [, content, options] = client.client.sendMessage.mock.calls[0];
+      expect(content).toEqual({ filePath: '/attachments/outbound/a.jpg', mimetype: 'image/jpeg', filename: 'a.jpg' });
+      expect(options).toEqual({ caption: 'Hello' });
+    });
+
+    test('does nothing when another worker already claimed the message', async () => {
+      dbService.claimOutboundMessage.mockResolvedValue(false);
+      const client = clients.get('sales');
+
+      await queue.sendMessage(outboundRow(), client);
+
+      expect(client.client.sendMessage).not.toHaveBeenCalled();
+      expect(queue.lastSentByGroup.size).toBe(0);
+    });
+
+    test('retries a failed send with exponential backoff', async () => {
+      const client = clients.get('sales');
+      client.client.sendMessage.mockRejectedValue(new Error('not connected'));
+      const before = Date.now();
+
+      await queue.sendMessage(outboundRow({ attempts: 0 }), client);
+      await queue.sendMessage(outboundRow({ attempts: 1 }), client);
+
+      const [first, second] = dbService.markOutboundMessageFailed.mock.calls;
+      expect(first[1]).toBe('not connected');
+      expect(first[2].getTime() - before).toBeGreaterThanOrEqual(100);
+      expect(first[2].getTime() - before).toBeLessThan(200);
+      expect(second[2].getTime() - before).toBeGreaterThanOrEqual(200);
+      expect(second[2].getTime() - before).toBeLessThan(300);
+      // Failed attempts count against the rate limits too
+      expect(queue.lastSentByGroup.has('group-1@g.us')).toBe(true);
+    });
+
+    test('gives up after the last attempt', async () => {
+      const client = clients.get('sales');
+      client.client.sendMessage.mockRejectedValue(new Error('not connected'));
+
+      await queue.sendMessage(outboundRow({ attempts: 2 }), client);
+
+      expect(dbService.markOutboundMessageFailed).toHaveBeenCalledWith(1, 'not connected', null);
+    });
+
+    test('never fails or requeues a message that went out when saving its status fails', async () => {
+      const client = clients.get('sales');
+      dbService.markOutboundMessageSent.mockRejectedValueOnce(Object.assign(new Error('connection lost'), { code: 'ECONNRESET' }));
+
+      await queue.sendMessage(outboundRow(), client);
+
+      expect(client.client.sendMessage).toHaveBeenCalledTimes(1);
+      expect(dbService.markOutboundMessageFailed).not.toHaveBeenCalled();
+      expect(queue.unrecordedSends.get(1)).toMatchObject({ whatsappMessageId: 'sent-sales', ack: 1 });
+
+      // The next pass through the queue saves it
+      queue.pollTimer = {};
+      await queue.processQueue();
+
+      expect(dbService.markOutboundMessageSent).toHaveBeenCalledTimes(2);
+      expect(dbService.markOutboundMessageSent.mock.calls[1].slice(0, 3)).toEqual([1, 'sent-sales', 1]);
+      expect(queue.unrecordedSends.size).toBe(0);
+    });
+  });
+
+  describe('processQueue', () => {
+    test('sends due messages one at a time, spaced by the global interval', async () => {
+      queue.pollTimer = {};
+      dbService.getDueOutboundMessages
+        .mockResolvedValueOnce([outboundRow({ id: 1, group_id: 'group-1@g.us' })])
+        .mockResolvedValueOnce([outboundRow({ id: 2, group_id: 'group-2@g.us' })])
+        .mockResolvedValueOnce([]);
+
+      await queue.processQueue();
+
+      expect(dbService.markOutboundMessageSent.mock.calls.map(([id]) => id)).toEqual([1, 2]);
+      expect(queue.sleep).toHaveBeenCalledTimes(1);
+      expect(queue.sleep.mock.calls[0][0]).toBeGreaterThan(900);
+      expect(queue.sleep.mock.calls[0][0]).toBeLessThanOrEqual(1000);
+      expect(dbService.getDueOutboundMessages.mock.calls[1][1].groupIds).toEqual(['group-1@g.us']);
+    });
+
+    test('does not run twice at once', async () => {
+      queue.pollTimer = {};
+      queue.isProcessing = true;
+
+      await queue.processQueue();
+
+      expect(dbService.getDueOutboundMessages).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for how the WhatsApp client stores messages and their edits while the database comes and goes
+ * whatsapp-web.js and the session stores are mocked, so no browser is started
+ */
+
+jest.mock('whatsapp-web.js', () => ({ Client: jest.fn(), LocalAuth: jest.fn(), RemoteAuth: jest.fn() }));
+jest.mock('wwebjs-mongo', () => ({ MongoStore: jest.fn() }));
+jest.mock('mongoose', () => ({}));
+jest.mock('qrcode-terminal', () => ({ generate: jest.fn() }));
+
+const PersistentWhatsAppClient = require('../../src/services/whatsappClient');
+
+describe('PersistentWhatsAppClient', () => {
+  let dbService;
+  let ingestionBuffer;
+  let mediaRetry;
+  let whatsappClient;
+
+  const processedMessage = (fields) => ({
+    messageId: 'msg-1',
+    groupId: 'group-1@g.us',
+    groupName: 'Group',
+    senderId: 'alice@c.us',
+    senderName: 'Alice',
+    messageText: 'Hello @Bob',
+    timestamp: new Date(2024, 0, 1, 9, 0),
+    mentions: [{ contactId: 'bob@c.us' }],
+    pendingAttachment: { mediaType: 'image', error: 'timeout' },
+    ...fields
+  });
+
+  const connectionError = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    // A single stored row whose post_processed flag the mock keeps track of
+    let postProcessed = false;
+    dbService = {
+      isConnected: true,
+      isConnectionError: jest.fn(error => error.code === 'ECONNREFUSED'),
+      markDisconnected: jest.fn(() => { dbService.isConnected = false; }),
+      saveMessage: jest.fn()
+        .mockResolvedValueOnce({ id: 41, isNew: true })
+        .mockResolvedValue({ id: 41, isNew: false }),
+      isMessagePostProcessed: jest.fn(async () => postProcessed),
+      markMessagePostProcessed: jest.fn(async () => {
+        const claimed = !postProcessed;
+        postProcessed = true;
+        return claimed;
+      }),
+      linkReplies: jest.fn().mockResolvedValue(0),
+      saveMessageMentions: jest.fn().mockResolvedValue(),
+      saveMessageEdit: jest.fn().mockResolvedValue({ id: 41, revision: 1 }),
+      markMessageRevoked: jest.fn().mockResolvedValue({ id: 41, group_id: 'group-1@g.us', revoked_at: new Date() })
+    };
+    ingestionBuffer = {
+      hasPending: jest.fn().mockReturnValue(false),
+      append: jest.fn().mockResolvedValue(),
+      appendUpdate: jest.fn().mockResolvedValue()
+    };
+    mediaRetry = { recordFailure: jest.fn().mockResolvedValue() };
+
+    whatsappClient = new PersistentWhatsAppClient({}, dbService, { broadcastMessageEdit: jest.fn() }, {
+      accountId: 'sales',
+      groupPolicy: {},
+      ingestionBuffer,
+      mediaRetry
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('writeMessage', () => {
+    test('runs the follow-ups of a new message and reports it as new', async () => {
+      await expect(whatsappClient.writeMessage(processedMessage())).resolves.toEqual({ id: 41, isNew: true });
+
+      expect(dbService.linkReplies).toHaveBeenCalledWith('msg-1');
+      expect(mediaRetry.recordFailure).toHaveBeenCalledWith('sales', 41, expect.objectContaining({ messageId: 'msg-1' }));
+      expect(dbService.markMessagePostProcessed).toHaveBeenCalledWith(41);
+    });
+
+    test('skips the follow-ups of a duplicate whose first write completed', async () => {
+      await whatsappClient.writeMessage(processedMessage());
+      jest.clearAllMocks();
+
+      await expect(whatsappClient.writeMessage(processedMessage())).resolves.toEqual({ id: 41, isNew: false });
+
+      expect(dbService.linkReplies).not.toHaveBeenCalled();
+      expect(mediaRetry.recordFailure).not.toHaveBeenCalled();
+    });
+
+    test('finishes the follow-ups on replay when the first write lost the connection part-way', async () => {
+      dbService.saveMessageMentions.mockRejectedValueOnce(connectionError());
+
+      // The row is stored, then the connection goes and the message is buffered
+      await expect(whatsappClient.persistMessage(processedMessage(), true)).resolves.toEqual({ id: null, isNew: true, buffered: true });
+      expect(ingestionBuffer.append).toHaveBeenCalledWith('sales', expect.objectContaining({ messageId: 'msg-1' }), true);
+      expect(dbService.markMessagePostProcessed).not.toHaveBeenCalled();
+
+      // Replaying it finds the row already stored but not yet complete
+      jest.clearAllMocks();
+      await expect(whatsappClient.writeMessage(processedMessage())).resolves.toEqual({ id: 41, isNew: true });
+
+      expect(dbService.linkReplies).toHaveBeenCalledWith('msg-1');
+      expect(mediaRetry.recordFailure).toHaveBeenCalledTimes(1);
+      expect(dbService.saveMessageMentions).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('persistMessageUpdate', () => {
+    const edit = { messageId: 'msg-1', groupId: 'group-1@g.us', newBody: 'Edited', prevBody: 'Hello', editedAt: new Date(2024, 0, 1, 9, 5) };
+
+    test('applies an edit straight away while nothing is buffered', async () => {
+      await expect(whatsappClient.persistMessageUpdate('edit', edit)).resolves.toEqual({ result: { id: 41, revision: 1 } });
+
+      expect(dbService.saveMessageEdit).toHaveBeenCalledWith('msg-1', 'Edited', 'Hello', edit.editedAt);
+      expect(whatsappClient.server.broadcastMessageEdit).toHaveBeenCalledWith(expect.objectContaining({ id: 41, revision: 1 }));
+      expect(ingestionBuffer.appendUpdate).not.toHaveBeenCalled();
+    });
+
+    test('queues an edit behind buffered messages, which it may refer to', async () => {
+      ingestionBuffer.hasPending.mockReturnValue(true);
+
+      await expect(whatsappClient.persistMessageUpdate('edit', edit)).resolves.toEqual({ result: null, buffered: true });
+
+      expect(ingestionBuffer.appendUpdate).toHaveBeenCalledWith('sales', 'edit', edit);
+      expect(dbService.saveMessageEdit).not.toHaveBeenCalled();
+    });
+
+    test('queues a revocation when the connection is lost while applying it', async () => {
+      dbService.markMessageRevoked.mockRejectedValueOnce(connectionError());
+      const revoke = { messageId: 'msg-1', revokedAt: new Date() };
+
+      await expect(whatsappClient.persistMessageUpdate('revoke', revoke)).resolves.toEqual({ result: null, buffered: true });
+
+      expect(dbService.markDisconnected).toHaveBeenCalled();
+      expect(ingestionBuffer.appendUpdate).toHaveBeenCalledWith('sales', 'revoke', revoke);
+    });
+
+    test('rethrows errors that are not about the connection', async () => {
+      dbService.saveMessageEdit.mockRejectedValueOnce(new Error('Data too long for column'));
+
+      await expect(whatsappClient.persistMessageUpdate('edit', edit)).rejects.toThrow('Data too long');
+      expect(ingestionBuffer.appendUpdate).not.toHaveBeenCalled();
+    });
+  });
+});